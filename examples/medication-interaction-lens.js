@@ -30,8 +30,8 @@ let htmlData = html;
 async function enhance() {
     console.log("__________ MEDICATION INTERACTION LENS STARTED _____________");
 
-    // Extract all medications from IPS
-    const medications = getMedications(ipsData);
+    // Extract current medications from IPS (skips stopped and entered-in-error entries)
+    const medications = getMedications(ipsData, { activeOnly: true, lookbackDays: 90 });
     console.log(`Found ${medications.length} medication entries`);
 
     if (medications.length === 0) {
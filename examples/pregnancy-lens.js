@@ -5,10 +5,9 @@
  * women of childbearing age.
  */
 
-const { getPatientInfo, getObservationsByCode } = require('@gravitate-health/lens-tool-lib/fhir/ips');
+const { getPregnancyStatus } = require('@gravitate-health/lens-tool-lib/fhir/pregnancy');
 const { findSectionsByCode } = require('@gravitate-health/lens-tool-lib/fhir/epi');
 const { addClasses } = require('@gravitate-health/lens-tool-lib/html/dom');
-const { addYears, addMonths } = require('@gravitate-health/lens-tool-lib/utils/common');
 
 /*
   Input data
@@ -30,73 +29,18 @@ let htmlData = html;
 async function enhance() {
     console.log("__________ PREGNANCY LENS STARTED _____________");
 
-    // Extract patient info
-    const patient = getPatientInfo(ipsData);
-    
-    // Check if patient is female and of childbearing age
-    const pregnancyStatus = {
-        childbearingAge: false,
-        pregnant: false,
-        breastfeeding: false
-    };
-
-    if (!patient || patient.gender !== 'female') {
-        console.log("Patient is not female - collapsing pregnancy sections");
-        return await collapsePregnancySections();
-    }
+    // Childbearing age, pregnancy and breastfeeding from observations, conditions and delivery dates
+    const pregnancyStatus = getPregnancyStatus(ipsData);
 
-    const age = patient.age;
-    if (age >= 60 || age < 14) {
-        console.log("Patient not in childbearing age - collapsing pregnancy sections");
+    if (!pregnancyStatus.childbearingAge) {
+        console.log("Patient not of childbearing age - collapsing pregnancy sections");
         return await collapsePregnancySections();
     }
 
-    pregnancyStatus.childbearingAge = true;
-
-    // Check for pregnancy observations
-    const pregnancyObs = getObservationsByCode(
-        ipsData,
-        ["82810-3", "11778-8"],  // Pregnancy status and delivery date
-        { includeDisplay: 'pregnancy' }
-    );
-
-    pregnancyObs.forEach(obs => {
-        // Check delivery date
-        if (obs.valueDateTime) {
-            const deliveryDate = new Date(obs.valueDateTime);
-            const now = new Date();
-            const twoYearsAgo = addYears(now, -2);
-            const tenMonthsFromNow = addMonths(now, 10);
-
-            if (deliveryDate > now && deliveryDate <= tenMonthsFromNow) {
-                pregnancyStatus.pregnant = true;
-            }
-
-            if (deliveryDate < now && deliveryDate >= twoYearsAgo) {
-                pregnancyStatus.breastfeeding = true;
-            }
-        }
-
-        // Check pregnancy status codes
-        if (obs.valueCodeableConcept?.coding) {
-            obs.valueCodeableConcept.coding.forEach(coding => {
-                const positivePregnancyCodes = ["77386006", "146799005", "152231000119106"];
-                const negativePregnancyCodes = ["60001007"];
-
-                if (positivePregnancyCodes.includes(coding.code)) {
-                    pregnancyStatus.pregnant = true;
-                }
-                if (negativePregnancyCodes.includes(coding.code)) {
-                    pregnancyStatus.pregnant = false;
-                }
-            });
-        }
-    });
-
     console.log("Pregnancy status:", pregnancyStatus);
 
     // Determine enhance tag
-    const enhanceTag = pregnancyStatus.childbearingAge ? 'highlight' : 'collapse';
+    const enhanceTag = 'highlight';
 
     // Search for pregnancy-related sections in ePI
     const pregnancyCategories = ["W78", "77386006", "69840006"];  // Pregnancy, breastfeeding codes
@@ -151,17 +95,16 @@ async function collapsePregnancySections() {
  * @returns {string} Explanation text
  */
 function explanation() {
-    const patient = getPatientInfo(ipsData);
-    
-    if (!patient || patient.gender !== 'female') {
-        return "This lens is not applicable for this patient.";
+    const pregnancyStatus = getPregnancyStatus(ipsData);
+
+    if (!pregnancyStatus.childbearingAge) {
+        return "This lens highlights pregnancy and breastfeeding information, but is not applicable for this patient.";
     }
-    
-    const age = patient.age;
-    if (age >= 60 || age < 14) {
-        return "This lens highlights pregnancy and breastfeeding information, but is not applicable for this patient's age.";
+
+    if (pregnancyStatus.pregnant || pregnancyStatus.breastfeeding) {
+        return "This lens highlights pregnancy and breastfeeding information because the patient is pregnant or breastfeeding.";
     }
-    
+
     return "This lens highlights pregnancy and breastfeeding information relevant for women of childbearing age.";
 }
 
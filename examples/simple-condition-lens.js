@@ -29,8 +29,8 @@ let htmlData = html;
 async function enhance() {
     console.log("__________ SIMPLE CONDITION LENS EXECUTION STARTED _____________");
 
-    // Extract conditions from IPS
-    const conditions = getConditions(ipsData);
+    // Extract current conditions from IPS (no resolved or refuted problems)
+    const conditions = getConditions(ipsData, { activeOnly: true, excludeRefuted: true });
     console.log(`Found ${conditions.length} conditions in IPS`);
 
     if (conditions.length === 0) {
@@ -72,7 +72,7 @@ async function enhance() {
  * @returns {string} Explanation text
  */
 function explanation() {
-    const conditions = getConditions(ipsData);
+    const conditions = getConditions(ipsData, { activeOnly: true, excludeRefuted: true });
     
     if (conditions.length === 0) {
         return "No conditions found in your health record.";
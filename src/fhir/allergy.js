@@ -0,0 +1,131 @@
+/**
+ * Allergy and Intolerance Matching
+ * Cross-check IPS AllergyIntolerance codes against the active ingredients and
+ * excipients of an ePI, so allergy lenses highlight the right sections and warn
+ */
+
+const { getAllergies } = require('./ips');
+const { getEPIIngredients } = require('./epi');
+const { isSubsumedBy } = require('../terminology/codesystem');
+const { systemsEqual } = require('../terminology/systems');
+
+/**
+ * Allergens found in excipients: SNOMED CT codes (allergen substance or allergy disorder)
+ * and keywords matched as whole words (or their plural) in allergy and ingredient names,
+ * so "egg" matches "egg lecithin" and "eggs" but not "eggplant"
+ */
+const EXCIPIENT_ALLERGENS = {
+    lactose: { codes: ["47703008"], keywords: ["lactose"] },
+    milk: { codes: ["3718001"], keywords: ["milk", "casein", "caseinate", "whey"] },
+    peanut: { codes: ["762952008", "91935009"], keywords: ["peanut", "arachis"] },
+    egg: { codes: ["102263004", "91930004"], keywords: ["egg", "ovalbumin"] },
+    soya: { codes: [], keywords: ["soy", "soya", "soja", "soybean"] },
+    wheat: { codes: [], keywords: ["wheat", "gluten"] },
+    sesame: { codes: [], keywords: ["sesame"] },
+    gelatin: { codes: [], keywords: ["gelatin", "gelatine"] }
+};
+
+/**
+ * Verification and clinical statuses of allergies that no longer apply
+ */
+const IGNORED_VERIFICATION_STATUSES = ["refuted", "entered-in-error"];
+const INACTIVE_CLINICAL_STATUSES = ["inactive", "resolved"];
+
+/**
+ * Check if a text contains one of the keywords as a whole word, singular or plural
+ * @private
+ * @param {Array} texts - Texts to search
+ * @param {Array} keywords - Lower-case keywords
+ * @returns {boolean} True if a keyword is found
+ */
+function _containsKeyword(texts, keywords) {
+    return texts.some(text => keywords.some(keyword => {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        return new RegExp(`(^|[^a-z])${escaped}s?([^a-z]|$)`, "i").test(text || "");
+    }));
+}
+
+/**
+ * Find how an allergy matches an ingredient: same substance code, a class code subsuming
+ * the substance or one of its classes (e.g. ATC J01C and a penicillin), or a shared allergen
+ * @private
+ * @param {Object} allergy - getAllergies item
+ * @param {Object} ingredient - getEPIIngredients item
+ * @param {Object} allergens - EXCIPIENT_ALLERGENS-like table
+ * @param {Object} options - matchAllergiesToIngredients options
+ * @returns {Object|null} {matchType, code, allergen} or null
+ */
+function _matchIngredient(allergy, ingredient, allergens, options) {
+    const substanceCode = allergy.codes.find(code =>
+        ingredient.codes.some(candidate => candidate.code === code.code && systemsEqual(candidate.system, code.system))
+    );
+    if (substanceCode) return { matchType: "substance", code: substanceCode, allergen: null };
+
+    if (options.subsumption !== false) {
+        const candidates = [...ingredient.codes, ...ingredient.classes];
+        const classCode = allergy.codes.find(code => candidates.some(candidate => isSubsumedBy(candidate, code)));
+        if (classCode) return { matchType: "class", code: classCode, allergen: null };
+    }
+
+    const allergyTexts = [allergy.text, ...allergy.codes.map(code => code.display)];
+    const allergen = Object.keys(allergens).find(key => {
+        const { codes = [], keywords = [] } = allergens[key];
+        const hasAllergen = allergy.codes.some(code => codes.includes(code.code)) ||
+            _containsKeyword(allergyTexts, keywords);
+        return hasAllergen && _containsKeyword(ingredient.names, keywords);
+    });
+    if (allergen) {
+        const code = allergy.codes.find(coding => (allergens[allergen].codes || []).includes(coding.code)) || null;
+        return { matchType: "allergen", code, allergen };
+    }
+
+    return null;
+}
+
+/**
+ * Match the patient's allergies and intolerances against the ingredients of an ePI.
+ * Refuted and entered-in-error allergies are skipped, as are inactive and resolved ones
+ * unless options.includeInactive is set
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} epiBundle - ePI FHIR Bundle
+ * @param {Object} options - {roles: only match ingredients with these roles (e.g. ["excipient"]),
+ *   allergens: extra or replacement entries for EXCIPIENT_ALLERGENS ({key: {codes, keywords}}),
+ *   subsumption: match class codes (default: true), includeInactive: also match inactive
+ *   and resolved allergies, patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {allergy (getAllergies item), ingredient (getEPIIngredients item),
+ *   matchType ("substance", "class" or "allergen"), code (matched allergy coding or null),
+ *   allergen (EXCIPIENT_ALLERGENS key or null), criticality ("low", "high", "unable-to-assess"
+ *   or null), severity (most severe reaction: "mild", "moderate", "severe" or null)}
+ */
+function matchAllergiesToIngredients(ipsBundle, epiBundle, options = {}) {
+    const allergens = { ...EXCIPIENT_ALLERGENS, ...options.allergens };
+    const ingredients = getEPIIngredients(epiBundle)
+        .filter(ingredient => !options.roles || options.roles.includes(ingredient.role));
+    const allergies = getAllergies(ipsBundle, { patient: options.patient }).filter(allergy =>
+        !IGNORED_VERIFICATION_STATUSES.includes(allergy.verificationStatus) &&
+        (options.includeInactive || !INACTIVE_CLINICAL_STATUSES.includes(allergy.clinicalStatus))
+    );
+
+    const matches = [];
+    allergies.forEach(allergy => {
+        ingredients.forEach(ingredient => {
+            const match = _matchIngredient(allergy, ingredient, allergens, options);
+            if (!match) return;
+
+            matches.push({
+                allergy,
+                ingredient,
+                ...match,
+                criticality: allergy.criticality || null,
+                severity: allergy.severity
+            });
+        });
+    });
+
+    return matches;
+}
+
+module.exports = {
+    EXCIPIENT_ALLERGENS,
+    matchAllergiesToIngredients
+};
@@ -3,6 +3,237 @@
  * Common helper functions for working with FHIR resources
  */
 
+const { expandWithTranslations } = require('../terminology/conceptmap');
+const { isValueSet, isInValueSet } = require('../terminology/valueset');
+const { isSubsumedBy } = require('../terminology/codesystem');
+const { normalizeSystem, systemsEqual } = require('../terminology/systems');
+
+/**
+ * Bundle indexes, keyed by the bundle's entry array
+ * (each index remembers the entries, resources and keys it was built from)
+ */
+const bundleIndexCache = new WeakMap();
+
+/**
+ * Get the entry array of a bundle (or the array itself)
+ * @private
+ * @param {Object|Array} bundleOrEntries - FHIR Bundle or array of bundle entries
+ * @returns {Array|null} Entry array or null
+ */
+function _getEntries(bundleOrEntries) {
+    if (Array.isArray(bundleOrEntries)) return bundleOrEntries;
+    if (Array.isArray(bundleOrEntries?.entry)) return bundleOrEntries.entry;
+    return null;
+}
+
+/**
+ * Add a value to a Map of arrays
+ * @private
+ */
+function _addToIndex(map, key, value) {
+    if (key === undefined || key === null) return;
+    const list = map.get(key);
+    if (list) {
+        list.push(value);
+    } else {
+        map.set(key, [value]);
+    }
+}
+
+/**
+ * Build the indexes of an entry array in a single pass
+ * @private
+ * @param {Array} entries - Array of bundle entries
+ * @returns {Object} Bundle index
+ */
+function _buildBundleIndex(entries) {
+    const byType = new Map();
+    const byTypeId = new Map();
+    const byFullUrl = new Map();
+    const entryByResource = new Map();
+    const memoized = new Map();
+    const snapshot = entries.map(_snapshotEntry);
+
+    entries.forEach(entry => {
+        const resource = entry?.resource;
+        _addToIndex(byFullUrl, entry?.fullUrl, entry);
+        if (!resource) return;
+
+        entryByResource.set(resource, entry);
+        _addToIndex(byType, resource.resourceType, resource);
+        if (resource.id !== undefined) {
+            _addToIndex(byTypeId, `${resource.resourceType}/${resource.id}`, entry);
+        }
+    });
+
+    const index = {
+        entries,
+        size: entries.length,
+        snapshot,
+
+        /**
+         * @param {string} resourceType - Resource type
+         * @returns {Array} Resources of the type (shared; do not mutate)
+         */
+        getResourcesByType(resourceType) {
+            return byType.get(resourceType) || [];
+        },
+
+        /**
+         * @param {string} resourceType - Resource type
+         * @param {string} id - Resource id
+         * @returns {Array} Entries with this type and id (several when versioned)
+         */
+        findById(resourceType, id) {
+            return byTypeId.get(`${resourceType}/${id}`) || [];
+        },
+
+        /**
+         * @param {string} fullUrl - Entry fullUrl
+         * @returns {Array} Entries with this fullUrl (several when versioned)
+         */
+        findByFullUrl(fullUrl) {
+            return byFullUrl.get(fullUrl) || [];
+        },
+
+        /**
+         * @param {Object} resource - Resource in the bundle
+         * @returns {Object|null} The entry holding the resource
+         */
+        getEntry(resource) {
+            return entryByResource.get(resource) || null;
+        },
+
+        /**
+         * Resources referencing the given resource (references are read on each call,
+         * so edits inside resources are seen)
+         * @param {Object} resource - Target resource
+         * @returns {Array} Array of {resource, reference} objects
+         */
+        getReferencingResources(resource) {
+            return _buildReverseReferences(index).get(resource) || [];
+        },
+
+        /**
+         * Compute a value once per index. Values derived from resource content go
+         * stale when resources are edited in place (see invalidateBundleIndex)
+         * @param {string} key - Cache key
+         * @param {Function} compute - Function computing the value
+         * @returns {*} Cached value
+         */
+        memo(key, compute) {
+            if (!memoized.has(key)) {
+                memoized.set(key, compute());
+            }
+            return memoized.get(key);
+        }
+    };
+
+    return index;
+}
+
+/**
+ * Build the reverse-reference index of a bundle
+ * @private
+ * @param {Object} index - Bundle index
+ * @returns {Map} Map of target resource to [{resource, reference}]
+ */
+function _buildReverseReferences(index) {
+    const referencedBy = new Map();
+
+    index.entries.forEach(entry => {
+        const source = entry?.resource;
+        if (!source) return;
+
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            if (typeof node.reference === 'string') {
+                const target = resolveReference(node.reference, index.entries, {
+                    fullUrl: entry.fullUrl,
+                    resource: source
+                });
+                if (target && target !== source) {
+                    _addToIndex(referencedBy, target, { resource: source, reference: node.reference });
+                }
+            }
+
+            Object.keys(node).forEach(key => {
+                if (key !== 'contained' && key !== 'text') visit(node[key]);
+            });
+        };
+
+        visit(source);
+    });
+
+    return referencedBy;
+}
+
+/**
+ * Record what the index of an entry depends on: the entry and resource objects and
+ * the fullUrl, resourceType and id they are indexed by
+ * @private
+ * @param {Object} entry - Bundle entry
+ * @returns {Array} Snapshot values
+ */
+function _snapshotEntry(entry) {
+    const resource = entry?.resource;
+    return [entry, resource, entry?.fullUrl, resource?.resourceType, resource?.id];
+}
+
+/**
+ * Check if an index still matches its entry array: same entries holding the same
+ * resources under the same fullUrl, resourceType and id
+ * @private
+ * @param {Object} index - Bundle index
+ * @param {Array} entries - Entry array
+ * @returns {boolean} True if the index is up to date
+ */
+function _isIndexCurrent(index, entries) {
+    if (index.size !== entries.length) return false;
+    return index.snapshot.every((values, i) =>
+        _snapshotEntry(entries[i]).every((value, position) => value === values[position])
+    );
+}
+
+/**
+ * Get the cached index of a bundle, building it on first use.
+ * Indexes are cached per entry array (WeakMap) and rebuilt when entries are
+ * added, removed or replaced, or when an entry's resource, fullUrl, resourceType
+ * or id changes. Other edits inside resources need no rebuild: the extractors
+ * read resource content on each call.
+ * @param {Object|Array} bundle - FHIR Bundle or array of bundle entries
+ * @returns {Object|null} Bundle index with getResourcesByType, findById,
+ *   findByFullUrl, getEntry, getReferencingResources and memo; null for invalid input
+ */
+function getBundleIndex(bundle) {
+    const entries = _getEntries(bundle);
+    if (!entries) return null;
+
+    let index = bundleIndexCache.get(entries);
+    if (!index || !_isIndexCurrent(index, entries)) {
+        index = _buildBundleIndex(entries);
+        bundleIndexCache.set(entries, index);
+    }
+    return index;
+}
+
+/**
+ * Drop the cached index of a bundle and the values memoized in it with memo,
+ * e.g. after editing resources in place that a lens memoized values from
+ * @param {Object|Array} bundle - FHIR Bundle or array of bundle entries
+ */
+function invalidateBundleIndex(bundle) {
+    const entries = _getEntries(bundle);
+    if (entries) {
+        bundleIndexCache.delete(entries);
+    }
+}
+
 /**
  * Get all resources of a specific type from a FHIR bundle
  * @param {Object} bundle - FHIR Bundle
@@ -13,29 +244,159 @@ function getResourcesByType(bundle, resourceType) {
     if (!bundle || !bundle.entry || !Array.isArray(bundle.entry)) {
         return [];
     }
-    return bundle.entry
-        .filter(entry => entry.resource?.resourceType === resourceType)
-        .map(entry => entry.resource);
+    return getBundleIndex(bundle).getResourcesByType(resourceType).slice();
+}
+
+/**
+ * Get resources in a bundle that reference a given resource
+ * @param {Object} bundle - FHIR Bundle
+ * @param {Object} resource - Target resource (must be in the bundle)
+ * @param {string} [resourceType] - Only return referencing resources of this type
+ * @returns {Array} Array of referencing resources
+ */
+function getReferencingResources(bundle, resource, resourceType) {
+    const index = getBundleIndex(bundle);
+    if (!index || !resource) return [];
+
+    const sources = [];
+    index.getReferencingResources(resource).forEach(({ resource: source }) => {
+        if (resourceType && source.resourceType !== resourceType) return;
+        if (!sources.includes(source)) sources.push(source);
+    });
+    return sources;
+}
+
+/**
+ * Pattern for RESTful references: [base/]Type/id[/_history/version]
+ */
+const RESTFUL_REFERENCE = /^(?:(.*)\/)?([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})(?:\/_history\/([A-Za-z0-9\-.]{1,64}))?$/;
+
+/**
+ * Parse a FHIR reference string into its parts
+ * @param {string} reference - Reference string (e.g., "Medication/123", "urn:uuid:...", "#med1")
+ * @returns {Object|null} {kind, type, id, version, base} or null if not a string.
+ *   kind is "contained", "urn", "absolute" or "relative"
+ */
+function parseReference(reference) {
+    if (!reference || typeof reference !== 'string') return null;
+
+    if (reference.startsWith('#')) {
+        return { kind: 'contained', type: null, id: reference.slice(1), version: null, base: null };
+    }
+
+    if (reference.startsWith('urn:')) {
+        return { kind: 'urn', type: null, id: reference, version: null, base: null };
+    }
+
+    const absolute = /^[a-z][a-z0-9+.\-]*:\/\//i.test(reference);
+    const match = RESTFUL_REFERENCE.exec(reference);
+    if (!match) {
+        return absolute
+            ? { kind: 'absolute', type: null, id: null, version: null, base: null }
+            : null;
+    }
+
+    const [, base, type, id, version] = match;
+    if (!absolute && base) return null;
+
+    return {
+        kind: absolute ? 'absolute' : 'relative',
+        type,
+        id,
+        version: version || null,
+        base: base || null
+    };
 }
 
 /**
- * Resolve a FHIR reference to its actual resource
- * @param {string} reference - Reference string (e.g., "Medication/123")
+ * Get the RESTful base URL of an entry fullUrl (the part before Type/id)
+ * @private
+ * @param {string} fullUrl - Entry fullUrl
+ * @returns {string|null} Base URL or null if fullUrl is not a RESTful URL
+ */
+function _getBaseUrl(fullUrl) {
+    const parts = parseReference(fullUrl);
+    return parts?.kind === 'absolute' && parts.base ? parts.base : null;
+}
+
+/**
+ * Pick the entry matching a version, falling back to the first candidate
+ * @private
+ * @param {Array} candidates - Matching bundle entries
+ * @param {string|null} version - Requested version
+ * @returns {Object|null} Selected entry
+ */
+function _selectVersion(candidates, version) {
+    if (candidates.length === 0) return null;
+    if (version) {
+        const exact = candidates.find(entry => entry.resource?.meta?.versionId === version);
+        if (exact) return exact;
+    }
+    return candidates[0];
+}
+
+/**
+ * Resolve a FHIR reference to its actual resource, following the FHIR bundle
+ * reference-resolution rules:
+ * - "#id" is looked up in the referring resource's contained array
+ *   ("#" alone is the referring resource itself)
+ * - absolute URLs and urn:uuid/urn:oid references are matched against entry.fullUrl
+ * - relative "Type/id" references are made absolute with the referring entry's
+ *   fullUrl base and matched against entry.fullUrl, then matched by type and id
+ * - "_history" versions select the entry with matching meta.versionId when present
+ * @param {string|Object} reference - Reference string (e.g., "Medication/123") or Reference object
  * @param {Array} entries - Array of bundle entries
+ * @param {Object} options - {fullUrl: referring entry fullUrl, resource: referring resource}
  * @returns {Object|null} The resolved resource or null
  */
-function resolveReference(reference, entries) {
-    if (!reference || !entries) return null;
-    
-    const [type, id] = reference.split('/');
-    const entry = entries.find(
-        (el) => el.resource?.resourceType === type && el.resource?.id === id
-    );
-    return entry?.resource || null;
+function resolveReference(reference, entries, options = {}) {
+    const referenceString = typeof reference === 'object' ? reference?.reference : reference;
+    const parts = parseReference(referenceString);
+    if (!parts) return null;
+
+    // Contained resources
+    if (parts.kind === 'contained') {
+        const container = options.resource;
+        if (!container) return null;
+        if (!parts.id) return container;
+        return container.contained?.find(res => res.id === parts.id) || null;
+    }
+
+    const index = getBundleIndex(entries);
+    if (!index) return null;
+
+    // urn:uuid / urn:oid and absolute URLs
+    if (parts.kind === 'urn' || parts.kind === 'absolute') {
+        const unversioned = parts.version
+            ? referenceString.replace(/\/_history\/[^/]+$/, '')
+            : referenceString;
+        const byFullUrl = index.findByFullUrl(unversioned);
+        if (byFullUrl.length > 0) {
+            return _selectVersion(byFullUrl, parts.version)?.resource || null;
+        }
+        if (parts.kind === 'urn' || !parts.type) return null;
+    }
+
+    // Relative reference, resolved against the referring entry's base URL
+    if (parts.kind === 'relative' && options.fullUrl) {
+        const base = _getBaseUrl(options.fullUrl);
+        if (base) {
+            const absoluteUrl = `${base}/${parts.type}/${parts.id}`;
+            const byFullUrl = index.findByFullUrl(absoluteUrl);
+            if (byFullUrl.length > 0) {
+                return _selectVersion(byFullUrl, parts.version)?.resource || null;
+            }
+        }
+    }
+
+    // Fall back to matching resource type and id
+    const byId = index.findById(parts.type, parts.id);
+    return _selectVersion(byId, parts.version)?.resource || null;
 }
 
 /**
  * Extract all codes from a CodeableConcept
+ * (systems are normalized to their canonical URI, e.g. urn:oid:2.16.840.1.113883.6.96 → http://snomed.info/sct)
  * @param {Object} codeableConcept - FHIR CodeableConcept
  * @returns {Array} Array of {code, system, display} objects
  */
@@ -45,27 +406,45 @@ function extractCodes(codeableConcept) {
     }
     return codeableConcept.coding.map(coding => ({
         code: coding.code,
-        system: coding.system || "",
+        system: normalizeSystem(coding.system),
         display: coding.display || ""
     }));
 }
 
 /**
- * Match if a code exists in an array of codes
- * @param {Array} arrayOfCodes - Array of {code, system} objects
+ * Match if a code exists in an array of codes (or a ValueSet)
+ * @param {Array|Object} arrayOfCodes - Array of {code, system} objects, or a ValueSet resource
  * @param {Object} searchCode - {code, system} object to search for
- * @param {boolean} includeSystem - Whether to match system as well
+ * @param {boolean} includeSystem - Whether to match system as well (aliases and OIDs of
+ *   the same system are treated as equal)
+ * @param {Object} options - {translate: also match ConceptMap translations of searchCode,
+ *   conceptMaps: ConceptMaps to use instead of the registered ones,
+ *   subsumption: also match when searchCode is a descendant of a code in the array}
  * @returns {boolean} True if match found
  */
-function matchCodes(arrayOfCodes, searchCode, includeSystem = true) {
-    if (!Array.isArray(arrayOfCodes) || !searchCode) return false;
+function matchCodes(arrayOfCodes, searchCode, includeSystem = true, options = {}) {
+    const valueSet = isValueSet(arrayOfCodes);
+    if ((!valueSet && !Array.isArray(arrayOfCodes)) || !searchCode) return false;
     
-    return arrayOfCodes.some(element => {
+    const searchCodes = options.translate
+        ? expandWithTranslations([searchCode], { conceptMaps: options.conceptMaps })
+        : [searchCode];
+    
+    if (valueSet) {
+        return searchCodes.some(candidate =>
+            isInValueSet(candidate, arrayOfCodes, { matchSystem: includeSystem })
+        );
+    }
+    
+    return arrayOfCodes.some(element => searchCodes.some(candidate => {
+        if (options.subsumption) {
+            return isSubsumedBy(candidate, element, includeSystem);
+        }
         if (includeSystem) {
-            return element.code === searchCode.code && element.system === searchCode.system;
+            return element.code === candidate.code && systemsEqual(element.system, candidate.system);
         }
-        return element.code === searchCode.code;
-    });
+        return element.code === candidate.code;
+    }));
 }
 
 /**
@@ -93,7 +472,11 @@ function areValidCodes(codes) {
 }
 
 module.exports = {
+    getBundleIndex,
+    invalidateBundleIndex,
     getResourcesByType,
+    getReferencingResources,
+    parseReference,
     resolveReference,
     extractCodes,
     matchCodes,
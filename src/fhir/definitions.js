@@ -0,0 +1,717 @@
+/**
+ * FHIR Element Definitions
+ * Types, cardinalities and order of the elements of the FHIR datatypes and of the
+ * resources this library reads, transcribed from the R4, R4B and R5 StructureDefinitions
+ * (used by fhir/xml.js to type FHIR XML values and to write elements in schema order)
+ */
+
+/**
+ * Primitive types and their FHIR JSON representation (integer64 is a string in JSON)
+ */
+const PRIMITIVE_TYPES = {
+    boolean: "boolean",
+    integer: "number",
+    positiveInt: "number",
+    unsignedInt: "number",
+    decimal: "number",
+    integer64: "string",
+    string: "string",
+    markdown: "string",
+    code: "string",
+    id: "string",
+    oid: "string",
+    uuid: "string",
+    uri: "string",
+    url: "string",
+    canonical: "string",
+    base64Binary: "string",
+    instant: "string",
+    date: "string",
+    dateTime: "string",
+    time: "string",
+    xhtml: "string"
+};
+
+/**
+ * Element definitions of datatypes and resources, as "name:Type" items in the order of
+ * the StructureDefinition. "*" marks repeating elements (max "*"), "[x]" choice elements
+ * (typed by the suffix of the element name), "Resource" elements holding a resource and
+ * "Type.path" backbone elements. Resource header elements (id, meta, text, contained,
+ * extension, ...) and the extensions of datatypes and backbone elements are implied.
+ * These are the R4 definitions, which R4B and R5 share unless VERSION_DEFINITIONS overrides them
+ */
+const DEFINITIONS = {
+    // Datatypes
+    "Extension": "url:uri value[x] extension:Extension*",
+    "Coding": "system:uri version:string code:code display:string userSelected:boolean",
+    "CodeableConcept": "coding:Coding* text:string",
+    "CodeableReference": "concept:CodeableConcept reference:Reference",
+    "Identifier": "use:code type:CodeableConcept system:uri value:string period:Period assigner:Reference",
+    "Reference": "reference:string type:uri identifier:Identifier display:string",
+    "Period": "start:dateTime end:dateTime",
+    "Quantity": "value:decimal comparator:code unit:string system:uri code:code",
+    "Age": "value:decimal comparator:code unit:string system:uri code:code",
+    "Count": "value:decimal comparator:code unit:string system:uri code:code",
+    "Distance": "value:decimal comparator:code unit:string system:uri code:code",
+    "Duration": "value:decimal comparator:code unit:string system:uri code:code",
+    "SimpleQuantity": "value:decimal comparator:code unit:string system:uri code:code",
+    "MoneyQuantity": "value:decimal comparator:code unit:string system:uri code:code",
+    "Money": "value:decimal currency:code",
+    "Range": "low:Quantity high:Quantity",
+    "Ratio": "numerator:Quantity denominator:Quantity",
+    "RatioRange": "lowNumerator:Quantity highNumerator:Quantity denominator:Quantity",
+    "SampledData": "origin:Quantity period:decimal factor:decimal lowerLimit:decimal upperLimit:decimal " +
+        "dimensions:positiveInt data:string",
+    "Attachment": "contentType:code language:code data:base64Binary url:url size:unsignedInt hash:base64Binary " +
+        "title:string creation:dateTime",
+    "Annotation": "author[x] time:dateTime text:markdown",
+    "HumanName": "use:code text:string family:string given:string* prefix:string* suffix:string* period:Period",
+    "Address": "use:code type:code text:string line:string* city:string district:string state:string " +
+        "postalCode:string country:string period:Period",
+    "ContactPoint": "system:code value:string use:code rank:positiveInt period:Period",
+    "ContactDetail": "name:string telecom:ContactPoint*",
+    "Meta": "versionId:id lastUpdated:instant source:uri profile:canonical* security:Coding* tag:Coding*",
+    "Narrative": "status:code div:xhtml",
+    "Signature": "type:Coding* when:instant who:Reference onBehalfOf:Reference targetFormat:code " +
+        "sigFormat:code data:base64Binary",
+    "Expression": "description:string name:id language:code expression:string reference:uri",
+    "UsageContext": "code:Coding value[x]",
+    "MarketingStatus": "modifierExtension:Extension* country:CodeableConcept jurisdiction:CodeableConcept " +
+        "status:CodeableConcept dateRange:Period restoreDate:dateTime",
+    "ProductShelfLife": "modifierExtension:Extension* identifier:Identifier type:CodeableConcept period[x] " +
+        "specialPrecautionsForStorage:CodeableConcept*",
+    "Timing": "modifierExtension:Extension* event:dateTime* repeat:Timing.repeat code:CodeableConcept",
+    "Timing.repeat": "bounds[x] count:positiveInt countMax:positiveInt duration:decimal durationMax:decimal " +
+        "durationUnit:code frequency:positiveInt frequencyMax:positiveInt period:decimal periodMax:decimal " +
+        "periodUnit:code dayOfWeek:code* timeOfDay:time* when:code* offset:unsignedInt",
+    "Dosage": "modifierExtension:Extension* sequence:integer text:string additionalInstruction:CodeableConcept* " +
+        "patientInstruction:string timing:Timing asNeeded[x] site:CodeableConcept route:CodeableConcept " +
+        "method:CodeableConcept doseAndRate:Dosage.doseAndRate* maxDosePerPeriod:Ratio " +
+        "maxDosePerAdministration:Quantity maxDosePerLifetime:Quantity",
+    "Dosage.doseAndRate": "type:CodeableConcept dose[x] rate[x]",
+
+    // Foundation and base resources
+    "Bundle": "identifier:Identifier type:code timestamp:instant total:unsignedInt link:Bundle.link* " +
+        "entry:Bundle.entry* signature:Signature",
+    "Bundle.link": "relation:string url:uri",
+    "Bundle.entry": "link:Bundle.link* fullUrl:uri resource:Resource search:Bundle.entry.search " +
+        "request:Bundle.entry.request response:Bundle.entry.response",
+    "Bundle.entry.search": "mode:code score:decimal",
+    "Bundle.entry.request": "method:code url:uri ifNoneMatch:string ifModifiedSince:instant ifMatch:string " +
+        "ifNoneExist:string",
+    "Bundle.entry.response": "status:string location:uri etag:string lastModified:instant outcome:Resource",
+    "Composition": "identifier:Identifier status:code type:CodeableConcept category:CodeableConcept* " +
+        "subject:Reference encounter:Reference date:dateTime author:Reference* title:string confidentiality:code " +
+        "attester:Composition.attester* custodian:Reference relatesTo:Composition.relatesTo* " +
+        "event:Composition.event* section:Composition.section*",
+    "Composition.attester": "mode:code time:dateTime party:Reference",
+    "Composition.relatesTo": "code:code target[x]",
+    "Composition.event": "code:CodeableConcept* period:Period detail:Reference*",
+    "Composition.section": "title:string code:CodeableConcept author:Reference* focus:Reference text:Narrative " +
+        "mode:code orderedBy:CodeableConcept entry:Reference* emptyReason:CodeableConcept section:Composition.section*",
+    "Patient": "identifier:Identifier* active:boolean name:HumanName* telecom:ContactPoint* gender:code " +
+        "birthDate:date deceased[x] address:Address* maritalStatus:CodeableConcept multipleBirth[x] " +
+        "photo:Attachment* contact:Patient.contact* communication:Patient.communication* " +
+        "generalPractitioner:Reference* managingOrganization:Reference link:Patient.link*",
+    "Patient.contact": "relationship:CodeableConcept* name:HumanName telecom:ContactPoint* address:Address " +
+        "gender:code organization:Reference period:Period",
+    "Patient.communication": "language:CodeableConcept preferred:boolean",
+    "Patient.link": "other:Reference type:code",
+    "RelatedPerson": "identifier:Identifier* active:boolean patient:Reference relationship:CodeableConcept* " +
+        "name:HumanName* telecom:ContactPoint* gender:code birthDate:date address:Address* photo:Attachment* " +
+        "period:Period communication:RelatedPerson.communication*",
+    "RelatedPerson.communication": "language:CodeableConcept preferred:boolean",
+    "Practitioner": "identifier:Identifier* active:boolean name:HumanName* telecom:ContactPoint* address:Address* " +
+        "gender:code birthDate:date photo:Attachment* qualification:Practitioner.qualification* " +
+        "communication:CodeableConcept*",
+    "Practitioner.qualification": "identifier:Identifier* code:CodeableConcept period:Period issuer:Reference",
+    "Organization": "identifier:Identifier* active:boolean type:CodeableConcept* name:string alias:string* " +
+        "telecom:ContactPoint* address:Address* partOf:Reference contact:Organization.contact* endpoint:Reference*",
+    "Organization.contact": "purpose:CodeableConcept name:HumanName telecom:ContactPoint* address:Address",
+
+    // Clinical resources
+    "Condition": "identifier:Identifier* clinicalStatus:CodeableConcept verificationStatus:CodeableConcept " +
+        "category:CodeableConcept* severity:CodeableConcept code:CodeableConcept bodySite:CodeableConcept* " +
+        "subject:Reference encounter:Reference onset[x] abatement[x] recordedDate:dateTime recorder:Reference " +
+        "asserter:Reference stage:Condition.stage* evidence:Condition.evidence* note:Annotation*",
+    "Condition.stage": "summary:CodeableConcept assessment:Reference* type:CodeableConcept",
+    "Condition.evidence": "code:CodeableConcept* detail:Reference*",
+    "AllergyIntolerance": "identifier:Identifier* clinicalStatus:CodeableConcept verificationStatus:CodeableConcept " +
+        "type:code category:code* criticality:code code:CodeableConcept patient:Reference encounter:Reference " +
+        "onset[x] recordedDate:dateTime recorder:Reference asserter:Reference lastOccurrence:dateTime " +
+        "note:Annotation* reaction:AllergyIntolerance.reaction*",
+    "AllergyIntolerance.reaction": "substance:CodeableConcept manifestation:CodeableConcept* description:string " +
+        "onset:dateTime severity:code exposureRoute:CodeableConcept note:Annotation*",
+    "Medication": "identifier:Identifier* code:CodeableConcept status:code manufacturer:Reference " +
+        "form:CodeableConcept amount:Ratio ingredient:Medication.ingredient* batch:Medication.batch",
+    "Medication.ingredient": "item[x] isActive:boolean strength:Ratio",
+    "Medication.batch": "lotNumber:string expirationDate:dateTime",
+    "MedicationStatement": "identifier:Identifier* basedOn:Reference* partOf:Reference* status:code " +
+        "statusReason:CodeableConcept* category:CodeableConcept medication[x] subject:Reference context:Reference " +
+        "effective[x] dateAsserted:dateTime informationSource:Reference derivedFrom:Reference* " +
+        "reasonCode:CodeableConcept* reasonReference:Reference* note:Annotation* dosage:Dosage*",
+    "MedicationRequest": "identifier:Identifier* status:code statusReason:CodeableConcept intent:code " +
+        "category:CodeableConcept* priority:code doNotPerform:boolean reported[x] medication[x] subject:Reference " +
+        "encounter:Reference supportingInformation:Reference* authoredOn:dateTime requester:Reference " +
+        "performer:Reference performerType:CodeableConcept recorder:Reference reasonCode:CodeableConcept* " +
+        "reasonReference:Reference* instantiatesCanonical:canonical* instantiatesUri:uri* basedOn:Reference* " +
+        "groupIdentifier:Identifier courseOfTherapyType:CodeableConcept insurance:Reference* note:Annotation* " +
+        "dosageInstruction:Dosage* dispenseRequest:MedicationRequest.dispenseRequest " +
+        "substitution:MedicationRequest.substitution priorPrescription:Reference detectedIssue:Reference* " +
+        "eventHistory:Reference*",
+    "MedicationRequest.dispenseRequest": "initialFill:MedicationRequest.dispenseRequest.initialFill " +
+        "dispenseInterval:Duration validityPeriod:Period numberOfRepeatsAllowed:unsignedInt quantity:Quantity " +
+        "expectedSupplyDuration:Duration performer:Reference",
+    "MedicationRequest.dispenseRequest.initialFill": "quantity:Quantity duration:Duration",
+    "MedicationRequest.substitution": "allowed[x] reason:CodeableConcept",
+    "MedicationDispense": "identifier:Identifier* partOf:Reference* status:code statusReason[x] " +
+        "category:CodeableConcept medication[x] subject:Reference context:Reference " +
+        "supportingInformation:Reference* performer:MedicationDispense.performer* location:Reference " +
+        "authorizingPrescription:Reference* type:CodeableConcept quantity:Quantity daysSupply:Quantity " +
+        "whenPrepared:dateTime whenHandedOver:dateTime destination:Reference receiver:Reference* " +
+        "note:Annotation* dosageInstruction:Dosage* substitution:MedicationDispense.substitution " +
+        "detectedIssue:Reference* eventHistory:Reference*",
+    "MedicationDispense.performer": "function:CodeableConcept actor:Reference",
+    "MedicationDispense.substitution": "wasSubstituted:boolean type:CodeableConcept reason:CodeableConcept* " +
+        "responsibleParty:Reference*",
+    "MedicationAdministration": "identifier:Identifier* instantiates:uri* partOf:Reference* status:code " +
+        "statusReason:CodeableConcept* category:CodeableConcept medication[x] subject:Reference context:Reference " +
+        "supportingInformation:Reference* effective[x] performer:MedicationAdministration.performer* " +
+        "reasonCode:CodeableConcept* reasonReference:Reference* request:Reference device:Reference* " +
+        "note:Annotation* dosage:MedicationAdministration.dosage eventHistory:Reference*",
+    "MedicationAdministration.performer": "function:CodeableConcept actor:Reference",
+    "MedicationAdministration.dosage": "text:string site:CodeableConcept route:CodeableConcept " +
+        "method:CodeableConcept dose:Quantity rate[x]",
+    "Immunization": "identifier:Identifier* status:code statusReason:CodeableConcept vaccineCode:CodeableConcept " +
+        "patient:Reference encounter:Reference occurrence[x] recorded:dateTime primarySource:boolean " +
+        "reportOrigin:CodeableConcept location:Reference manufacturer:Reference lotNumber:string " +
+        "expirationDate:date site:CodeableConcept route:CodeableConcept doseQuantity:Quantity " +
+        "performer:Immunization.performer* note:Annotation* reasonCode:CodeableConcept* reasonReference:Reference* " +
+        "isSubpotent:boolean subpotentReason:CodeableConcept* education:Immunization.education* " +
+        "programEligibility:CodeableConcept* fundingSource:CodeableConcept reaction:Immunization.reaction* " +
+        "protocolApplied:Immunization.protocolApplied*",
+    "Immunization.performer": "function:CodeableConcept actor:Reference",
+    "Immunization.education": "documentType:string reference:uri publicationDate:dateTime presentationDate:dateTime",
+    "Immunization.reaction": "date:dateTime detail:Reference reported:boolean",
+    "Immunization.protocolApplied": "series:string authority:Reference targetDisease:CodeableConcept* " +
+        "doseNumber[x] seriesDoses[x]",
+    "Procedure": "identifier:Identifier* instantiatesCanonical:canonical* instantiatesUri:uri* basedOn:Reference* " +
+        "partOf:Reference* status:code statusReason:CodeableConcept category:CodeableConcept code:CodeableConcept " +
+        "subject:Reference encounter:Reference performed[x] recorder:Reference asserter:Reference " +
+        "performer:Procedure.performer* location:Reference reasonCode:CodeableConcept* reasonReference:Reference* " +
+        "bodySite:CodeableConcept* outcome:CodeableConcept report:Reference* complication:CodeableConcept* " +
+        "complicationDetail:Reference* followUp:CodeableConcept* note:Annotation* " +
+        "focalDevice:Procedure.focalDevice* usedReference:Reference* usedCode:CodeableConcept*",
+    "Procedure.performer": "function:CodeableConcept actor:Reference onBehalfOf:Reference",
+    "Procedure.focalDevice": "action:CodeableConcept manipulated:Reference",
+    "DiagnosticReport": "identifier:Identifier* basedOn:Reference* status:code category:CodeableConcept* " +
+        "code:CodeableConcept subject:Reference encounter:Reference effective[x] issued:instant " +
+        "performer:Reference* resultsInterpreter:Reference* specimen:Reference* result:Reference* " +
+        "imagingStudy:Reference* media:DiagnosticReport.media* conclusion:string conclusionCode:CodeableConcept* " +
+        "presentedForm:Attachment*",
+    "DiagnosticReport.media": "comment:string link:Reference",
+    "Observation": "identifier:Identifier* basedOn:Reference* partOf:Reference* status:code " +
+        "category:CodeableConcept* code:CodeableConcept subject:Reference focus:Reference* encounter:Reference " +
+        "effective[x] issued:instant performer:Reference* value[x] dataAbsentReason:CodeableConcept " +
+        "interpretation:CodeableConcept* note:Annotation* bodySite:CodeableConcept method:CodeableConcept " +
+        "specimen:Reference device:Reference referenceRange:Observation.referenceRange* hasMember:Reference* " +
+        "derivedFrom:Reference* component:Observation.component*",
+    "Observation.referenceRange": "low:Quantity high:Quantity type:CodeableConcept appliesTo:CodeableConcept* " +
+        "age:Range text:string",
+    "Observation.component": "code:CodeableConcept value[x] dataAbsentReason:CodeableConcept " +
+        "interpretation:CodeableConcept* referenceRange:Observation.referenceRange*",
+    "Device": "identifier:Identifier* definition:Reference udiCarrier:Device.udiCarrier* status:code " +
+        "statusReason:CodeableConcept* distinctIdentifier:string manufacturer:string manufactureDate:dateTime " +
+        "expirationDate:dateTime lotNumber:string serialNumber:string deviceName:Device.deviceName* " +
+        "modelNumber:string partNumber:string type:CodeableConcept specialization:Device.specialization* " +
+        "version:Device.version* property:Device.property* patient:Reference owner:Reference " +
+        "contact:ContactPoint* location:Reference url:uri note:Annotation* safety:CodeableConcept* parent:Reference",
+    "Device.udiCarrier": "deviceIdentifier:string issuer:uri jurisdiction:uri carrierAIDC:base64Binary " +
+        "carrierHRF:string entryType:code",
+    "Device.deviceName": "name:string type:code",
+    "Device.specialization": "systemType:CodeableConcept version:string",
+    "Device.version": "type:CodeableConcept component:Identifier value:string",
+    "Device.property": "type:CodeableConcept valueQuantity:Quantity* valueCode:CodeableConcept*",
+    "DeviceUseStatement": "identifier:Identifier* basedOn:Reference* status:code subject:Reference " +
+        "derivedFrom:Reference* timing[x] recordedOn:dateTime source:Reference device:Reference " +
+        "reasonCode:CodeableConcept* reasonReference:Reference* bodySite:CodeableConcept note:Annotation*",
+    "ClinicalImpression": "identifier:Identifier* status:code statusReason:CodeableConcept code:CodeableConcept " +
+        "description:string subject:Reference encounter:Reference effective[x] date:dateTime assessor:Reference " +
+        "previous:Reference problem:Reference* investigation:ClinicalImpression.investigation* protocol:uri* " +
+        "summary:string finding:ClinicalImpression.finding* prognosisCodeableConcept:CodeableConcept* " +
+        "prognosisReference:Reference* supportingInfo:Reference* note:Annotation*",
+    "ClinicalImpression.investigation": "code:CodeableConcept item:Reference*",
+    "ClinicalImpression.finding": "itemCodeableConcept:CodeableConcept itemReference:Reference basis:string",
+    "CarePlan": "identifier:Identifier* instantiatesCanonical:canonical* instantiatesUri:uri* basedOn:Reference* " +
+        "replaces:Reference* partOf:Reference* status:code intent:code category:CodeableConcept* title:string " +
+        "description:string subject:Reference encounter:Reference period:Period created:dateTime " +
+        "author:Reference contributor:Reference* careTeam:Reference* addresses:Reference* " +
+        "supportingInfo:Reference* goal:Reference* activity:CarePlan.activity* note:Annotation*",
+    "CarePlan.activity": "outcomeCodeableConcept:CodeableConcept* outcomeReference:Reference* progress:Annotation* " +
+        "reference:Reference detail:CarePlan.activity.detail",
+    "CarePlan.activity.detail": "kind:code instantiatesCanonical:canonical* instantiatesUri:uri* " +
+        "code:CodeableConcept reasonCode:CodeableConcept* reasonReference:Reference* goal:Reference* status:code " +
+        "statusReason:CodeableConcept doNotPerform:boolean scheduled[x] location:Reference performer:Reference* " +
+        "product[x] dailyAmount:Quantity quantity:Quantity description:string",
+
+    // Medication definition resources (R4B and R5 only)
+    "MedicinalProductDefinition": "identifier:Identifier* type:CodeableConcept domain:CodeableConcept " +
+        "version:string status:CodeableConcept statusDate:dateTime description:markdown " +
+        "combinedPharmaceuticalDoseForm:CodeableConcept route:CodeableConcept* indication:markdown " +
+        "legalStatusOfSupply:CodeableConcept additionalMonitoringIndicator:CodeableConcept " +
+        "specialMeasures:CodeableConcept* pediatricUseIndicator:CodeableConcept classification:CodeableConcept* " +
+        "marketingStatus:MarketingStatus* packagedMedicinalProduct:CodeableConcept* comprisedOf:Reference* " +
+        "ingredient:CodeableConcept* impurity:CodeableReference* attachedDocument:Reference* masterFile:Reference* " +
+        "contact:MedicinalProductDefinition.contact* clinicalTrial:Reference* code:Coding* " +
+        "name:MedicinalProductDefinition.name* crossReference:MedicinalProductDefinition.crossReference* " +
+        "operation:MedicinalProductDefinition.operation* characteristic:MedicinalProductDefinition.characteristic*",
+    "MedicinalProductDefinition.contact": "type:CodeableConcept contact:Reference",
+    "MedicinalProductDefinition.name": "productName:string type:CodeableConcept " +
+        "namePart:MedicinalProductDefinition.name.part* part:MedicinalProductDefinition.name.part* " +
+        "countryLanguage:MedicinalProductDefinition.name.usage* usage:MedicinalProductDefinition.name.usage*",
+    "MedicinalProductDefinition.name.part": "part:string type:CodeableConcept",
+    "MedicinalProductDefinition.name.usage": "country:CodeableConcept jurisdiction:CodeableConcept " +
+        "language:CodeableConcept",
+    "MedicinalProductDefinition.crossReference": "product:CodeableReference type:CodeableConcept",
+    "MedicinalProductDefinition.operation": "type:CodeableReference effectiveDate:Period organization:Reference* " +
+        "confidentialityIndicator:CodeableConcept",
+    "MedicinalProductDefinition.characteristic": "type:CodeableConcept value[x]",
+    "AdministrableProductDefinition": "identifier:Identifier* status:code formOf:Reference* " +
+        "administrableDoseForm:CodeableConcept unitOfPresentation:CodeableConcept producedFrom:Reference* " +
+        "ingredient:CodeableConcept* device:Reference description:markdown " +
+        "property:AdministrableProductDefinition.property* " +
+        "routeOfAdministration:AdministrableProductDefinition.routeOfAdministration*",
+    "AdministrableProductDefinition.property": "type:CodeableConcept value[x] status:CodeableConcept",
+    "AdministrableProductDefinition.routeOfAdministration": "code:CodeableConcept firstDose:Quantity " +
+        "maxSingleDose:Quantity maxDosePerDay:Quantity maxDosePerTreatmentPeriod:Ratio maxTreatmentPeriod:Duration " +
+        "targetSpecies:AdministrableProductDefinition.routeOfAdministration.targetSpecies*",
+    "AdministrableProductDefinition.routeOfAdministration.targetSpecies": "code:CodeableConcept " +
+        "withdrawalPeriod:AdministrableProductDefinition.routeOfAdministration.targetSpecies.withdrawalPeriod*",
+    "AdministrableProductDefinition.routeOfAdministration.targetSpecies.withdrawalPeriod": "tissue:CodeableConcept " +
+        "value:Quantity supportingInformation:string",
+    "ManufacturedItemDefinition": "identifier:Identifier* status:code name:string " +
+        "manufacturedDoseForm:CodeableConcept unitOfPresentation:CodeableConcept manufacturer:Reference* " +
+        "marketingStatus:MarketingStatus* ingredient:CodeableConcept* property:ManufacturedItemDefinition.property* " +
+        "component:ManufacturedItemDefinition.component*",
+    "ManufacturedItemDefinition.property": "type:CodeableConcept value[x]",
+    "ManufacturedItemDefinition.component": "type:CodeableConcept function:CodeableConcept* amount:Quantity* " +
+        "constituent:ManufacturedItemDefinition.component.constituent* property:ManufacturedItemDefinition.property* " +
+        "component:ManufacturedItemDefinition.component*",
+    "ManufacturedItemDefinition.component.constituent": "amount:Quantity* location:CodeableConcept* " +
+        "function:CodeableConcept* hasIngredient:CodeableReference*",
+    "PackagedProductDefinition": "identifier:Identifier* name:string type:CodeableConcept packageFor:Reference* " +
+        "status:CodeableConcept statusDate:dateTime containedItemQuantity:Quantity* description:markdown " +
+        "legalStatusOfSupply:PackagedProductDefinition.legalStatusOfSupply* marketingStatus:MarketingStatus* " +
+        "characteristic:CodeableConcept* copackagedIndicator:boolean manufacturer:Reference* " +
+        "attachedDocument:Reference* package:PackagedProductDefinition.package",
+    "PackagedProductDefinition.legalStatusOfSupply": "code:CodeableConcept jurisdiction:CodeableConcept",
+    "PackagedProductDefinition.package": "identifier:Identifier* type:CodeableConcept quantity:integer " +
+        "material:CodeableConcept* alternateMaterial:CodeableConcept* shelfLifeStorage:ProductShelfLife* " +
+        "manufacturer:Reference* property:PackagedProductDefinition.package.property* " +
+        "containedItem:PackagedProductDefinition.package.containedItem* package:PackagedProductDefinition.package*",
+    "PackagedProductDefinition.package.property": "type:CodeableConcept value[x]",
+    "PackagedProductDefinition.package.containedItem": "item:CodeableReference amount:Quantity",
+    "Ingredient": "identifier:Identifier status:code for:Reference* role:CodeableConcept " +
+        "function:CodeableConcept* group:CodeableConcept allergenicIndicator:boolean comment:markdown " +
+        "manufacturer:Ingredient.manufacturer* substance:Ingredient.substance",
+    "Ingredient.manufacturer": "role:code manufacturer:Reference",
+    "Ingredient.substance": "code:CodeableReference strength:Ingredient.substance.strength*",
+    "Ingredient.substance.strength": "presentation[x] textPresentation:string concentration[x] " +
+        "textConcentration:string basis:CodeableConcept measurementPoint:string country:CodeableConcept* " +
+        "referenceStrength:Ingredient.substance.strength.referenceStrength*",
+    "Ingredient.substance.strength.referenceStrength": "substance:CodeableReference strength[x] " +
+        "measurementPoint:string country:CodeableConcept*",
+    "ClinicalUseDefinition": "identifier:Identifier* type:code category:CodeableConcept* subject:Reference* " +
+        "status:CodeableConcept contraindication:ClinicalUseDefinition.contraindication " +
+        "indication:ClinicalUseDefinition.indication interaction:ClinicalUseDefinition.interaction " +
+        "population:Reference* library:canonical* undesirableEffect:ClinicalUseDefinition.undesirableEffect " +
+        "warning:ClinicalUseDefinition.warning",
+    "ClinicalUseDefinition.contraindication": "diseaseSymptomProcedure:CodeableReference " +
+        "diseaseStatus:CodeableReference comorbidity:CodeableReference* indication:Reference* " +
+        "applicability:Expression otherTherapy:ClinicalUseDefinition.contraindication.otherTherapy*",
+    "ClinicalUseDefinition.contraindication.otherTherapy": "relationshipType:CodeableConcept " +
+        "therapy:CodeableReference treatment:CodeableReference",
+    "ClinicalUseDefinition.indication": "diseaseSymptomProcedure:CodeableReference diseaseStatus:CodeableReference " +
+        "comorbidity:CodeableReference* intendedEffect:CodeableReference duration[x] undesirableEffect:Reference* " +
+        "applicability:Expression otherTherapy:ClinicalUseDefinition.contraindication.otherTherapy*",
+    "ClinicalUseDefinition.interaction": "interactant:ClinicalUseDefinition.interaction.interactant* " +
+        "type:CodeableConcept effect:CodeableReference incidence:CodeableConcept management:CodeableConcept*",
+    "ClinicalUseDefinition.interaction.interactant": "item[x]",
+    "ClinicalUseDefinition.undesirableEffect": "symptomConditionEffect:CodeableReference " +
+        "classification:CodeableConcept frequencyOfOccurrence:CodeableConcept",
+    "ClinicalUseDefinition.warning": "description:markdown code:CodeableConcept",
+    "RegulatedAuthorization": "identifier:Identifier* subject:Reference* type:CodeableConcept description:markdown " +
+        "region:CodeableConcept* status:CodeableConcept statusDate:dateTime validityPeriod:Period " +
+        "indication:CodeableReference intendedUse:CodeableConcept basis:CodeableConcept* holder:Reference " +
+        "regulator:Reference case:RegulatedAuthorization.case",
+    "RegulatedAuthorization.case": "identifier:Identifier type:CodeableConcept status:CodeableConcept date[x] " +
+        "application:RegulatedAuthorization.case*",
+    "SubstanceDefinition": "identifier:Identifier* version:string status:CodeableConcept " +
+        "classification:CodeableConcept* domain:CodeableConcept grade:CodeableConcept* description:markdown " +
+        "informationSource:Reference* note:Annotation* manufacturer:Reference* supplier:Reference* " +
+        "moiety:SubstanceDefinition.moiety* characterization:SubstanceDefinition.characterization* " +
+        "property:SubstanceDefinition.property* referenceInformation:Reference " +
+        "molecularWeight:SubstanceDefinition.molecularWeight* structure:SubstanceDefinition.structure " +
+        "code:SubstanceDefinition.code* name:SubstanceDefinition.name* " +
+        "relationship:SubstanceDefinition.relationship* nucleicAcid:Reference polymer:Reference protein:Reference " +
+        "sourceMaterial:SubstanceDefinition.sourceMaterial",
+    "SubstanceDefinition.moiety": "role:CodeableConcept identifier:Identifier name:string " +
+        "stereochemistry:CodeableConcept opticalActivity:CodeableConcept molecularFormula:string amount[x] " +
+        "measurementType:CodeableConcept",
+    "SubstanceDefinition.characterization": "technique:CodeableConcept form:CodeableConcept description:markdown " +
+        "file:Attachment*",
+    "SubstanceDefinition.property": "type:CodeableConcept value[x]",
+    "SubstanceDefinition.molecularWeight": "method:CodeableConcept type:CodeableConcept amount:Quantity",
+    "SubstanceDefinition.structure": "stereochemistry:CodeableConcept opticalActivity:CodeableConcept " +
+        "molecularFormula:string molecularFormulaByMoiety:string molecularWeight:SubstanceDefinition.molecularWeight " +
+        "technique:CodeableConcept* sourceDocument:Reference* " +
+        "representation:SubstanceDefinition.structure.representation*",
+    "SubstanceDefinition.structure.representation": "type:CodeableConcept representation:string " +
+        "format:CodeableConcept document:Reference",
+    "SubstanceDefinition.code": "code:CodeableConcept status:CodeableConcept statusDate:dateTime " +
+        "note:Annotation* source:Reference*",
+    "SubstanceDefinition.name": "name:string type:CodeableConcept status:CodeableConcept preferred:boolean " +
+        "language:CodeableConcept* domain:CodeableConcept* jurisdiction:CodeableConcept* " +
+        "synonym:SubstanceDefinition.name* translation:SubstanceDefinition.name* " +
+        "official:SubstanceDefinition.name.official* source:Reference*",
+    "SubstanceDefinition.name.official": "authority:CodeableConcept status:CodeableConcept date:dateTime",
+    "SubstanceDefinition.relationship": "substanceDefinition[x] type:CodeableConcept isDefining:boolean " +
+        "amount[x] ratioHighLimitAmount:Ratio comparator:CodeableConcept source:Reference*",
+    "SubstanceDefinition.sourceMaterial": "type:CodeableConcept genus:CodeableConcept species:CodeableConcept " +
+        "part:CodeableConcept countryOfOrigin:CodeableConcept*"
+};
+
+/**
+ * Definitions that changed in R5 (R4B uses DEFINITIONS)
+ */
+const VERSION_DEFINITIONS = {
+    R5: {
+        "Attachment": "contentType:code language:code data:base64Binary url:url size:integer64 hash:base64Binary " +
+            "title:string creation:dateTime height:positiveInt width:positiveInt frames:positiveInt " +
+            "duration:decimal pages:positiveInt",
+        "SampledData": "origin:Quantity interval:decimal intervalUnit:code factor:decimal lowerLimit:decimal " +
+            "upperLimit:decimal dimensions:positiveInt codeMap:canonical offsets:string data:string",
+        "RelatedArtifact": "type:code classifier:CodeableConcept* label:string display:string citation:markdown " +
+            "document:Attachment resource:canonical resourceReference:Reference publicationStatus:code " +
+            "publicationDate:date",
+        "ExtendedContactDetail": "purpose:CodeableConcept name:HumanName* telecom:ContactPoint* address:Address " +
+            "organization:Reference period:Period",
+        "Dosage": "modifierExtension:Extension* sequence:integer text:string additionalInstruction:CodeableConcept* " +
+            "patientInstruction:string timing:Timing asNeeded:boolean asNeededFor:CodeableConcept* " +
+            "site:CodeableConcept route:CodeableConcept method:CodeableConcept doseAndRate:Dosage.doseAndRate* " +
+            "maxDosePerPeriod:Ratio* maxDosePerAdministration:Quantity maxDosePerLifetime:Quantity",
+        "Bundle": "identifier:Identifier type:code timestamp:instant total:unsignedInt link:Bundle.link* " +
+            "entry:Bundle.entry* signature:Signature issues:Resource",
+        "Bundle.link": "relation:code url:uri",
+        "Composition": "url:uri identifier:Identifier* version:string status:code type:CodeableConcept " +
+            "category:CodeableConcept* subject:Reference* encounter:Reference date:dateTime " +
+            "useContext:UsageContext* author:Reference* name:string title:string note:Annotation* " +
+            "attester:Composition.attester* custodian:Reference relatesTo:RelatedArtifact* " +
+            "event:Composition.event* section:Composition.section*",
+        "Composition.attester": "mode:CodeableConcept time:dateTime party:Reference",
+        "Composition.event": "period:Period detail:CodeableReference*",
+        "Practitioner": "identifier:Identifier* active:boolean name:HumanName* telecom:ContactPoint* gender:code " +
+            "birthDate:date deceased[x] address:Address* photo:Attachment* " +
+            "qualification:Practitioner.qualification* communication:Practitioner.communication*",
+        "Practitioner.communication": "language:CodeableConcept preferred:boolean",
+        "Organization": "identifier:Identifier* active:boolean type:CodeableConcept* name:string alias:string* " +
+            "description:markdown contact:ExtendedContactDetail* partOf:Reference endpoint:Reference* " +
+            "qualification:Organization.qualification*",
+        "Organization.qualification": "identifier:Identifier* code:CodeableConcept period:Period issuer:Reference",
+        "Condition": "identifier:Identifier* clinicalStatus:CodeableConcept verificationStatus:CodeableConcept " +
+            "category:CodeableConcept* severity:CodeableConcept code:CodeableConcept bodySite:CodeableConcept* " +
+            "subject:Reference encounter:Reference onset[x] abatement[x] recordedDate:dateTime " +
+            "participant:Condition.participant* stage:Condition.stage* evidence:CodeableReference* note:Annotation*",
+        "Condition.participant": "function:CodeableConcept actor:Reference",
+        "AllergyIntolerance": "identifier:Identifier* clinicalStatus:CodeableConcept " +
+            "verificationStatus:CodeableConcept type:CodeableConcept category:code* criticality:code " +
+            "code:CodeableConcept patient:Reference encounter:Reference onset[x] recordedDate:dateTime " +
+            "participant:AllergyIntolerance.participant* lastOccurrence:dateTime note:Annotation* " +
+            "reaction:AllergyIntolerance.reaction*",
+        "AllergyIntolerance.participant": "function:CodeableConcept actor:Reference",
+        "AllergyIntolerance.reaction": "substance:CodeableConcept manifestation:CodeableReference* " +
+            "description:string onset:dateTime severity:code exposureRoute:CodeableConcept note:Annotation*",
+        "Medication": "identifier:Identifier* code:CodeableConcept status:code " +
+            "marketingAuthorizationHolder:Reference doseForm:CodeableConcept totalVolume:Quantity " +
+            "ingredient:Medication.ingredient* batch:Medication.batch definition:Reference",
+        "Medication.ingredient": "item:CodeableReference isActive:boolean strength[x]",
+        "MedicationStatement": "identifier:Identifier* partOf:Reference* status:code category:CodeableConcept* " +
+            "medication:CodeableReference subject:Reference encounter:Reference effective[x] dateAsserted:dateTime " +
+            "informationSource:Reference* derivedFrom:Reference* reason:CodeableReference* note:Annotation* " +
+            "relatedClinicalInformation:Reference* renderedDosageInstruction:markdown dosage:Dosage* " +
+            "adherence:MedicationStatement.adherence",
+        "MedicationStatement.adherence": "code:CodeableConcept reason:CodeableConcept",
+        "MedicationRequest": "identifier:Identifier* basedOn:Reference* priorPrescription:Reference " +
+            "groupIdentifier:Identifier status:code statusReason:CodeableConcept statusChanged:dateTime intent:code " +
+            "category:CodeableConcept* priority:code doNotPerform:boolean medication:CodeableReference " +
+            "subject:Reference informationSource:Reference* encounter:Reference supportingInformation:Reference* " +
+            "authoredOn:dateTime requester:Reference reported:boolean performerType:CodeableConcept " +
+            "performer:Reference* device:CodeableReference* recorder:Reference reason:CodeableReference* " +
+            "courseOfTherapyType:CodeableConcept insurance:Reference* note:Annotation* " +
+            "renderedDosageInstruction:markdown effectiveDosePeriod:Period dosageInstruction:Dosage* " +
+            "dispenseRequest:MedicationRequest.dispenseRequest substitution:MedicationRequest.substitution " +
+            "eventHistory:Reference*",
+        "MedicationRequest.dispenseRequest": "initialFill:MedicationRequest.dispenseRequest.initialFill " +
+            "dispenseInterval:Duration validityPeriod:Period numberOfRepeatsAllowed:unsignedInt quantity:Quantity " +
+            "expectedSupplyDuration:Duration dispenser:Reference dispenserInstruction:Annotation* " +
+            "doseAdministrationAid:CodeableConcept",
+        "MedicationDispense": "identifier:Identifier* basedOn:Reference* partOf:Reference* status:code " +
+            "notPerformedReason:CodeableReference statusChanged:dateTime category:CodeableConcept* " +
+            "medication:CodeableReference subject:Reference encounter:Reference supportingInformation:Reference* " +
+            "performer:MedicationDispense.performer* location:Reference authorizingPrescription:Reference* " +
+            "type:CodeableConcept quantity:Quantity daysSupply:Quantity recorded:dateTime whenPrepared:dateTime " +
+            "whenHandedOver:dateTime destination:Reference receiver:Reference* note:Annotation* " +
+            "renderedDosageInstruction:markdown dosageInstruction:Dosage* " +
+            "substitution:MedicationDispense.substitution eventHistory:Reference*",
+        "MedicationDispense.substitution": "wasSubstituted:boolean type:CodeableConcept reason:CodeableConcept* " +
+            "responsibleParty:Reference",
+        "MedicationAdministration": "identifier:Identifier* basedOn:Reference* partOf:Reference* status:code " +
+            "statusReason:CodeableConcept* category:CodeableConcept* medication:CodeableReference " +
+            "subject:Reference encounter:Reference supportingInformation:Reference* occurence[x] " +
+            "recorded:dateTime isSubPotent:boolean subPotentReason:CodeableConcept* " +
+            "performer:MedicationAdministration.performer* reason:CodeableReference* request:Reference " +
+            "device:CodeableReference* note:Annotation* dosage:MedicationAdministration.dosage " +
+            "eventHistory:Reference*",
+        "MedicationAdministration.performer": "function:CodeableConcept actor:CodeableReference",
+        "Immunization": "identifier:Identifier* basedOn:Reference* status:code statusReason:CodeableConcept " +
+            "vaccineCode:CodeableConcept administeredProduct:CodeableReference manufacturer:CodeableReference " +
+            "lotNumber:string expirationDate:date patient:Reference encounter:Reference " +
+            "supportingInformation:Reference* occurrence[x] primarySource:boolean " +
+            "informationSource:CodeableReference location:Reference site:CodeableConcept route:CodeableConcept " +
+            "doseQuantity:Quantity performer:Immunization.performer* note:Annotation* reason:CodeableReference* " +
+            "isSubpotent:boolean subpotentReason:CodeableConcept* " +
+            "programEligibility:Immunization.programEligibility* fundingSource:CodeableConcept " +
+            "reaction:Immunization.reaction* protocolApplied:Immunization.protocolApplied*",
+        "Immunization.programEligibility": "program:CodeableConcept programStatus:CodeableConcept",
+        "Immunization.reaction": "date:dateTime manifestation:CodeableReference reported:boolean",
+        "Immunization.protocolApplied": "series:string authority:Reference targetDisease:CodeableConcept* " +
+            "doseNumber:string seriesDoses:string",
+        "Procedure": "identifier:Identifier* instantiatesCanonical:canonical* instantiatesUri:uri* " +
+            "basedOn:Reference* partOf:Reference* status:code statusReason:CodeableConcept " +
+            "category:CodeableConcept* code:CodeableConcept subject:Reference focus:Reference encounter:Reference " +
+            "occurrence[x] recorded:dateTime recorder:Reference reported[x] performer:Procedure.performer* " +
+            "location:Reference reason:CodeableReference* bodySite:CodeableConcept* outcome:CodeableConcept " +
+            "report:Reference* complication:CodeableReference* followUp:CodeableConcept* note:Annotation* " +
+            "focalDevice:Procedure.focalDevice* used:CodeableReference* supportingInfo:Reference*",
+        "Procedure.performer": "function:CodeableConcept actor:Reference onBehalfOf:Reference period:Period",
+        "DiagnosticReport": "identifier:Identifier* basedOn:Reference* status:code category:CodeableConcept* " +
+            "code:CodeableConcept subject:Reference encounter:Reference effective[x] issued:instant " +
+            "performer:Reference* resultsInterpreter:Reference* specimen:Reference* result:Reference* " +
+            "note:Annotation* study:Reference* supportingInfo:DiagnosticReport.supportingInfo* " +
+            "media:DiagnosticReport.media* composition:Reference conclusion:markdown " +
+            "conclusionCode:CodeableConcept* presentedForm:Attachment*",
+        "DiagnosticReport.supportingInfo": "type:CodeableConcept reference:Reference",
+        "Observation": "identifier:Identifier* instantiates[x] basedOn:Reference* " +
+            "triggeredBy:Observation.triggeredBy* partOf:Reference* status:code category:CodeableConcept* " +
+            "code:CodeableConcept subject:Reference focus:Reference* encounter:Reference effective[x] " +
+            "issued:instant performer:Reference* value[x] dataAbsentReason:CodeableConcept " +
+            "interpretation:CodeableConcept* note:Annotation* bodySite:CodeableConcept bodyStructure:Reference " +
+            "method:CodeableConcept specimen:Reference device:Reference referenceRange:Observation.referenceRange* " +
+            "hasMember:Reference* derivedFrom:Reference* component:Observation.component*",
+        "Observation.triggeredBy": "observation:Reference type:code reason:string",
+        "Observation.referenceRange": "low:Quantity high:Quantity normalValue:CodeableConcept " +
+            "type:CodeableConcept appliesTo:CodeableConcept* age:Range text:markdown",
+        "Device": "identifier:Identifier* displayName:string definition:CodeableReference " +
+            "udiCarrier:Device.udiCarrier* status:code availabilityStatus:CodeableConcept " +
+            "biologicalSourceEvent:Identifier manufacturer:string manufactureDate:dateTime expirationDate:dateTime " +
+            "lotNumber:string serialNumber:string name:Device.name* modelNumber:string partNumber:string " +
+            "category:CodeableConcept* type:CodeableConcept* version:Device.version* " +
+            "conformsTo:Device.conformsTo* property:Device.property* mode:CodeableConcept cycle:Count " +
+            "duration:Duration owner:Reference contact:ContactPoint* location:Reference url:uri " +
+            "endpoint:Reference* gateway:CodeableReference* note:Annotation* safety:CodeableConcept* parent:Reference",
+        "Device.name": "value:string type:code display:boolean",
+        "Device.version": "type:CodeableConcept component:Identifier installDate:dateTime value:string",
+        "Device.conformsTo": "category:CodeableConcept specification:CodeableConcept version:string",
+        "Device.property": "type:CodeableConcept value[x]",
+        "DeviceUsage": "identifier:Identifier* basedOn:Reference* status:code category:CodeableConcept* " +
+            "patient:Reference derivedFrom:Reference* context:Reference timing[x] dateAsserted:dateTime " +
+            "usageStatus:CodeableConcept usageReason:CodeableConcept* adherence:DeviceUsage.adherence " +
+            "informationSource:Reference device:CodeableReference reason:CodeableReference* " +
+            "bodySite:CodeableReference note:Annotation*",
+        "DeviceUsage.adherence": "code:CodeableConcept reason:CodeableConcept*",
+        "ClinicalImpression": "identifier:Identifier* status:code statusReason:CodeableConcept " +
+            "description:string subject:Reference encounter:Reference effective[x] date:dateTime " +
+            "performer:Reference previous:Reference problem:Reference* changePattern:CodeableConcept " +
+            "protocol:uri* summary:string finding:ClinicalImpression.finding* " +
+            "prognosisCodeableConcept:CodeableConcept* prognosisReference:Reference* supportingInfo:Reference* " +
+            "note:Annotation*",
+        "ClinicalImpression.finding": "item:CodeableReference basis:markdown",
+        "CarePlan": "identifier:Identifier* instantiatesCanonical:canonical* instantiatesUri:uri* " +
+            "basedOn:Reference* replaces:Reference* partOf:Reference* status:code intent:code " +
+            "category:CodeableConcept* title:string description:string subject:Reference encounter:Reference " +
+            "period:Period created:dateTime custodian:Reference contributor:Reference* careTeam:Reference* " +
+            "addresses:CodeableReference* supportingInfo:Reference* goal:Reference* activity:CarePlan.activity* " +
+            "note:Annotation*",
+        "CarePlan.activity": "performedActivity:CodeableReference* progress:Annotation* " +
+            "plannedActivityReference:Reference",
+        "PackagedProductDefinition": "identifier:Identifier* name:string type:CodeableConcept " +
+            "packageFor:Reference* status:CodeableConcept statusDate:dateTime containedItemQuantity:Quantity* " +
+            "description:markdown legalStatusOfSupply:PackagedProductDefinition.legalStatusOfSupply* " +
+            "marketingStatus:MarketingStatus* copackagedIndicator:boolean manufacturer:Reference* " +
+            "attachedDocument:Reference* packaging:PackagedProductDefinition.packaging " +
+            "characteristic:PackagedProductDefinition.packaging.property*",
+        "PackagedProductDefinition.packaging": "identifier:Identifier* type:CodeableConcept componentPart:boolean " +
+            "quantity:integer material:CodeableConcept* alternateMaterial:CodeableConcept* " +
+            "shelfLifeStorage:ProductShelfLife* manufacturer:Reference* " +
+            "property:PackagedProductDefinition.packaging.property* " +
+            "containedItem:PackagedProductDefinition.packaging.containedItem* " +
+            "packaging:PackagedProductDefinition.packaging*",
+        "PackagedProductDefinition.packaging.property": "type:CodeableConcept value[x]",
+        "PackagedProductDefinition.packaging.containedItem": "item:CodeableReference amount:Quantity",
+        "RegulatedAuthorization": "identifier:Identifier* subject:Reference* type:CodeableConcept " +
+            "description:markdown region:CodeableConcept* status:CodeableConcept statusDate:dateTime " +
+            "validityPeriod:Period indication:CodeableReference* intendedUse:CodeableConcept " +
+            "basis:CodeableConcept* holder:Reference regulator:Reference attachedDocument:Reference* " +
+            "case:RegulatedAuthorization.case"
+    }
+};
+
+/**
+ * Elements every resource starts with (Bundle and other non-domain resources have
+ * no text, contained or extensions)
+ */
+const RESOURCE_HEADER = "id:id meta:Meta implicitRules:uri language:code text:Narrative contained:Resource* " +
+    "extension:Extension* modifierExtension:Extension*";
+
+/**
+ * Extensions of backbone elements, and of datatypes and their elements (Extension defines its own)
+ */
+const BACKBONE_HEADER = "extension:Extension* modifierExtension:Extension*";
+const DATATYPE_HEADER = "extension:Extension*";
+
+/**
+ * Datatypes with definitions (every other definition is a resource or one of its backbone elements)
+ */
+const DATATYPE_NAMES = new Set([
+    "Extension", "Coding", "CodeableConcept", "CodeableReference", "Identifier", "Reference", "Period",
+    "Quantity", "Age", "Count", "Distance", "Duration", "SimpleQuantity", "MoneyQuantity", "Money", "Range",
+    "Ratio", "RatioRange", "SampledData", "Attachment", "Annotation", "HumanName", "Address", "ContactPoint",
+    "ContactDetail", "ExtendedContactDetail", "Meta", "Narrative", "Signature", "Expression", "UsageContext",
+    "RelatedArtifact", "MarketingStatus", "ProductShelfLife", "Timing", "Dosage"
+]);
+
+/**
+ * Parsed definitions, keyed by version and type name
+ * @private
+ */
+const parsedDefinitions = new Map();
+
+/**
+ * Parse a definition string into element definitions
+ * @private
+ * @param {string} definition - Space-separated "name:Type" items
+ * @returns {Array} Array of {name, choice, type, repeating}
+ */
+function _parseDefinition(definition) {
+    return definition.split(/\s+/).filter(Boolean).map(item => {
+        const [name, type = ""] = item.split(":");
+        return {
+            name: name.replace("[x]", ""),
+            choice: name.endsWith("[x]"),
+            type: type.replace("*", "") || null,
+            repeating: type.endsWith("*")
+        };
+    });
+}
+
+/**
+ * Get the element definitions of a type, header elements included
+ * @private
+ * @param {string} typeName - Datatype, resource type or backbone path (e.g. "Bundle.entry")
+ * @param {string} version - FHIR version ("R4", "R4B" or "R5")
+ * @returns {Array|null} Element definitions, or null for types without a definition
+ */
+function _getDefinitions(typeName, version) {
+    const key = `${version}:${typeName}`;
+    if (!parsedDefinitions.has(key)) {
+        const definition = VERSION_DEFINITIONS[version]?.[typeName] ?? DEFINITIONS[typeName];
+        let elements = null;
+        if (definition !== undefined) {
+            const [root] = typeName.split(".");
+            const header = DATATYPE_NAMES.has(root)
+                ? (typeName === "Extension" ? "" : DATATYPE_HEADER)
+                : (root === typeName ? RESOURCE_HEADER : BACKBONE_HEADER);
+            elements = _parseDefinition(`${header} ${definition}`);
+            // Header elements defined by the type itself (modifierExtension of Dosage, ...) keep one entry
+            elements = elements.filter((element, i) => elements.findIndex(other => other.name === element.name) === i);
+        }
+        parsedDefinitions.set(key, elements);
+    }
+    return parsedDefinitions.get(key);
+}
+
+/**
+ * Get the type of a choice element from its name suffix (valueQuantity → Quantity,
+ * valueDateTime → dateTime)
+ * @private
+ * @param {string} suffix - Name suffix after the choice element name
+ * @returns {string} Type name
+ */
+function _choiceType(suffix) {
+    const primitive = suffix.charAt(0).toLowerCase() + suffix.slice(1);
+    return PRIMITIVE_TYPES[primitive] ? primitive : suffix;
+}
+
+/**
+ * Check if a type has an element definition
+ * @param {string} typeName - Datatype, resource type or backbone path (e.g. "Bundle.entry")
+ * @param {string} [version] - FHIR version ("R4", "R4B" or "R5"; default "R4")
+ * @returns {boolean} True if the type is defined
+ */
+function hasTypeDefinition(typeName, version = "R4") {
+    return _getDefinitions(typeName, version) !== null;
+}
+
+/**
+ * Get the definition of an element of a type, resolving choice elements by their
+ * type suffix
+ * @param {string} typeName - Datatype, resource type or backbone path (e.g. "Bundle.entry")
+ * @param {string} elementName - Element name as written in JSON or XML (e.g. "valueQuantity")
+ * @param {string} [version] - FHIR version ("R4", "R4B" or "R5"; default "R4")
+ * @returns {Object|null} {name, type, repeating, json ("number", "boolean" or "string" for
+ *   primitives, null for complex types)}, or null if the type or element is not defined
+ */
+function getElementDefinition(typeName, elementName, version = "R4") {
+    const elements = _getDefinitions(typeName, version);
+    if (!elements) return null;
+
+    const element = elements.find(item => !item.choice && item.name === elementName);
+    if (element) {
+        return { name: element.name, type: element.type, repeating: element.repeating, json: PRIMITIVE_TYPES[element.type] || null };
+    }
+
+    const choice = elements.find(item => item.choice && elementName.startsWith(item.name) &&
+        /^[A-Z]/.test(elementName.slice(item.name.length)));
+    if (!choice) return null;
+
+    const type = _choiceType(elementName.slice(choice.name.length));
+    return { name: choice.name, type, repeating: false, json: PRIMITIVE_TYPES[type] || null };
+}
+
+/**
+ * Sort element names in the order of the type definition; names the definition
+ * does not know keep their order after the known ones
+ * @param {string} typeName - Datatype, resource type or backbone path
+ * @param {Array} names - Element names (choice elements with their type suffix)
+ * @param {string} [version] - FHIR version ("R4", "R4B" or "R5"; default "R4")
+ * @returns {Array} Sorted names (unchanged order for types without a definition)
+ */
+function sortElementNames(typeName, names, version = "R4") {
+    const elements = _getDefinitions(typeName, version);
+    if (!elements) return names;
+
+    const position = name => {
+        const definition = getElementDefinition(typeName, name, version);
+        return definition ? elements.findIndex(item => item.name === definition.name) : elements.length;
+    };
+    return names
+        .map((name, i) => ({ name, i, position: position(name) }))
+        .sort((a, b) => a.position - b.position || a.i - b.i)
+        .map(item => item.name);
+}
+
+module.exports = {
+    hasTypeDefinition,
+    getElementDefinition,
+    sortElementNames
+};
@@ -3,8 +3,13 @@
  * Helper functions for working with ePI bundles
  */
 
-const { getResourcesByType } = require('./common');
+const { getResourcesByType, getBundleIndex, invalidateBundleIndex, resolveReference, extractCodes } = require('./common');
 const { deepEqual } = require('../utils/common');
+const { expandWithTranslations } = require('../terminology/conceptmap');
+const { isValueSet, isInValueSet } = require('../terminology/valueset');
+const { isSubsumedBy } = require('../terminology/codesystem');
+const { systemsEqual } = require('../terminology/systems');
+const { PROFILES, validateResource } = require('./validator');
 
 /**
  * Get all annotated sections from ePI Composition extensions
@@ -12,18 +17,28 @@ const { deepEqual } = require('../utils/common');
  * @returns {Array} Array of {category, codes} objects
  */
 function getAnnotatedSections(epiBundle) {
-    if (!epiBundle?.entry) return [];
+    if (!Array.isArray(epiBundle?.entry)) return [];
+    return _parseAnnotatedSections(getBundleIndex(epiBundle));
+}
 
+/**
+ * Parse annotated sections from the Composition extensions of an indexed bundle
+ * @private
+ * @param {Object} index - Bundle index
+ * @returns {Array} Array of {category, codes} objects
+ */
+function _parseAnnotatedSections(index) {
     const sections = [];
-    epiBundle.entry.forEach(entry => {
-        if (entry.resource?.resourceType !== "Composition") return;
-        if (!Array.isArray(entry.resource.extension)) return;
+    index.getResourcesByType("Composition").forEach(composition => {
+        if (!Array.isArray(composition.extension)) return;
 
-        entry.resource.extension.forEach(element => {
+        composition.extension.forEach(element => {
             if (element.extension?.[1]?.url !== "concept") return;
 
             const category = element.extension[0]?.valueString;
-            const concept = element.extension[1]?.valueCodeableReference?.concept;
+            // valueCodeableReference (R5) or valueCodeableConcept (R4/R4B)
+            const concept = element.extension[1]?.valueCodeableReference?.concept ||
+                element.extension[1]?.valueCodeableConcept;
 
             if (category && concept?.coding) {
                 sections.push({
@@ -44,26 +59,46 @@ function getAnnotatedSections(epiBundle) {
 /**
  * Find sections in ePI matching specific codes
  * @param {Object} epiBundle - ePI FHIR Bundle
- * @param {Array} codesToSearch - Array of codes or {code, system} objects to search for
- * @param {boolean} matchSystem - Whether to match system as well
+ * @param {Array|Object} codesToSearch - Array of codes or {code, system} objects to search for,
+ *   or a ValueSet resource whose members should match
+ * @param {boolean} matchSystem - Whether to match system as well (aliases and OIDs of
+ *   the same system are treated as equal)
+ * @param {Object} options - {translate: also match ConceptMap translations of the codes
+ *   (e.g. SNOMED → MedDRA), conceptMaps: ConceptMaps to use instead of the registered ones,
+ *   subsumption: also match when a search code is a descendant of an annotation code,
+ *   e.g. ATC C09CA04 matches a section annotated with C09CA}
  * @returns {Array} Array of matching category strings
  */
-function findSectionsByCode(epiBundle, codesToSearch, matchSystem = true) {
-    if (!epiBundle?.entry || !Array.isArray(codesToSearch)) return [];
+function findSectionsByCode(epiBundle, codesToSearch, matchSystem = true, options = {}) {
+    const valueSet = isValueSet(codesToSearch);
+    if (!epiBundle?.entry || (!valueSet && !Array.isArray(codesToSearch))) return [];
+
+    if (valueSet) {
+        return _findSectionsInValueSet(epiBundle, codesToSearch, matchSystem, options);
+    }
+
+    const searchCodes = options.translate
+        ? expandWithTranslations(codesToSearch, { conceptMaps: options.conceptMaps })
+        : codesToSearch;
 
     const categories = [];
     const sections = getAnnotatedSections(epiBundle);
 
     sections.forEach(section => {
         const hasMatch = section.codes.some(coding => {
-            return codesToSearch.some(searchCode => {
+            return searchCodes.some(searchCode => {
+                if (options.subsumption) {
+                    return typeof searchCode === 'string'
+                        ? isSubsumedBy({ code: searchCode }, coding, false)
+                        : isSubsumedBy(searchCode, coding, matchSystem);
+                }
                 // Handle both string codes and {code, system} objects
                 if (typeof searchCode === 'string') {
                     return coding.code === searchCode;
                 }
                 if (matchSystem) {
                     return coding.code === searchCode.code && 
-                           coding.system === searchCode.system;
+                           systemsEqual(coding.system, searchCode.system);
                 }
                 return coding.code === searchCode.code;
             });
@@ -77,20 +112,116 @@ function findSectionsByCode(epiBundle, codesToSearch, matchSystem = true) {
     return categories;
 }
 
+/**
+ * Find sections whose annotation codes (or their translations) are in a ValueSet
+ * @private
+ * @param {Object} epiBundle - ePI FHIR Bundle
+ * @param {Object} valueSet - ValueSet resource
+ * @param {boolean} matchSystem - Whether to match system as well
+ * @param {Object} options - Same options as findSectionsByCode
+ * @returns {Array} Array of matching category strings
+ */
+function _findSectionsInValueSet(epiBundle, valueSet, matchSystem, options) {
+    const categories = [];
+
+    getAnnotatedSections(epiBundle).forEach(section => {
+        const candidates = options.translate
+            ? expandWithTranslations(section.codes, { conceptMaps: options.conceptMaps })
+            : section.codes;
+        const hasMatch = candidates.some(coding => isInValueSet(coding, valueSet, { matchSystem }));
+
+        if (hasMatch && !categories.includes(section.category)) {
+            categories.push(section.category);
+        }
+    });
+
+    return categories;
+}
+
 /**
  * Get MedicinalProductDefinition ID from ePI
  * @param {Object} epiBundle - ePI FHIR Bundle
  * @returns {string|null} MedicinalProductDefinition ID or null
  */
 function getMedicinalProductId(epiBundle) {
-    if (!epiBundle?.entry) return null;
+    const products = getResourcesByType(epiBundle, "MedicinalProductDefinition");
+    return products.length > 0 ? products[0].id : null;
+}
 
-    for (let i = 0; i < epiBundle.entry.length; i++) {
-        if (epiBundle.entry[i].resource?.resourceType === "MedicinalProductDefinition") {
-            return epiBundle.entry[i].resource.id;
-        }
+/**
+ * EMA SPOR ingredient role codes
+ */
+const INGREDIENT_ROLE_CODES = {
+    "100000072072": "active",
+    "100000072082": "excipient"
+};
+
+/**
+ * Find the SubstanceDefinition of an Ingredient: the referenced one, or else the one
+ * whose identifier value is one of the substance codes
+ * @private
+ * @param {Object} epiBundle - ePI FHIR Bundle
+ * @param {Object} ingredient - Ingredient resource
+ * @param {Array} codes - Substance codes of the ingredient
+ * @returns {Object|null} SubstanceDefinition or null
+ */
+function _findSubstanceDefinition(epiBundle, ingredient, codes) {
+    const reference = ingredient.substance?.code?.reference;
+    if (reference?.reference) {
+        const resolved = resolveReference(reference, epiBundle.entry, {
+            fullUrl: getBundleIndex(epiBundle).getEntry(ingredient)?.fullUrl,
+            resource: ingredient
+        });
+        if (resolved?.resourceType === "SubstanceDefinition") return resolved;
     }
-    return null;
+
+    return getResourcesByType(epiBundle, "SubstanceDefinition").find(definition =>
+        (definition.identifier || []).some(identifier => codes.some(code => code.code === identifier.value))
+    ) || null;
+}
+
+/**
+ * Get the ingredients of the medicinal product, with the codes, names and classes of
+ * their substances (SubstanceDefinition codes, names and classifications are added, and
+ * the MedicinalProductDefinition classification, e.g. ATC, is added to active ingredients)
+ * @param {Object} epiBundle - ePI FHIR Bundle
+ * @returns {Array} Array of {id, role ("active", "excipient", else the lower-case role text or null),
+ *   codes, text, names, classes, substanceDefinition (id or null)}
+ */
+function getEPIIngredients(epiBundle) {
+    if (!Array.isArray(epiBundle?.entry)) return [];
+
+    const productClasses = getResourcesByType(epiBundle, "MedicinalProductDefinition")
+        .flatMap(product => (product.classification || []).flatMap(concept => extractCodes(concept)));
+
+    return getResourcesByType(epiBundle, "Ingredient").map(ingredient => {
+        const substanceCodes = extractCodes(ingredient.substance?.code?.concept);
+        const definition = _findSubstanceDefinition(epiBundle, ingredient, substanceCodes);
+        const roleCoding = ingredient.role?.coding?.find(coding => INGREDIENT_ROLE_CODES[coding.code]);
+        const role = INGREDIENT_ROLE_CODES[roleCoding?.code] ||
+            (ingredient.role?.coding?.[0]?.display || ingredient.role?.text || "").toLowerCase() || null;
+        const names = [
+            ingredient.substance?.code?.concept?.text,
+            ...substanceCodes.map(code => code.display),
+            ...(definition?.name || []).map(name => name.name)
+        ].filter(Boolean);
+
+        return {
+            id: ingredient.id,
+            role,
+            codes: [
+                ...substanceCodes,
+                ...(definition?.code || []).flatMap(code => extractCodes(code.code))
+            ],
+            text: names[0] || "",
+            names: [...new Set(names)],
+            classes: [
+                ...(definition?.classification || []).flatMap(concept => extractCodes(concept)),
+                ...(role === "active" ? productClasses : [])
+            ],
+            substanceDefinition: definition?.id || null
+        };
+    });
 }
 
 /**
@@ -117,14 +248,11 @@ function matchProductIdentifier(epiBundle, identifierList) {
         return false;
     }
 
-    for (const entry of epiBundle.entry) {
-        const resource = entry.resource;
-        if (resource?.resourceType === "MedicinalProductDefinition") {
-            const ids = resource.identifier || [];
-            for (const id of ids) {
-                if (identifierList.includes(id.value)) {
-                    return true;
-                }
+    for (const resource of getResourcesByType(epiBundle, "MedicinalProductDefinition")) {
+        const ids = resource.identifier || [];
+        for (const id of ids) {
+            if (identifierList.includes(id.value)) {
+                return true;
             }
         }
     }
@@ -134,9 +262,11 @@ function matchProductIdentifier(epiBundle, identifierList) {
 /**
  * Validate ePI structure
  * @param {Object} epiBundle - ePI FHIR Bundle
- * @returns {Object} {valid: boolean, errors: Array}
+ * @param {Object} options - {strict: also validate against the ePI Bundle and Composition
+ *   profile snapshots and return their issues}
+ * @returns {Object} {valid: boolean, errors: Array} (plus issues: Array in strict mode)
  */
-function validateEPI(epiBundle) {
+function validateEPI(epiBundle, options = {}) {
     const errors = [];
 
     if (!epiBundle) {
@@ -154,14 +284,22 @@ function validateEPI(epiBundle) {
         return { valid: false, errors };
     }
 
-    const hasComposition = epiBundle.entry.some(
-        entry => entry.resource?.resourceType === "Composition"
-    );
+    const hasComposition = getResourcesByType(epiBundle, "Composition").length > 0;
 
     if (!hasComposition) {
         errors.push('No Composition resource found in ePI bundle');
     }
 
+    if (options.strict) {
+        const outcome = validateResource(epiBundle, PROFILES.EPI_BUNDLE, {
+            profiles: { Composition: PROFILES.EPI_COMPOSITION }
+        });
+        outcome.issue
+            .filter(issue => issue.severity === "error")
+            .forEach(issue => errors.push(issue.diagnostics));
+        return { valid: errors.length === 0, errors, issues: outcome.issue };
+    }
+
     return {
         valid: errors.length === 0,
         errors
@@ -174,12 +312,8 @@ function validateEPI(epiBundle) {
  * @returns {Object|null} Composition resource or null
  */
 function getComposition(epiBundle) {
-    if (!epiBundle?.entry) return null;
-
-    const entry = epiBundle.entry.find(
-        e => e.resource?.resourceType === "Composition"
-    );
-    return entry?.resource || null;
+    const compositions = getResourcesByType(epiBundle, "Composition");
+    return compositions[0] || null;
 }
 
 /**
@@ -208,7 +342,7 @@ function getLanguage(epiBundle) {
  * @param {number} sectionIndex - Section index (e.g., [0].section[0])
  * @param {Object} newExtension - Extension object to add
  * @param {boolean} checkDuplicates - Whether to check for duplicates before adding
- * @returns {boolean} True if extension was added
+ * @returns {boolean} True if extension was added (the bundle index is then invalidated)
  */
 function addExtensionToSection(epiBundle, sectionIndex, newExtension, checkDuplicates = true) {
     if (!epiBundle?.entry?.[0]?.resource?.section) return false;
@@ -230,6 +364,7 @@ function addExtensionToSection(epiBundle, sectionIndex, newExtension, checkDupli
     }
 
     section.extension.push(newExtension);
+    invalidateBundleIndex(epiBundle);
     return true;
 }
 
@@ -308,6 +443,7 @@ module.exports = {
     getAnnotatedSections,
     findSectionsByCode,
     getMedicinalProductId,
+    getEPIIngredients,
     matchBundleIdentifier,
     matchProductIdentifier,
     validateEPI,
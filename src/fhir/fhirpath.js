@@ -0,0 +1,933 @@
+/**
+ * FHIRPath Evaluator
+ * Evaluates a practical subset of FHIRPath against IPS, ePI and PV bundles
+ * (path navigation, where/select/exists/first/ofType/resolve, comparison
+ * and boolean operators)
+ */
+
+const { getResourcesByType, getBundleIndex, resolveReference } = require('./common');
+const { deepEqual } = require('../utils/common');
+
+/**
+ * FHIR primitive type names, used to type choice elements (value[x])
+ */
+const PRIMITIVE_TYPES = [
+    "base64Binary", "boolean", "canonical", "code", "date", "dateTime",
+    "decimal", "id", "instant", "integer", "integer64", "markdown", "oid",
+    "positiveInt", "string", "time", "unsignedInt", "uri", "url", "uuid"
+];
+
+/**
+ * Binary operator precedence (higher binds tighter)
+ */
+const BINARY_PRECEDENCE = {
+    "implies": 1,
+    "or": 2, "xor": 2,
+    "and": 3,
+    "in": 4, "contains": 4,
+    "=": 5, "!=": 5, "~": 5, "!~": 5,
+    "<": 6, ">": 6, "<=": 6, ">=": 6,
+    "|": 7,
+    "+": 8, "-": 8, "&": 8,
+    "*": 9, "/": 9, "div": 9, "mod": 9
+};
+
+/**
+ * Parsed expression cache (expressions are usually static strings in lenses)
+ */
+const expressionCache = new Map();
+const MAX_CACHED_EXPRESSIONS = 500;
+
+/**
+ * Split an expression into tokens
+ * @private
+ * @param {string} expression - FHIRPath expression
+ * @returns {Array} Array of {type, value} tokens
+ */
+function _tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Comments
+        if (expression.startsWith("//", i)) {
+            while (i < expression.length && expression[i] !== "\n") i++;
+            continue;
+        }
+        if (expression.startsWith("/*", i)) {
+            const end = expression.indexOf("*/", i + 2);
+            i = end === -1 ? expression.length : end + 2;
+            continue;
+        }
+
+        // String literal
+        if (char === "'") {
+            let value = "";
+            i++;
+            while (i < expression.length && expression[i] !== "'") {
+                if (expression[i] === "\\" && i + 1 < expression.length) {
+                    const escaped = expression[i + 1];
+                    const escapes = { n: "\n", r: "\r", t: "\t", f: "\f" };
+                    value += escapes[escaped] || escaped;
+                    i += 2;
+                } else {
+                    value += expression[i++];
+                }
+            }
+            if (i >= expression.length) {
+                throw new Error(`Unterminated string in FHIRPath expression: ${expression}`);
+            }
+            i++;
+            tokens.push({ type: "string", value });
+            continue;
+        }
+
+        // Delimited identifier
+        if (char === "`") {
+            const end = expression.indexOf("`", i + 1);
+            if (end === -1) {
+                throw new Error(`Unterminated identifier in FHIRPath expression: ${expression}`);
+            }
+            tokens.push({ type: "identifier", value: expression.slice(i + 1, end) });
+            i = end + 1;
+            continue;
+        }
+
+        // Date/time literal
+        if (char === "@") {
+            const match = /^@(T?[0-9][0-9:\-T.+Z]*)/.exec(expression.slice(i));
+            if (!match) {
+                throw new Error(`Invalid date literal in FHIRPath expression: ${expression}`);
+            }
+            tokens.push({ type: "date", value: match[1] });
+            i += match[0].length;
+            continue;
+        }
+
+        // Number literal
+        if (/[0-9]/.test(char)) {
+            const match = /^[0-9]+(\.[0-9]+)?/.exec(expression.slice(i));
+            tokens.push({ type: "number", value: Number(match[0]) });
+            i += match[0].length;
+            continue;
+        }
+
+        // Environment variable
+        if (char === "%") {
+            const rest = expression.slice(i + 1);
+            const match = /^(`[^`]*`|'[^']*'|[A-Za-z_][A-Za-z0-9_\-]*)/.exec(rest);
+            if (!match) {
+                throw new Error(`Invalid variable in FHIRPath expression: ${expression}`);
+            }
+            tokens.push({ type: "variable", value: match[1].replace(/^[`']|[`']$/g, "") });
+            i += match[0].length + 1;
+            continue;
+        }
+
+        // Identifier or keyword
+        if (/[A-Za-z_$]/.test(char)) {
+            const match = /^[A-Za-z_$][A-Za-z0-9_]*/.exec(expression.slice(i));
+            tokens.push({ type: "identifier", value: match[0] });
+            i += match[0].length;
+            continue;
+        }
+
+        // Operators and punctuation
+        const twoChars = expression.slice(i, i + 2);
+        if (["<=", ">=", "!=", "!~"].includes(twoChars)) {
+            tokens.push({ type: "operator", value: twoChars });
+            i += 2;
+            continue;
+        }
+        if ("=~<>|+-*/&.,()[]{}".includes(char)) {
+            tokens.push({ type: "operator", value: char });
+            i++;
+            continue;
+        }
+
+        throw new Error(`Unexpected character '${char}' in FHIRPath expression: ${expression}`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression into an AST
+ * @private
+ * @param {string} expression - FHIRPath expression
+ * @returns {Object} Root AST node
+ */
+function _parse(expression) {
+    const tokens = _tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const fail = (message) => {
+        throw new Error(`Invalid FHIRPath expression "${expression}": ${message}`);
+    };
+    const isOperator = (token, value) => token?.type === "operator" && token.value === value;
+    const expect = (value) => {
+        if (!isOperator(peek(), value)) {
+            fail(`expected '${value}'`);
+        }
+        position++;
+    };
+
+    const binaryOperatorOf = (token) => {
+        if (!token) return null;
+        if (token.type === "operator" && token.value in BINARY_PRECEDENCE) return token.value;
+        if (token.type === "identifier" && token.value in BINARY_PRECEDENCE) return token.value;
+        return null;
+    };
+
+    // Identifier or function call after '.' or at the start of a term
+    const parseMember = () => {
+        const token = peek();
+        if (token?.type !== "identifier") {
+            fail("expected identifier");
+        }
+        position++;
+
+        if (isOperator(peek(), "(")) {
+            position++;
+            const args = [];
+            if (!isOperator(peek(), ")")) {
+                args.push(parseExpression(0));
+                while (isOperator(peek(), ",")) {
+                    position++;
+                    args.push(parseExpression(0));
+                }
+            }
+            expect(")");
+            return { type: "function", name: token.value, args };
+        }
+
+        if (token.value === "$this") return { type: "this" };
+        if (token.value === "true" || token.value === "false") {
+            return { type: "literal", value: token.value === "true" };
+        }
+        return { type: "identifier", name: token.value };
+    };
+
+    const parseTerm = () => {
+        const token = peek();
+        if (!token) fail("unexpected end of expression");
+
+        if (isOperator(token, "(")) {
+            position++;
+            const inner = parseExpression(0);
+            expect(")");
+            return inner;
+        }
+        if (isOperator(token, "{")) {
+            position++;
+            expect("}");
+            return { type: "empty" };
+        }
+        if (token.type === "string") {
+            position++;
+            return { type: "literal", value: token.value };
+        }
+        if (token.type === "number") {
+            position++;
+            return { type: "literal", value: token.value };
+        }
+        if (token.type === "date") {
+            position++;
+            return { type: "literal", value: token.value, valueType: "dateTime" };
+        }
+        if (token.type === "variable") {
+            position++;
+            return { type: "variable", name: token.value };
+        }
+        if (token.type === "identifier") {
+            return parseMember();
+        }
+        return fail(`unexpected '${token.value}'`);
+    };
+
+    const parseInvocation = () => {
+        let node = parseTerm();
+
+        for (;;) {
+            if (isOperator(peek(), ".")) {
+                position++;
+                node = { type: "invoke", target: node, member: parseMember() };
+            } else if (isOperator(peek(), "[")) {
+                position++;
+                const index = parseExpression(0);
+                expect("]");
+                node = { type: "index", target: node, index };
+            } else {
+                return node;
+            }
+        }
+    };
+
+    const parseUnary = () => {
+        const token = peek();
+        if (isOperator(token, "-") || isOperator(token, "+")) {
+            position++;
+            return { type: "unary", op: token.value, operand: parseUnary() };
+        }
+        return parseInvocation();
+    };
+
+    // Precedence climbing over BINARY_PRECEDENCE
+    function parseExpression(minPrecedence) {
+        let left = parseUnary();
+
+        for (;;) {
+            const op = binaryOperatorOf(peek());
+            if (!op || BINARY_PRECEDENCE[op] <= minPrecedence) {
+                return left;
+            }
+            position++;
+            const right = parseExpression(BINARY_PRECEDENCE[op]);
+            left = { type: "binary", op, left, right };
+        }
+    }
+
+    const ast = parseExpression(0);
+    if (position < tokens.length) {
+        fail(`unexpected '${peek().value}'`);
+    }
+    return ast;
+}
+
+/**
+ * Get (and cache) the AST for an expression
+ * @private
+ * @param {string} expression - FHIRPath expression
+ * @returns {Object} Root AST node
+ */
+function _getAST(expression) {
+    let ast = expressionCache.get(expression);
+    if (!ast) {
+        ast = _parse(expression);
+        if (expressionCache.size >= MAX_CACHED_EXPRESSIONS) {
+            expressionCache.clear();
+        }
+        expressionCache.set(expression, ast);
+    }
+    return ast;
+}
+
+/**
+ * Wrap a value as a collection item, flattening arrays
+ * @private
+ * @param {Array} collection - Target collection
+ * @param {*} value - Value (or array of values)
+ * @param {string} [type] - Known FHIR type of the value
+ * @param {Object} [resource] - Resource containing the value (for resolve())
+ */
+function _pushValue(collection, value, type, resource) {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+        value.forEach(v => _pushValue(collection, v, type, resource));
+        return;
+    }
+    collection.push({ value, type, resource });
+}
+
+/**
+ * Get the outermost (non-Bundle) resource an item belongs to
+ * @private
+ * @param {Object} item - Collection item
+ * @returns {Object|undefined} Containing resource
+ */
+function _containingResource(item) {
+    if (item.resource && item.resource.resourceType !== "Bundle") {
+        return item.resource;
+    }
+    return item.value?.resourceType ? item.value : item.resource;
+}
+
+/**
+ * Navigate to a child element, handling choice elements (value[x])
+ * @private
+ * @param {Object} item - Collection item
+ * @param {string} name - Element name
+ * @returns {Array} Child items
+ */
+function _navigate(item, name) {
+    const results = [];
+    const value = item.value;
+    if (!value || typeof value !== "object") return results;
+    const resource = _containingResource(item);
+
+    if (value[name] !== undefined) {
+        _pushValue(results, value[name], undefined, resource);
+        return results;
+    }
+
+    // Choice element: "value" matches valueQuantity, valueString, ...
+    Object.keys(value).forEach(key => {
+        if (key.length > name.length &&
+            key.startsWith(name) &&
+            /[A-Z]/.test(key[name.length])) {
+            const suffix = key.slice(name.length);
+            const lowered = suffix[0].toLowerCase() + suffix.slice(1);
+            const type = PRIMITIVE_TYPES.includes(lowered) ? lowered : suffix;
+            _pushValue(results, value[key], type, resource);
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Check whether an item is of a given FHIR type
+ * @private
+ * @param {Object} item - Collection item
+ * @param {string} typeName - Type name (optionally prefixed with "FHIR." or "System.")
+ * @returns {boolean} True if item is of the type
+ */
+function _isOfType(item, typeName) {
+    const name = typeName.replace(/^(FHIR|System)\./, "");
+    const value = item.value;
+
+    if (item.type) {
+        return item.type === name || item.type.toLowerCase() === name.toLowerCase();
+    }
+    if (value && typeof value === "object") {
+        return value.resourceType === name;
+    }
+
+    switch (name.toLowerCase()) {
+        case "string":
+            return typeof value === "string";
+        case "boolean":
+            return typeof value === "boolean";
+        case "integer":
+            return Number.isInteger(value);
+        case "decimal":
+            return typeof value === "number";
+        default:
+            return false;
+    }
+}
+
+/**
+ * Convert a collection to a boolean using FHIRPath singleton evaluation
+ * @private
+ * @param {Array} collection - Collection of items
+ * @returns {boolean|null} Boolean value, or null when empty
+ */
+function _toBoolean(collection) {
+    if (collection.length === 0) return null;
+    if (collection.length > 1) {
+        throw new Error("FHIRPath boolean operation on a collection with more than one item");
+    }
+    const value = collection[0].value;
+    return typeof value === "boolean" ? value : true;
+}
+
+/**
+ * Get the single value of a collection
+ * @private
+ * @param {Array} collection - Collection of items
+ * @param {string} context - Operation name for error messages
+ * @returns {*} The value, or undefined when empty
+ */
+function _singleton(collection, context) {
+    if (collection.length === 0) return undefined;
+    if (collection.length > 1) {
+        throw new Error(`FHIRPath ${context} expects a single item, got ${collection.length}`);
+    }
+    return collection[0].value;
+}
+
+/**
+ * Check if a string looks like a FHIR date, dateTime or instant
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a date-like string
+ */
+function _isDateString(value) {
+    return typeof value === "string" && /^\d{4}(-\d{2}(-\d{2})?)?(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value);
+}
+
+/**
+ * Compare two primitive values
+ * @private
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number|null} Negative, zero or positive; null if not comparable
+ */
+function _compare(a, b) {
+    if (typeof a === "number" && typeof b === "number") {
+        return a - b;
+    }
+    if (_isDateString(a) && _isDateString(b)) {
+        return new Date(a).getTime() - new Date(b).getTime();
+    }
+    if (typeof a === "string" && typeof b === "string") {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    if (a?.value !== undefined && b?.value !== undefined &&
+        typeof a.value === "number" && typeof b.value === "number" &&
+        (a.unit || a.code) === (b.unit || b.code)) {
+        // Quantities with the same unit
+        return a.value - b.value;
+    }
+    return null;
+}
+
+/**
+ * Check equality of two values
+ * @private
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @param {boolean} equivalent - Use equivalence (~) semantics
+ * @returns {boolean} True if equal
+ */
+function _valuesEqual(a, b, equivalent) {
+    if (equivalent && typeof a === "string" && typeof b === "string") {
+        return a.trim().replace(/\s+/g, " ").toLowerCase() ===
+            b.trim().replace(/\s+/g, " ").toLowerCase();
+    }
+    if (_isDateString(a) && _isDateString(b) && a.length === b.length) {
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+    return deepEqual(a, b);
+}
+
+/**
+ * Check equality of two collections
+ * @private
+ * @param {Array} left - Left collection
+ * @param {Array} right - Right collection
+ * @param {boolean} equivalent - Use equivalence (~) semantics
+ * @returns {boolean|null} True/false, or null when equality is empty
+ */
+function _collectionsEqual(left, right, equivalent) {
+    if (left.length === 0 || right.length === 0) {
+        return equivalent ? left.length === right.length : null;
+    }
+    if (left.length !== right.length) return false;
+    return left.every((item, i) => _valuesEqual(item.value, right[i].value, equivalent));
+}
+
+/**
+ * Remove duplicate items from a collection
+ * @private
+ * @param {Array} collection - Collection of items
+ * @returns {Array} Collection without duplicates
+ */
+function _distinct(collection) {
+    const result = [];
+    collection.forEach(item => {
+        if (!result.some(existing => _valuesEqual(existing.value, item.value, false))) {
+            result.push(item);
+        }
+    });
+    return result;
+}
+
+/**
+ * Build a boolean result collection
+ * @private
+ * @param {boolean|null} value - Boolean or null (empty)
+ * @returns {Array} Collection
+ */
+function _booleanResult(value) {
+    return value === null ? [] : [{ value, type: "boolean" }];
+}
+
+/**
+ * Evaluate a binary operator
+ * @private
+ */
+function _evaluateBinary(node, input, ctx) {
+    const { op } = node;
+
+    // Three-valued boolean logic
+    if (["and", "or", "xor", "implies"].includes(op)) {
+        const left = _toBoolean(_evaluate(node.left, input, ctx));
+        if (op === "and" && left === false) return _booleanResult(false);
+        if (op === "or" && left === true) return _booleanResult(true);
+        if (op === "implies" && left === false) return _booleanResult(true);
+
+        const right = _toBoolean(_evaluate(node.right, input, ctx));
+        switch (op) {
+            case "and":
+                if (right === false) return _booleanResult(false);
+                return _booleanResult(left === null || right === null ? null : true);
+            case "or":
+                if (right === true) return _booleanResult(true);
+                return _booleanResult(left === null || right === null ? null : false);
+            case "xor":
+                return _booleanResult(left === null || right === null ? null : left !== right);
+            default: // implies
+                if (right === true) return _booleanResult(true);
+                return _booleanResult(left === null || right === null ? null : false);
+        }
+    }
+
+    const left = _evaluate(node.left, input, ctx);
+    const right = _evaluate(node.right, input, ctx);
+
+    switch (op) {
+        case "|":
+            return _distinct([...left, ...right]);
+        case "=":
+        case "~":
+            return _booleanResult(_collectionsEqual(left, right, op === "~"));
+        case "!=":
+        case "!~": {
+            const equal = _collectionsEqual(left, right, op === "!~");
+            return _booleanResult(equal === null ? null : !equal);
+        }
+        case "<":
+        case ">":
+        case "<=":
+        case ">=": {
+            if (left.length === 0 || right.length === 0) return [];
+            const comparison = _compare(_singleton(left, op), _singleton(right, op));
+            if (comparison === null) return [];
+            if (op === "<") return _booleanResult(comparison < 0);
+            if (op === ">") return _booleanResult(comparison > 0);
+            if (op === "<=") return _booleanResult(comparison <= 0);
+            return _booleanResult(comparison >= 0);
+        }
+        case "in":
+        case "contains": {
+            const [element, container] = op === "in" ? [left, right] : [right, left];
+            if (element.length === 0) return [];
+            const value = _singleton(element, op);
+            return _booleanResult(container.some(item => _valuesEqual(item.value, value, false)));
+        }
+        case "&": {
+            const a = _singleton(left, op);
+            const b = _singleton(right, op);
+            return [{ value: `${a ?? ""}${b ?? ""}`, type: "string" }];
+        }
+        default: {
+            if (left.length === 0 || right.length === 0) return [];
+            const a = _singleton(left, op);
+            const b = _singleton(right, op);
+            if (op === "+" && typeof a === "string" && typeof b === "string") {
+                return [{ value: a + b, type: "string" }];
+            }
+            if (typeof a !== "number" || typeof b !== "number") {
+                throw new Error(`FHIRPath operator '${op}' requires numeric operands`);
+            }
+            const arithmetic = {
+                "+": () => a + b,
+                "-": () => a - b,
+                "*": () => a * b,
+                "/": () => (b === 0 ? null : a / b),
+                "div": () => (b === 0 ? null : Math.trunc(a / b)),
+                "mod": () => (b === 0 ? null : a % b)
+            };
+            const result = arithmetic[op]();
+            return result === null ? [] : [{ value: result }];
+        }
+    }
+}
+
+/**
+ * Evaluate an expression argument once for each input item
+ * @private
+ */
+function _mapItems(arg, input, ctx, callback) {
+    return input.map(item => callback(_evaluate(arg, [item], { ...ctx, thisItem: item })));
+}
+
+/**
+ * Evaluate a function invocation
+ * @private
+ */
+function _evaluateFunction(node, input, ctx) {
+    const { name, args } = node;
+    const argValue = (i) => _singleton(_evaluate(args[i], ctx.rootInput, ctx), `${name}() argument`);
+
+    switch (name) {
+        case "where":
+            return input.filter(item =>
+                _toBoolean(_evaluate(args[0], [item], { ...ctx, thisItem: item })) === true
+            );
+        case "select":
+            return _mapItems(args[0], input, ctx, result => result).flat();
+        case "exists":
+            if (args.length > 0) {
+                return _booleanResult(_evaluateFunction({ name: "where", args }, input, ctx).length > 0);
+            }
+            return _booleanResult(input.length > 0);
+        case "empty":
+            return _booleanResult(input.length === 0);
+        case "all":
+            return _booleanResult(_mapItems(args[0], input, ctx, result => _toBoolean(result) === true)
+                .every(Boolean));
+        case "count":
+            return [{ value: input.length, type: "integer" }];
+        case "first":
+            return input.slice(0, 1);
+        case "last":
+            return input.slice(-1);
+        case "tail":
+            return input.slice(1);
+        case "skip":
+            return input.slice(argValue(0));
+        case "take":
+            return input.slice(0, argValue(0));
+        case "single":
+            if (input.length > 1) {
+                throw new Error("FHIRPath single() called on a collection with more than one item");
+            }
+            return input;
+        case "distinct":
+            return _distinct(input);
+        case "not": {
+            const value = _toBoolean(input);
+            return _booleanResult(value === null ? null : !value);
+        }
+        case "hasValue":
+            return _booleanResult(input.length === 1 && typeof input[0].value !== "object");
+        case "iif": {
+            const condition = _toBoolean(_evaluate(args[0], input, ctx));
+            if (condition === true) return _evaluate(args[1], input, ctx);
+            return args[2] ? _evaluate(args[2], input, ctx) : [];
+        }
+        case "ofType": {
+            const typeNode = args[0];
+            const typeName = typeNode?.type === "identifier"
+                ? typeNode.name
+                : typeNode?.type === "invoke" && typeNode.target.type === "identifier"
+                    ? `${typeNode.target.name}.${typeNode.member.name}`
+                    : null;
+            if (!typeName) {
+                throw new Error("FHIRPath ofType() requires a type name");
+            }
+            return input.filter(item => _isOfType(item, typeName));
+        }
+        case "extension": {
+            const url = argValue(0);
+            return input
+                .flatMap(item => _navigate(item, "extension"))
+                .filter(item => item.value?.url === url);
+        }
+        case "resolve": {
+            const entries = ctx.bundle?.entry;
+            const results = [];
+            input.forEach(item => {
+                const reference = typeof item.value === "string" ? item.value : item.value?.reference;
+                const container = item.resource;
+                const fullUrl = container ? getBundleIndex(entries)?.getEntry(container)?.fullUrl : undefined;
+                _pushValue(results, resolveReference(reference, entries, { fullUrl, resource: container }));
+            });
+            return results;
+        }
+        case "startsWith":
+        case "endsWith":
+        case "contains":
+        case "matches": {
+            const value = _singleton(input, `${name}()`);
+            if (typeof value !== "string") return [];
+            const arg = argValue(0);
+            if (arg === undefined) return [];
+            const tests = {
+                startsWith: () => value.startsWith(arg),
+                endsWith: () => value.endsWith(arg),
+                contains: () => value.includes(arg),
+                matches: () => new RegExp(arg).test(value)
+            };
+            return _booleanResult(tests[name]());
+        }
+        case "lower":
+        case "upper": {
+            const value = _singleton(input, `${name}()`);
+            if (typeof value !== "string") return [];
+            return [{ value: name === "lower" ? value.toLowerCase() : value.toUpperCase(), type: "string" }];
+        }
+        case "length": {
+            const value = _singleton(input, "length()");
+            return typeof value === "string" ? [{ value: value.length, type: "integer" }] : [];
+        }
+        case "toString": {
+            const value = _singleton(input, "toString()");
+            return value === undefined || typeof value === "object"
+                ? []
+                : [{ value: String(value), type: "string" }];
+        }
+        case "today":
+            return [{ value: new Date().toISOString().slice(0, 10), type: "date" }];
+        case "now":
+            return [{ value: new Date().toISOString(), type: "dateTime" }];
+        default:
+            throw new Error(`Unsupported FHIRPath function: ${name}()`);
+    }
+}
+
+/**
+ * Evaluate an AST node against an input collection
+ * @private
+ * @param {Object} node - AST node
+ * @param {Array} input - Input collection of {value, type} items
+ * @param {Object} ctx - Evaluation context {bundle, variables, thisItem, rootInput, isRoot}
+ * @returns {Array} Output collection
+ */
+function _evaluate(node, input, ctx) {
+    switch (node.type) {
+        case "literal":
+            return [{ value: node.value, type: node.valueType }];
+
+        case "empty":
+            return [];
+
+        case "this":
+            return ctx.thisItem ? [ctx.thisItem] : input;
+
+        case "variable": {
+            if (!(node.name in ctx.variables)) {
+                throw new Error(`Unknown FHIRPath variable: %${node.name}`);
+            }
+            const result = [];
+            _pushValue(result, ctx.variables[node.name]);
+            return result;
+        }
+
+        case "identifier": {
+            const { name } = node;
+
+            // A leading type name filters the context; against a Bundle it
+            // selects the bundle's resources of that type
+            if (ctx.isRoot && /^[A-Z]/.test(name)) {
+                const results = [];
+                input.forEach(item => {
+                    const value = item.value;
+                    if (value?.resourceType === name) {
+                        results.push(item);
+                    } else if (value?.resourceType === "Bundle") {
+                        _pushValue(results, getResourcesByType(value, name));
+                    } else {
+                        results.push(..._navigate(item, name));
+                    }
+                });
+                return results;
+            }
+
+            return input.flatMap(item => _navigate(item, name));
+        }
+
+        case "function":
+            return _evaluateFunction(node, input, { ...ctx, isRoot: false });
+
+        case "invoke": {
+            const target = _evaluate(node.target, input, ctx);
+            return _evaluate(node.member, target, { ...ctx, isRoot: false });
+        }
+
+        case "index": {
+            const target = _evaluate(node.target, input, ctx);
+            const index = _singleton(_evaluate(node.index, ctx.rootInput, { ...ctx, isRoot: false }), "indexer");
+            return typeof index === "number" && target[index] ? [target[index]] : [];
+        }
+
+        case "unary": {
+            const operand = _evaluate(node.operand, input, ctx);
+            if (node.op === "+") return operand;
+            const value = _singleton(operand, "unary '-'");
+            if (value === undefined) return [];
+            if (typeof value !== "number") {
+                throw new Error("FHIRPath unary '-' requires a numeric operand");
+            }
+            return [{ value: -value }];
+        }
+
+        case "binary":
+            return _evaluateBinary(node, input, ctx);
+
+        default:
+            throw new Error(`Unknown FHIRPath node type: ${node.type}`);
+    }
+}
+
+/**
+ * Evaluate a FHIRPath expression against a bundle, resource or array of resources.
+ * A leading resource type evaluated against a Bundle selects that type's
+ * resources from the bundle (e.g. "Condition.code.coding" on an IPS).
+ * @param {Object|Array} input - FHIR Bundle, resource, or array of resources
+ * @param {string} expression - FHIRPath expression
+ * @param {Object} options - {bundle: Bundle for resolve(), variables: {name: value}}
+ * @returns {Array} Array of resulting values (empty if nothing matches)
+ * @throws {Error} If the expression is invalid or uses an unsupported function
+ *
+ * @example
+ * const activeCodes = evaluateFHIRPath(
+ *     ipsBundle,
+ *     "Condition.where(clinicalStatus.coding.code = 'active').code.coding"
+ * );
+ */
+function evaluateFHIRPath(input, expression, options = {}) {
+    if (!expression || typeof expression !== "string") {
+        throw new Error("evaluateFHIRPath requires an expression string");
+    }
+    if (input === undefined || input === null) return [];
+
+    const ast = _getAST(expression);
+    const rootInput = [];
+    _pushValue(rootInput, input);
+
+    const bundle = options.bundle ||
+        (input.resourceType === "Bundle" ? input : null);
+
+    const ctx = {
+        bundle,
+        rootInput,
+        isRoot: true,
+        variables: {
+            resource: input,
+            context: input,
+            rootResource: input,
+            ucum: "http://unitsofmeasure.org",
+            sct: "http://snomed.info/sct",
+            loinc: "http://loinc.org",
+            ...(options.variables || {})
+        }
+    };
+
+    return _evaluate(ast, rootInput, ctx).map(item => item.value);
+}
+
+/**
+ * Get the first value of a FHIRPath expression, or a default
+ * @param {Object|Array} input - FHIR Bundle, resource, or array of resources
+ * @param {string} expression - FHIRPath expression
+ * @param {*} defaultValue - Value returned when the expression yields nothing
+ * @param {Object} options - Same options as evaluateFHIRPath
+ * @returns {*} First resulting value or defaultValue
+ */
+function getFHIRPathValue(input, expression, defaultValue = null, options = {}) {
+    const results = evaluateFHIRPath(input, expression, options);
+    return results.length > 0 ? results[0] : defaultValue;
+}
+
+/**
+ * Check whether a FHIRPath expression evaluates to true
+ * (a single true value, or a non-empty non-boolean result)
+ * @param {Object|Array} input - FHIR Bundle, resource, or array of resources
+ * @param {string} expression - FHIRPath expression
+ * @param {Object} options - Same options as evaluateFHIRPath
+ * @returns {boolean} True if the expression holds
+ */
+function isFHIRPathTrue(input, expression, options = {}) {
+    const results = evaluateFHIRPath(input, expression, options);
+    if (results.length === 0) return false;
+    if (results.length === 1 && typeof results[0] === "boolean") return results[0];
+    return true;
+}
+
+module.exports = {
+    evaluateFHIRPath,
+    getFHIRPathValue,
+    isFHIRPathTrue
+};
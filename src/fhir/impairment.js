@@ -0,0 +1,361 @@
+/**
+ * Renal and Hepatic Impairment
+ * Classify renal function (eGFR, KDIGO GFR categories) and hepatic function
+ * (NCI-ODWG criteria) from IPS labs and conditions, for SmPC sections that
+ * depend on renal or hepatic impairment
+ */
+
+const { getPatientInfo, getConditions, getLatestObservation } = require('./ips');
+const { isA } = require('../terminology/codesystem');
+const { normalizeSystem } = require('../terminology/systems');
+const { convertQuantity } = require('../terminology/ucum');
+const { scopeBundleToPatient } = require('./patients');
+
+const SNOMED = "http://snomed.info/sct";
+const ICD10 = "http://hl7.org/fhir/sid/icd-10";
+const ICD10_SYSTEMS = [ICD10, "http://hl7.org/fhir/sid/icd-10-cm"];
+
+/**
+ * LOINC codes of the labs used for the assessment
+ */
+const CREATININE_CODES = ["2160-0", "38483-4", "14682-9", "59826-8"];
+const EGFR_CODES = [
+    "33914-3", "48642-3", "48643-1", "50044-7", "50210-4", "62238-1",
+    "69405-9", "77147-7", "88293-6", "88294-4", "98979-8", "98980-6"
+];
+const ALT_CODES = ["1742-6", "1743-4", "76625-3"];
+const AST_CODES = ["1920-8", "30239-8"];
+const BILIRUBIN_CODES = ["1975-2", "42719-5"];
+
+/**
+ * Impairment levels, least to most severe
+ */
+const IMPAIRMENT_LEVELS = ["none", "mild", "moderate", "severe", "end-stage"];
+
+/**
+ * Renal conditions (most specific first) and the impairment they imply
+ * (null: impairment of unspecified severity)
+ */
+const RENAL_CONDITIONS = [
+    { system: SNOMED, code: "46177005", impairment: "end-stage" },
+    { system: SNOMED, code: "433146000", impairment: "end-stage" },
+    { system: SNOMED, code: "431857002", impairment: "severe" },
+    { system: SNOMED, code: "700379002", impairment: "moderate" },
+    { system: SNOMED, code: "700378005", impairment: "moderate" },
+    { system: SNOMED, code: "433144002", impairment: "moderate" },
+    { system: SNOMED, code: "431856006", impairment: "mild" },
+    { system: SNOMED, code: "431855005", impairment: "none" },
+    { system: SNOMED, code: "709044004", impairment: null },
+    { system: SNOMED, code: "42399005", impairment: null },
+    { system: SNOMED, code: "14669001", impairment: null },
+    { system: ICD10, code: "N18.6", impairment: "end-stage" },
+    { system: ICD10, code: "N18.5", impairment: "end-stage" },
+    { system: ICD10, code: "N18.4", impairment: "severe" },
+    { system: ICD10, code: "N18.3", impairment: "moderate" },
+    { system: ICD10, code: "N18.2", impairment: "mild" },
+    { system: ICD10, code: "N18.1", impairment: "none" },
+    { system: ICD10, code: "N18", impairment: null },
+    { system: ICD10, code: "N17", impairment: null },
+    { system: ICD10, code: "N19", impairment: null }
+];
+
+/**
+ * Liver conditions (most specific first) and the impairment they imply
+ */
+const HEPATIC_CONDITIONS = [
+    { system: SNOMED, code: "59927004", impairment: "severe" },
+    { system: SNOMED, code: "19943007", impairment: null },
+    { system: SNOMED, code: "128302006", impairment: null },
+    { system: SNOMED, code: "61977001", impairment: null },
+    { system: SNOMED, code: "235856003", impairment: null },
+    { system: ICD10, code: "K72", impairment: "severe" },
+    ...["K70", "K71", "K73", "K74", "K75", "K76", "K77", "B18"].map(code => ({ system: ICD10, code, impairment: null }))
+];
+
+/**
+ * Default upper limits of normal (bilirubin in mg/dL, transaminases in U/L)
+ */
+const DEFAULT_UPPER_LIMITS = { bilirubin: 1.2, ast: 40, alt: 40 };
+
+/**
+ * Molar masses (g/mol) for converting µmol/L values
+ */
+const MOLAR_MASSES = { creatinine: 113.12, bilirubin: 584.66 };
+
+/**
+ * Get the most recent observation (not after the reference date) with one of the codes
+ * @private
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Array} codes - LOINC codes
+ * @param {Date} referenceDate - Reference date
+ * @returns {Object|null} Normalized observation with a numeric value, or null
+ */
+function _latestObservation(ipsBundle, codes, referenceDate) {
+    return getLatestObservation(ipsBundle, codes, {
+        referenceDate,
+        valueFilter: obs => typeof obs.value === "number"
+    });
+}
+
+/**
+ * Get an observation value in a unit (values without a known unit are assumed to be in it)
+ * @private
+ * @param {Object} obs - Normalized observation
+ * @param {string} unit - UCUM code
+ * @param {number} molarMass - Molar mass (g/mol), for µmol/L values
+ * @returns {number} Value
+ */
+function _valueIn(obs, unit, molarMass) {
+    return convertQuantity(obs.quantity, unit, { molarMass })?.value ?? obs.value;
+}
+
+/**
+ * Get the upper limit of normal of an observation from its normal reference range
+ * @private
+ * @param {Object} obs - Normalized observation
+ * @param {string} unit - UCUM code of the result
+ * @param {number} fallback - Limit used without a (convertible) reference range
+ * @param {number} molarMass - Molar mass (g/mol), for µmol/L limits
+ * @returns {number} Upper limit in unit
+ */
+function _upperLimit(obs, unit, fallback, molarMass) {
+    const high = obs.referenceRange.find(range => !range.type || range.type === "normal")?.high;
+    if (!high) return fallback;
+    const bound = high.code ? high : { ...high, code: obs.quantity?.code };
+    return convertQuantity(bound, unit, { molarMass })?.value ?? fallback;
+}
+
+/**
+ * Summarize an observation as {id, value, unit, date}
+ * @private
+ */
+function _labValue(obs) {
+    return obs ? { id: obs.id, value: obs.value, unit: obs.unit, date: obs.date } : null;
+}
+
+/**
+ * Check if a coding system matches a condition table system (ICD-10 also matches ICD-10-CM)
+ * @private
+ */
+function _systemMatches(system, tableSystem) {
+    const normalized = normalizeSystem(system);
+    return tableSystem === ICD10 ? ICD10_SYSTEMS.includes(normalized) : normalized === tableSystem;
+}
+
+/**
+ * Get the impairment implied by the active conditions matching a condition table
+ * @private
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Array} table - Array of {system, code, impairment}
+ * @returns {Array} Evidence items
+ */
+function _conditionEvidence(ipsBundle, table) {
+    const evidence = [];
+
+    getConditions(ipsBundle, { activeOnly: true, excludeRefuted: true }).forEach(condition => {
+        const match = condition.codes.map(coding => ({
+            coding,
+            entry: table.find(entry => _systemMatches(coding.system, entry.system) &&
+                isA(coding.system, entry.code, coding.code))
+        })).find(item => item.entry);
+        if (!match) return;
+
+        evidence.push({
+            resourceType: "Condition",
+            id: condition.id,
+            code: match.coding.code,
+            date: condition.recordedDate || condition.onset?.date || null,
+            impairment: match.entry.impairment || condition.severity,
+            reason: "condition"
+        });
+    });
+
+    return evidence;
+}
+
+/**
+ * Combine evidence into one impairment level: the most severe level found, or
+ * "unspecified" when a condition of unknown severity is the only sign of impairment
+ * @private
+ * @param {Array} evidence - Evidence items with impairment
+ * @returns {string|null} Impairment level, "unspecified" or null (no evidence)
+ */
+function _combineImpairment(evidence) {
+    if (evidence.length === 0) return null;
+    const levels = evidence.map(item => IMPAIRMENT_LEVELS.indexOf(item.impairment)).filter(level => level >= 0);
+    const highest = levels.length > 0 ? Math.max(...levels) : -1;
+    if (highest <= 0 && evidence.some(item => item.impairment === null)) return "unspecified";
+    return IMPAIRMENT_LEVELS[highest];
+}
+
+/**
+ * Calculate eGFR with the race-free CKD-EPI 2021 creatinine equation
+ * @param {number} creatinine - Serum creatinine in mg/dL
+ * @param {number} age - Age in years (adults only)
+ * @param {string} sex - "female" or "male"
+ * @returns {number|null} eGFR in mL/min/1.73m², rounded, or null if the inputs are invalid
+ */
+function calculateEGFR(creatinine, age, sex) {
+    if (typeof creatinine !== "number" || creatinine <= 0) return null;
+    if (typeof age !== "number" || age < 18) return null;
+    if (sex !== "female" && sex !== "male") return null;
+
+    const female = sex === "female";
+    const kappa = female ? 0.7 : 0.9;
+    const alpha = female ? -0.241 : -0.302;
+    const ratio = creatinine / kappa;
+
+    const egfr = 142 *
+        Math.pow(Math.min(ratio, 1), alpha) *
+        Math.pow(Math.max(ratio, 1), -1.2) *
+        Math.pow(0.9938, age) *
+        (female ? 1.012 : 1);
+    return Math.round(egfr);
+}
+
+/**
+ * Get the KDIGO GFR category and impairment level of an eGFR value
+ * @private
+ * @param {number} egfr - eGFR in mL/min/1.73m²
+ * @returns {Object} {category, impairment}
+ */
+function _classifyEGFR(egfr) {
+    if (egfr >= 90) return { category: "G1", impairment: "none" };
+    if (egfr >= 60) return { category: "G2", impairment: "mild" };
+    if (egfr >= 45) return { category: "G3a", impairment: "moderate" };
+    if (egfr >= 30) return { category: "G3b", impairment: "moderate" };
+    if (egfr >= 15) return { category: "G4", impairment: "severe" };
+    return { category: "G5", impairment: "end-stage" };
+}
+
+/**
+ * Assess renal function from the most recent eGFR (or eGFR calculated with CKD-EPI 2021
+ * from the most recent serum creatinine, age and sex when none is reported) and
+ * active chronic kidney disease conditions
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} options - {referenceDate: Date or string (default: now); later
+ *   observations are ignored and the age is calculated at this date, patient: patient
+ *   selector (see scopeBundleToPatient)}
+ * @returns {Object} {egfr: {id, value, unit, date, calculated}|null, creatinine: {id, value,
+ *   unit, date}|null, category ("G1"-"G5")|null, impairment ("none", "mild", "moderate",
+ *   "severe", "end-stage", "unspecified" or null without data), impaired, evidence}
+ */
+function getRenalFunction(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+    const reported = _latestObservation(ipsBundle, EGFR_CODES, referenceDate);
+    const creatinineObs = _latestObservation(ipsBundle, CREATININE_CODES, referenceDate);
+
+    let egfr = reported ? { ..._labValue(reported), calculated: false } : null;
+    if (!egfr && creatinineObs) {
+        const patient = getPatientInfo(ipsBundle, { referenceDate });
+        const age = patient?.age ?? null;
+        const value = calculateEGFR(_valueIn(creatinineObs, "mg/dL", MOLAR_MASSES.creatinine), age, patient?.gender);
+        if (value !== null) {
+            egfr = {
+                id: creatinineObs.id,
+                value,
+                unit: "mL/min/{1.73_m2}",
+                date: creatinineObs.date,
+                calculated: true
+            };
+        }
+    }
+
+    const evidence = [];
+    const classification = egfr ? _classifyEGFR(egfr.value) : null;
+    if (egfr) {
+        evidence.push({
+            resourceType: "Observation",
+            id: egfr.id,
+            code: (reported || creatinineObs).codes[0]?.code,
+            value: egfr.value,
+            unit: egfr.unit,
+            date: egfr.date,
+            impairment: classification.impairment,
+            reason: egfr.calculated ? "calculated-egfr" : "reported-egfr"
+        });
+    }
+    evidence.push(..._conditionEvidence(ipsBundle, RENAL_CONDITIONS));
+
+    const impairment = _combineImpairment(evidence);
+    return {
+        egfr,
+        creatinine: _labValue(creatinineObs),
+        category: classification?.category || null,
+        impairment,
+        impaired: impairment !== null && impairment !== "none",
+        evidence
+    };
+}
+
+/**
+ * Assess hepatic function from the most recent total bilirubin, AST and ALT (NCI Organ
+ * Dysfunction Working Group criteria: mild = bilirubin > 1-1.5 × ULN or AST/ALT > ULN,
+ * moderate = bilirubin > 1.5-3 × ULN, severe = bilirubin > 3 × ULN) and active liver
+ * disease conditions
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} options - {referenceDate: Date or string (default: now), upperLimits:
+ *   {bilirubin: 1.2 (mg/dL), ast: 40, alt: 40 (U/L)}, used when an observation has no
+ *   normal reference range, patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Object} {bilirubin, ast, alt ({id, value, unit, date}|null), impairment ("none",
+ *   "mild", "moderate", "severe", "unspecified" or null without data), impaired, evidence}
+ */
+function getHepaticFunction(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+    const upperLimits = { ...DEFAULT_UPPER_LIMITS, ...options.upperLimits };
+    const bilirubin = _latestObservation(ipsBundle, BILIRUBIN_CODES, referenceDate);
+    const ast = _latestObservation(ipsBundle, AST_CODES, referenceDate);
+    const alt = _latestObservation(ipsBundle, ALT_CODES, referenceDate);
+
+    const evidence = [];
+    if (bilirubin) {
+        const ratio = _valueIn(bilirubin, "mg/dL", MOLAR_MASSES.bilirubin) /
+            _upperLimit(bilirubin, "mg/dL", upperLimits.bilirubin, MOLAR_MASSES.bilirubin);
+        let level = "none";
+        if (ratio > 3) level = "severe";
+        else if (ratio > 1.5) level = "moderate";
+        else if (ratio > 1) level = "mild";
+        evidence.push({
+            resourceType: "Observation",
+            id: bilirubin.id,
+            code: bilirubin.codes[0]?.code,
+            value: bilirubin.value,
+            unit: bilirubin.unit,
+            date: bilirubin.date,
+            impairment: level,
+            reason: "bilirubin"
+        });
+    }
+    [[ast, upperLimits.ast], [alt, upperLimits.alt]].forEach(([obs, upperLimit]) => {
+        if (!obs) return;
+        evidence.push({
+            resourceType: "Observation",
+            id: obs.id,
+            code: obs.codes[0]?.code,
+            value: obs.value,
+            unit: obs.unit,
+            date: obs.date,
+            impairment: _valueIn(obs, "U/L") > _upperLimit(obs, "U/L", upperLimit) ? "mild" : "none",
+            reason: "transaminases"
+        });
+    });
+    evidence.push(..._conditionEvidence(ipsBundle, HEPATIC_CONDITIONS));
+
+    const impairment = _combineImpairment(evidence);
+    return {
+        bilirubin: _labValue(bilirubin),
+        ast: _labValue(ast),
+        alt: _labValue(alt),
+        impairment,
+        impaired: impairment !== null && impairment !== "none",
+        evidence
+    };
+}
+
+module.exports = {
+    calculateEGFR,
+    getRenalFunction,
+    getHepaticFunction
+};
@@ -3,31 +3,238 @@
  * Helper functions for extracting information from IPS bundles
  */
 
-const { getResourcesByType, resolveReference, extractCodes } = require('./common');
-const { calculateAge } = require('../utils/common');
+const { getResourcesByType, getBundleIndex, resolveReference, extractCodes } = require('./common');
+const { getMedicationElement, getIngredientItem, getCodeValue } = require('./version');
+const { normalizeQuantity, convertQuantity } = require('../terminology/ucum');
+const { calculateAgeDetails, getAgeBand } = require('../utils/common');
+const { scopeBundleToPatient } = require('./patients');
+
+/**
+ * Extension URL of the patient citizenship
+ */
+const CITIZENSHIP_EXTENSION_URL = "http://hl7.org/fhir/StructureDefinition/patient-citizenship";
+
+/**
+ * Build the display text of a HumanName ("given family" when it has no text)
+ * @private
+ * @param {Object} name - HumanName
+ * @returns {string} Display name
+ */
+function _formatName(name) {
+    if (name.text) return name.text;
+    return [...(name.given || []), name.family].filter(Boolean).join(" ");
+}
+
+/**
+ * Normalize the demographics of a Patient resource
+ * @private
+ * @param {Object} patient - Patient resource
+ * @returns {Object} Demographics (see getPatientDemographics)
+ */
+function _normalizeDemographics(patient) {
+    const names = (patient.name || []).map(name => ({
+        use: name.use || null,
+        text: _formatName(name),
+        family: name.family || null,
+        given: name.given || []
+    }));
+    const displayName = (names.find(name => name.use === "usual") ||
+        names.find(name => name.use === "official") || names[0])?.text || "";
+
+    const languages = (patient.communication || []).map(communication => {
+        const [coding] = extractCodes(communication.language);
+        return {
+            code: coding?.code || communication.language?.text || null,
+            display: coding?.display || communication.language?.text || "",
+            preferred: communication.preferred === true
+        };
+    }).filter(language => language.code);
+    const preferred = languages.find(language => language.preferred) || languages[0];
+
+    const citizenship = (patient.extension || [])
+        .filter(extension => extension.url === CITIZENSHIP_EXTENSION_URL)
+        .flatMap(extension => {
+            const parts = extension.extension || [];
+            const period = parts.find(part => part.url === "period")?.valuePeriod;
+            return extractCodes(parts.find(part => part.url === "code")?.valueCodeableConcept).map(code => ({
+                ...code,
+                period: period ? { start: period.start || null, end: period.end || null } : null
+            }));
+        });
+
+    const addresses = (patient.address || []).filter(address => address.country && !address.period?.end);
+    const residence = addresses.find(address => address.use === "home") || addresses[0];
+
+    return {
+        name: displayName,
+        names,
+        gender: patient.gender || null,
+        birthDate: patient.birthDate || null,
+        preferredLanguage: preferred?.code || null,
+        languages,
+        citizenship,
+        countryOfResidence: residence?.country || null,
+        deceased: patient.deceasedBoolean === true || Boolean(patient.deceasedDateTime),
+        deceasedDateTime: patient.deceasedDateTime || null,
+        active: typeof patient.active === "boolean" ? patient.active : null
+    };
+}
+
+/**
+ * Get the normalized demographics of the IPS patient
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Object|null} {name (display name: usual, else official, else first name), names
+ *   ([{use, text, family, given}]), gender, birthDate, preferredLanguage (language code of the
+ *   preferred communication, else the first one; usable with getLangKey and translate),
+ *   languages ([{code, display, preferred}]), citizenship ([{code, system, display, period}] from
+ *   the patient-citizenship extension), countryOfResidence (country of the current home address,
+ *   else of the first current address), deceased, deceasedDateTime, active (null when not given)},
+ *   or null without a Patient
+ */
+function getPatientDemographics(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const patients = getResourcesByType(ipsBundle, "Patient");
+    return patients.length > 0 ? _normalizeDemographics(patients[0]) : null;
+}
 
 /**
  * Get patient demographic information
  * @param {Object} ipsBundle - IPS FHIR Bundle
- * @returns {Object|null} Patient resource with helpful properties
+ * @param {Object} options - {referenceDate: Date or string at which the age is computed
+ *   (default: now), ageBands: overrides of AGE_BANDS upper bounds,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Object|null} Patient resource with helpful properties: age (completed years),
+ *   ageDetails ({years, months, days, totalMonths, totalDays, precision}, see
+ *   calculateAgeDetails) and ageBand ("neonate", "infant", "child", "adolescent", "adult",
+ *   "elderly"), all null without a valid birthDate, and demographics (see getPatientDemographics)
  */
-function getPatientInfo(ipsBundle) {
+function getPatientInfo(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
     const patients = getResourcesByType(ipsBundle, "Patient");
     if (patients.length === 0) return null;
     
     const patient = patients[0];
+    const referenceDate = options.referenceDate || new Date();
+    const ageDetails = patient.birthDate ? calculateAgeDetails(patient.birthDate, referenceDate) : null;
     return {
         ...patient,
-        age: patient.birthDate ? calculateAge(patient.birthDate) : null
+        age: ageDetails?.years ?? null,
+        ageDetails,
+        ageBand: ageDetails ? getAgeBand(patient.birthDate, referenceDate, options.ageBands) : null,
+        demographics: _normalizeDemographics(patient)
     };
 }
 
 /**
- * Get all medications from IPS (handles both CodeableConcept and Reference)
+ * Medication statuses counted as active by getMedications({activeOnly: true}),
+ * per resource type (R4 and R5 codes)
+ */
+const ACTIVE_MEDICATION_STATUSES = {
+    MedicationStatement: ["active", "intended", "recorded"],
+    MedicationRequest: ["active"],
+    MedicationDispense: ["preparation", "in-progress", "completed"],
+    MedicationAdministration: ["in-progress", "completed"]
+};
+
+/**
+ * Parse a period boundary; partial end dates ("2024", "2024-05", "2024-05-01")
+ * cover the whole year, month or day
+ * @private
+ * @param {string} value - FHIR date or dateTime
+ * @param {boolean} isEnd - Whether the value ends a period
+ * @returns {Date|null} Parsed date or null
+ */
+function _periodBoundary(value, isEnd) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (!isEnd || value.length > 10) return date;
+
+    const [year, month, day] = value.split("-").map(Number);
+    const next = day
+        ? Date.UTC(year, month - 1, day + 1)
+        : month ? Date.UTC(year, month, 1) : Date.UTC(year + 1, 0, 1);
+    return new Date(next - 1);
+}
+
+/**
+ * Get the period during which a medication resource applies:
+ * effective[x] (MedicationStatement, R4 MedicationAdministration; an active statement with
+ * only effectiveDateTime has no end), occurence[x]
+ * (R5 MedicationAdministration), effectiveDosePeriod or authoredOn until the end of
+ * the dispense validity (MedicationRequest), whenHandedOver plus daysSupply (MedicationDispense)
+ * @private
+ * @param {Object} resource - Medication resource
+ * @returns {Object|null} {start, end} (either may be null) or null if no dates are given
+ */
+function _getMedicationPeriod(resource) {
+    const toPeriod = (start, end) => (start || end ? { start: start || null, end: end || null } : null);
+
+    switch (resource.resourceType) {
+        case "MedicationStatement":
+        case "MedicationAdministration": {
+            const period = resource.effectivePeriod || resource.occurencePeriod;
+            if (period) return toPeriod(period.start, period.end);
+            const dateTime = resource.effectiveDateTime || resource.occurenceDateTime;
+            // An active statement dated once (e.g. when a long-term drug was started) is ongoing
+            const ongoing = resource.resourceType === "MedicationStatement" &&
+                ACTIVE_MEDICATION_STATUSES.MedicationStatement.includes(resource.status);
+            return toPeriod(dateTime, ongoing ? null : dateTime);
+        }
+        case "MedicationRequest": {
+            if (resource.effectiveDosePeriod) {
+                return toPeriod(resource.effectiveDosePeriod.start, resource.effectiveDosePeriod.end);
+            }
+            const validity = resource.dispenseRequest?.validityPeriod;
+            return toPeriod(resource.authoredOn || validity?.start, validity?.end);
+        }
+        case "MedicationDispense": {
+            const handedOver = resource.whenHandedOver || resource.whenPrepared;
+            const days = resource.daysSupply?.value;
+            const handedOverDate = _periodBoundary(handedOver, false);
+            if (!handedOverDate || typeof days !== "number") return toPeriod(handedOver, handedOver);
+            return toPeriod(handedOver, new Date(handedOverDate.getTime() + days * 86400000).toISOString());
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check if a medication passes the getMedications status and date filters
+ * @private
+ * @param {Object} resource - Medication resource
+ * @param {Object|null} period - Period from _getMedicationPeriod
+ * @param {Object} options - getMedications options
+ * @returns {boolean} True if the medication should be returned
+ */
+function _isMedicationIncluded(resource, period, options) {
+    const statuses = options.statuses ||
+        (options.activeOnly ? ACTIVE_MEDICATION_STATUSES[resource.resourceType] : null);
+    if (statuses && !statuses.includes(resource.status)) return false;
+
+    if (options.referenceDate === undefined && options.lookbackDays === undefined) return true;
+    // Medications without dates are kept: unknown timing should not hide a drug
+    if (!period) return true;
+
+    const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+    const windowStart = new Date(referenceDate.getTime() - (options.lookbackDays || 0) * 86400000);
+    const start = _periodBoundary(period.start, false);
+    const end = _periodBoundary(period.end, true);
+
+    return (!start || start <= referenceDate) && (!end || end >= windowStart);
+}
+
+/**
+ * Collect the medication resources of a bundle that pass the getMedications filters,
+ * with their extracted codes
+ * @private
  * @param {Object} ipsBundle - IPS FHIR Bundle
- * @returns {Array} Array of medication information with codes
+ * @param {Object} options - getMedications options
+ * @returns {Array} Array of {resource, medication} where medication is the getMedications item
  */
-function getMedications(ipsBundle) {
+function _collectMedications(ipsBundle, options) {
     if (!ipsBundle?.entry) return [];
 
     const medications = [];
@@ -42,71 +249,340 @@ function getMedications(ipsBundle) {
         const resource = entry.resource;
         if (!medicationTypes.includes(resource?.resourceType)) return;
 
+        const effectivePeriod = _getMedicationPeriod(resource);
+        if (!_isMedicationIncluded(resource, effectivePeriod, options)) return;
+
         const medicationData = {
             resourceType: resource.resourceType,
             id: resource.id,
+            status: resource.status,
+            effectivePeriod,
             codes: []
         };
 
-        // Case 1: medicationCodeableConcept
-        if (resource.medicationCodeableConcept?.coding) {
-            resource.medicationCodeableConcept.coding.forEach((coding) => {
-                medicationData.codes.push({
-                    code: coding.code,
-                    system: coding.system || "",
-                    display: coding.display || ""
-                });
-            });
-        }
+        // medicationCodeableConcept (R4/R4B) or medication.concept (R5)
+        const medication = getMedicationElement(resource);
+        medicationData.codes.push(...extractCodes(medication.concept));
 
-        // Case 2: medicationReference → resolve → extract code + ingredients
-        if (resource.medicationReference?.reference) {
+        // medicationReference (R4/R4B) or medication.reference (R5) → resolve → extract code + ingredients
+        if (medication.reference?.reference) {
             const med = resolveReference(
-                resource.medicationReference.reference, 
-                ipsBundle.entry
+                medication.reference.reference, 
+                ipsBundle.entry,
+                { fullUrl: entry.fullUrl, resource }
             );
 
             if (med) {
                 // Medication.code
-                med.code?.coding?.forEach((coding) => {
-                    medicationData.codes.push({
-                        code: coding.code,
-                        system: coding.system || "",
-                        display: coding.display || "",
-                        source: 'medication-code'
-                    });
+                extractCodes(med.code).forEach((code) => {
+                    medicationData.codes.push({ ...code, source: 'medication-code' });
                 });
 
-                // Medication.ingredient
+                // Medication.ingredient (itemCodeableConcept in R4/R4B, item.concept in R5)
                 med.ingredient?.forEach((ingredient) => {
-                    ingredient.itemCodeableConcept?.coding?.forEach((coding) => {
-                        medicationData.codes.push({
-                            code: coding.code,
-                            system: coding.system || "",
-                            display: coding.display || "",
-                            source: 'ingredient'
-                        });
+                    extractCodes(getIngredientItem(ingredient).concept).forEach((code) => {
+                        medicationData.codes.push({ ...code, source: 'ingredient' });
                     });
                 });
             }
         }
 
         if (medicationData.codes.length > 0) {
-            medications.push(medicationData);
+            medications.push({ resource, medication: medicationData });
         }
     });
 
     return medications;
 }
 
+/**
+ * Get all medications from IPS (handles both CodeableConcept and Reference,
+ * in R4/R4B medication[x] and R5 CodeableReference form)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} options - {activeOnly: only active statuses (see ACTIVE_MEDICATION_STATUSES),
+ *   statuses: status allowlist (replaces the activeOnly list), referenceDate: Date|string
+ *   (default now), lookbackDays: number - when either is given, only medications whose period
+ *   overlaps [referenceDate - lookbackDays, referenceDate] are returned,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of medication information with codes, status and effectivePeriod
+ */
+function getMedications(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return _collectMedications(ipsBundle, options).map(item => item.medication);
+}
+
+/**
+ * Timing.repeat.periodUnit in days
+ */
+const PERIOD_UNIT_DAYS = {
+    s: 1 / 86400,
+    min: 1 / 1440,
+    h: 1 / 24,
+    d: 1,
+    wk: 7,
+    mo: 30,
+    a: 365
+};
+
+/**
+ * Administrations per day of common Timing.code abbreviations
+ * (http://terminology.hl7.org/CodeSystem/v3-GTSAbbreviation)
+ */
+const TIMING_CODE_FREQUENCIES = {
+    QD: 1,
+    AM: 1,
+    PM: 1,
+    BID: 2,
+    TID: 3,
+    QID: 4,
+    QOD: 0.5,
+    Q4H: 6,
+    Q6H: 4,
+    Q8H: 3,
+    WK: 1 / 7,
+    MO: 1 / 30
+};
+
+/**
+ * Derive administrations per day from a Timing (repeat.frequency/period/periodUnit,
+ * repeat.timeOfDay or repeat.when, then Timing.code)
+ * @private
+ * @param {Object} timing - FHIR Timing
+ * @returns {Object} {frequencyPerDay, maxFrequencyPerDay} (null when unknown)
+ */
+function _getFrequencyPerDay(timing) {
+    const repeat = timing?.repeat;
+    const unitDays = PERIOD_UNIT_DAYS[repeat?.periodUnit];
+
+    if (repeat && typeof repeat.frequency === "number" && typeof repeat.period === "number" && unitDays && repeat.period > 0) {
+        const periodDays = repeat.period * unitDays;
+        // frequencyMax and a shorter periodMax both raise the maximum
+        const maxPeriodDays = typeof repeat.periodMax === "number" ? Math.min(repeat.period, repeat.periodMax) * unitDays : periodDays;
+        return {
+            frequencyPerDay: repeat.frequency / periodDays,
+            maxFrequencyPerDay: (repeat.frequencyMax ?? repeat.frequency) / maxPeriodDays
+        };
+    }
+
+    const times = (repeat?.timeOfDay?.length || 0) || (repeat?.when?.length || 0);
+    if (times > 0) return { frequencyPerDay: times, maxFrequencyPerDay: times };
+
+    const code = timing?.code?.coding?.map(coding => coding.code).find(c => TIMING_CODE_FREQUENCIES[c]);
+    if (code) return { frequencyPerDay: TIMING_CODE_FREQUENCIES[code], maxFrequencyPerDay: TIMING_CODE_FREQUENCIES[code] };
+
+    return { frequencyPerDay: null, maxFrequencyPerDay: null };
+}
+
+/**
+ * Normalize a Dosage (or MedicationAdministration.dosage) element
+ * @private
+ * @param {Object} dosage - FHIR Dosage
+ * @returns {Object} Normalized dosage
+ */
+function _normalizeDosage(dosage) {
+    const doseAndRate = dosage.doseAndRate?.[0] || {};
+    const dose = normalizeQuantity(doseAndRate.doseQuantity || dosage.dose);
+    const doseRange = doseAndRate.doseRange
+        ? { low: normalizeQuantity(doseAndRate.doseRange.low), high: normalizeQuantity(doseAndRate.doseRange.high) }
+        : null;
+    const { frequencyPerDay, maxFrequencyPerDay } = _getFrequencyPerDay(dosage.timing);
+
+    // asNeededBoolean/asNeededCodeableConcept (R4) or asNeeded/asNeededFor (R5)
+    const asNeededFor = [
+        ...(dosage.asNeededCodeableConcept ? [dosage.asNeededCodeableConcept] : []),
+        ...(dosage.asNeededFor || [])
+    ].flatMap(concept => extractCodes(concept));
+    const asNeeded = dosage.asNeededBoolean === true || dosage.asNeeded === true || asNeededFor.length > 0;
+
+    return {
+        text: dosage.text || "",
+        patientInstruction: dosage.patientInstruction || "",
+        dose,
+        doseRange,
+        route: extractCodes(dosage.route),
+        frequencyPerDay,
+        maxFrequencyPerDay,
+        dailyDose: dose && frequencyPerDay !== null
+            ? { ...dose, value: dose.value * frequencyPerDay }
+            : null,
+        asNeeded,
+        asNeededFor
+    };
+}
+
+/**
+ * Get medications with their normalized dosages (MedicationStatement.dosage,
+ * MedicationRequest/MedicationDispense.dosageInstruction, MedicationAdministration.dosage)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} options - Same filters as getMedications
+ * @returns {Array} getMedications items with dosages: [{text, patientInstruction, dose, doseRange,
+ *   route, frequencyPerDay, maxFrequencyPerDay, dailyDose, asNeeded, asNeededFor}]; quantities
+ *   are {value, unit, code, system} with UCUM codes when known
+ */
+function getMedicationDosages(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return _collectMedications(ipsBundle, options).map(({ resource, medication }) => {
+        const dosages = resource.resourceType === "MedicationAdministration"
+            ? [].concat(resource.dosage || [])
+            : resource.dosage || resource.dosageInstruction || [];
+        return {
+            ...medication,
+            dosages: dosages.map(_normalizeDosage)
+        };
+    });
+}
+
+/**
+ * Observation interpretation codes (v3-ObservationInterpretation) and the flag they mean
+ */
+const INTERPRETATION_FLAGS = {
+    N: "normal",
+    L: "low",
+    LU: "low",
+    "<": "low",
+    H: "high",
+    HU: "high",
+    ">": "high",
+    LL: "critical-low",
+    HH: "critical-high",
+    A: "abnormal",
+    AA: "critical"
+};
+
+/**
+ * Flag a value from its interpretation codes, or else its normal reference range
+ * (range limits in another unit are converted first)
+ * @private
+ * @param {Object|null} quantity - Normalized value
+ * @param {Array} referenceRange - Normalized reference ranges
+ * @param {Array} interpretation - Interpretation codes
+ * @returns {string|null} "normal", "low", "high", "critical-low", "critical-high",
+ *   "abnormal", "critical" or null when unknown
+ */
+function _getFlag(quantity, referenceRange, interpretation) {
+    const interpreted = interpretation.map(code => INTERPRETATION_FLAGS[code.code]).find(Boolean);
+    if (interpreted) return interpreted;
+    if (!quantity) return null;
+
+    const range = referenceRange.find(r => !r.type || r.type === "normal");
+    const limit = bound => {
+        if (!bound) return null;
+        if (!bound.code || !quantity.code || bound.code === quantity.code) return bound.value;
+        return convertQuantity(bound, quantity.code)?.value ?? null;
+    };
+    const low = limit(range?.low);
+    const high = limit(range?.high);
+
+    if (low === null && high === null) return null;
+    if (low !== null && quantity.value < low) return "low";
+    if (high !== null && quantity.value > high) return "high";
+    return "normal";
+}
+
+/**
+ * Normalize the code and value of an Observation or Observation.component
+ * @private
+ * @param {Object} element - Observation or component
+ * @param {Object} options - {unit: convert the value and reference ranges to this unit,
+ *   molarMass: g/mol for mass ↔ substance conversions}
+ * @returns {Object} {codes, text, value, unit, quantity, referenceRange, interpretation, flag,
+ *   valueCodeableConcept, valueDateTime, valueString}
+ */
+function _normalizeObservationValue(element, options) {
+    const convert = quantity => (options.unit && quantity
+        ? convertQuantity(quantity, options.unit, options) || quantity
+        : quantity);
+    const quantity = convert(normalizeQuantity(element.valueQuantity));
+    const referenceRange = (element.referenceRange || []).map(range => ({
+        low: convert(normalizeQuantity(range.low)),
+        high: convert(normalizeQuantity(range.high)),
+        type: getCodeValue(range.type) || null,
+        text: range.text || ""
+    }));
+    const interpretation = (element.interpretation || []).flatMap(concept => extractCodes(concept));
+
+    return {
+        codes: extractCodes(element.code),
+        text: element.code?.text || "",
+        value: quantity?.value ?? element.valueInteger,
+        unit: quantity?.unit,
+        quantity,
+        referenceRange,
+        interpretation,
+        flag: _getFlag(quantity, referenceRange, interpretation),
+        valueCodeableConcept: element.valueCodeableConcept,
+        valueDateTime: element.valueDateTime,
+        valueString: element.valueString
+    };
+}
+
+/**
+ * Normalize an Observation to the extractor output shape
+ * @private
+ * @param {Object} obs - Observation resource
+ * @param {Object} options - {unit: convert the value and reference ranges to this unit,
+ *   molarMass: g/mol for mass ↔ substance conversions}
+ * @returns {Object} {id, codes, text, status, category, value, unit, quantity, referenceRange,
+ *   interpretation, flag, valueCodeableConcept, valueDateTime, valueString, effectiveDateTime,
+ *   effectivePeriod, issued, date, components}
+ */
+function _normalizeObservation(obs, options = {}) {
+    const { codes, text, ...value } = _normalizeObservationValue(obs, options);
+    const effectiveDateTime = obs.effectiveDateTime || obs.effectivePeriod?.start || obs.effectiveInstant;
+
+    return {
+        id: obs.id,
+        codes,
+        text,
+        status: obs.status,
+        category: (obs.category || []).flatMap(category => extractCodes(category)),
+        ...value,
+        effectiveDateTime,
+        effectivePeriod: obs.effectivePeriod ? { start: obs.effectivePeriod.start || null, end: obs.effectivePeriod.end || null } : null,
+        issued: obs.issued || null,
+        date: effectiveDateTime || obs.issued || null,
+        components: (obs.component || []).map(component => _normalizeObservationValue(component, options))
+    };
+}
+
+/**
+ * Check if a resource has a category code (e.g. Observation "vital-signs")
+ * @private
+ * @param {Object} resource - FHIR resource
+ * @param {Array} categoryCodes - Category codes to look for
+ * @returns {boolean} True if any category coding has one of the codes
+ */
+function _hasCategory(resource, categoryCodes) {
+    return (resource.category || []).some(category =>
+        category.coding?.some(coding => categoryCodes.includes(coding.code))
+    );
+}
+
+/**
+ * Check if a resource code has one of the given codes
+ * @private
+ */
+function _hasCode(resource, codes) {
+    return Boolean(resource.code?.coding?.some(coding => codes.includes(coding.code)));
+}
+
 /**
  * Get observations by LOINC or SNOMED codes
  * @param {Object} ipsBundle - IPS FHIR Bundle
  * @param {Array} codes - Array of code strings to search for
- * @param {Object} options - {includeDisplay: boolean, valueFilter: function}
- * @returns {Array} Array of matching observations
+ * @param {Object} options - {includeDisplay: boolean, valueFilter: function, unit: UCUM code to
+ *   convert values and reference ranges to (values that cannot be converted keep their unit),
+ *   molarMass: g/mol, to convert between mass and substance units such as mg/dL and mmol/L,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of matching observations ({id, codes, text, status, category, value, unit,
+ *   quantity, referenceRange, interpretation, flag, valueCodeableConcept, valueDateTime, valueString,
+ *   effectiveDateTime, effectivePeriod, issued, date, components}); quantity is {value, unit, code (UCUM),
+ *   system}, flag is "normal", "low", "high", "critical-low", "critical-high", "abnormal", "critical"
+ *   or null, date is effective[x] (period start) or else issued, and components have the same value
+ *   fields ({codes, text, value, unit, quantity, referenceRange, interpretation, flag, ...})
  */
 function getObservationsByCode(ipsBundle, codes, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
     const observations = getResourcesByType(ipsBundle, "Observation");
     const results = [];
 
@@ -119,15 +595,7 @@ function getObservationsByCode(ipsBundle, codes, options = {}) {
         );
 
         if (hasMatchingCode) {
-            const result = {
-                id: obs.id,
-                codes: extractCodes(obs.code),
-                value: obs.valueQuantity?.value,
-                unit: obs.valueQuantity?.unit,
-                valueCodeableConcept: obs.valueCodeableConcept,
-                valueDateTime: obs.valueDateTime,
-                effectiveDateTime: obs.effectiveDateTime
-            };
+            const result = _normalizeObservation(obs, options);
 
             // Apply value filter if provided
             if (!options.valueFilter || options.valueFilter(result)) {
@@ -139,64 +607,789 @@ function getObservationsByCode(ipsBundle, codes, options = {}) {
     return results;
 }
 
+/**
+ * Observation statuses excluded from series
+ */
+const IGNORED_OBSERVATION_STATUSES = ["entered-in-error", "cancelled"];
+
+/**
+ * Check if an observation date is inside the referenceDate/lookbackDays window
+ * @private
+ * @param {string|null} value - Observation date
+ * @param {Object} options - {referenceDate, lookbackDays}
+ * @returns {boolean} True if the observation should be kept
+ */
+function _isObservationInWindow(value, options) {
+    if (options.referenceDate === undefined && options.lookbackDays === undefined) return true;
+    const date = _periodBoundary(value, false);
+    // Undated observations cannot be placed in a lookback window
+    if (!date) return options.lookbackDays === undefined;
+
+    const referenceDate = options.referenceDate ? new Date(options.referenceDate) : new Date();
+    const windowStart = new Date(referenceDate.getTime() - (options.lookbackDays || 0) * 86400000);
+    return date <= referenceDate && (options.lookbackDays === undefined || date >= windowStart);
+}
+
+/**
+ * Get the time series of observations with one of the codes, oldest first. Components
+ * with a matching code (e.g. systolic 8480-6 in a blood pressure panel) are returned as
+ * values of their own, with the observation they belong to as panel
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Array} codes - Array of code strings to search for
+ * @param {Object} options - {referenceDate: Date or string (default: now), lookbackDays: number -
+ *   when either is given, observations after referenceDate or before referenceDate - lookbackDays
+ *   are left out (undated observations are only kept without lookbackDays), valueFilter: function,
+ *   unit, molarMass: see getObservationsByCode,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of observations (see getObservationsByCode) with panel ({codes, text}
+ *   of the containing observation for component values, else null), sorted by date (effective[x],
+ *   else issued); undated observations come first. Entered-in-error and cancelled observations are skipped
+ */
+function getObservationSeries(ipsBundle, codes, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const series = [];
+
+    getResourcesByType(ipsBundle, "Observation").forEach(obs => {
+        if (IGNORED_OBSERVATION_STATUSES.includes(obs.status)) return;
+
+        const observation = _normalizeObservation(obs, options);
+        if (_hasCode(obs, codes)) series.push({ ...observation, panel: null });
+        observation.components
+            .filter(component => component.codes.some(code => codes.includes(code.code)))
+            .forEach(component => series.push({
+                ...observation,
+                ...component,
+                components: [],
+                panel: { codes: observation.codes, text: observation.text }
+            }));
+    });
+
+    const time = item => _periodBoundary(item.date, false)?.getTime() ?? -Infinity;
+    return series
+        .filter(item => _isObservationInWindow(item.date, options))
+        .filter(item => !options.valueFilter || options.valueFilter(item))
+        .sort((a, b) => (time(a) === time(b) ? 0 : time(a) - time(b)));
+}
+
+/**
+ * Get the most recent observation (or component value) with one of the codes
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Array} codes - Array of code strings to search for
+ * @param {Object} options - getObservationSeries options
+ * @returns {Object|null} Latest item of getObservationSeries or null
+ */
+function getLatestObservation(ipsBundle, codes, options = {}) {
+    const series = getObservationSeries(ipsBundle, codes, options);
+    return series.length ? series[series.length - 1] : null;
+}
+
+/**
+ * Get the trend of a numeric observation from its first to its latest dated value.
+ * Values are compared in options.unit, or else the unit of the latest value (values that
+ * cannot be converted are left out)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Array} codes - Array of code strings to search for
+ * @param {Object} options - getObservationSeries options and {threshold: 0.05 - relative change
+ *   below which the trend is "stable"}
+ * @returns {Object} {direction ("increasing", "decreasing", "stable" or null with fewer than two
+ *   values), change, percentChange (null when the first value is 0), unit, first, latest,
+ *   points: [{id, date, value}]}
+ */
+function getObservationTrend(ipsBundle, codes, options = {}) {
+    const { threshold = 0.05 } = options;
+    const series = getObservationSeries(ipsBundle, codes, options)
+        .filter(item => item.quantity && _periodBoundary(item.date, false));
+    const unit = options.unit || series[series.length - 1]?.quantity.code || null;
+
+    const points = series
+        .map(item => ({
+            id: item.id,
+            date: item.date,
+            value: !unit || !item.quantity.code || item.quantity.code === unit
+                ? item.quantity.value
+                : convertQuantity(item.quantity, unit, options)?.value ?? null
+        }))
+        .filter(point => point.value !== null);
+
+    const first = points[0] || null;
+    const latest = points[points.length - 1] || null;
+    if (points.length < 2) {
+        return { direction: null, change: null, percentChange: null, unit, first, latest, points };
+    }
+
+    const change = Number((latest.value - first.value).toPrecision(12));
+    const relative = first.value !== 0 ? change / Math.abs(first.value) : null;
+    let direction = "stable";
+    if (relative === null ? change !== 0 : Math.abs(relative) > threshold) {
+        direction = change > 0 ? "increasing" : "decreasing";
+    }
+
+    return {
+        direction,
+        change,
+        percentChange: relative === null ? null : Number((relative * 100).toPrecision(12)),
+        unit,
+        first,
+        latest,
+        points
+    };
+}
+
+/**
+ * LOINC codes of the IPS Composition sections
+ */
+const IPS_SECTIONS = {
+    PROBLEMS: "11450-4",
+    PAST_ILLNESS: "11348-0",
+    MEDICATIONS: "10160-0",
+    ALLERGIES: "48765-2",
+    PROCEDURES: "47519-4",
+    IMMUNIZATIONS: "11369-6",
+    DEVICES: "46264-8",
+    RESULTS: "30954-2",
+    VITAL_SIGNS: "8716-3",
+    SOCIAL_HISTORY: "29762-2",
+    PREGNANCY: "10162-6",
+    FUNCTIONAL_STATUS: "47420-5",
+    PLAN_OF_CARE: "18776-5",
+    ADVANCE_DIRECTIVES: "42348-3",
+    ALERTS: "104605-1",
+    PATIENT_STORY: "81338-6"
+};
+
+/**
+ * Section a "no known X" resource belongs to when no section references it
+ */
+const RESOURCE_TYPE_SECTIONS = {
+    AllergyIntolerance: IPS_SECTIONS.ALLERGIES,
+    Condition: IPS_SECTIONS.PROBLEMS,
+    MedicationStatement: IPS_SECTIONS.MEDICATIONS,
+    MedicationRequest: IPS_SECTIONS.MEDICATIONS,
+    Procedure: IPS_SECTIONS.PROCEDURES,
+    Immunization: IPS_SECTIONS.IMMUNIZATIONS
+};
+
+/**
+ * IPS code system for absent and unknown data ("no-known-allergies", "no-allergy-info", ...)
+ */
+const ABSENT_UNKNOWN_SYSTEM = "http://hl7.org/fhir/uv/ips/CodeSystem/absent-unknown-uv-ips";
+
+/**
+ * SNOMED CT "no known X" findings
+ */
+const SNOMED_NONE_KNOWN = ["716186003", "409137002", "429625007", "428607008", "160245001"];
+
+/**
+ * Get the section key (e.g. "PROBLEMS") of a section LOINC code
+ * @private
+ * @param {string} code - Section LOINC code
+ * @returns {string|null} Key in IPS_SECTIONS or null
+ */
+function _sectionKey(code) {
+    return Object.keys(IPS_SECTIONS).find(key => IPS_SECTIONS[key] === code) || null;
+}
+
+/**
+ * Parse the Composition sections of an IPS (nested sections are flattened)
+ * @private
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} index - Bundle index
+ * @returns {Array} Array of {code, key, title, resources, emptyReason}
+ */
+function _parseSections(ipsBundle, index) {
+    const sections = [];
+
+    index.getResourcesByType("Composition").forEach(composition => {
+        const compositionEntry = index.getEntry(composition);
+        const visit = children => (children || []).forEach(section => {
+            const code = section.code?.coding?.find(coding => coding.code)?.code || null;
+            const resources = [];
+            (section.entry || []).forEach(reference => {
+                const resource = resolveReference(
+                    reference,
+                    ipsBundle.entry,
+                    { fullUrl: compositionEntry?.fullUrl, resource: composition }
+                );
+                if (resource && !resources.includes(resource)) resources.push(resource);
+            });
+            sections.push({
+                code,
+                key: _sectionKey(code),
+                title: section.title || "",
+                resources,
+                emptyReason: extractCodes(section.emptyReason)[0] || null
+            });
+            visit(section.section);
+        });
+        visit(composition.section);
+    });
+
+    return sections;
+}
+
+/**
+ * Get the IPS Composition sections with the resources they reference
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {code, key, title, resources, emptyReason}, where key is the
+ *   IPS_SECTIONS key of the section LOINC code (null for other sections) and emptyReason
+ *   is {code, system, display} or null
+ */
+function getIPSSections(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const index = getBundleIndex(ipsBundle);
+    if (!index) return [];
+    return _parseSections(ipsBundle, index);
+}
+
+/**
+ * Get the resources referenced by an IPS Composition section
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {string} section - Section LOINC code or IPS_SECTIONS key (e.g. "PAST_ILLNESS")
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Referenced resources (empty when the section is absent)
+ */
+function getSectionResources(ipsBundle, section, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const code = IPS_SECTIONS[section] || section;
+    const resources = [];
+    getIPSSections(ipsBundle)
+        .filter(s => s.code === code)
+        .forEach(s => s.resources.forEach(resource => {
+            if (!resources.includes(resource)) resources.push(resource);
+        }));
+    return resources;
+}
+
+/**
+ * Classify a "no known X" code
+ * @private
+ * @param {Object} code - {code, system}
+ * @returns {string|null} "none-known", "no-information" or null
+ */
+function _absentKind(code) {
+    if (!code.code) return null;
+    if (code.system === ABSENT_UNKNOWN_SYSTEM) {
+        if (code.code.startsWith("no-known-")) return "none-known";
+        if (/^no-.*-info$/.test(code.code)) return "no-information";
+        return null;
+    }
+    if (code.system === "http://snomed.info/sct" && SNOMED_NONE_KNOWN.includes(code.code)) {
+        return "none-known";
+    }
+    return null;
+}
+
+/**
+ * Get the explicit "no known X" and "no information about X" statements of an IPS:
+ * section emptyReasons and resources coded with absent/unknown codes (e.g. an
+ * AllergyIntolerance coded "no-known-allergies")
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {section, key, kind, source, code, system, display}, where kind
+ *   is "none-known" or "no-information" and source is "emptyReason" or "resource"
+ *   (resource statements also have resourceType and id)
+ */
+function getNoKnownStatements(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const statements = [];
+    const sections = getIPSSections(ipsBundle);
+
+    sections.forEach(section => {
+        if (section.emptyReason) {
+            statements.push({
+                section: section.code,
+                key: section.key,
+                kind: section.emptyReason.code === "nilknown" ? "none-known" : "no-information",
+                source: "emptyReason",
+                ...section.emptyReason
+            });
+        }
+    });
+
+    Object.keys(RESOURCE_TYPE_SECTIONS).forEach(resourceType => {
+        getResourcesByType(ipsBundle, resourceType).forEach(resource => {
+            const concept = resource.code || resource.vaccineCode || getMedicationElement(resource).concept;
+            extractCodes(concept).forEach(code => {
+                const kind = _absentKind(code);
+                if (!kind) return;
+                const section = sections.find(s => s.resources.includes(resource))?.code ||
+                    RESOURCE_TYPE_SECTIONS[resourceType];
+                statements.push({
+                    section,
+                    key: _sectionKey(section),
+                    kind,
+                    source: "resource",
+                    ...code,
+                    resourceType,
+                    id: resource.id
+                });
+            });
+        });
+    });
+
+    return statements;
+}
+
+/**
+ * Condition clinical and verification status codes
+ */
+const CONDITION_CLINICAL_STATUSES = ["active", "recurrence", "relapse", "inactive", "remission", "resolved", "unknown"];
+const CONDITION_VERIFICATION_STATUSES = ["unconfirmed", "provisional", "differential", "confirmed", "refuted", "entered-in-error"];
+
+/**
+ * Clinical statuses of conditions the patient currently has
+ */
+const ACTIVE_CONDITION_STATUSES = ["active", "recurrence", "relapse"];
+
+/**
+ * SNOMED CT Condition.severity codes
+ */
+const CONDITION_SEVERITY_CODES = { "255604002": "mild", "6736007": "moderate", "24484000": "severe" };
+
+/**
+ * Get a status code from a status CodeableConcept: the first coding with a known
+ * status code, else the first coding, else a known status written as text
+ * @private
+ * @param {Object} concept - CodeableConcept
+ * @param {Array} statuses - Known status codes
+ * @returns {string|undefined} Status code
+ */
+function _getStatusCode(concept, statuses) {
+    const codings = concept?.coding || [];
+    const known = codings.find(coding => statuses.includes(coding.code)) || codings[0];
+    if (known?.code) return known.code;
+
+    const text = concept?.text?.trim().toLowerCase();
+    return statuses.includes(text) ? text : undefined;
+}
+
+/**
+ * Get the severity level of a Condition.severity (SNOMED CT codes or text)
+ * @private
+ * @param {Object} concept - CodeableConcept
+ * @returns {string|null} "mild", "moderate", "severe" or null
+ */
+function _getSeverity(concept) {
+    const coded = (concept?.coding || []).map(coding => CONDITION_SEVERITY_CODES[coding.code]).find(Boolean);
+    if (coded) return coded;
+
+    const text = concept?.text?.trim().toLowerCase();
+    return Object.values(CONDITION_SEVERITY_CODES).includes(text) ? text : null;
+}
+
+/**
+ * Convert an Age quantity to years
+ * @private
+ * @param {Object} age - FHIR Age
+ * @returns {number|null} Age in years or null
+ */
+function _ageInYears(age) {
+    return convertQuantity(age, "a")?.value ?? null;
+}
+
+/**
+ * Normalize a Condition onset[x] or abatement[x] (dateTime, Age, Period, Range, string
+ * and the R4 abatementBoolean)
+ * @private
+ * @param {Object} condition - Condition resource
+ * @param {string} element - "onset" or "abatement"
+ * @returns {Object|null} {date, end, age, text} (date and end from dateTime or Period, age in
+ *   years from Age or the low end of a Range, text from string) or null when absent
+ */
+function _normalizeConditionTiming(condition, element) {
+    const period = condition[`${element}Period`];
+    const range = condition[`${element}Range`];
+    const timing = {
+        date: condition[`${element}DateTime`] || period?.start || null,
+        end: period?.end || null,
+        age: condition[`${element}Age`] ? _ageInYears(condition[`${element}Age`]) : null,
+        text: condition[`${element}String`] || null
+    };
+    if (range) timing.age = _ageInYears(range.low || range.high);
+
+    const hasValue = Object.values(timing).some(value => value !== null);
+    if (hasValue || (element === "abatement" && condition.abatementBoolean === true)) return timing;
+    return null;
+}
+
+/**
+ * Check if a condition passes the getConditions status filters
+ * @private
+ * @param {Object} condition - Normalized condition
+ * @param {Object} options - getConditions options
+ * @returns {boolean} True if the condition should be returned
+ */
+function _isConditionIncluded(condition, options) {
+    if (options.excludeRefuted && ["refuted", "entered-in-error"].includes(condition.verificationStatus)) {
+        return false;
+    }
+    if (!options.activeOnly) return true;
+
+    const statuses = options.includeRemission
+        ? [...ACTIVE_CONDITION_STATUSES, "remission"]
+        : ACTIVE_CONDITION_STATUSES;
+    // Without a clinical status, only an abatement means the condition is over
+    if (!condition.clinicalStatus) return !condition.abatement;
+    return statuses.includes(condition.clinicalStatus);
+}
+
 /**
  * Get all conditions from IPS
  * @param {Object} ipsBundle - IPS FHIR Bundle
- * @returns {Array} Array of condition information
+ * @param {Object} options - {section: only conditions referenced by this section, as a LOINC
+ *   code or IPS_SECTIONS key (e.g. "PROBLEMS" for current problems, "PAST_ILLNESS" for history),
+ *   activeOnly: only active, recurrent or relapsed conditions (conditions without clinical status
+ *   count as active unless they have an abatement), includeRemission: with activeOnly, also keep
+ *   conditions in remission, excludeRefuted: leave out refuted and entered-in-error conditions,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of condition information ({id, codes, text, clinicalStatus,
+ *   verificationStatus, section, category, severity, onset, abatement, recordedDate}); section is
+ *   the LOINC code of the Composition section referencing the condition, or null, category holds
+ *   the category codes (e.g. "problem-list-item", "encounter-diagnosis"), severity is "mild",
+ *   "moderate", "severe" or null, and onset/abatement are {date, end, age, text} or null
  */
-function getConditions(ipsBundle) {
-    const conditions = getResourcesByType(ipsBundle, "Condition");
+function getConditions(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const sections = getIPSSections(ipsBundle);
+    let conditions = getResourcesByType(ipsBundle, "Condition");
+
+    if (options.section) {
+        const sectionResources = getSectionResources(ipsBundle, options.section);
+        conditions = conditions.filter(condition => sectionResources.includes(condition));
+    }
+
     return conditions.map(condition => ({
         id: condition.id,
-        codes: condition.code?.coding?.map(coding => ({
-            code: coding.code,
-            system: coding.system || "",
-            display: coding.display || ""
-        })) || [],
+        codes: extractCodes(condition.code),
         text: condition.code?.text || "",
-        clinicalStatus: condition.clinicalStatus?.coding?.[0]?.code,
-        verificationStatus: condition.verificationStatus?.coding?.[0]?.code
-    }));
+        clinicalStatus: _getStatusCode(condition.clinicalStatus, CONDITION_CLINICAL_STATUSES),
+        verificationStatus: _getStatusCode(condition.verificationStatus, CONDITION_VERIFICATION_STATUSES),
+        section: sections.find(section => section.resources.includes(condition))?.code || null,
+        category: (condition.category || []).flatMap(category => extractCodes(category)),
+        severity: _getSeverity(condition.severity),
+        onset: _normalizeConditionTiming(condition, "onset"),
+        abatement: _normalizeConditionTiming(condition, "abatement"),
+        recordedDate: condition.recordedDate || null
+    })).filter(condition => _isConditionIncluded(condition, options));
 }
 
+/**
+ * AllergyIntolerance clinical and verification status codes
+ */
+const ALLERGY_CLINICAL_STATUSES = ["active", "inactive", "resolved"];
+const ALLERGY_VERIFICATION_STATUSES = ["unconfirmed", "presumed", "confirmed", "refuted", "entered-in-error"];
+
+/**
+ * Reaction severities, least severe first
+ */
+const REACTION_SEVERITIES = ["mild", "moderate", "severe"];
+
 /**
  * Get all allergies/intolerances from IPS
  * @param {Object} ipsBundle - IPS FHIR Bundle
- * @returns {Array} Array of allergy information
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of allergy information ({id, codes, text, criticality, type, category,
+ *   clinicalStatus, verificationStatus, severity, reactions}); severity is the most severe
+ *   reaction severity ("mild", "moderate", "severe" or null) and reactions are
+ *   [{substance, manifestations (codes), severity}]
  */
-function getAllergies(ipsBundle) {
+function getAllergies(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
     const allergies = getResourcesByType(ipsBundle, "AllergyIntolerance");
-    return allergies.map(allergy => ({
-        id: allergy.id,
-        codes: allergy.code?.coding?.map(coding => ({
-            code: coding.code,
-            system: coding.system || "",
-            display: coding.display || ""
-        })) || [],
-        text: allergy.code?.text || "",
-        criticality: allergy.criticality,
-        type: allergy.type
+    return allergies.map(allergy => {
+        const reactions = (allergy.reaction || []).map(reaction => ({
+            substance: extractCodes(reaction.substance),
+            // CodeableConcept in R4/R4B, CodeableReference in R5
+            manifestations: (reaction.manifestation || []).flatMap(manifestation =>
+                extractCodes(manifestation.concept || manifestation)),
+            severity: reaction.severity || null
+        }));
+        const severity = reactions
+            .map(reaction => reaction.severity)
+            .filter(level => REACTION_SEVERITIES.includes(level))
+            .sort((a, b) => REACTION_SEVERITIES.indexOf(b) - REACTION_SEVERITIES.indexOf(a))[0] || null;
+
+        return {
+            id: allergy.id,
+            codes: extractCodes(allergy.code),
+            text: allergy.code?.text || "",
+            criticality: allergy.criticality,
+            // code in R4/R4B, CodeableConcept in R5
+            type: getCodeValue(allergy.type),
+            category: allergy.category || [],
+            clinicalStatus: _getStatusCode(allergy.clinicalStatus, ALLERGY_CLINICAL_STATUSES),
+            verificationStatus: _getStatusCode(allergy.verificationStatus, ALLERGY_VERIFICATION_STATUSES),
+            severity,
+            reactions
+        };
+    });
+}
+
+/**
+ * LOINC codes of IPS vital signs (used in addition to the "vital-signs" category)
+ */
+const VITAL_SIGN_CODES = [
+    "85353-1", "9279-1", "8867-4", "2708-6", "59408-5", "8310-5", "8302-2", "9843-4",
+    "29463-7", "39156-5", "85354-9", "8480-6", "8462-4"
+];
+
+/**
+ * LOINC codes of IPS social history and pregnancy observations, by topic
+ */
+const SOCIAL_HISTORY_TOPICS = {
+    tobacco: ["72166-2", "11367-0"],
+    alcohol: ["74013-4", "11331-6"]
+};
+
+const PREGNANCY_TOPICS = {
+    status: ["82810-3"],
+    "expected-delivery": ["11778-8", "11779-6", "11780-4"],
+    outcome: ["11636-8", "11637-6", "11638-4", "11639-2", "11640-0", "11612-9", "11613-7", "11614-5", "33065-4"]
+};
+
+/**
+ * Find the topic of a resource from a {topic: codes} table
+ * @private
+ * @param {Object} resource - FHIR resource
+ * @param {Object} topics - {topic: [codes]}
+ * @returns {string|null} Topic or null
+ */
+function _getTopic(resource, topics) {
+    const match = Object.entries(topics).find(([, codes]) => _hasCode(resource, codes));
+    return match ? match[0] : null;
+}
+
+/**
+ * Get all procedures from IPS (History of procedures)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {id, codes, text, status, performedDateTime, bodySite}
+ */
+function getProcedures(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "Procedure").map(procedure => ({
+        id: procedure.id,
+        codes: extractCodes(procedure.code),
+        text: procedure.code?.text || "",
+        status: procedure.status,
+        // performed[x] in R4/R4B, occurrence[x] in R5
+        performedDateTime: procedure.performedDateTime || procedure.performedPeriod?.start ||
+            procedure.occurrenceDateTime || procedure.occurrencePeriod?.start,
+        bodySite: [].concat(procedure.bodySite || []).flatMap(site => extractCodes(site))
+    }));
+}
+
+/**
+ * Get all immunizations from IPS
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {id, codes, text, status, occurrenceDateTime, targetDisease, doseNumber}
+ */
+function getImmunizations(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "Immunization").map(immunization => {
+        const protocols = [].concat(immunization.protocolApplied || []);
+        const protocol = protocols[0] || {};
+        return {
+            id: immunization.id,
+            codes: extractCodes(immunization.vaccineCode),
+            text: immunization.vaccineCode?.text || "",
+            status: immunization.status,
+            occurrenceDateTime: immunization.occurrenceDateTime || immunization.occurrenceString,
+            targetDisease: protocols.flatMap(p => [].concat(p.targetDisease || []).flatMap(disease => extractCodes(disease))),
+            // doseNumber[x] in R4/R4B, doseNumber (string) in R5
+            doseNumber: protocol.doseNumberPositiveInt ?? protocol.doseNumberString ?? protocol.doseNumber
+        };
+    });
+}
+
+/**
+ * Get medical devices from IPS (DeviceUseStatement in R4/R4B, DeviceUsage in R5),
+ * with the codes of the referenced Device
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {id, codes, text, status, deviceId, bodySite}
+ */
+function getDevices(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const index = getBundleIndex(ipsBundle);
+    const statements = [
+        ...getResourcesByType(ipsBundle, "DeviceUseStatement"),
+        ...getResourcesByType(ipsBundle, "DeviceUsage")
+    ];
+
+    return statements.map(statement => {
+        // Reference in R4/R4B, CodeableReference in R5
+        const reference = typeof statement.device?.reference === "object"
+            ? statement.device.reference
+            : statement.device;
+        const device = reference?.reference
+            ? resolveReference(reference, ipsBundle.entry, {
+                fullUrl: index.getEntry(statement)?.fullUrl,
+                resource: statement
+            })
+            : null;
+        // Device.type is a CodeableConcept in R4, an array in R5
+        const types = device ? [].concat(device.type || []) : [];
+        const concepts = [...types, ...(statement.device?.concept ? [statement.device.concept] : [])];
+
+        return {
+            id: statement.id,
+            codes: concepts.flatMap(concept => extractCodes(concept)),
+            text: concepts.find(concept => concept.text)?.text || device?.deviceName?.[0]?.name || "",
+            status: statement.status,
+            deviceId: device?.id,
+            bodySite: extractCodes(statement.bodySite?.concept || statement.bodySite)
+        };
+    });
+}
+
+/**
+ * Get diagnostic results from IPS: laboratory, pathology and imaging Observations,
+ * and DiagnosticReports
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Observations (see getObservationsByCode) and DiagnosticReports
+ *   ({id, codes, text, status, category, effectiveDateTime, conclusion, results}),
+ *   each with its resourceType
+ */
+function getDiagnosticResults(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const observations = getResourcesByType(ipsBundle, "Observation")
+        .filter(obs => _hasCategory(obs, ["laboratory", "imaging", "pathology"]))
+        .map(obs => ({ resourceType: "Observation", ..._normalizeObservation(obs) }));
+
+    const reports = getResourcesByType(ipsBundle, "DiagnosticReport").map(report => ({
+        resourceType: "DiagnosticReport",
+        id: report.id,
+        codes: extractCodes(report.code),
+        text: report.code?.text || "",
+        status: report.status,
+        category: [].concat(report.category || []).flatMap(category => extractCodes(category)),
+        effectiveDateTime: report.effectiveDateTime || report.effectivePeriod?.start,
+        conclusion: report.conclusion || "",
+        results: [].concat(report.result || []).map(result => result.reference).filter(Boolean)
+    }));
+
+    return [...observations, ...reports];
+}
+
+/**
+ * Get vital signs from IPS (Observations with the "vital-signs" category or a vital sign LOINC code)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of observations (see getObservationsByCode); blood pressure
+ *   values are in components
+ */
+function getVitalSigns(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "Observation")
+        .filter(obs => _hasCategory(obs, ["vital-signs"]) || _hasCode(obs, VITAL_SIGN_CODES))
+        .map(obs => _normalizeObservation(obs));
+}
+
+/**
+ * Get social history observations from IPS (tobacco use, alcohol use and other
+ * "social-history" Observations)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of observations (see getObservationsByCode) with topic
+ *   ("tobacco", "alcohol" or "other")
+ */
+function getSocialHistory(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "Observation")
+        .filter(obs => _hasCategory(obs, ["social-history"]) || _getTopic(obs, SOCIAL_HISTORY_TOPICS))
+        .map(obs => ({ ..._normalizeObservation(obs), topic: _getTopic(obs, SOCIAL_HISTORY_TOPICS) || "other" }));
+}
+
+/**
+ * Get pregnancy history observations from IPS (pregnancy status, expected delivery
+ * date and pregnancy outcomes)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of observations (see getObservationsByCode) with topic
+ *   ("status", "expected-delivery" or "outcome")
+ */
+function getPregnancyHistory(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "Observation")
+        .filter(obs => _getTopic(obs, PREGNANCY_TOPICS))
+        .map(obs => ({ ..._normalizeObservation(obs), topic: _getTopic(obs, PREGNANCY_TOPICS) }));
+}
+
+/**
+ * Get functional status from IPS: ClinicalImpressions and the resources referenced
+ * by the Functional status section (e.g. disability Conditions, assessment Observations)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {resourceType, id, codes, text, status}
+ */
+function getFunctionalStatus(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const resources = getSectionResources(ipsBundle, IPS_SECTIONS.FUNCTIONAL_STATUS);
+    getResourcesByType(ipsBundle, "ClinicalImpression").forEach(impression => {
+        if (!resources.includes(impression)) resources.push(impression);
+    });
+
+    return resources.map(resource => {
+        const findings = [].concat(resource.finding || []).map(finding =>
+            finding.itemCodeableConcept || finding.item?.concept
+        ).filter(Boolean);
+        const concepts = [resource.code, ...findings].filter(Boolean);
+        const status = resource.clinicalStatus?.coding?.[0]?.code || resource.status;
+
+        return {
+            resourceType: resource.resourceType,
+            id: resource.id,
+            codes: concepts.flatMap(concept => extractCodes(concept)),
+            text: resource.code?.text || resource.summary || resource.description || "",
+            status
+        };
+    });
+}
+
+/**
+ * Get the plan of care from IPS (CarePlan resources)
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Array} Array of {id, codes, text, status, intent, period}
+ */
+function getCarePlans(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    return getResourcesByType(ipsBundle, "CarePlan").map(carePlan => ({
+        id: carePlan.id,
+        codes: (carePlan.category || []).flatMap(category => extractCodes(category)),
+        text: carePlan.title || carePlan.description || "",
+        status: carePlan.status,
+        intent: carePlan.intent,
+        period: carePlan.period ? { start: carePlan.period.start || null, end: carePlan.period.end || null } : null
     }));
 }
 
 /**
  * Get patient contacts (general practitioner, etc.)
  * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
  * @returns {Array} Array of contact information
  */
-function getPatientContacts(ipsBundle) {
+function getPatientContacts(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
     const patients = getResourcesByType(ipsBundle, "Patient");
     if (patients.length === 0) return [];
 
     const contacts = [];
     const patient = patients[0];
+    const patientEntry = getBundleIndex(ipsBundle).getEntry(patient);
 
     if (Array.isArray(patient.generalPractitioner)) {
         patient.generalPractitioner.forEach(gpRef => {
-            const gpId = gpRef.reference?.split("/")[1];
-            if (!gpId) return;
-
-            const gpResource = resolveReference(gpRef.reference, ipsBundle.entry);
+            const gpResource = resolveReference(
+                gpRef.reference,
+                ipsBundle.entry,
+                { fullUrl: patientEntry?.fullUrl, resource: patient }
+            );
             if (!gpResource) return;
 
             if (
@@ -227,9 +1420,11 @@ function getPatientContacts(ipsBundle) {
  * Get patient extensions
  * @param {Object} ipsBundle - IPS FHIR Bundle
  * @param {string} extensionUrl - Extension URL to search for
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
  * @returns {Array} Array of matching extensions
  */
-function getPatientExtensions(ipsBundle, extensionUrl) {
+function getPatientExtensions(ipsBundle, extensionUrl, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
     const patients = getResourcesByType(ipsBundle, "Patient");
     if (patients.length === 0) return [];
 
@@ -243,12 +1438,14 @@ function getPatientExtensions(ipsBundle, extensionUrl) {
  * Check if patient has specific occupation
  * @param {Object} ipsBundle - IPS FHIR Bundle
  * @param {string} occupationCode - Occupation code to check
+ * @param {Object} [options] - {patient: patient selector (see scopeBundleToPatient)}
  * @returns {boolean} True if patient has this occupation
  */
-function hasOccupation(ipsBundle, occupationCode) {
+function hasOccupation(ipsBundle, occupationCode, options = {}) {
     const extensions = getPatientExtensions(
         ipsBundle,
-        "http://hl7.org/fhir/StructureDefinition/individual-occupation"
+        "http://hl7.org/fhir/StructureDefinition/individual-occupation",
+        options
     );
 
     return extensions.some(ext => 
@@ -260,10 +1457,28 @@ function hasOccupation(ipsBundle, occupationCode) {
 
 module.exports = {
     getPatientInfo,
+    getPatientDemographics,
     getMedications,
+    getMedicationDosages,
     getObservationsByCode,
+    getObservationSeries,
+    getLatestObservation,
+    getObservationTrend,
+    IPS_SECTIONS,
+    getIPSSections,
+    getSectionResources,
+    getNoKnownStatements,
     getConditions,
     getAllergies,
+    getProcedures,
+    getImmunizations,
+    getDevices,
+    getDiagnosticResults,
+    getVitalSigns,
+    getSocialHistory,
+    getPregnancyHistory,
+    getFunctionalStatus,
+    getCarePlans,
     getPatientContacts,
     getPatientExtensions,
     hasOccupation
@@ -0,0 +1,395 @@
+/**
+ * FHIR Bundle Diff and JSON Patch
+ * Record what a lens changed in a bundle as RFC 6902 JSON Patch operations and
+ * replay them. Bundle entries are addressed by "ResourceType/id" (or fullUrl)
+ * instead of their array index, e.g. /entry/Composition~1abc/resource/section/0
+ */
+
+const { deepEqual, isObject } = require('../utils/common');
+
+/**
+ * Escape a JSON Pointer segment (RFC 6901)
+ * @private
+ */
+function _escapeSegment(segment) {
+    return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Unescape a JSON Pointer segment (RFC 6901)
+ * @private
+ */
+function _unescapeSegment(segment) {
+    return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+/**
+ * Get the keys identifying the entries of a bundle in patch paths: "ResourceType/id"
+ * when it is unique in the array, else the fullUrl when it is unique, else the array index
+ * @private
+ * @param {Array} entries - Bundle entries
+ * @returns {Array} Entry keys (strings)
+ */
+function _entryKeys(entries) {
+    const typeIds = entries.map(entry => {
+        const resource = entry?.resource;
+        return resource?.resourceType && resource.id ? `${resource.resourceType}/${resource.id}` : null;
+    });
+    const count = values => values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+    const typeIdCounts = count(typeIds);
+    const fullUrlCounts = count(entries.map(entry => entry?.fullUrl));
+
+    return entries.map((entry, i) => {
+        if (typeIds[i] && typeIdCounts.get(typeIds[i]) === 1) return typeIds[i];
+        if (entry?.fullUrl && fullUrlCounts.get(entry.fullUrl) === 1) return entry.fullUrl;
+        return String(i);
+    });
+}
+
+/**
+ * Check if an entry key is an array index (entries without a unique id or fullUrl)
+ * @private
+ */
+function _isIndexKey(key) {
+    return /^(0|[1-9][0-9]*)$/.test(key);
+}
+
+/**
+ * Check if two values are plain objects (not arrays) or both arrays
+ * @private
+ */
+function _sameContainerType(value1, value2) {
+    return isObject(value1) && isObject(value2) && Array.isArray(value1) === Array.isArray(value2);
+}
+
+/**
+ * Deep copy a JSON value
+ * @private
+ */
+function _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Append the operations turning one JSON value into another
+ * @private
+ * @param {*} before - Original value
+ * @param {*} after - Modified value
+ * @param {string} path - JSON Pointer of the value
+ * @param {Array} operations - Operations to append to
+ */
+function _diffValues(before, after, path, operations) {
+    if (before === after) return;
+    if (_sameContainerType(before, after) && deepEqual(before, after)) return;
+
+    if (!_sameContainerType(before, after)) {
+        operations.push({ op: "replace", path, value: _clone(after) });
+        return;
+    }
+
+    if (Array.isArray(before)) {
+        _diffArrays(before, after, path, operations);
+        return;
+    }
+
+    Object.keys(before).forEach(key => {
+        if (!(key in after)) {
+            operations.push({ op: "remove", path: `${path}/${_escapeSegment(key)}` });
+        }
+    });
+    Object.keys(after).forEach(key => {
+        const childPath = `${path}/${_escapeSegment(key)}`;
+        if (!(key in before)) {
+            operations.push({ op: "add", path: childPath, value: _clone(after[key]) });
+        } else {
+            _diffValues(before[key], after[key], childPath, operations);
+        }
+    });
+}
+
+/**
+ * Append the operations turning one array into another (unchanged leading and
+ * trailing items are kept, the rest is diffed pairwise, then added or removed)
+ * @private
+ */
+function _diffArrays(before, after, path, operations) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && deepEqual(before[prefix], after[prefix])) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (
+        suffix < before.length - prefix &&
+        suffix < after.length - prefix &&
+        deepEqual(before[before.length - 1 - suffix], after[after.length - 1 - suffix])
+    ) {
+        suffix++;
+    }
+
+    const beforeCount = before.length - prefix - suffix;
+    const afterCount = after.length - prefix - suffix;
+    const common = Math.min(beforeCount, afterCount);
+
+    for (let i = 0; i < common; i++) {
+        _diffValues(before[prefix + i], after[prefix + i], `${path}/${prefix + i}`, operations);
+    }
+    for (let i = common; i < afterCount; i++) {
+        const index = prefix + i;
+        operations.push({
+            op: "add",
+            path: suffix === 0 ? `${path}/-` : `${path}/${index}`,
+            value: _clone(after[index])
+        });
+    }
+    for (let i = common; i < beforeCount; i++) {
+        operations.push({ op: "remove", path: `${path}/${prefix + common}` });
+    }
+}
+
+/**
+ * Compute the JSON Patch (RFC 6902) operations that turn one bundle into another.
+ * Entries are matched by "ResourceType/id" (or fullUrl when several entries share a
+ * ResourceType/id) and addressed by that key, so paths stay meaningful when entries are
+ * added, removed or reordered (reordering alone produces no operations). Entries without
+ * a unique key are matched by fullUrl or position when they keep their place between the
+ * other matched entries, and are otherwise removed and added again. Removals come first (last entry first), then
+ * changes, then additions at their position in the modified bundle, so applyPatch(before,
+ * diffBundles(before, after)) reproduces after (up to the order of reordered entries)
+ * @param {Object} before - Original bundle (e.g. the ePI before a lens ran)
+ * @param {Object} after - Modified bundle
+ * @returns {Array} Array of {op, path, value} operations
+ * @throws {Error} If either argument is not an object
+ */
+function diffBundles(before, after) {
+    if (!isObject(before) || !isObject(after)) {
+        throw new Error("diffBundles requires two bundles");
+    }
+
+    const operations = [];
+    const { entry: beforeEntries = [], ...beforeRest } = before;
+    const { entry: afterEntries = [], ...afterRest } = after;
+
+    _diffValues(beforeRest, afterRest, "", operations);
+
+    if (before.entry === undefined || after.entry === undefined) {
+        if (before.entry !== undefined) operations.push({ op: "remove", path: "/entry" });
+        if (after.entry !== undefined) operations.push({ op: "add", path: "/entry", value: _clone(after.entry) });
+        return operations;
+    }
+
+    const beforeKeys = _entryKeys(beforeEntries);
+    const afterKeys = _entryKeys(afterEntries);
+    const beforeIndexes = new Map(beforeKeys.map((key, i) => [key, i]));
+
+    // Match after entries to before entries by key; entries whose key is not unique are
+    // matched by fullUrl or position, as long as that keeps them between their neighbours
+    const matched = new Set();
+    const matches = afterEntries.map((entry, i) => {
+        const index = _isIndexKey(afterKeys[i]) ? undefined : beforeIndexes.get(afterKeys[i]);
+        if (index === undefined) return null;
+        matched.add(index);
+        return index;
+    });
+    afterEntries.forEach((entry, i) => {
+        if (matches[i] !== null) return;
+        const index = [beforeIndexes.get(entry?.fullUrl), _isIndexKey(afterKeys[i]) ? beforeIndexes.get(String(i)) : undefined]
+            .find(candidate => candidate !== undefined && !matched.has(candidate) &&
+                matches.every((other, j) => other === null || (j < i ? other < candidate : other > candidate)));
+        if (index === undefined) return;
+        matches[i] = index;
+        matched.add(index);
+    });
+
+    // Entries are removed last-first, so index paths stay valid; "current" tracks the
+    // before indexes left in the array to address index-keyed entries
+    const current = beforeEntries.map((entry, i) => i);
+    const entryPath = (index) => _isIndexKey(beforeKeys[index])
+        ? `/entry/${current.indexOf(index)}`
+        : `/entry/${_escapeSegment(beforeKeys[index])}`;
+
+    for (let i = beforeEntries.length - 1; i >= 0; i--) {
+        if (matched.has(i)) continue;
+        operations.push({ op: "remove", path: entryPath(i) });
+        current.splice(current.indexOf(i), 1);
+    }
+    afterEntries.forEach((entry, i) => {
+        if (matches[i] !== null) _diffValues(beforeEntries[matches[i]], entry, entryPath(matches[i]), operations);
+    });
+    afterEntries.forEach((entry, i) => {
+        if (matches[i] !== null) return;
+        const atEnd = i >= current.length;
+        operations.push({ op: "add", path: atEnd ? "/entry/-" : `/entry/${i}`, value: _clone(entry) });
+        current.splice(Math.min(i, current.length), 0, null);
+    });
+
+    return operations;
+}
+
+/**
+ * Split a JSON Pointer into unescaped segments
+ * @private
+ * @param {string} path - JSON Pointer
+ * @returns {Array} Segments
+ * @throws {Error} If the pointer is not a string starting with "/" (or empty)
+ */
+function _parsePointer(path) {
+    if (typeof path !== "string" || (path !== "" && !path.startsWith("/"))) {
+        throw new Error(`Invalid patch path: ${path}`);
+    }
+    return path === "" ? [] : path.slice(1).split("/").map(_unescapeSegment);
+}
+
+/**
+ * Resolve a segment to an array index or object key. In a Bundle's entry array,
+ * non-numeric segments select the entry by "ResourceType/id" or fullUrl
+ * @private
+ * @param {Object|Array} container - Parent value
+ * @param {string} segment - Pointer segment
+ * @param {boolean} isEntryArray - Whether container is Bundle.entry
+ * @param {boolean} allowEnd - Whether "-" (or length) is allowed (add operations)
+ * @param {string} path - Full path (for error messages)
+ * @returns {string|number} Key or index
+ */
+function _resolveSegment(container, segment, isEntryArray, allowEnd, path) {
+    if (!Array.isArray(container)) return segment;
+
+    if (segment === "-") {
+        if (!allowEnd) throw new Error(`Invalid patch path: ${path}`);
+        return container.length;
+    }
+    if (/^(0|[1-9][0-9]*)$/.test(segment)) {
+        const index = Number(segment);
+        if (index > container.length || (!allowEnd && index === container.length)) {
+            throw new Error(`Patch path not found: ${path}`);
+        }
+        return index;
+    }
+    if (isEntryArray) {
+        const keys = _entryKeys(container);
+        const byKey = keys.indexOf(segment);
+        if (byKey !== -1) return byKey;
+        const index = container.findIndex(entry => entry?.fullUrl === segment ||
+            `${entry?.resource?.resourceType}/${entry?.resource?.id}` === segment);
+        if (index !== -1) return index;
+    }
+    throw new Error(`Patch path not found: ${path}`);
+}
+
+/**
+ * Resolve a pointer to its parent container and final key
+ * @private
+ * @param {Object} document - Document being patched
+ * @param {string} path - JSON Pointer
+ * @param {boolean} allowEnd - Whether the final segment may point past the end of an array
+ * @returns {Object} {parent, key}
+ */
+function _resolveParent(document, path, allowEnd) {
+    const segments = _parsePointer(path);
+    if (segments.length === 0) throw new Error(`Invalid patch path: ${path}`);
+    let parent = null;
+    let current = document;
+    let currentKey = null;
+
+    segments.forEach((segment, i) => {
+        const isLast = i === segments.length - 1;
+        if (!isObject(current)) throw new Error(`Patch path not found: ${path}`);
+
+        const isEntryArray = currentKey === "entry" && parent?.resourceType === "Bundle";
+        const key = _resolveSegment(current, segment, isEntryArray, isLast && allowEnd, path);
+        if (!isLast && !(key in current)) throw new Error(`Patch path not found: ${path}`);
+
+        parent = current;
+        currentKey = key;
+        current = current[key];
+    });
+
+    return { parent, key: currentKey };
+}
+
+/**
+ * Read the value at a pointer
+ * @private
+ */
+function _getValue(document, path) {
+    if (path === "") return document;
+    const { parent, key } = _resolveParent(document, path, false);
+    if (!(key in parent)) throw new Error(`Patch path not found: ${path}`);
+    return parent[key];
+}
+
+/**
+ * Apply one operation to a document
+ * @private
+ * @param {Object} document - Document (modified in place)
+ * @param {Object} operation - JSON Patch operation
+ * @returns {Object} Patched document (a new root when the whole document is replaced)
+ */
+function _applyOperation(document, operation) {
+    const { op, path } = operation || {};
+
+    switch (op) {
+        case "add":
+        case "replace": {
+            if (path === "") return _clone(operation.value);
+            const { parent, key } = _resolveParent(document, path, op === "add");
+            if (op === "replace" && !(key in parent)) throw new Error(`Patch path not found: ${path}`);
+
+            if (Array.isArray(parent) && op === "add") {
+                parent.splice(key, 0, _clone(operation.value));
+            } else {
+                parent[key] = _clone(operation.value);
+            }
+            return document;
+        }
+        case "remove": {
+            const { parent, key } = _resolveParent(document, path, false);
+            if (!(key in parent)) throw new Error(`Patch path not found: ${path}`);
+            if (Array.isArray(parent)) {
+                parent.splice(key, 1);
+            } else {
+                delete parent[key];
+            }
+            return document;
+        }
+        case "move":
+        case "copy": {
+            const value = _getValue(document, operation.from);
+            if (op === "move") {
+                if (path.startsWith(`${operation.from}/`)) {
+                    throw new Error(`Cannot move ${operation.from} into itself`);
+                }
+                document = _applyOperation(document, { op: "remove", path: operation.from });
+            }
+            return _applyOperation(document, { op: "add", path, value });
+        }
+        case "test": {
+            if (!deepEqual(_getValue(document, path), operation.value)) {
+                throw new Error(`Patch test failed at ${path}`);
+            }
+            return document;
+        }
+        default:
+            throw new Error(`Unsupported patch operation: ${op}`);
+    }
+}
+
+/**
+ * Apply JSON Patch (RFC 6902) operations to a bundle, e.g. to replay the changes
+ * recorded with diffBundles. Entry segments may be array indexes, "ResourceType/id"
+ * or fullUrls. The input bundle is not modified
+ * @param {Object} bundle - Bundle (or any JSON document) to patch
+ * @param {Array} operations - Array of {op, path, value|from} operations
+ * @returns {Object} Patched copy of the bundle
+ * @throws {Error} If an operation is invalid, a path does not exist or a test fails
+ */
+function applyPatch(bundle, operations) {
+    if (!Array.isArray(operations)) {
+        throw new Error("applyPatch requires an array of operations");
+    }
+    return operations.reduce((document, operation) => _applyOperation(document, operation), _clone(bundle));
+}
+
+module.exports = {
+    diffBundles,
+    applyPatch
+};
@@ -0,0 +1,203 @@
+/**
+ * Multi-patient Bundles
+ * Find the patients of collection and searchset bundles, attribute resources to their
+ * patient through subject/patient references, and scope or split bundles per patient
+ * so extractors never mix data from different people
+ */
+
+const { getBundleIndex, parseReference, resolveReference } = require('./common');
+
+/**
+ * Elements referring to the patient a resource is about, in order of preference
+ */
+const PATIENT_REFERENCE_ELEMENTS = ["subject", "patient"];
+
+/**
+ * Get the patient reference of a resource
+ * @private
+ * @param {Object} resource - FHIR resource
+ * @returns {Object|null} Reference object or null if the resource has none
+ */
+function _getPatientReference(resource) {
+    for (const element of PATIENT_REFERENCE_ELEMENTS) {
+        const value = resource?.[element];
+        // ClinicalUseDefinition and similar resources have subject arrays of products
+        if (value && !Array.isArray(value) && typeof value === "object") return value;
+    }
+    return null;
+}
+
+/**
+ * Collect the patients of a bundle and of the bundles nested in its entries
+ * (collections of IPS documents, Bundle search results)
+ * @private
+ * @param {Object} bundle - FHIR Bundle
+ * @returns {Array} Array of {patient, entry, container (bundle holding the patient)}
+ */
+function _collectPatients(bundle) {
+    const index = getBundleIndex(bundle);
+    if (!index) return [];
+
+    return index.memo("patients:list", () => [
+        ...index.getResourcesByType("Patient").map(patient => ({
+            patient,
+            entry: index.getEntry(patient),
+            container: bundle
+        })),
+        ...index.getResourcesByType("Bundle").flatMap(nested => _collectPatients(nested))
+    ]);
+}
+
+/**
+ * Check if a patient matches a selector
+ * @private
+ * @param {Object} item - _collectPatients item
+ * @param {string|Object|Function} selector - Patient selector (see scopeBundleToPatient)
+ * @returns {boolean} True if the patient is selected
+ */
+function _matchesSelector(item, selector) {
+    const { patient, entry } = item;
+    if (typeof selector === "function") return Boolean(selector(patient));
+    if (typeof selector === "string") {
+        return selector === patient.id || selector === `Patient/${patient.id}` || selector === entry?.fullUrl;
+    }
+    if (selector?.resourceType === "Patient") {
+        return selector === patient || (selector.id !== undefined && selector.id === patient.id);
+    }
+    return false;
+}
+
+/**
+ * Check if an entry of a bundle may be shown for a patient: its patient reference
+ * points to the patient, or it has no patient reference (shared resources such as
+ * Medication, Organization or Practitioner)
+ * @private
+ * @param {Object} entry - Bundle entry
+ * @param {Object} patient - Patient resource
+ * @param {Array} entries - Entries of the bundle
+ * @returns {boolean} True if the entry belongs to the patient or is shared
+ */
+function _belongsToPatient(entry, patient, entries) {
+    const resource = entry?.resource;
+    if (!resource) return false;
+    if (resource.resourceType === "Patient") return resource === patient;
+    if (resource.resourceType === "Bundle") return false;
+
+    const reference = _getPatientReference(resource);
+    if (!reference) return true;
+
+    if (reference.reference) {
+        const target = resolveReference(reference, entries, { fullUrl: entry.fullUrl, resource });
+        if (target) return target === patient || target.resourceType !== "Patient";
+
+        // Unresolved: Patient/id references are compared by id, other typed references are shared
+        const parts = parseReference(reference.reference);
+        if (parts?.type === "Patient") return parts.id === patient.id;
+        return Boolean(parts?.type);
+    }
+
+    if (reference.identifier) {
+        return (patient.identifier || []).some(identifier =>
+            identifier.value === reference.identifier.value && identifier.system === reference.identifier.system
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Build the bundle of one patient from the bundle holding it
+ * @private
+ * @param {Object} container - Bundle holding the patient
+ * @param {Object} patient - Patient resource
+ * @returns {Object} Bundle with the patient, its resources and the shared resources
+ */
+function _getScopedBundle(container, patient) {
+    const index = getBundleIndex(container);
+    const patientCount = index.getResourcesByType("Patient").length;
+    if (patientCount === 1 && index.getResourcesByType("Bundle").length === 0) return container;
+
+    const scoped = {
+        ...container,
+        entry: container.entry.filter(entry => _belongsToPatient(entry, patient, container.entry))
+    };
+    delete scoped.total;
+    return scoped;
+}
+
+/**
+ * Get the patients of a bundle, including the patients of nested bundles
+ * (e.g. a collection of IPS documents or a searchset of Bundles)
+ * @param {Object} bundle - FHIR Bundle
+ * @returns {Array} Array of Patient resources
+ */
+function getPatients(bundle) {
+    return _collectPatients(bundle).map(item => item.patient);
+}
+
+/**
+ * Get the patient a resource is about, following its subject or patient reference
+ * @param {Object} resource - FHIR resource (a Patient is its own patient)
+ * @param {Object} bundle - FHIR Bundle holding the resource
+ * @returns {Object|null} Patient resource or null if the resource has no resolvable patient
+ */
+function getResourcePatient(resource, bundle) {
+    if (!resource) return null;
+    if (resource.resourceType === "Patient") return resource;
+
+    const index = getBundleIndex(bundle);
+    const reference = _getPatientReference(resource);
+    if (!index || !reference) return null;
+
+    const target = resolveReference(reference, index.entries, {
+        fullUrl: index.getEntry(resource)?.fullUrl,
+        resource
+    });
+    return target?.resourceType === "Patient" ? target : null;
+}
+
+/**
+ * Scope a bundle to one patient: the result holds the patient, the resources whose
+ * subject or patient reference points to it, and the resources without a patient
+ * reference (Medication, Organization, ...). Bundles with a single patient are
+ * returned as they are, and patients of nested bundles are scoped within their bundle.
+ * Without a selector, bundles with several patients are returned unscoped (extractors
+ * then read the resources of every patient, as they do without patient support)
+ * @param {Object} bundle - FHIR Bundle (document, collection or searchset)
+ * @param {string|Object|Function} [selector] - Patient id, "Patient/id" reference or
+ *   entry fullUrl, Patient resource, or predicate called with each Patient
+ * @returns {Object|null} Bundle of the patient, a bundle without entries when no patient
+ *   matches the selector, the bundle itself when no selector is given and it does not
+ *   have exactly one patient, or null for invalid input
+ */
+function scopeBundleToPatient(bundle, selector) {
+    if (!Array.isArray(bundle?.entry)) return null;
+
+    const patients = _collectPatients(bundle);
+    if (selector === undefined || selector === null) {
+        return patients.length === 1 ? _getScopedBundle(patients[0].container, patients[0].patient) : bundle;
+    }
+
+    const selected = patients.find(item => _matchesSelector(item, selector));
+    if (!selected) return { resourceType: "Bundle", type: bundle.type, entry: [] };
+    return _getScopedBundle(selected.container, selected.patient);
+}
+
+/**
+ * Split a bundle into one bundle per patient (see scopeBundleToPatient)
+ * @param {Object} bundle - FHIR Bundle (document, collection or searchset)
+ * @returns {Array} Array of {patient, bundle} in bundle order
+ */
+function splitBundleByPatient(bundle) {
+    return _collectPatients(bundle).map(({ patient, container }) => ({
+        patient,
+        bundle: _getScopedBundle(container, patient)
+    }));
+}
+
+module.exports = {
+    getPatients,
+    getResourcePatient,
+    scopeBundleToPatient,
+    splitBundleByPatient
+};
@@ -0,0 +1,242 @@
+/**
+ * Pregnancy and Breastfeeding Status
+ * Combine IPS pregnancy observations, pregnancy history and conditions into one
+ * status, so every pregnancy-related lens uses the same logic
+ */
+
+const { getResourcesByType, extractCodes } = require('./common');
+const { getPatientInfo, getPregnancyHistory } = require('./ips');
+const { scopeBundleToPatient } = require('./patients');
+const { addMonths } = require('../utils/common');
+
+/**
+ * Codes (SNOMED CT and LOINC answers) marking a positive or negative pregnancy or
+ * breastfeeding finding, as Observation values or Condition codes
+ */
+const PREGNANCY_STATUS_CODES = {
+    pregnant: ["77386006", "146799005", "152231000119106", "LA15173-0"],
+    notPregnant: ["60001007", "LA26683-5"],
+    breastfeeding: ["413712001", "69840006"],
+    notBreastfeeding: ["169750002"]
+};
+
+/**
+ * Condition clinical statuses meaning the condition no longer applies
+ */
+const INACTIVE_CLINICAL_STATUSES = ["inactive", "resolved", "remission"];
+
+/**
+ * Statuses of resources that must be ignored
+ */
+const IGNORED_STATUSES = ["entered-in-error", "cancelled", "refuted"];
+
+/**
+ * Parse a FHIR date/dateTime
+ * @private
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date or null
+ */
+function _parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Compare two items by date, most recent first (undated items last)
+ * @private
+ * @param {Function} getDate - Returns the date string of an item
+ * @returns {Function} Sort comparator
+ */
+function _byMostRecent(getDate) {
+    const time = item => _parseDate(getDate(item))?.getTime() ?? -Infinity;
+    return (a, b) => {
+        const timeA = time(a);
+        const timeB = time(b);
+        if (timeA === timeB) return 0;
+        return timeB > timeA ? 1 : -1;
+    };
+}
+
+/**
+ * Get the facets (pregnant/breastfeeding) and values asserted by a list of codes
+ * @private
+ * @param {Array} codes - Array of {code, system}
+ * @param {Object} statusCodes - PREGNANCY_STATUS_CODES-like table
+ * @returns {Array} Array of {facet, value, code}
+ */
+function _findingsFromCodes(codes, statusCodes) {
+    const findings = [];
+    const tables = [
+        ["pregnant", true, statusCodes.pregnant],
+        ["pregnant", false, statusCodes.notPregnant],
+        ["breastfeeding", true, statusCodes.breastfeeding],
+        ["breastfeeding", false, statusCodes.notBreastfeeding]
+    ];
+
+    codes.forEach(code => {
+        tables.forEach(([facet, value, list]) => {
+            if (list.includes(code.code)) findings.push({ facet, value, code: code.code });
+        });
+    });
+
+    return findings;
+}
+
+/**
+ * Collect evidence from Observation values (e.g. pregnancy status 82810-3)
+ * @private
+ */
+function _observationEvidence(ipsBundle, statusCodes) {
+    return getResourcesByType(ipsBundle, "Observation")
+        .filter(obs => !IGNORED_STATUSES.includes(obs.status))
+        .flatMap(obs => _findingsFromCodes(extractCodes(obs.valueCodeableConcept), statusCodes).map(finding => ({
+            ...finding,
+            date: obs.effectiveDateTime || obs.effectivePeriod?.start || obs.issued || null,
+            resourceType: "Observation",
+            id: obs.id,
+            reason: finding.value ? "positive-finding" : "negative-finding"
+        })));
+}
+
+/**
+ * Collect evidence from Conditions (active: positive, resolved/inactive: negative)
+ * @private
+ */
+function _conditionEvidence(ipsBundle, statusCodes) {
+    return getResourcesByType(ipsBundle, "Condition")
+        .filter(condition => !IGNORED_STATUSES.includes(condition.verificationStatus?.coding?.[0]?.code))
+        .flatMap(condition => {
+            const inactive = INACTIVE_CLINICAL_STATUSES.includes(condition.clinicalStatus?.coding?.[0]?.code);
+            return _findingsFromCodes(extractCodes(condition.code), statusCodes).map(finding => ({
+                ...finding,
+                value: inactive ? false : finding.value,
+                date: (inactive && (condition.abatementDateTime || condition.abatementPeriod?.end)) ||
+                    condition.recordedDate || condition.onsetDateTime || condition.onsetPeriod?.start || null,
+                resourceType: "Condition",
+                id: condition.id,
+                reason: inactive ? "resolved-condition" : "active-condition"
+            }));
+        });
+}
+
+/**
+ * Check if a delivery date is after the reference date and within the pregnancy window
+ * @private
+ * @param {string} value - Delivery date
+ * @param {Date} referenceDate - Reference date
+ * @param {number} pregnancyMonths - Pregnancy window in months
+ * @returns {boolean} True if the date is upcoming
+ */
+function _isUpcoming(value, referenceDate, pregnancyMonths) {
+    const date = _parseDate(value);
+    return Boolean(date) && date > referenceDate && date <= addMonths(referenceDate, pregnancyMonths);
+}
+
+/**
+ * Collect evidence from expected delivery dates: a date in the coming months means
+ * pregnant, a past date means delivered (not pregnant, possibly breastfeeding)
+ * @private
+ */
+function _deliveryDateEvidence(history, referenceDate, pregnancyMonths, postpartumMonths) {
+    return history
+        .filter(obs => obs.topic === "expected-delivery" && _parseDate(obs.valueDateTime))
+        .flatMap(obs => {
+            const deliveryDate = _parseDate(obs.valueDateTime);
+            const base = {
+                date: obs.effectiveDateTime || null,
+                resourceType: "Observation",
+                id: obs.id,
+                code: obs.codes[0]?.code
+            };
+
+            if (deliveryDate > referenceDate) {
+                if (!_isUpcoming(obs.valueDateTime, referenceDate, pregnancyMonths)) return [];
+                return [{ ...base, facet: "pregnant", value: true, reason: "expected-delivery" }];
+            }
+
+            const evidence = [{ ...base, date: base.date || obs.valueDateTime, facet: "pregnant", value: false, reason: "delivered" }];
+            if (deliveryDate >= addMonths(referenceDate, -postpartumMonths)) {
+                evidence.push({ ...base, date: obs.valueDateTime, facet: "breastfeeding", value: true, reason: "recent-delivery" });
+            }
+            return evidence;
+        });
+}
+
+/**
+ * Compute the pregnancy and breastfeeding status of the IPS patient.
+ * Each facet follows its most recent evidence (undated evidence counts as oldest),
+ * so a later "not pregnant" finding overrides an earlier positive one. Evidence dated
+ * after the reference date is ignored, and positive evidence older than the pregnancy
+ * (or postpartum) window is marked expired
+ * @param {Object} ipsBundle - IPS FHIR Bundle
+ * @param {Object} options - {referenceDate: Date or string (default: now),
+ *   minAge: 14, maxAge: 60 (childbearing age is minAge <= age < maxAge),
+ *   pregnancyMonths: 10 (how far ahead an expected delivery date means pregnant, and
+ *   how long a positive pregnancy finding lasts), postpartumMonths: 24 (how long after
+ *   delivery the patient counts as breastfeeding), codes: overrides of PREGNANCY_STATUS_CODES,
+ *   patient: patient selector (see scopeBundleToPatient)}
+ * @returns {Object} {childbearingAge, pregnant, breastfeeding, expectedDeliveryDate, evidence},
+ *   where childbearingAge is null when gender or age is unknown, expectedDeliveryDate is the
+ *   most recently recorded delivery date if it is after the reference date and within
+ *   pregnancyMonths (null otherwise, e.g. once the date has passed) and evidence is an array of
+ *   {facet, value, date, resourceType, id, code, reason, expired}, most recent first
+ */
+function getPregnancyStatus(ipsBundle, options = {}) {
+    ipsBundle = scopeBundleToPatient(ipsBundle, options.patient);
+    const referenceDate = _parseDate(options.referenceDate) || new Date();
+    const { minAge = 14, maxAge = 60, pregnancyMonths = 10, postpartumMonths = 24 } = options;
+    const statusCodes = { ...PREGNANCY_STATUS_CODES, ...options.codes };
+
+    const patient = getPatientInfo(ipsBundle, { referenceDate });
+    const age = patient?.age ?? null;
+    let childbearingAge = null;
+    if ((patient?.gender && patient.gender !== "female") || (age !== null && (age < minAge || age >= maxAge))) {
+        childbearingAge = false;
+    } else if (patient?.gender === "female" && age !== null) {
+        childbearingAge = true;
+    }
+
+    const history = getPregnancyHistory(ipsBundle)
+        .filter(obs => !IGNORED_STATUSES.includes(obs.status))
+        .filter(obs => !(_parseDate(obs.effectiveDateTime) > referenceDate));
+
+    const windows = {
+        pregnant: addMonths(referenceDate, -pregnancyMonths),
+        breastfeeding: addMonths(referenceDate, -postpartumMonths)
+    };
+    const evidence = [
+        ..._observationEvidence(ipsBundle, statusCodes),
+        ..._conditionEvidence(ipsBundle, statusCodes),
+        ..._deliveryDateEvidence(history, referenceDate, pregnancyMonths, postpartumMonths)
+    ]
+        .filter(item => !(_parseDate(item.date) > referenceDate))
+        .map(item => ({
+            ...item,
+            expired: Boolean(item.value && _parseDate(item.date) && _parseDate(item.date) < windows[item.facet])
+        }))
+        .sort(_byMostRecent(item => item.date));
+
+    const latest = facet => evidence.find(item => item.facet === facet && !item.expired);
+
+    const deliveryObservation = history
+        .filter(obs => obs.topic === "expected-delivery" && obs.valueDateTime)
+        .sort(_byMostRecent(obs => obs.effectiveDateTime))[0];
+    // Past delivery dates and dates beyond the pregnancy window are not expected deliveries
+    const expectedDeliveryDate = _isUpcoming(deliveryObservation?.valueDateTime, referenceDate, pregnancyMonths)
+        ? deliveryObservation.valueDateTime
+        : null;
+
+    return {
+        childbearingAge,
+        pregnant: latest("pregnant")?.value === true,
+        breastfeeding: latest("breastfeeding")?.value === true,
+        expectedDeliveryDate,
+        evidence
+    };
+}
+
+module.exports = {
+    PREGNANCY_STATUS_CODES,
+    getPregnancyStatus
+};
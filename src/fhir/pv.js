@@ -4,7 +4,8 @@
  * Persona Vectors contain dimension observations used for ePI focusing
  */
 
-const { getResourcesByType, extractCodes } = require('./common');
+const { getResourcesByType, getBundleIndex, extractCodes } = require('./common');
+const { PROFILES, validateResource } = require('./validator');
 
 /**
  * Persona dimension code system
@@ -28,9 +29,11 @@ const DIMENSION_CODES = {
 /**
  * Validate if bundle is a Persona Vector collection
  * @param {Object} pvBundle - Persona Vector FHIR Bundle
- * @returns {Object} {valid: boolean, errors: Array}
+ * @param {Object} options - {strict: also validate against the persona-collection
+ *   profile snapshot and return its issues}
+ * @returns {Object} {valid: boolean, errors: Array} (plus issues: Array in strict mode)
  */
-function validatePersonaVector(pvBundle) {
+function validatePersonaVector(pvBundle, options = {}) {
     const errors = [];
 
     if (!pvBundle) {
@@ -57,6 +60,14 @@ function validatePersonaVector(pvBundle) {
         errors.push("No Observation resources found in bundle");
     }
 
+    if (options.strict) {
+        const outcome = validateResource(pvBundle, PROFILES.PERSONA_COLLECTION);
+        outcome.issue
+            .filter(issue => issue.severity === "error")
+            .forEach(issue => errors.push(issue.diagnostics));
+        return { valid: errors.length === 0, errors, issues: outcome.issue };
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -66,8 +77,18 @@ function validatePersonaVector(pvBundle) {
  * @returns {Array} Array of observations with extracted information
  */
 function getAllDimensions(pvBundle) {
-    const observations = getResourcesByType(pvBundle, "Observation");
-    
+    if (!Array.isArray(pvBundle?.entry)) return [];
+
+    return _parseDimensions(getBundleIndex(pvBundle).getResourcesByType("Observation"));
+}
+
+/**
+ * Parse dimension observations
+ * @private
+ * @param {Array} observations - Observation resources
+ * @returns {Array} Array of dimensions
+ */
+function _parseDimensions(observations) {
     return observations.map(obs => {
         const dimension = {
             id: obs.id,
@@ -0,0 +1,317 @@
+/**
+ * FHIR Profile Validation
+ * Validate resources against StructureDefinition snapshots (cardinality,
+ * fixed/pattern values and bindings) and report OperationOutcome-like issues
+ */
+
+const { readTerminologyResources } = require('../terminology/loader');
+const { isInValueSet } = require('../terminology/valueset');
+const { deepEqual, isObject } = require('../utils/common');
+
+/**
+ * Condensed snapshots shipped with the library
+ */
+const SHIPPED_STRUCTURE_DEFINITIONS = [
+    require('./profiles/Bundle-uv-epi.json'),
+    require('./profiles/Composition-uv-epi.json'),
+    require('./profiles/Bundle-uv-ips.json'),
+    require('./profiles/Composition-uv-ips.json'),
+    require('./profiles/persona-collection.json')
+];
+
+/**
+ * ValueSets referenced by required bindings of the shipped snapshots
+ */
+const SHIPPED_VALUE_SETS = [
+    require('./profiles/ValueSet-composition-status.json')
+];
+
+/**
+ * Canonical URLs of the shipped profiles
+ */
+const PROFILES = {
+    EPI_BUNDLE: "http://hl7.org/fhir/uv/emedicinal-product-info/StructureDefinition/Bundle-uv-epi",
+    EPI_COMPOSITION: "http://hl7.org/fhir/uv/emedicinal-product-info/StructureDefinition/Composition-uv-epi",
+    IPS_BUNDLE: "http://hl7.org/fhir/uv/ips/StructureDefinition/Bundle-uv-ips",
+    IPS_COMPOSITION: "http://hl7.org/fhir/uv/ips/StructureDefinition/Composition-uv-ips",
+    PERSONA_COLLECTION: "http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/persona-collection"
+};
+
+/**
+ * Registered StructureDefinitions, keyed by canonical URL
+ */
+const registeredStructureDefinitions = new Map();
+
+/**
+ * Register StructureDefinitions (with snapshot) for validateResource
+ * @param {Object|Array|string} source - StructureDefinition resource, Bundle, array,
+ *   JSON string, or path to a local JSON file (Node.js)
+ * @returns {Array} Array of registered StructureDefinition resources
+ * @throws {Error} If the source is invalid or a StructureDefinition has no url or snapshot
+ */
+function loadStructureDefinition(source) {
+    const structureDefinitions = readTerminologyResources(source, "StructureDefinition");
+    structureDefinitions.forEach(structureDefinition => {
+        if (!structureDefinition.url) {
+            throw new Error(`StructureDefinition ${structureDefinition.id || ""} has no url`);
+        }
+        if (!Array.isArray(structureDefinition.snapshot?.element)) {
+            throw new Error(`StructureDefinition ${structureDefinition.url} has no snapshot`);
+        }
+        registeredStructureDefinitions.set(structureDefinition.url, structureDefinition);
+    });
+    return structureDefinitions;
+}
+
+/**
+ * Get a StructureDefinition by canonical URL (registered first, then shipped)
+ * @param {string} url - Canonical URL (a "|version" suffix is ignored)
+ * @returns {Object|null} StructureDefinition or null
+ */
+function getStructureDefinition(url) {
+    if (!url) return null;
+    const canonical = url.split("|")[0];
+    return registeredStructureDefinitions.get(canonical) ||
+        SHIPPED_STRUCTURE_DEFINITIONS.find(sd => sd.url === canonical) ||
+        null;
+}
+
+/**
+ * Remove all registered StructureDefinitions (shipped snapshots stay available)
+ */
+function clearStructureDefinitions() {
+    registeredStructureDefinitions.clear();
+}
+
+/**
+ * Resolve a StructureDefinition argument (resource or canonical URL)
+ * @private
+ * @param {Object|string} structureDefinition - StructureDefinition or canonical URL
+ * @returns {Object} StructureDefinition
+ * @throws {Error} If the URL is unknown or the snapshot is missing
+ */
+function _resolveStructureDefinition(structureDefinition) {
+    const resolved = typeof structureDefinition === "string"
+        ? getStructureDefinition(structureDefinition)
+        : structureDefinition;
+    if (!resolved) {
+        throw new Error(`StructureDefinition ${structureDefinition} is not loaded`);
+    }
+    if (!Array.isArray(resolved.snapshot?.element)) {
+        throw new Error(`StructureDefinition ${resolved.url || resolved.id || ""} has no snapshot`);
+    }
+    return resolved;
+}
+
+/**
+ * Create an OperationOutcome issue
+ * @private
+ */
+function _issue(severity, code, diagnostics, expression) {
+    return { severity, code, diagnostics, expression: [expression] };
+}
+
+/**
+ * Get the child values of a node for an element name (handles choice types "value[x]")
+ * @private
+ * @param {Object} node - {value, path}
+ * @param {string} name - Element name (last path segment)
+ * @returns {Array} Array of {value, path}
+ */
+function _getChildren(node, name) {
+    if (!isObject(node.value) || Array.isArray(node.value)) return [];
+
+    const keys = name.endsWith("[x]")
+        ? Object.keys(node.value).filter(key => {
+            const prefix = name.slice(0, -3);
+            return key.startsWith(prefix) && /^[A-Z]/.test(key.slice(prefix.length));
+        })
+        : [name];
+
+    return keys.flatMap(key => {
+        const value = node.value[key];
+        if (value === undefined || value === null) return [];
+        if (Array.isArray(value)) {
+            return value.map((item, i) => ({ value: item, path: `${node.path}.${key}[${i}]` }));
+        }
+        return [{ value, path: `${node.path}.${key}` }];
+    });
+}
+
+/**
+ * Check if a value contains a pattern (every pattern property present with
+ * matching values; every pattern array item matched by some value item)
+ * @private
+ */
+function _matchesPattern(value, pattern) {
+    if (Array.isArray(pattern)) {
+        return Array.isArray(value) && pattern.every(p => value.some(v => _matchesPattern(v, p)));
+    }
+    if (isObject(pattern)) {
+        return isObject(value) && Object.keys(pattern).every(key => _matchesPattern(value[key], pattern[key]));
+    }
+    return value === pattern;
+}
+
+/**
+ * Get the value of the first property with a given prefix (e.g. fixed[x], pattern[x])
+ * @private
+ */
+function _getPrefixedValue(element, prefix) {
+    const key = Object.keys(element).find(k => k.startsWith(prefix) && /^[A-Z]/.test(k.slice(prefix.length)));
+    return key ? element[key] : undefined;
+}
+
+/**
+ * Check a value against an element binding
+ * @private
+ */
+function _checkBinding(node, element, options, issues) {
+    const binding = element.binding;
+    if (!binding?.valueSet || !["required", "extensible"].includes(binding.strength)) return;
+
+    const url = binding.valueSet.split("|")[0];
+    const valueSet = (options.valueSets || []).find(vs => vs.url === url) ||
+        SHIPPED_VALUE_SETS.find(vs => vs.url === url) ||
+        url;
+
+    const value = node.value;
+    const coding = typeof value === "string" || value?.coding || value?.code !== undefined ? value : null;
+    if (!coding) return;
+
+    let member;
+    try {
+        member = isInValueSet(coding, valueSet);
+    } catch (e) {
+        issues.push(_issue("information", "not-supported",
+            `${element.path}: binding to ${url} not checked (${e.message})`, node.path));
+        return;
+    }
+
+    if (!member) {
+        issues.push(_issue(
+            binding.strength === "required" ? "error" : "warning",
+            "code-invalid",
+            `${element.path}: value is not in the ${binding.strength} ValueSet ${url}`,
+            node.path
+        ));
+    }
+}
+
+/**
+ * Validate a resource against a snapshot
+ * @private
+ */
+function _validateAgainstSnapshot(resource, structureDefinition, rootPath, options) {
+    const issues = [];
+    const elements = structureDefinition.snapshot.element;
+    const rootType = elements[0]?.path?.split(".")[0] || structureDefinition.type;
+
+    if (resource?.resourceType !== rootType) {
+        issues.push(_issue("error", "structure",
+            `Expected a ${rootType} resource, got ${resource?.resourceType || "unknown"}`, rootPath));
+        return issues;
+    }
+
+    // Nodes matching each element path, computed parent-first
+    const nodesByPath = new Map([[rootType, [{ value: resource, path: rootPath }]]]);
+
+    elements.forEach(element => {
+        const path = element.path;
+        // Slices and their children are not evaluated
+        if (!path || !path.includes(".") || element.sliceName || (element.id || "").includes(":")) return;
+
+        const segments = path.split(".");
+        const name = segments.pop();
+        const parents = nodesByPath.get(segments.join(".")) || [];
+        const allChildren = [];
+
+        parents.forEach(parent => {
+            const children = _getChildren(parent, name);
+            allChildren.push(...children);
+
+            if (typeof element.min === "number" && children.length < element.min) {
+                issues.push(_issue("error", "required",
+                    `${path}: minimum required = ${element.min}, but only found ${children.length}`,
+                    `${parent.path}.${name}`));
+            }
+            if (element.max && element.max !== "*" && children.length > Number(element.max)) {
+                issues.push(_issue("error", "structure",
+                    `${path}: maximum allowed = ${element.max}, but found ${children.length}`,
+                    `${parent.path}.${name}`));
+            }
+        });
+
+        const fixed = _getPrefixedValue(element, "fixed");
+        const pattern = _getPrefixedValue(element, "pattern");
+
+        allChildren.forEach(child => {
+            if (fixed !== undefined && !deepEqual(child.value, fixed)) {
+                issues.push(_issue("error", "value",
+                    `${path}: value must be exactly ${JSON.stringify(fixed)}`, child.path));
+            }
+            if (pattern !== undefined && !_matchesPattern(child.value, pattern)) {
+                issues.push(_issue("error", "value",
+                    `${path}: value must match pattern ${JSON.stringify(pattern)}`, child.path));
+            }
+            _checkBinding(child, element, options, issues);
+        });
+
+        nodesByPath.set(path, allChildren);
+    });
+
+    return issues;
+}
+
+/**
+ * Validate a resource against a StructureDefinition snapshot
+ * @param {Object} resource - FHIR resource to validate
+ * @param {Object|string} structureDefinition - StructureDefinition with snapshot, or canonical URL
+ *   of a registered or shipped profile
+ * @param {Object} options - {profiles: {resourceType: StructureDefinition|url} applied to
+ *   Bundle entry resources, valueSets: ValueSets used for bindings (in addition to loaded ones)}
+ * @returns {Object} OperationOutcome-like {resourceType, issue: [{severity, code, diagnostics, expression}]}
+ * @throws {Error} If the StructureDefinition is unknown or has no snapshot
+ */
+function validateResource(resource, structureDefinition, options = {}) {
+    const profile = _resolveStructureDefinition(structureDefinition);
+    const rootPath = resource?.resourceType || profile.type || "Resource";
+    const issues = _validateAgainstSnapshot(resource, profile, rootPath, options);
+
+    if (resource?.resourceType === "Bundle" && options.profiles && Array.isArray(resource.entry)) {
+        resource.entry.forEach((entry, i) => {
+            const entryProfile = options.profiles[entry?.resource?.resourceType];
+            if (!entryProfile) return;
+            issues.push(..._validateAgainstSnapshot(
+                entry.resource,
+                _resolveStructureDefinition(entryProfile),
+                `Bundle.entry[${i}].resource`,
+                options
+            ));
+        });
+    }
+
+    return {
+        resourceType: "OperationOutcome",
+        issue: issues
+    };
+}
+
+/**
+ * Check if an OperationOutcome has no error or fatal issues
+ * @param {Object} outcome - OperationOutcome returned by validateResource
+ * @returns {boolean} True if valid
+ */
+function isValidOutcome(outcome) {
+    if (!Array.isArray(outcome?.issue)) return false;
+    return !outcome.issue.some(issue => issue.severity === "error" || issue.severity === "fatal");
+}
+
+module.exports = {
+    PROFILES,
+    loadStructureDefinition,
+    getStructureDefinition,
+    clearStructureDefinitions,
+    validateResource,
+    isValidOutcome
+};
@@ -0,0 +1,204 @@
+/**
+ * FHIR Version Detection and Normalization
+ * Detect whether a bundle or resource is FHIR R4, R4B or R5, and read elements
+ * whose shape changed between versions
+ */
+
+/**
+ * fhirVersion prefixes and their release names
+ */
+const FHIR_VERSION_PREFIXES = [
+    ["4.0", "R4"],
+    ["4.1", "R4B"],
+    ["4.3", "R4B"],
+    ["5.0", "R5"]
+];
+
+/**
+ * Implementation guide canonical prefixes with a known FHIR version
+ */
+const PROFILE_VERSIONS = [
+    ["http://hl7.org/fhir/uv/emedicinal-product-info/", "R5"],
+    ["http://hl7.org/fhir/uv/ips/", "R4"],
+    ["http://hl7.eu/fhir/ig/gravitate-health/", "R4"],
+    ["http://hl7.org/fhir/5.0/", "R5"],
+    ["http://hl7.org/fhir/4.3/", "R4B"],
+    ["http://hl7.org/fhir/4.0/", "R4"]
+];
+
+/**
+ * Resource types introduced in R4B (also present in R5)
+ */
+const R4B_RESOURCE_TYPES = [
+    "AdministrableProductDefinition",
+    "ClinicalUseDefinition",
+    "Ingredient",
+    "ManufacturedItemDefinition",
+    "MedicinalProductDefinition",
+    "PackagedProductDefinition",
+    "RegulatedAuthorization",
+    "SubscriptionTopic"
+];
+
+/**
+ * Medication resources whose medication[x] became a CodeableReference in R5
+ */
+const MEDICATION_RESOURCE_TYPES = [
+    "MedicationStatement",
+    "MedicationRequest",
+    "MedicationDispense",
+    "MedicationAdministration"
+];
+
+/**
+ * Map a fhirVersion string (e.g. "4.0.1", "5.0.0") to a release name
+ * @private
+ * @param {string} fhirVersion - FHIR version
+ * @returns {string|null} "R4", "R4B", "R5" or null
+ */
+function _releaseFromVersion(fhirVersion) {
+    if (typeof fhirVersion !== "string") return null;
+    const match = FHIR_VERSION_PREFIXES.find(([prefix]) => fhirVersion.startsWith(prefix));
+    return match ? match[1] : null;
+}
+
+/**
+ * Detect the FHIR version from declared profiles
+ * @private
+ * @param {Array} resources - Resources to inspect
+ * @returns {string|null} Release name or null
+ */
+function _releaseFromProfiles(resources) {
+    for (const resource of resources) {
+        for (const profile of resource?.meta?.profile || []) {
+            const [url, version] = String(profile).split("|");
+            const fromVersion = version && url.startsWith("http://hl7.org/fhir/StructureDefinition/")
+                ? _releaseFromVersion(version)
+                : null;
+            if (fromVersion) return fromVersion;
+
+            const match = PROFILE_VERSIONS.find(([prefix]) => url.startsWith(prefix));
+            if (match) return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Check if a resource uses an element shape only found in R5
+ * @private
+ * @param {Object} resource - FHIR resource
+ * @returns {boolean} True if R5-only shapes are present
+ */
+function _hasR5Shape(resource) {
+    if (!resource) return false;
+    switch (resource.resourceType) {
+        case "MedicationStatement":
+        case "MedicationRequest":
+        case "MedicationDispense":
+        case "MedicationAdministration":
+            return resource.medication !== undefined;
+        case "Medication":
+            return (resource.ingredient || []).some(ingredient => ingredient.item !== undefined);
+        case "AllergyIntolerance":
+            return typeof resource.type === "object" && resource.type !== null;
+        case "Composition":
+            return Array.isArray(resource.subject);
+        case "Condition":
+            return Array.isArray(resource.participant);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check if a resource uses an element shape only found in R4/R4B
+ * @private
+ * @param {Object} resource - FHIR resource
+ * @returns {boolean} True if R4/R4B-only shapes are present
+ */
+function _hasR4Shape(resource) {
+    if (!resource) return false;
+    if (MEDICATION_RESOURCE_TYPES.includes(resource.resourceType)) {
+        return resource.medicationCodeableConcept !== undefined || resource.medicationReference !== undefined;
+    }
+    if (resource.resourceType === "Medication") {
+        return (resource.ingredient || []).some(ingredient =>
+            ingredient.itemCodeableConcept !== undefined || ingredient.itemReference !== undefined
+        );
+    }
+    if (resource.resourceType === "AllergyIntolerance") {
+        return typeof resource.type === "string";
+    }
+    return false;
+}
+
+/**
+ * Detect the FHIR version of a bundle or resource, from an explicit fhirVersion,
+ * declared meta.profile canonicals, or the shape of its resources
+ * @param {Object} input - FHIR Bundle or resource
+ * @returns {string|null} "R4", "R4B", "R5" or null if it cannot be determined
+ */
+function detectFHIRVersion(input) {
+    if (!input || typeof input !== "object") return null;
+
+    const explicit = _releaseFromVersion(input.fhirVersion);
+    if (explicit) return explicit;
+
+    const resources = input.resourceType === "Bundle"
+        ? [input, ...(input.entry || []).map(entry => entry?.resource).filter(Boolean)]
+        : [input];
+
+    const fromProfiles = _releaseFromProfiles(resources);
+    if (fromProfiles) return fromProfiles;
+
+    if (resources.some(_hasR5Shape)) return "R5";
+    const hasR4BTypes = resources.some(resource => R4B_RESOURCE_TYPES.includes(resource.resourceType));
+    if (resources.some(_hasR4Shape)) return hasR4BTypes ? "R4B" : "R4";
+    return hasR4BTypes ? "R4B" : null;
+}
+
+/**
+ * Get the medication of a medication resource as a CodeableReference-like object,
+ * whatever the FHIR version (R4 medicationCodeableConcept/medicationReference, R5 medication)
+ * @param {Object} resource - MedicationStatement, MedicationRequest, MedicationDispense or MedicationAdministration
+ * @returns {Object} {concept: CodeableConcept|null, reference: Reference|null}
+ */
+function getMedicationElement(resource) {
+    const medication = resource?.medication;
+    return {
+        concept: medication?.concept || resource?.medicationCodeableConcept || null,
+        reference: medication?.reference || resource?.medicationReference || null
+    };
+}
+
+/**
+ * Get the item of a Medication.ingredient as a CodeableReference-like object
+ * (R4 itemCodeableConcept/itemReference, R5 item)
+ * @param {Object} ingredient - Medication.ingredient element
+ * @returns {Object} {concept: CodeableConcept|null, reference: Reference|null}
+ */
+function getIngredientItem(ingredient) {
+    return {
+        concept: ingredient?.item?.concept || ingredient?.itemCodeableConcept || null,
+        reference: ingredient?.item?.reference || ingredient?.itemReference || null
+    };
+}
+
+/**
+ * Read a code from an element that is a code in one version and a CodeableConcept
+ * in another (e.g. AllergyIntolerance.type)
+ * @param {string|Object} element - Code string or CodeableConcept
+ * @returns {string|undefined} Code value
+ */
+function getCodeValue(element) {
+    if (typeof element === "string") return element;
+    return element?.coding?.[0]?.code;
+}
+
+module.exports = {
+    detectFHIRVersion,
+    getMedicationElement,
+    getIngredientItem,
+    getCodeValue
+};
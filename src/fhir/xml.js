@@ -0,0 +1,433 @@
+/**
+ * FHIR XML Support
+ * Convert FHIR XML resources and bundles to the FHIR JSON representation used by
+ * the rest of the library, and serialize FHIR JSON back to XML
+ */
+
+const { detectFHIRVersion } = require('./version');
+const { hasTypeDefinition, getElementDefinition, sortElementNames } = require('./definitions');
+
+const FHIR_NAMESPACE = "http://hl7.org/fhir";
+const XHTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+/**
+ * Fallbacks for elements of types without an element definition (resources and
+ * datatypes fhir/definitions.js does not model): element names that repeat (0..*)
+ * wherever they appear
+ */
+const REPEATING_ELEMENTS = new Set([
+    "extension", "modifierExtension", "contained", "coding", "identifier", "telecom",
+    "given", "prefix", "suffix", "line", "profile", "tag", "security", "link", "entry",
+    "section", "note", "category", "contact", "relationship", "communication",
+    "generalPractitioner", "author", "attester", "event", "reaction", "manifestation",
+    "dosage", "dosageInstruction", "doseAndRate", "additionalInstruction", "component",
+    "referenceRange", "interpretation", "hasMember", "derivedFrom", "basedOn", "partOf",
+    "reasonCode", "reasonReference", "evidence", "stage", "ingredient", "when",
+    "dayOfWeek", "timeOfDay", "qualification", "alias", "participant", "asNeededFor"
+]);
+
+/**
+ * Fallback: elements holding a resource (<resource><Patient>...</Patient></resource>)
+ */
+const RESOURCE_CONTAINER_ELEMENTS = new Set(["resource", "contained", "outcome"]);
+
+/**
+ * Fallback: non-choice primitive elements that are numbers or booleans in FHIR JSON
+ */
+const NUMBER_ELEMENTS = new Set([
+    "total", "rank", "sequence", "count", "countMax", "frequency", "frequencyMax",
+    "period", "periodMax", "duration", "durationMax", "offset", "size", "score",
+    "factor", "quantity"
+]);
+
+const BOOLEAN_ELEMENTS = new Set([
+    "active", "experimental", "userSelected", "preferred", "inactive", "abstract",
+    "immutable", "lockedDate", "doNotPerform", "asNeeded"
+]);
+
+/**
+ * Fallback: complex types whose "value" element is a string (all other "value"
+ * elements belong to Quantity or Money and are decimals)
+ */
+const STRING_VALUE_PARENTS = new Set(["identifier", "telecom", "valueIdentifier", "valueContactPoint"]);
+
+/**
+ * Fallback: types of elements found in types without an element definition
+ */
+const FALLBACK_TYPES = {
+    extension: "Extension",
+    modifierExtension: "Extension",
+    meta: "Meta",
+    coding: "Coding"
+};
+
+/**
+ * Extension elements, written first in types without an element definition
+ */
+const EXTENSION_ELEMENTS = ["extension", "modifierExtension"];
+
+/**
+ * Resource elements written before all others, in this order
+ */
+const RESOURCE_HEADER_ELEMENTS = [
+    "id", "meta", "implicitRules", "language", "text", "contained", "extension", "modifierExtension"
+];
+
+/**
+ * Cached window providing DOMParser and XMLSerializer in Node.js
+ * @private
+ */
+let xmlWindow = null;
+
+/**
+ * Get a window with DOMParser and XMLSerializer (browser window or JSDOM)
+ * @private
+ * @returns {Object} Window object
+ */
+function _getXMLWindow() {
+    if (typeof window !== "undefined" && window.DOMParser) return window;
+    if (!xmlWindow) {
+        let JSDOM;
+        try {
+            JSDOM = require("jsdom").JSDOM;
+        } catch (e) {
+            throw new Error("JSDOM is required for Node.js environment. Install with: npm install jsdom");
+        }
+        xmlWindow = new JSDOM("").window;
+    }
+    return xmlWindow;
+}
+
+/**
+ * Check if an element without an element definition repeats (and is therefore an
+ * array in FHIR JSON)
+ * @private
+ * @param {string} name - Element name
+ * @param {Element} parent - Parent XML element
+ * @returns {boolean} True if the element repeats
+ */
+function _isRepeating(name, parent) {
+    // Reference.identifier is 0..1
+    if (name === "identifier" && _childElements(parent).some(node => ["reference", "display"].includes(node.localName))) {
+        return false;
+    }
+    return REPEATING_ELEMENTS.has(name);
+}
+
+/**
+ * Convert a primitive value attribute to its JSON type
+ * @private
+ * @param {string} value - Value attribute
+ * @param {Object|null} definition - Element definition (from fhir/definitions.js)
+ * @param {string} name - Element name (used without a definition)
+ * @param {string} parentName - Name of the parent element (used without a definition)
+ * @returns {string|number|boolean} JSON value
+ */
+function _primitiveValue(value, definition, name, parentName) {
+    const isNumber = definition
+        ? definition.json === "number"
+        : /[a-z](Integer|Decimal|PositiveInt|UnsignedInt)$/.test(name) ||
+            NUMBER_ELEMENTS.has(name) ||
+            (name === "value" && !STRING_VALUE_PARENTS.has(parentName));
+    const isBoolean = definition
+        ? definition.json === "boolean"
+        : /[a-z]Boolean$/.test(name) || BOOLEAN_ELEMENTS.has(name);
+
+    if (isBoolean && (value === "true" || value === "false")) return value === "true";
+    if (isNumber && /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+/**
+ * Get the FHIR-namespace child elements of an element
+ * @private
+ */
+function _childElements(element) {
+    return Array.from(element.childNodes).filter(node => node.nodeType === 1);
+}
+
+/**
+ * Get the definition and type of a child element
+ * @private
+ * @param {string|null} typeName - Type of the parent element (null if unknown)
+ * @param {string} name - Element name
+ * @param {string} version - FHIR version ("R4", "R4B" or "R5")
+ * @returns {Object} {definition: element definition or null, type: type name or null}
+ */
+function _childType(typeName, name, version) {
+    const definition = typeName ? getElementDefinition(typeName, name, version) : null;
+    return { definition, type: definition ? definition.type : FALLBACK_TYPES[name] || null };
+}
+
+/**
+ * Convert the children of an XML element into properties of a JSON object
+ * @private
+ * @param {Element} element - XML element
+ * @param {Object} target - JSON object to fill
+ * @param {string|null} typeName - FHIR type of the element (resource type, datatype or
+ *   backbone path such as "Bundle.entry"; null if unknown)
+ * @param {Object} context - {version, serializer}
+ */
+function _childrenToJSON(element, target, typeName, context) {
+    const groups = new Map();
+
+    _childElements(element).forEach(child => {
+        const name = child.localName;
+
+        if (name === "div" && child.namespaceURI === XHTML_NAMESPACE) {
+            target.div = context.serializer.serializeToString(child);
+            return;
+        }
+        if (child.namespaceURI !== FHIR_NAMESPACE) return;
+
+        const { definition, type } = _childType(typeName, name, context.version);
+        if (!groups.has(name)) groups.set(name, { values: [], extras: [], primitive: false, definition });
+        const group = groups.get(name);
+
+        if (child.hasAttribute("value")) {
+            group.primitive = true;
+            group.values.push(_primitiveValue(child.getAttribute("value"), definition, name, element.localName));
+
+            const extra = {};
+            if (child.hasAttribute("id")) extra.id = child.getAttribute("id");
+            _childrenToJSON(child, extra, null, context);
+            group.extras.push(Object.keys(extra).length > 0 ? extra : null);
+            return;
+        }
+
+        const isContainer = definition ? type === "Resource" : RESOURCE_CONTAINER_ELEMENTS.has(name);
+        const resourceElement = isContainer
+            ? _childElements(child).find(node => /^[A-Z]/.test(node.localName))
+            : null;
+        if (resourceElement) {
+            group.values.push(_resourceToJSON(resourceElement, context));
+            return;
+        }
+
+        const value = {};
+        if (child.hasAttribute("id")) value.id = child.getAttribute("id");
+        if (type === "Extension" && child.hasAttribute("url")) value.url = child.getAttribute("url");
+        _childrenToJSON(child, value, type, context);
+        group.values.push(value);
+    });
+
+    groups.forEach((group, name) => {
+        const repeating = group.values.length > 1 ||
+            (group.definition ? group.definition.repeating : _isRepeating(name, element));
+        target[name] = repeating ? group.values : group.values[0];
+
+        if (group.primitive && group.extras.some(extra => extra !== null)) {
+            target[`_${name}`] = repeating ? group.extras : group.extras[0];
+        }
+    });
+}
+
+/**
+ * Convert a resource XML element to FHIR JSON
+ * @private
+ * @param {Element} element - Resource element (e.g. <Patient>)
+ * @param {Object} context - {version, serializer}
+ * @returns {Object} FHIR resource
+ */
+function _resourceToJSON(element, context) {
+    const resource = { resourceType: element.localName };
+    _childrenToJSON(element, resource, element.localName, context);
+    return resource;
+}
+
+/**
+ * Parse a FHIR XML resource or bundle into its FHIR JSON representation
+ * (primitive extensions and ids become "_element" properties, narrative divs
+ * become XHTML strings, repeating elements become arrays)
+ * @param {string} xml - FHIR XML string
+ * @param {Object} options - {fhirVersion: "R4"|"R4B"|"R5" used for version-dependent
+ *   cardinalities; detected from the parsed resource if omitted}
+ * @returns {Object} FHIR resource (JSON)
+ * @throws {Error} If the XML is malformed or the root element is not in the FHIR namespace
+ */
+function parseFHIRXML(xml, options = {}) {
+    if (typeof xml !== "string" || xml.trim() === "") {
+        throw new Error("parseFHIRXML requires an XML string");
+    }
+
+    const xmlWindow = _getXMLWindow();
+    const document = new xmlWindow.DOMParser().parseFromString(xml.replace(/^\uFEFF/, ""), "application/xml");
+    const parserError = document.getElementsByTagName("parsererror")[0];
+    if (parserError) {
+        throw new Error(`Invalid FHIR XML: ${parserError.textContent.trim()}`);
+    }
+
+    const root = document.documentElement;
+    if (root.namespaceURI !== FHIR_NAMESPACE) {
+        throw new Error(`Expected a resource in the ${FHIR_NAMESPACE} namespace, got ${root.nodeName}`);
+    }
+
+    const serializer = new xmlWindow.XMLSerializer();
+    const convert = version => _resourceToJSON(root, { version, serializer });
+
+    if (options.fhirVersion) return convert(options.fhirVersion);
+    const resource = convert("R4");
+    const version = detectFHIRVersion(resource);
+    return version === "R4B" || version === "R5" ? convert(version) : resource;
+}
+
+/**
+ * Escape a string for use in an XML attribute
+ * @private
+ */
+function _escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/\n/g, "&#10;")
+        .replace(/\r/g, "&#13;")
+        .replace(/\t/g, "&#9;");
+}
+
+/**
+ * Order the keys of a JSON object for XML output: in the order of the type definition,
+ * or header and extension elements first for types without one
+ * @private
+ * @param {Object} object - JSON object
+ * @param {boolean} isResource - Whether the object is a resource
+ * @param {string|null} typeName - FHIR type of the object (null if unknown)
+ * @param {string} version - FHIR version ("R4", "R4B" or "R5")
+ * @returns {Array} Element names (without "_" prefixes)
+ */
+function _elementNames(object, isResource, typeName, version) {
+    const names = [];
+    Object.keys(object).forEach(key => {
+        const name = key.startsWith("_") ? key.slice(1) : key;
+        if (name === "resourceType" || name === "fhir_comments" || names.includes(name)) return;
+        names.push(name);
+    });
+
+    if (typeName && hasTypeDefinition(typeName, version)) return sortElementNames(typeName, names, version);
+
+    const header = isResource ? RESOURCE_HEADER_ELEMENTS : EXTENSION_ELEMENTS;
+    return [
+        ...header.filter(name => names.includes(name)),
+        ...names.filter(name => !header.includes(name))
+    ];
+}
+
+/**
+ * Write the elements of a JSON object as XML lines
+ * @private
+ * @param {Object} object - JSON object
+ * @param {boolean} isResource - Whether the object is a resource
+ * @param {Array} lines - Output lines ({depth, text})
+ * @param {number} depth - Nesting depth
+ * @param {string|null} typeName - FHIR type of the object (null if unknown)
+ * @param {Object} context - {version}
+ */
+function _writeElements(object, isResource, lines, depth, typeName, context) {
+    _elementNames(object, isResource, typeName, context.version).forEach(name => {
+        // Element ids and extension urls are attributes
+        if (!isResource && name === "id") return;
+        if (typeName === "Extension" && name === "url") return;
+
+        if (name === "div" && typeof object.div === "string") {
+            lines.push({ depth, text: object.div.trim() });
+            return;
+        }
+
+        const { definition, type } = _childType(typeName, name, context.version);
+        const isContainer = definition ? type === "Resource" : RESOURCE_CONTAINER_ELEMENTS.has(name);
+        const values = object[name] === undefined ? [] : [].concat(object[name]);
+        const extras = object[`_${name}`] === undefined ? [] : [].concat(object[`_${name}`]);
+        const count = Math.max(values.length, extras.length);
+
+        for (let i = 0; i < count; i++) {
+            const value = values[i];
+            const extra = extras[i];
+
+            if (value !== null && typeof value === "object") {
+                if (value.resourceType && isContainer) {
+                    lines.push({ depth, text: `<${name}>` });
+                    _writeResource(value, lines, depth + 1, false, context);
+                    lines.push({ depth, text: `</${name}>` });
+                } else {
+                    _writeElement(name, value, null, type, lines, depth, context);
+                }
+            } else if ((value !== undefined && value !== null) || extra) {
+                _writeElement(name, extra || {}, value, null, lines, depth, context);
+            }
+        }
+    });
+}
+
+/**
+ * Write a complex or primitive element as XML lines
+ * @private
+ * @param {string} name - Element name
+ * @param {Object} element - Element object (or the "_element" object of a primitive)
+ * @param {*} value - Primitive value (null for complex elements)
+ * @param {string|null} typeName - FHIR type of a complex element (null if unknown or primitive)
+ * @param {Array} lines - Output lines
+ * @param {number} depth - Nesting depth
+ * @param {Object} context - {version}
+ */
+function _writeElement(name, element, value, typeName, lines, depth, context) {
+    let attributes = "";
+    if (element.id !== undefined) attributes += ` id="${_escapeAttribute(element.id)}"`;
+    if (typeName === "Extension" && element.url !== undefined) {
+        attributes += ` url="${_escapeAttribute(element.url)}"`;
+    }
+    if (value !== undefined && value !== null) attributes += ` value="${_escapeAttribute(value)}"`;
+
+    const childLines = [];
+    _writeElements(element, false, childLines, depth + 1, typeName, context);
+
+    if (childLines.length === 0) {
+        lines.push({ depth, text: `<${name}${attributes}/>` });
+        return;
+    }
+    lines.push({ depth, text: `<${name}${attributes}>` });
+    lines.push(...childLines);
+    lines.push({ depth, text: `</${name}>` });
+}
+
+/**
+ * Write a resource as XML lines
+ * @private
+ */
+function _writeResource(resource, lines, depth, isRoot, context) {
+    const namespace = isRoot ? ` xmlns="${FHIR_NAMESPACE}"` : "";
+    lines.push({ depth, text: `<${resource.resourceType}${namespace}>` });
+    _writeElements(resource, true, lines, depth + 1, resource.resourceType, context);
+    lines.push({ depth, text: `</${resource.resourceType}>` });
+}
+
+/**
+ * Serialize a FHIR JSON resource or bundle to FHIR XML
+ * @param {Object} resource - FHIR resource (JSON)
+ * @param {Object} options - {pretty: indent output (default true), declaration: prepend
+ *   the XML declaration (default false), fhirVersion: "R4"|"R4B"|"R5" whose element order
+ *   is written; detected from the resource if omitted}
+ * @returns {string} FHIR XML string
+ * @throws {Error} If the input is not a FHIR resource
+ */
+function toFHIRXML(resource, options = {}) {
+    if (!resource || typeof resource !== "object" || typeof resource.resourceType !== "string") {
+        throw new Error("toFHIRXML requires a FHIR resource with a resourceType");
+    }
+
+    const lines = [];
+    const version = options.fhirVersion || detectFHIRVersion(resource) || "R4";
+    _writeResource(resource, lines, 0, true, { version });
+
+    const pretty = options.pretty !== false;
+    const xml = lines
+        .map(line => (pretty ? "  ".repeat(line.depth) : "") + line.text)
+        .join(pretty ? "\n" : "");
+
+    return options.declaration ? `<?xml version="1.0" encoding="UTF-8"?>\n${xml}` : xml;
+}
+
+module.exports = {
+    parseFHIRXML,
+    toFHIRXML
+};
@@ -4,12 +4,34 @@
  */
 
 
+/**
+ * Read a lower-case language code from a string, Coding, CodeableConcept or
+ * patient demographics
+ * @private
+ * @param {string|Object} value - Language value
+ * @returns {string} Language code or ""
+ */
+function _getLanguageCode(value) {
+        if (typeof value === "string") return value.trim().toLowerCase();
+        if (!value || typeof value !== "object") return "";
+
+        const code = value.preferredLanguage ||
+            value.demographics?.preferredLanguage ||
+            value.code ||
+            value.coding?.find(coding => coding.code)?.code ||
+            "";
+        return String(code).trim().toLowerCase();
+}
+
 /**
  * Get simplified language key from language code
- * @param {string} languageCode - Full language code (e.g., "pt-PT", "en-US")
+ * @param {string|Object} languageCode - Full language code (e.g., "pt-PT", "en-US"), a
+ *   Coding or CodeableConcept, or patient demographics / getPatientInfo result (their
+ *   preferredLanguage is used)
  * @returns {string} Simplified language key (e.g., "pt", "en")
  */
 function getLangKey(languageCode) {
+        languageCode = _getLanguageCode(languageCode);
         if (!languageCode) return "en";
         
         if (languageCode.startsWith("pt")) return "pt";
@@ -26,7 +48,7 @@ function getLangKey(languageCode) {
 /**
  * Get translation from dictionary
  * @param {string} key - Translation key
- * @param {string} lang - Language code
+ * @param {string|Object} lang - Language code (or any value accepted by getLangKey)
  * @param {Object} dictionary - Translation dictionary object
  * @param {string} fallback - Fallback language (default: "en")
  * @returns {string} Translated text
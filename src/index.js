@@ -4,13 +4,30 @@
  * 
  * Import only what you need:
  * const { getConditions, getMedications, addClasses } = require('@gravitate-health/lens-tool-lib');
+ *
+ * Test data builders have their own entry point:
+ * const { ipsBuilder } = require('@gravitate-health/lens-tool-lib/testing');
  */
 
 // Import all functions from modules
 const fhirCommon = require('./fhir/common');
 const fhirIPS = require('./fhir/ips');
+const fhirPatients = require('./fhir/patients');
 const fhirEPI = require('./fhir/epi');
 const fhirPV = require('./fhir/pv');
+const fhirVersion = require('./fhir/version');
+const fhirPath = require('./fhir/fhirpath');
+const fhirValidator = require('./fhir/validator');
+const fhirXML = require('./fhir/xml');
+const fhirPatch = require('./fhir/patch');
+const fhirPregnancy = require('./fhir/pregnancy');
+const fhirImpairment = require('./fhir/impairment');
+const fhirAllergy = require('./fhir/allergy');
+const conceptMapFunctions = require('./terminology/conceptmap');
+const codeSystemFunctions = require('./terminology/codesystem');
+const valueSetFunctions = require('./terminology/valueset');
+const systemFunctions = require('./terminology/systems');
+const ucumFunctions = require('./terminology/ucum');
 const htmlFunctions = require('./html/dom');
 const i18nFunctions = require('./i18n/language');
 const utilityFunctions = require('./utils/common');
@@ -19,8 +36,22 @@ const utilityFunctions = require('./utils/common');
 module.exports = {
     ...fhirCommon,
     ...fhirIPS,
+    ...fhirPatients,
     ...fhirEPI,
     ...fhirPV,
+    ...fhirVersion,
+    ...fhirPath,
+    ...fhirValidator,
+    ...fhirXML,
+    ...fhirPatch,
+    ...fhirPregnancy,
+    ...fhirImpairment,
+    ...fhirAllergy,
+    ...conceptMapFunctions,
+    ...codeSystemFunctions,
+    ...valueSetFunctions,
+    ...systemFunctions,
+    ...ucumFunctions,
     ...htmlFunctions,
     ...i18nFunctions,
     ...utilityFunctions,
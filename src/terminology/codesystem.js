@@ -0,0 +1,315 @@
+/**
+ * CodeSystem Hierarchies
+ * Concept lookups and parent/child (is-a) relationships from locally
+ * supplied FHIR CodeSystem resources and hierarchy files, plus prefix-based
+ * subsumption for positional code systems (ATC, ICD-10)
+ */
+
+const { readJSONSource, readTerminologyResources } = require('./loader');
+const { normalizeSystem, systemsEqual } = require('./systems');
+
+/**
+ * Concept properties that point to a parent or child concept
+ */
+const PARENT_PROPERTIES = ["parent", "subsumedBy"];
+const CHILD_PROPERTIES = ["child"];
+
+/**
+ * Code systems whose codes encode their hierarchy as a prefix
+ * (C09CA04 is-a C09CA is-a C09; I10.9 is-a I10)
+ */
+const PREFIX_HIERARCHY_SYSTEMS = [
+    "http://www.whocc.no/atc",
+    "http://hl7.org/fhir/sid/icd-10",
+    "http://hl7.org/fhir/sid/icd-10-cm"
+];
+
+/**
+ * Registered CodeSystem indexes, keyed by canonical URL
+ */
+const codeSystemIndexes = new Map();
+
+/**
+ * Get a concept from an index's concept map, creating it if missing
+ * @private
+ * @param {Map} concepts - Concept map of a CodeSystem index
+ * @param {string} code - Concept code
+ * @returns {Object} Concept entry
+ */
+function _getOrCreateConcept(concepts, code) {
+    let concept = concepts.get(code);
+    if (!concept) {
+        concept = { code, display: "", parents: new Set(), children: new Set(), properties: {} };
+        concepts.set(code, concept);
+    }
+    return concept;
+}
+
+/**
+ * Build the concept index of a CodeSystem
+ * @private
+ * @param {Object} codeSystem - CodeSystem resource
+ * @returns {Object} {url, codeSystem, concepts: Map of code to {code, display, parents, children, properties}}
+ */
+function _indexCodeSystem(codeSystem) {
+    const concepts = new Map();
+    const getConcept = (code) => _getOrCreateConcept(concepts, code);
+
+    const visit = (definition, parentCode) => {
+        if (!definition?.code) return;
+        const concept = getConcept(definition.code);
+        concept.display = definition.display || concept.display;
+
+        if (parentCode) {
+            concept.parents.add(parentCode);
+            getConcept(parentCode).children.add(definition.code);
+        }
+
+        (definition.property || []).forEach(property => {
+            const value = property.valueCode ?? property.valueString ?? property.valueCoding?.code ??
+                property.valueBoolean ?? property.valueInteger ?? property.valueDecimal;
+            if (value === undefined) return;
+
+            if (PARENT_PROPERTIES.includes(property.code)) {
+                concept.parents.add(value);
+                getConcept(value).children.add(definition.code);
+            } else if (CHILD_PROPERTIES.includes(property.code)) {
+                concept.children.add(value);
+                getConcept(value).parents.add(definition.code);
+            } else {
+                concept.properties[property.code] = value;
+            }
+        });
+
+        (definition.concept || []).forEach(child => visit(child, definition.code));
+    };
+
+    (codeSystem.concept || []).forEach(definition => visit(definition, null));
+
+    return { url: codeSystem.url, codeSystem, concepts };
+}
+
+/**
+ * Register CodeSystems for hierarchy lookups and ValueSet expansion
+ * @param {Object|Array|string} source - CodeSystem resource, Bundle, array,
+ *   JSON string, or path to a local JSON file (Node.js)
+ * @returns {Array} Array of registered CodeSystem resources
+ * @throws {Error} If the source is not valid CodeSystem JSON or has no url
+ */
+function loadCodeSystem(source) {
+    const codeSystems = readTerminologyResources(source, "CodeSystem");
+    codeSystems.forEach(codeSystem => {
+        if (!codeSystem.url) {
+            throw new Error(`CodeSystem ${codeSystem.id || ""} has no url`);
+        }
+        codeSystemIndexes.set(normalizeSystem(codeSystem.url), _indexCodeSystem(codeSystem));
+    });
+    return codeSystems;
+}
+
+/**
+ * Register a parent/child hierarchy for a code system from a simple mapping of
+ * code to parent code(s), e.g. a MedDRA LLT → PT → HLT extract. Relationships
+ * are merged into any CodeSystem already registered for the system.
+ * @param {string} system - Code system URL
+ * @param {Object|string} source - Object of {code: parentCode | [parentCodes]},
+ *   JSON string, or path to a local JSON file (Node.js)
+ * @returns {number} Number of codes in the hierarchy
+ * @throws {Error} If system is missing or the source is not a valid mapping
+ */
+function loadCodeHierarchy(system, source) {
+    if (!system) {
+        throw new Error("loadCodeHierarchy requires a code system URL");
+    }
+    const hierarchy = readJSONSource(source, "code hierarchy");
+    if (!hierarchy || typeof hierarchy !== "object" || Array.isArray(hierarchy)) {
+        throw new Error("Code hierarchy must be an object mapping codes to parent codes");
+    }
+
+    const url = normalizeSystem(system);
+    let index = codeSystemIndexes.get(url);
+    if (!index) {
+        index = { url, codeSystem: null, concepts: new Map() };
+        codeSystemIndexes.set(url, index);
+    }
+
+    Object.entries(hierarchy).forEach(([code, parents]) => {
+        const concept = _getOrCreateConcept(index.concepts, code);
+        (Array.isArray(parents) ? parents : [parents]).forEach(parent => {
+            if (parent === null || parent === undefined || parent === "") return;
+            concept.parents.add(String(parent));
+            _getOrCreateConcept(index.concepts, String(parent)).children.add(code);
+        });
+    });
+
+    return Object.keys(hierarchy).length;
+}
+
+/**
+ * Get a registered CodeSystem by canonical URL
+ * @param {string} system - Code system URL
+ * @returns {Object|null} CodeSystem resource or null
+ */
+function getCodeSystem(system) {
+    return _getIndex(system)?.codeSystem || null;
+}
+
+/**
+ * Remove all registered CodeSystems
+ */
+function clearCodeSystems() {
+    codeSystemIndexes.clear();
+}
+
+/**
+ * Get the index of a registered CodeSystem
+ * @private
+ * @param {string} system - Code system URL
+ * @returns {Object|null} CodeSystem index
+ */
+function _getIndex(system) {
+    return codeSystemIndexes.get(normalizeSystem(system)) || null;
+}
+
+/**
+ * Look up a concept in a registered CodeSystem
+ * @param {string} system - Code system URL
+ * @param {string} code - Concept code
+ * @returns {Object|null} {code, system, display, properties} or null if unknown
+ */
+function lookupConcept(system, code) {
+    const concept = _getIndex(system)?.concepts.get(code);
+    if (!concept) return null;
+    return {
+        code: concept.code,
+        system,
+        display: concept.display,
+        properties: { ...concept.properties }
+    };
+}
+
+/**
+ * Walk a relationship (parents or children) transitively
+ * @private
+ * @param {Object} index - CodeSystem index
+ * @param {string} code - Starting code
+ * @param {string} relation - "parents" or "children"
+ * @returns {Array} Related codes (excluding the starting code)
+ */
+function _walk(index, code, relation) {
+    const result = [];
+    const seen = new Set([code]);
+    const queue = [code];
+
+    while (queue.length > 0) {
+        const concept = index.concepts.get(queue.shift());
+        if (!concept) continue;
+        concept[relation].forEach(related => {
+            if (seen.has(related)) return;
+            seen.add(related);
+            result.push(related);
+            queue.push(related);
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Get all ancestors of a concept in a registered CodeSystem
+ * @param {string} system - Code system URL
+ * @param {string} code - Concept code
+ * @returns {Array} Ancestor codes, nearest first (empty if unknown)
+ */
+function getAncestors(system, code) {
+    const index = _getIndex(system);
+    return index ? _walk(index, code, "parents") : [];
+}
+
+/**
+ * Get all descendants of a concept in a registered CodeSystem
+ * @param {string} system - Code system URL
+ * @param {string} code - Concept code
+ * @returns {Array} Descendant codes, nearest first (empty if unknown)
+ */
+function getDescendants(system, code) {
+    const index = _getIndex(system);
+    return index ? _walk(index, code, "children") : [];
+}
+
+/**
+ * Check if a code system encodes its hierarchy as a code prefix (ATC, ICD-10)
+ * @param {string} system - Code system URL
+ * @returns {boolean} True for prefix-hierarchy systems
+ */
+function isPrefixHierarchySystem(system) {
+    return PREFIX_HIERARCHY_SYSTEMS.includes(normalizeSystem(system));
+}
+
+/**
+ * Check if a concept is the same as or a descendant of another (is-a).
+ * Uses the code prefix for ATC and ICD-10, and the registered hierarchy otherwise.
+ * @param {string} system - Code system URL
+ * @param {string} ancestorCode - Ancestor (broader) code
+ * @param {string} code - Code to test
+ * @returns {boolean} True if code is-a ancestorCode
+ */
+function isA(system, ancestorCode, code) {
+    if (code === ancestorCode) return true;
+    if (!code || !ancestorCode) return false;
+
+    if (isPrefixHierarchySystem(system)) {
+        const normalizedCode = String(code).replace(/\./g, "").toUpperCase();
+        const normalizedAncestor = String(ancestorCode).replace(/\./g, "").toUpperCase();
+        if (normalizedCode.startsWith(normalizedAncestor)) return true;
+    }
+
+    return getAncestors(system, code).includes(ancestorCode);
+}
+
+/**
+ * Check if a coding is the same as or a descendant of another coding
+ * @param {Object} coding - {code, system} narrower candidate
+ * @param {Object} ancestorCoding - {code, system} broader candidate
+ * @param {boolean} matchSystem - Whether the systems must match
+ * @returns {boolean} True if coding is subsumed by ancestorCoding
+ */
+function isSubsumedBy(coding, ancestorCoding, matchSystem = true) {
+    if (!coding || !ancestorCoding) return false;
+
+    const system = coding.system || ancestorCoding.system || "";
+    if (matchSystem && !systemsEqual(coding.system, ancestorCoding.system)) {
+        return false;
+    }
+
+    return isA(system, ancestorCoding.code, coding.code);
+}
+
+/**
+ * Get all concept codes of a registered CodeSystem
+ * @param {string} system - Code system URL
+ * @returns {Array|null} Array of {code, system, display}, or null if not registered
+ */
+function getAllConcepts(system) {
+    const index = _getIndex(system);
+    if (!index) return null;
+    return Array.from(index.concepts.values()).map(concept => ({
+        code: concept.code,
+        system,
+        display: concept.display
+    }));
+}
+
+module.exports = {
+    loadCodeSystem,
+    loadCodeHierarchy,
+    getCodeSystem,
+    clearCodeSystems,
+    lookupConcept,
+    getAncestors,
+    getDescendants,
+    isPrefixHierarchySystem,
+    isA,
+    isSubsumedBy,
+    getAllConcepts
+};
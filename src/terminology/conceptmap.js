@@ -0,0 +1,199 @@
+/**
+ * ConceptMap Terminology Translation
+ * Translate codes between code systems using locally supplied FHIR ConceptMap
+ * resources (no terminology server needed)
+ */
+
+const { readTerminologyResources } = require('./loader');
+const { normalizeSystem } = require('./systems');
+
+/**
+ * Relationships (R4 equivalence and R5 relationship) that do NOT map a code
+ */
+const NON_MAPPING_RELATIONSHIPS = ["unmatched", "disjoint", "not-related-to"];
+
+/**
+ * Relationships that stay valid when the mapping is followed in reverse,
+ * with the relationship seen from the target side
+ */
+const REVERSE_RELATIONSHIPS = {
+    "equivalent": "equivalent",
+    "equal": "equal",
+    "relatedto": "relatedto",
+    "related-to": "related-to",
+    "inexact": "inexact",
+    "wider": "narrower",
+    "subsumes": "specializes",
+    "narrower": "wider",
+    "specializes": "subsumes",
+    "source-is-narrower-than-target": "source-is-broader-than-target",
+    "source-is-broader-than-target": "source-is-narrower-than-target"
+};
+
+/**
+ * Registered ConceptMaps
+ */
+const registeredConceptMaps = [];
+
+/**
+ * Translation index per ConceptMap object
+ */
+const conceptMapIndexCache = new WeakMap();
+
+/**
+ * Build the translation index of a ConceptMap (forward and reverse mappings)
+ * @private
+ * @param {Object} conceptMap - ConceptMap resource
+ * @returns {Map} Map of "system|code" to array of translations
+ */
+function _indexConceptMap(conceptMap) {
+    let index = conceptMapIndexCache.get(conceptMap);
+    if (index) return index;
+
+    index = new Map();
+    const add = (system, code, translation) => {
+        [`${system}|${code}`, `*|${code}`].forEach(key => {
+            const list = index.get(key);
+            if (list) {
+                list.push(translation);
+            } else {
+                index.set(key, [translation]);
+            }
+        });
+    };
+
+    (conceptMap.group || []).forEach(group => {
+        const sourceSystem = normalizeSystem(group.source);
+        const targetSystem = normalizeSystem(group.target);
+
+        (group.element || []).forEach(element => {
+            (element.target || []).forEach(target => {
+                const relationship = target.relationship || target.equivalence || "equivalent";
+                if (NON_MAPPING_RELATIONSHIPS.includes(relationship) || !target.code) return;
+
+                add(sourceSystem, element.code, {
+                    code: target.code,
+                    system: targetSystem,
+                    display: target.display || "",
+                    relationship,
+                    conceptMap: conceptMap.url || conceptMap.id || null,
+                    reverse: false
+                });
+
+                const reverseRelationship = REVERSE_RELATIONSHIPS[relationship];
+                if (reverseRelationship) {
+                    add(targetSystem, target.code, {
+                        code: element.code,
+                        system: sourceSystem,
+                        display: element.display || "",
+                        relationship: reverseRelationship,
+                        conceptMap: conceptMap.url || conceptMap.id || null,
+                        reverse: true
+                    });
+                }
+            });
+        });
+    });
+
+    conceptMapIndexCache.set(conceptMap, index);
+    return index;
+}
+
+/**
+ * Register ConceptMaps for use by translateCode and translation-aware matching
+ * @param {Object|Array|string} source - ConceptMap resource, Bundle of ConceptMaps,
+ *   array of either, JSON string, or path to a local JSON file (Node.js)
+ * @returns {Array} Array of registered ConceptMap resources
+ * @throws {Error} If the source is not valid ConceptMap JSON
+ */
+function loadConceptMap(source) {
+    const conceptMaps = readTerminologyResources(source, "ConceptMap");
+    conceptMaps.forEach(conceptMap => {
+        if (!registeredConceptMaps.includes(conceptMap)) {
+            _indexConceptMap(conceptMap);
+            registeredConceptMaps.push(conceptMap);
+        }
+    });
+    return conceptMaps;
+}
+
+/**
+ * Get all registered ConceptMaps
+ * @returns {Array} Array of ConceptMap resources
+ */
+function getConceptMaps() {
+    return registeredConceptMaps.slice();
+}
+
+/**
+ * Remove all registered ConceptMaps
+ */
+function clearConceptMaps() {
+    registeredConceptMaps.length = 0;
+}
+
+/**
+ * Translate a code to other code systems using ConceptMaps
+ * @param {Object|string} coding - {code, system} object or code string (any system)
+ * @param {Object} options - {targetSystem: only return codes in this system,
+ *   reverse: also follow mappings target→source (default: true),
+ *   conceptMaps: ConceptMaps to use instead of the registered ones}
+ * @returns {Array} Array of {code, system, display, relationship, conceptMap, reverse}
+ */
+function translateCode(coding, options = {}) {
+    const code = typeof coding === "string" ? coding : coding?.code;
+    if (code === undefined || code === null) return [];
+
+    const system = typeof coding === "string" ? "" : normalizeSystem(coding.system);
+    const key = system ? `${system}|${code}` : `*|${code}`;
+    const reverse = options.reverse !== false;
+    const targetSystem = normalizeSystem(options.targetSystem);
+    const conceptMaps = options.conceptMaps
+        ? readTerminologyResources(options.conceptMaps, "ConceptMap")
+        : registeredConceptMaps;
+
+    const results = [];
+    conceptMaps.forEach(conceptMap => {
+        (_indexConceptMap(conceptMap).get(key) || []).forEach(translation => {
+            if (!reverse && translation.reverse) return;
+            if (targetSystem && translation.system !== targetSystem) return;
+            const duplicate = results.some(r => r.code === translation.code && r.system === translation.system);
+            if (!duplicate) {
+                results.push({ ...translation });
+            }
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Expand codes with their ConceptMap translations
+ * @param {Array} codes - Array of {code, system} objects or code strings
+ * @param {Object} options - Same options as translateCode
+ * @returns {Array} The original codes followed by their translations
+ */
+function expandWithTranslations(codes, options = {}) {
+    if (!Array.isArray(codes)) return [];
+
+    const expanded = codes.slice();
+    codes.forEach(coding => {
+        translateCode(coding, options).forEach(translation => {
+            expanded.push({
+                code: translation.code,
+                system: translation.system,
+                display: translation.display,
+                translatedFrom: typeof coding === "string" ? { code: coding } : coding
+            });
+        });
+    });
+    return expanded;
+}
+
+module.exports = {
+    loadConceptMap,
+    getConceptMaps,
+    clearConceptMaps,
+    translateCode,
+    expandWithTranslations
+};
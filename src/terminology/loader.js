@@ -0,0 +1,79 @@
+/**
+ * Terminology Resource Loader
+ * Reads locally supplied terminology resources (ConceptMap, ValueSet, CodeSystem)
+ * from objects, Bundles, JSON strings or local JSON files
+ */
+
+/**
+ * Read a local JSON file (Node.js only)
+ * @private
+ * @param {string} path - File path
+ * @returns {string} File contents
+ */
+function _readFile(path) {
+    let fs;
+    try {
+        fs = require("fs");
+    } catch (e) {
+        throw new Error("Loading terminology files requires Node.js; pass the resource object instead");
+    }
+    return fs.readFileSync(path, "utf8");
+}
+
+/**
+ * Read a JSON source that may be an object, a JSON string or a local file path
+ * @param {Object|Array|string} source - Parsed JSON, JSON string, or path to a local JSON file (Node.js)
+ * @param {string} label - Name used in error messages (e.g., "ConceptMap")
+ * @returns {Object|Array} Parsed JSON
+ * @throws {Error} If the source is not valid JSON
+ */
+function readJSONSource(source, label) {
+    if (typeof source !== "string") return source;
+
+    const trimmed = source.trim();
+    const text = trimmed.startsWith("{") || trimmed.startsWith("[")
+        ? source
+        : _readFile(source);
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid ${label} JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Read terminology resources of a given type from a source
+ * @param {Object|Array|string} source - Resource, Bundle, array of either,
+ *   JSON string, or path to a local JSON file (Node.js)
+ * @param {string} resourceType - Expected resource type (e.g., "ConceptMap")
+ * @returns {Array} Array of resources
+ * @throws {Error} If the source is not valid JSON or not of the expected type
+ */
+function readTerminologyResources(source, resourceType) {
+    if (!source) return [];
+
+    if (Array.isArray(source)) {
+        return source.flatMap(item => readTerminologyResources(item, resourceType));
+    }
+
+    if (typeof source === "string") {
+        return readTerminologyResources(readJSONSource(source, resourceType), resourceType);
+    }
+
+    if (source.resourceType === "Bundle") {
+        return (source.entry || [])
+            .map(entry => entry.resource)
+            .filter(resource => resource?.resourceType === resourceType);
+    }
+
+    if (source.resourceType !== resourceType) {
+        throw new Error(`Expected a ${resourceType} resource, got ${source.resourceType || "unknown"}`);
+    }
+
+    return [source];
+}
+
+module.exports = {
+    readJSONSource,
+    readTerminologyResources
+};
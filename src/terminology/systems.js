@@ -0,0 +1,108 @@
+/**
+ * Code System URI Normalization
+ * Registry of canonical code system URIs with their OIDs and common aliases,
+ * so that equivalent system identifiers compare equal
+ */
+
+/**
+ * Built-in canonical system URIs and their aliases (OIDs are given without "urn:oid:")
+ */
+const DEFAULT_SYSTEM_ALIASES = {
+    "http://snomed.info/sct": ["2.16.840.1.113883.6.96", "SNOMED-CT", "SNOMED CT", "SNOMEDCT", "SNOMED", "SCT"],
+    "http://loinc.org": ["2.16.840.1.113883.6.1", "LOINC", "LN"],
+    "http://www.whocc.no/atc": ["2.16.840.1.113883.6.73", "ATC", "WHO-ATC"],
+    "http://hl7.org/fhir/sid/icd-10": ["2.16.840.1.113883.6.3", "ICD-10", "ICD10"],
+    "http://hl7.org/fhir/sid/icd-10-cm": ["2.16.840.1.113883.6.90", "ICD-10-CM", "ICD10CM"],
+    "http://www.nlm.nih.gov/research/umls/rxnorm": ["2.16.840.1.113883.6.88", "RxNorm", "RXNORM"],
+    "http://unitsofmeasure.org": ["2.16.840.1.113883.6.8", "UCUM"],
+    "http://terminology.hl7.org/CodeSystem/mdr": ["2.16.840.1.113883.6.163", "MedDRA", "MDR"],
+    "http://standardterms.edqm.eu": ["0.4.0.127.0.16.1.1.2.1", "EDQM"]
+};
+
+/**
+ * Alias lookup: comparison key → canonical URI
+ */
+const systemAliases = new Map();
+
+/**
+ * Build the comparison key of a system identifier. Only the case-insensitive parts
+ * are lower-cased: the host of http(s) URLs (the scheme is dropped), the "urn:<namespace>:"
+ * prefix of URNs, and bare names such as "SNOMED CT". URL paths and URN specific strings
+ * are kept as they are; "urn:oid:" prefixes and trailing slashes are removed
+ * @private
+ * @param {string} system - System identifier
+ * @returns {string} Comparison key
+ */
+function _systemKey(system) {
+    const value = String(system).trim().replace(/\/+$/, "");
+
+    const url = /^https?:\/\/([^/]*)(.*)$/i.exec(value);
+    if (url) return `${url[1].toLowerCase()}${url[2]}`;
+
+    const urn = /^(urn:[^:]+:)(.*)$/i.exec(value);
+    if (urn) {
+        const prefix = urn[1].toLowerCase();
+        return prefix === "urn:oid:" ? urn[2] : `${prefix}${urn[2]}`;
+    }
+
+    return /[:/]/.test(value) ? value : value.toLowerCase();
+}
+
+/**
+ * Register aliases (OIDs, names, alternative URLs) for a canonical system URI
+ * @param {string} canonical - Canonical system URI
+ * @param {string|Array} aliases - Alias or array of aliases
+ * @throws {Error} If canonical is not a non-empty string
+ */
+function registerSystemAlias(canonical, aliases = []) {
+    if (typeof canonical !== "string" || canonical.trim() === "") {
+        throw new Error("registerSystemAlias requires a canonical system URI");
+    }
+    const uri = canonical.trim();
+    [uri, ...(Array.isArray(aliases) ? aliases : [aliases])].forEach(alias => {
+        if (typeof alias === "string" && alias.trim() !== "") {
+            systemAliases.set(_systemKey(alias), uri);
+        }
+    });
+}
+
+/**
+ * Restore the built-in alias registry (removes runtime registrations)
+ */
+function resetSystemAliases() {
+    systemAliases.clear();
+    Object.entries(DEFAULT_SYSTEM_ALIASES).forEach(([canonical, aliases]) => {
+        registerSystemAlias(canonical, aliases);
+    });
+}
+
+/**
+ * Normalize a code system identifier to its canonical URI
+ * (unknown systems are returned trimmed and without trailing slashes)
+ * @param {string} system - System URI, OID, urn:oid or alias
+ * @returns {string} Canonical system URI ("" for empty input)
+ */
+function normalizeSystem(system) {
+    if (typeof system !== "string" || system.trim() === "") return "";
+    return systemAliases.get(_systemKey(system)) || system.trim().replace(/\/+$/, "");
+}
+
+/**
+ * Check if two system identifiers refer to the same code system
+ * @param {string} system1 - First system
+ * @param {string} system2 - Second system
+ * @returns {boolean} True if both normalize to the same URI (ignoring the URL scheme, host case,
+ *   URN namespace case and trailing slashes; paths are compared exactly)
+ */
+function systemsEqual(system1, system2) {
+    return _systemKey(normalizeSystem(system1)) === _systemKey(normalizeSystem(system2));
+}
+
+resetSystemAliases();
+
+module.exports = {
+    registerSystemAlias,
+    resetSystemAliases,
+    normalizeSystem,
+    systemsEqual
+};
@@ -0,0 +1,303 @@
+/**
+ * UCUM Units
+ * Parse UCUM unit codes (and common free-text units) and convert quantities
+ * between compatible units, e.g. mg/dL ↔ mmol/L with a molar mass
+ */
+
+const { normalizeSystem } = require('./systems');
+
+const UCUM_SYSTEM = "http://unitsofmeasure.org";
+
+/**
+ * UCUM prefixes
+ */
+const PREFIXES = {
+    Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, da: 1e1,
+    d: 1e-1, c: 1e-2, m: 1e-3, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18
+};
+
+/**
+ * Supported UCUM unit atoms: factor to the base units (g, m, s, mol, K, [IU])
+ * and dimensions; metric atoms accept prefixes
+ */
+const UNITS = {
+    "g": { factor: 1, dims: { M: 1 }, metric: true },
+    "m": { factor: 1, dims: { L: 1 }, metric: true },
+    "s": { factor: 1, dims: { T: 1 }, metric: true },
+    "min": { factor: 60, dims: { T: 1 } },
+    "h": { factor: 3600, dims: { T: 1 } },
+    "d": { factor: 86400, dims: { T: 1 } },
+    "wk": { factor: 604800, dims: { T: 1 } },
+    "mo": { factor: 2629800, dims: { T: 1 } },
+    "a": { factor: 31557600, dims: { T: 1 } },
+    "L": { factor: 1e-3, dims: { L: 3 }, metric: true },
+    "l": { factor: 1e-3, dims: { L: 3 }, metric: true },
+    "mol": { factor: 1, dims: { N: 1 }, metric: true },
+    "eq": { factor: 1, dims: { N: 1 }, metric: true },
+    "U": { factor: 1e-6 / 60, dims: { N: 1, T: -1 }, metric: true },
+    "kat": { factor: 1, dims: { N: 1, T: -1 }, metric: true },
+    "[IU]": { factor: 1, dims: { IU: 1 }, metric: true },
+    "[iU]": { factor: 1, dims: { IU: 1 }, metric: true },
+    "K": { factor: 1, dims: { K: 1 }, metric: true },
+    "Pa": { factor: 1000, dims: { M: 1, L: -1, T: -2 }, metric: true },
+    "bar": { factor: 1e8, dims: { M: 1, L: -1, T: -2 }, metric: true },
+    "m[Hg]": { factor: 133322387.415, dims: { M: 1, L: -1, T: -2 }, metric: true },
+    "%": { factor: 0.01, dims: {} },
+    "[ppm]": { factor: 1e-6, dims: {} },
+    "[ppb]": { factor: 1e-9, dims: {} },
+    "[lb_av]": { factor: 453.59237, dims: { M: 1 } },
+    "[oz_av]": { factor: 28.349523125, dims: { M: 1 } },
+    "[in_i]": { factor: 0.0254, dims: { L: 1 } },
+    "[ft_i]": { factor: 0.3048, dims: { L: 1 } },
+    "[drp]": { factor: 5e-8, dims: { L: 3 } }
+};
+
+/**
+ * Temperature units (conversions with an offset, not combinable with other units)
+ */
+const TEMPERATURE_UNITS = {
+    "K": { toKelvin: value => value, fromKelvin: value => value },
+    "Cel": { toKelvin: value => value + 273.15, fromKelvin: value => value - 273.15 },
+    "[degF]": { toKelvin: value => (value + 459.67) * 5 / 9, fromKelvin: value => value * 9 / 5 - 459.67 }
+};
+
+/**
+ * UCUM codes of common free-text units (keys are lower case)
+ */
+const UNIT_ALIASES = {
+    "milligram": "mg",
+    "milligrams": "mg",
+    "gram": "g",
+    "grams": "g",
+    "mcg": "ug",
+    "microgram": "ug",
+    "micrograms": "ug",
+    "millilitre": "mL",
+    "milliliter": "mL",
+    "iu": "[iU]",
+    "[iu]": "[iU]",
+    "international unit": "[iU]",
+    "tablet": "{tablet}",
+    "tablets": "{tablet}",
+    "tab": "{tablet}",
+    "capsule": "{capsule}",
+    "capsules": "{capsule}",
+    "drop": "[drp]",
+    "drops": "[drp]",
+    "puff": "{puff}",
+    "puffs": "{puff}",
+    "mmhg": "mm[Hg]",
+    "°c": "Cel",
+    "degc": "Cel",
+    "°f": "[degF]",
+    "degf": "[degF]",
+    "lb": "[lb_av]",
+    "lbs": "[lb_av]",
+    "in": "[in_i]",
+    "bpm": "/min",
+    "beats/min": "/min",
+    "breaths/min": "/min",
+    "ml/min/1.73m2": "mL/min/{1.73_m2}",
+    "ml/min/1.73 m2": "mL/min/{1.73_m2}",
+    "year": "a",
+    "years": "a",
+    "yr": "a",
+    "month": "mo",
+    "months": "mo",
+    "week": "wk",
+    "weeks": "wk",
+    "day": "d",
+    "days": "d"
+};
+
+/**
+ * Parse cache: unit code → parsed unit (or null)
+ */
+const parsedUnits = new Map();
+
+/**
+ * Parse one term of a unit expression ("mg", "m2", "10*3", "[IU]")
+ * @private
+ * @param {string} term - Unit term
+ * @returns {Object|null} {factor, dims} or null if unknown
+ */
+function _parseTerm(term) {
+    const power = term.match(/^10[*^](-?\d+)$/);
+    if (power) return { factor: Math.pow(10, Number(power[1])), dims: {} };
+    if (/^\d+$/.test(term)) return { factor: Number(term), dims: {} };
+
+    const match = term.match(/^(.*?[^\d-])(-?\d+)?$/);
+    if (!match) return null;
+    const [, atom, exponentText] = match;
+    const exponent = exponentText ? Number(exponentText) : 1;
+
+    let unit = UNITS[atom] ? { factor: UNITS[atom].factor, dims: UNITS[atom].dims } : null;
+    if (!unit) {
+        const prefix = ["da", ...Object.keys(PREFIXES)].find(p => atom.startsWith(p) && UNITS[atom.slice(p.length)]?.metric);
+        if (!prefix) return null;
+        const base = UNITS[atom.slice(prefix.length)];
+        unit = { factor: PREFIXES[prefix] * base.factor, dims: base.dims };
+    }
+
+    const dims = {};
+    Object.keys(unit.dims).forEach(dim => { dims[dim] = unit.dims[dim] * exponent; });
+    return { factor: Math.pow(unit.factor, exponent), dims };
+}
+
+/**
+ * Parse a UCUM unit code into a factor to base units and dimensions.
+ * Supports prefixes, exponents, "." and "/" (no parentheses); annotations ({tablet})
+ * count as 1
+ * @private
+ * @param {string} code - UCUM code
+ * @returns {Object|null} {factor, dims} ({temperature} for Cel/[degF]/K alone), or null
+ */
+function _parseUnit(code) {
+    if (typeof code !== "string") return null;
+    if (parsedUnits.has(code)) return parsedUnits.get(code);
+
+    let parsed = null;
+    if (TEMPERATURE_UNITS[code]) {
+        parsed = { factor: 1, dims: { K: 1 }, temperature: code };
+    } else {
+        const expression = code.replace(/\{[^}]*\}/g, "1");
+        const terms = (expression.startsWith("/") ? `1${expression}` : expression).split(/(?=[./])/);
+        parsed = expression === "" || /[()\s]/.test(expression) ? null : { factor: 1, dims: {} };
+
+        for (const rawTerm of parsed ? terms : []) {
+            const divide = rawTerm.startsWith("/");
+            const term = rawTerm.replace(/^[./]/, "");
+            const unit = _parseTerm(term);
+            if (!unit) {
+                parsed = null;
+                break;
+            }
+            parsed.factor = divide ? parsed.factor / unit.factor : parsed.factor * unit.factor;
+            Object.keys(unit.dims).forEach(dim => {
+                parsed.dims[dim] = (parsed.dims[dim] || 0) + (divide ? -unit.dims[dim] : unit.dims[dim]);
+                if (parsed.dims[dim] === 0) delete parsed.dims[dim];
+            });
+        }
+    }
+
+    parsedUnits.set(code, parsed);
+    return parsed;
+}
+
+/**
+ * Check if two dimension sets are equal
+ * @private
+ */
+function _sameDimensions(dims1, dims2) {
+    const keys = new Set([...Object.keys(dims1), ...Object.keys(dims2)]);
+    return [...keys].every(key => (dims1[key] || 0) === (dims2[key] || 0));
+}
+
+/**
+ * Round away floating point noise
+ * @private
+ */
+function _round(value) {
+    return Number(value.toPrecision(12));
+}
+
+/**
+ * Get the UCUM code of a unit: valid UCUM codes are returned as-is, common free-text
+ * units ("mcg", "µmol/l", "mg/dl", "IU/L", "mmHg", "tablets") are mapped
+ * @param {string} unit - UCUM code or unit text
+ * @returns {string|null} UCUM code or null if unknown
+ */
+function toUCUMCode(unit) {
+    if (typeof unit !== "string" || unit.trim() === "") return null;
+    const text = unit.trim().replace(/[µμ]/g, "u");
+    const alias = UNIT_ALIASES[unit.trim().toLowerCase()] || UNIT_ALIASES[text.toLowerCase()];
+    if (alias) return alias;
+
+    // Prefer "L" for liters and fix the case of common units ("mg/dl" → "mg/dL", "iu/l" → "[IU]/L")
+    const fixed = text
+        .replace(/(^|[./])([kcdmunp]?)l(?=$|[./\d])/g, "$1$2L")
+        .replace(/(^|[./])([km]?)iu(?=$|[./])/gi, "$1$2[IU]")
+        .replace(/(^|[./])([mu]?)Eq(?=$|[./])/g, "$1$2eq");
+    if (_parseUnit(fixed)) return fixed;
+    return _parseUnit(text) ? text : null;
+}
+
+/**
+ * Normalize a FHIR Quantity to {value, unit, code, system}, with a UCUM code when the
+ * quantity is UCUM-coded or its unit text is recognized
+ * @param {Object} quantity - FHIR Quantity
+ * @returns {Object|null} Normalized quantity, or null without a numeric value
+ */
+function normalizeQuantity(quantity) {
+    if (typeof quantity?.value !== "number") return null;
+
+    const isUCUM = normalizeSystem(quantity.system) === UCUM_SYSTEM;
+    // Codes of other systems (e.g. EDQM dose forms) are not unit codes
+    const code = (isUCUM && quantity.code) || toUCUMCode(quantity.unit) ||
+        (!quantity.system ? toUCUMCode(quantity.code) : null) || null;
+
+    return {
+        value: quantity.value,
+        unit: quantity.unit || quantity.code || code || "",
+        code,
+        system: code ? UCUM_SYSTEM : quantity.system || null
+    };
+}
+
+/**
+ * Check if quantities in two units can be converted into each other
+ * @param {string} fromUnit - UCUM code or unit text
+ * @param {string} toUnit - UCUM code or unit text
+ * @param {Object} options - {molarMass: g/mol, also allows mass ↔ amount of substance}
+ * @returns {boolean} True if convertible
+ */
+function areUnitsCompatible(fromUnit, toUnit, options = {}) {
+    return convertQuantity({ value: 1, unit: fromUnit }, toUnit, options) !== null;
+}
+
+/**
+ * Convert a quantity to another unit
+ * @param {Object} quantity - FHIR Quantity ({value, unit, code, system})
+ * @param {string} toUnit - Target UCUM code or unit text
+ * @param {Object} options - {molarMass: molar mass in g/mol, needed to convert between mass
+ *   and amount of substance (e.g. creatinine 113.12: 1 mg/dL = 88.4 µmol/L)}
+ * @returns {Object|null} Normalized quantity in the target unit, or null if the units are
+ *   unknown or incompatible
+ */
+function convertQuantity(quantity, toUnit, options = {}) {
+    const source = normalizeQuantity(quantity);
+    const targetCode = toUCUMCode(toUnit);
+    const from = _parseUnit(source?.code);
+    const to = _parseUnit(targetCode);
+    if (!from || !to) return null;
+
+    const result = value => ({ value: _round(value), unit: targetCode, code: targetCode, system: UCUM_SYSTEM });
+
+    if (from.temperature || to.temperature) {
+        if (!from.temperature || !to.temperature) return null;
+        return result(TEMPERATURE_UNITS[to.temperature].fromKelvin(TEMPERATURE_UNITS[from.temperature].toKelvin(source.value)));
+    }
+
+    if (_sameDimensions(from.dims, to.dims)) {
+        return result(source.value * from.factor / to.factor);
+    }
+
+    // Mass ↔ amount of substance: each mol is molarMass grams
+    const moles = (from.dims.N || 0) - (to.dims.N || 0);
+    if (options.molarMass > 0 && moles !== 0) {
+        const asMass = { ...from.dims, N: (from.dims.N || 0) - moles, M: (from.dims.M || 0) + moles };
+        if (_sameDimensions(asMass, to.dims)) {
+            return result(source.value * from.factor * Math.pow(options.molarMass, moles) / to.factor);
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    UCUM_SYSTEM,
+    toUCUMCode,
+    normalizeQuantity,
+    areUnitsCompatible,
+    convertQuantity
+};
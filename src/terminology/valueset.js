@@ -0,0 +1,334 @@
+/**
+ * ValueSet Membership and Expansion
+ * Evaluate FHIR ValueSet compose definitions (include/exclude, concept lists,
+ * whole-system includes and hierarchy filters) against locally supplied
+ * CodeSystem and ValueSet resources
+ */
+
+const { readTerminologyResources } = require('./loader');
+const { isA, lookupConcept, getAllConcepts } = require('./codesystem');
+const { normalizeSystem } = require('./systems');
+
+/**
+ * Registered ValueSets, keyed by canonical URL
+ */
+const registeredValueSets = new Map();
+
+/**
+ * Register ValueSets so they can be referenced by canonical URL
+ * (including from compose.include.valueSet)
+ * @param {Object|Array|string} source - ValueSet resource, Bundle, array,
+ *   JSON string, or path to a local JSON file (Node.js)
+ * @returns {Array} Array of registered ValueSet resources
+ * @throws {Error} If the source is not valid ValueSet JSON or has no url
+ */
+function loadValueSet(source) {
+    const valueSets = readTerminologyResources(source, "ValueSet");
+    valueSets.forEach(valueSet => {
+        if (!valueSet.url) {
+            throw new Error(`ValueSet ${valueSet.id || ""} has no url`);
+        }
+        registeredValueSets.set(valueSet.url, valueSet);
+    });
+    return valueSets;
+}
+
+/**
+ * Get a registered ValueSet by canonical URL (a "|version" suffix is ignored)
+ * @param {string} url - ValueSet canonical URL
+ * @returns {Object|null} ValueSet resource or null
+ */
+function getValueSet(url) {
+    if (!url) return null;
+    return registeredValueSets.get(url.split("|")[0]) || null;
+}
+
+/**
+ * Remove all registered ValueSets
+ */
+function clearValueSets() {
+    registeredValueSets.clear();
+}
+
+/**
+ * Resolve a ValueSet argument (resource or canonical URL)
+ * @private
+ * @param {Object|string} valueSet - ValueSet resource or canonical URL
+ * @returns {Object} ValueSet resource
+ * @throws {Error} If a URL is given that is not registered
+ */
+function _resolveValueSet(valueSet) {
+    if (typeof valueSet === "string") {
+        const resolved = getValueSet(valueSet);
+        if (!resolved) {
+            throw new Error(`ValueSet ${valueSet} is not loaded`);
+        }
+        return resolved;
+    }
+    if (valueSet?.resourceType !== "ValueSet") {
+        throw new Error("Expected a ValueSet resource or canonical URL");
+    }
+    return valueSet;
+}
+
+/**
+ * Normalize a coding argument into an array of {code, system}
+ * @private
+ * @param {Object|string} coding - Coding, CodeableConcept or code string
+ * @returns {Array} Array of {code, system}
+ */
+function _toCodings(coding) {
+    if (typeof coding === "string") return [{ code: coding, system: "" }];
+    if (Array.isArray(coding?.coding)) {
+        return coding.coding.map(c => ({ code: c.code, system: normalizeSystem(c.system) }));
+    }
+    if (coding?.code === undefined || coding?.code === null) return [];
+    return [{ code: coding.code, system: normalizeSystem(coding.system) }];
+}
+
+/**
+ * Flatten expansion.contains (which may be nested)
+ * @private
+ * @param {Array} contains - ValueSet expansion contains
+ * @returns {Array} Array of {code, system, display}
+ */
+function _flattenContains(contains) {
+    return (contains || []).flatMap(item => [
+        ...(item.code ? [{ code: item.code, system: normalizeSystem(item.system), display: item.display || "" }] : []),
+        ..._flattenContains(item.contains)
+    ]);
+}
+
+/**
+ * Check whether a code satisfies a compose filter
+ * @private
+ * @param {string} system - Code system URL
+ * @param {string} code - Code to test
+ * @param {Object} filter - {property, op, value}
+ * @returns {boolean} True if the code satisfies the filter
+ */
+function _matchesFilter(system, code, filter) {
+    const { property, op, value } = filter;
+    const isCodeProperty = property === "concept" || property === "code";
+
+    switch (op) {
+        case "is-a":
+            return isA(system, value, code);
+        case "descendent-of":
+            return code !== value && isA(system, value, code);
+        case "is-not-a":
+            return !isA(system, value, code);
+        case "generalizes":
+            return isA(system, code, value);
+        case "in":
+        case "not-in": {
+            const values = String(value).split(",").map(v => v.trim());
+            const target = isCodeProperty ? code : lookupConcept(system, code)?.properties[property];
+            const found = values.includes(String(target));
+            return op === "in" ? found : !found;
+        }
+        case "=": {
+            if (isCodeProperty) return code === value;
+            const propertyValue = lookupConcept(system, code)?.properties[property];
+            return propertyValue !== undefined && String(propertyValue) === String(value);
+        }
+        case "regex": {
+            const target = isCodeProperty ? code : lookupConcept(system, code)?.properties[property];
+            return target !== undefined && new RegExp(`^(?:${value})$`).test(String(target));
+        }
+        case "exists": {
+            const exists = isCodeProperty
+                ? lookupConcept(system, code) !== null
+                : lookupConcept(system, code)?.properties[property] !== undefined;
+            return String(value) === "false" ? !exists : exists;
+        }
+        default:
+            throw new Error(`Unsupported ValueSet filter operator: ${op}`);
+    }
+}
+
+/**
+ * Check whether a coding is selected by a compose include/exclude element
+ * @private
+ * @param {Object} coding - {code, system}
+ * @param {Object} include - ValueSet.compose.include element
+ * @param {Object} options - {matchSystem}
+ * @param {Array} visiting - ValueSet URLs being evaluated (cycle guard)
+ * @returns {boolean} True if selected
+ */
+function _matchesInclude(coding, include, options, visiting) {
+    const system = normalizeSystem(include.system);
+
+    if (system) {
+        const sameSystem = coding.system === system;
+        if (!sameSystem && options.matchSystem && coding.system) return false;
+
+        const hasConcepts = Array.isArray(include.concept) && include.concept.length > 0;
+        const hasFilters = Array.isArray(include.filter) && include.filter.length > 0;
+
+        if (hasConcepts && !include.concept.some(concept => concept.code === coding.code)) {
+            return false;
+        }
+        if (hasFilters && !include.filter.every(filter => _matchesFilter(system, coding.code, filter))) {
+            return false;
+        }
+        // Whole-system include: only trust it for codes from that system,
+        // or codes known to a loaded CodeSystem
+        if (!hasConcepts && !hasFilters && !sameSystem &&
+            lookupConcept(system, coding.code) === null) {
+            return false;
+        }
+    }
+
+    if (Array.isArray(include.valueSet) && include.valueSet.length > 0) {
+        return include.valueSet.every(url => {
+            if (visiting.includes(url)) return false;
+            return _isMember(coding, _resolveValueSet(url), options, [...visiting, url]);
+        });
+    }
+
+    return Boolean(system);
+}
+
+/**
+ * Check membership of a single coding
+ * @private
+ */
+function _isMember(coding, valueSet, options, visiting) {
+    const compose = valueSet.compose;
+
+    if (compose) {
+        const included = (compose.include || []).some(include =>
+            _matchesInclude(coding, include, options, visiting)
+        );
+        if (!included) return false;
+        return !(compose.exclude || []).some(exclude =>
+            _matchesInclude(coding, exclude, options, visiting)
+        );
+    }
+
+    return _flattenContains(valueSet.expansion?.contains).some(item =>
+        item.code === coding.code &&
+        (!options.matchSystem || !coding.system || item.system === coding.system)
+    );
+}
+
+/**
+ * Check if a coding is a member of a ValueSet
+ * @param {Object|string} coding - {code, system} Coding, CodeableConcept (any coding
+ *   matches) or code string (matched in any system)
+ * @param {Object|string} valueSet - ValueSet resource or canonical URL of a loaded ValueSet
+ * @param {Object} options - {matchSystem: require the coding system to match (default: true)}
+ * @returns {boolean} True if the coding is in the ValueSet
+ * @throws {Error} If a referenced ValueSet is not loaded or a filter operator is unsupported
+ */
+function isInValueSet(coding, valueSet, options = {}) {
+    const codings = _toCodings(coding);
+    if (codings.length === 0 || !valueSet) return false;
+
+    const resolved = _resolveValueSet(valueSet);
+    const settings = { matchSystem: options.matchSystem !== false };
+    const visiting = resolved.url ? [resolved.url] : [];
+
+    return codings.some(c => _isMember(c, resolved, settings, visiting));
+}
+
+/**
+ * Expand the codes selected by a compose include element
+ * @private
+ */
+function _expandInclude(include, valueSetName, visiting) {
+    const system = normalizeSystem(include.system);
+    let codes;
+
+    if (system) {
+        const hasConcepts = Array.isArray(include.concept) && include.concept.length > 0;
+        if (hasConcepts) {
+            codes = include.concept.map(concept => ({
+                code: concept.code,
+                system,
+                display: concept.display || lookupConcept(system, concept.code)?.display || ""
+            }));
+        } else {
+            const allConcepts = getAllConcepts(system);
+            if (!allConcepts) {
+                throw new Error(`Cannot expand ValueSet ${valueSetName}: CodeSystem ${include.system} is not loaded`);
+            }
+            codes = allConcepts;
+        }
+        (include.filter || []).forEach(filter => {
+            codes = codes.filter(c => _matchesFilter(system, c.code, filter));
+        });
+    }
+
+    (include.valueSet || []).forEach(url => {
+        if (visiting.includes(url)) return;
+        const referenced = _expand(_resolveValueSet(url), [...visiting, url]);
+        codes = codes
+            ? codes.filter(c => referenced.some(r => r.code === c.code && r.system === c.system))
+            : referenced;
+    });
+
+    return codes || [];
+}
+
+/**
+ * Expand a ValueSet
+ * @private
+ */
+function _expand(valueSet, visiting) {
+    const name = valueSet.url || valueSet.id || "(anonymous)";
+    const compose = valueSet.compose;
+
+    if (!compose) {
+        return _flattenContains(valueSet.expansion?.contains);
+    }
+
+    const seen = new Set();
+    const result = [];
+    (compose.include || []).forEach(include => {
+        _expandInclude(include, name, visiting).forEach(c => {
+            const key = `${c.system}|${c.code}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                result.push(c);
+            }
+        });
+    });
+
+    const excluded = new Set();
+    (compose.exclude || []).forEach(exclude => {
+        _expandInclude(exclude, name, visiting).forEach(c => excluded.add(`${c.system}|${c.code}`));
+    });
+
+    return result.filter(c => !excluded.has(`${c.system}|${c.code}`));
+}
+
+/**
+ * Expand a ValueSet into the list of codes it contains
+ * @param {Object|string} valueSet - ValueSet resource or canonical URL of a loaded ValueSet
+ * @returns {Array} Array of {code, system, display}
+ * @throws {Error} If a whole-system or filter include needs a CodeSystem that is not loaded
+ */
+function expandValueSet(valueSet) {
+    const resolved = _resolveValueSet(valueSet);
+    return _expand(resolved, resolved.url ? [resolved.url] : []);
+}
+
+/**
+ * Check if a value is a ValueSet resource
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a ValueSet resource
+ */
+function isValueSet(value) {
+    return value?.resourceType === "ValueSet";
+}
+
+module.exports = {
+    loadValueSet,
+    getValueSet,
+    clearValueSets,
+    isInValueSet,
+    expandValueSet,
+    isValueSet
+};
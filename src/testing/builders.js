@@ -0,0 +1,566 @@
+/**
+ * Test Data Builders
+ * Fluent builders for IPS, ePI and Persona Vector bundles, for writing lens
+ * tests without copying and mutating large fixture files
+ */
+
+const SNOMED_SYSTEM = "http://snomed.info/sct";
+const LOINC_SYSTEM = "http://loinc.org";
+const ATC_SYSTEM = "http://www.whocc.no/atc";
+const ICD10_SYSTEM = "http://hl7.org/fhir/sid/icd-10";
+const PD_CODE_SYSTEM = "http://hl7.eu/fhir/ig/gravitate-health/CodeSystem/pd-type-cs";
+const ANNOTATION_EXTENSION_URL = "http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/HtmlElementLink";
+const INGREDIENT_ROLES = {
+    active: { system: "https://spor.ema.europa.eu/rmswi", code: "100000072072", display: "active" },
+    excipient: { system: "https://spor.ema.europa.eu/rmswi", code: "100000072082", display: "Excipient" }
+};
+const DEFAULT_TIMESTAMP = "2024-01-01T00:00:00Z";
+
+/**
+ * Create a SNOMED CT coding
+ * @param {string} code - SNOMED CT code
+ * @param {string} display - Display text (optional)
+ * @returns {Object} {system, code, display}
+ */
+function snomed(code, display) {
+    return _coding(SNOMED_SYSTEM, code, display);
+}
+
+/**
+ * Create a LOINC coding
+ * @param {string} code - LOINC code
+ * @param {string} display - Display text (optional)
+ * @returns {Object} {system, code, display}
+ */
+function loinc(code, display) {
+    return _coding(LOINC_SYSTEM, code, display);
+}
+
+/**
+ * Create an ATC coding
+ * @param {string} code - ATC code
+ * @param {string} display - Display text (optional)
+ * @returns {Object} {system, code, display}
+ */
+function atc(code, display) {
+    return _coding(ATC_SYSTEM, code, display);
+}
+
+/**
+ * Create an ICD-10 coding
+ * @param {string} code - ICD-10 code
+ * @param {string} display - Display text (optional)
+ * @returns {Object} {system, code, display}
+ */
+function icd10(code, display) {
+    return _coding(ICD10_SYSTEM, code, display);
+}
+
+/**
+ * Create a coding, omitting an empty display
+ * @private
+ */
+function _coding(system, code, display) {
+    return display ? { system, code, display } : { system, code };
+}
+
+/**
+ * Convert codings (or a single coding) to a CodeableConcept
+ * @private
+ * @param {Object|Array} codes - Coding, array of codings, or CodeableConcept
+ * @returns {Object} CodeableConcept
+ */
+function _concept(codes) {
+    if (codes?.coding) return codes;
+    const coding = Array.isArray(codes) ? codes : [codes];
+    return { coding: coding.filter(Boolean) };
+}
+
+/**
+ * Check if a value is a plain coding (rather than an options object)
+ * @private
+ */
+function _isCoding(value) {
+    return typeof value?.code === "string" && typeof value?.system === "string";
+}
+
+/**
+ * Create the shared entry bookkeeping of a bundle builder
+ * @private
+ * @param {string} prefix - Prefix used for generated ids
+ * @returns {Object} {add, entries, reference}
+ */
+function _createEntries(prefix) {
+    const entries = [];
+    let counter = 0;
+
+    const add = (resource) => {
+        counter += 1;
+        const id = resource.id || `${prefix}-${resource.resourceType.toLowerCase()}-${counter}`;
+        const uuid = `00000000-0000-4000-8000-${String(counter).padStart(12, "0")}`;
+        const entry = { fullUrl: `urn:uuid:${uuid}`, resource: { ...resource, id } };
+        entries.push(entry);
+        return entry;
+    };
+
+    return { add, entries, reference: (entry) => ({ reference: entry.fullUrl }) };
+}
+
+/**
+ * Create a narrative for a generated resource or section
+ * @private
+ */
+function _narrative(text) {
+    return {
+        status: "generated",
+        div: `<div xmlns="http://www.w3.org/1999/xhtml">${text}</div>`
+    };
+}
+
+/**
+ * Create a fluent IPS bundle builder
+ * @param {Object} options - {id, timestamp}
+ * @returns {Object} Builder with patient, condition, medication, allergy, observation,
+ *   resource and build methods
+ *
+ * @example
+ * const ips = ipsBuilder()
+ *     .patient({ gender: 'female', birthDate: '1990-05-01' })
+ *     .condition(snomed('77386006'))
+ *     .medication({ atc: 'C09CA04', viaReference: true })
+ *     .build();
+ */
+function ipsBuilder(options = {}) {
+    const sections = { problems: [], medications: [], allergies: [], results: [] };
+    const extraResources = [];
+    let patientData = {};
+
+    const builder = {
+        /**
+         * Set patient demographics (any Patient element may be given)
+         * @param {Object} data - {id, gender, birthDate, name, ...}
+         */
+        patient(data = {}) {
+            patientData = { ...patientData, ...data };
+            return builder;
+        },
+
+        /**
+         * Add a Condition
+         * @param {Object} data - Coding, or {code, clinicalStatus, verificationStatus, onsetDateTime, ...}
+         */
+        condition(data) {
+            const { code, clinicalStatus = "active", verificationStatus = "confirmed", ...rest } =
+                _isCoding(data) ? { code: data } : data;
+            sections.problems.push({
+                resourceType: "Condition",
+                ...rest,
+                clinicalStatus: _concept(_coding("http://terminology.hl7.org/CodeSystem/condition-clinical", clinicalStatus)),
+                verificationStatus: _concept(_coding("http://terminology.hl7.org/CodeSystem/condition-ver-status", verificationStatus)),
+                code: _concept(code)
+            });
+            return builder;
+        },
+
+        /**
+         * Add a medication statement
+         * @param {Object} data - {atc, snomed, code (coding or codings), display, viaReference,
+         *   resourceType (default: MedicationStatement), status (default: active), ...}
+         */
+        medication(data) {
+            const {
+                atc: atcCode,
+                snomed: snomedCode,
+                code,
+                display,
+                viaReference = false,
+                resourceType = "MedicationStatement",
+                status = "active",
+                ...rest
+            } = _isCoding(data) ? { code: data } : data;
+
+            const codings = [
+                ...(atcCode ? [atc(atcCode, display)] : []),
+                ...(snomedCode ? [snomed(snomedCode, display)] : []),
+                ...(code ? (Array.isArray(code) ? code : [code]) : [])
+            ];
+            sections.medications.push({
+                resource: { resourceType, status, ...rest },
+                concept: _concept(codings),
+                viaReference
+            });
+            return builder;
+        },
+
+        /**
+         * Add an AllergyIntolerance
+         * @param {Object} data - Coding, or {code, criticality, type, clinicalStatus, ...}
+         */
+        allergy(data) {
+            const { code, clinicalStatus = "active", ...rest } = _isCoding(data) ? { code: data } : data;
+            sections.allergies.push({
+                resourceType: "AllergyIntolerance",
+                ...rest,
+                clinicalStatus: _concept(_coding("http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical", clinicalStatus)),
+                code: _concept(code)
+            });
+            return builder;
+        },
+
+        /**
+         * Add an Observation (results section)
+         * @param {Object} data - {code, value (number, string, boolean or coding), unit,
+         *   effectiveDateTime, status, ...}
+         */
+        observation(data) {
+            const { code, value, unit, status = "final", ...rest } = data;
+            const observation = { resourceType: "Observation", status, ...rest, code: _concept(code) };
+            if (typeof value === "number") {
+                observation.valueQuantity = unit
+                    ? { value, unit, system: "http://unitsofmeasure.org", code: unit }
+                    : { value };
+            } else if (typeof value === "string") {
+                observation.valueString = value;
+            } else if (typeof value === "boolean") {
+                observation.valueBoolean = value;
+            } else if (value) {
+                observation.valueCodeableConcept = _concept(value);
+            }
+            sections.results.push(observation);
+            return builder;
+        },
+
+        /**
+         * Add any other resource as-is
+         * @param {Object} resource - FHIR resource
+         */
+        resource(resource) {
+            extraResources.push(resource);
+            return builder;
+        },
+
+        /**
+         * Build the IPS document bundle
+         * @returns {Object} FHIR Bundle
+         */
+        build() {
+            const { add, entries, reference } = _createEntries("ips");
+            const compositionEntry = add({ resourceType: "Composition" });
+            const patientEntry = add({ resourceType: "Patient", ...patientData });
+            const authorEntry = add({ resourceType: "Organization", name: "Lens test data" });
+            const subject = reference(patientEntry);
+
+            // AllergyIntolerance refers to the patient through "patient", the others through "subject"
+            const sectionEntries = (resources) => resources.map(resource =>
+                reference(add(resource.resourceType === "AllergyIntolerance"
+                    ? { ...resource, patient: subject }
+                    : { ...resource, subject }))
+            );
+
+            const medicationRefs = sections.medications.map(({ resource, concept, viaReference }) => {
+                const statement = { ...resource, subject };
+                if (viaReference) {
+                    const medicationEntry = add({ resourceType: "Medication", code: concept });
+                    statement.medicationReference = reference(medicationEntry);
+                } else {
+                    statement.medicationCodeableConcept = concept;
+                }
+                return reference(add(statement));
+            });
+
+            const section = (title, code, refs) => ({
+                title,
+                code: _concept(loinc(code, title)),
+                text: _narrative(title),
+                ...(refs.length > 0
+                    ? { entry: refs }
+                    : { emptyReason: _concept(_coding("http://terminology.hl7.org/CodeSystem/list-empty-reason", "unavailable")) })
+            });
+
+            compositionEntry.resource = {
+                ...compositionEntry.resource,
+                status: "final",
+                type: _concept(loinc("60591-5", "Patient summary Document")),
+                subject,
+                date: options.timestamp || DEFAULT_TIMESTAMP,
+                author: [reference(authorEntry)],
+                title: "Patient Summary",
+                section: [
+                    section("Problem List", "11450-4", sectionEntries(sections.problems)),
+                    section("Medication List", "10160-0", medicationRefs),
+                    section("Allergies and Intolerances", "48765-2", sectionEntries(sections.allergies)),
+                    ...(sections.results.length > 0
+                        ? [section("Results", "30954-2", sectionEntries(sections.results))]
+                        : [])
+                ]
+            };
+
+            extraResources.forEach(resource => add(resource));
+
+            return {
+                resourceType: "Bundle",
+                id: options.id || "ips-builder",
+                meta: { profile: ["http://hl7.org/fhir/uv/ips/StructureDefinition/Bundle-uv-ips"] },
+                identifier: { system: "urn:ietf:rfc:4122", value: options.id || "ips-builder" },
+                type: "document",
+                timestamp: options.timestamp || DEFAULT_TIMESTAMP,
+                entry: entries
+            };
+        }
+    };
+
+    return builder;
+}
+
+/**
+ * Create a fluent ePI bundle builder
+ * @param {Object} options - {id, language (default: "en"), timestamp, title}
+ * @returns {Object} Builder with product, section, annotate, clinicalUse, ingredient,
+ *   resource and build methods
+ *
+ * @example
+ * const epi = epiBuilder()
+ *     .product({ name: 'Karvea 75 mg tablet', identifier: 'EU/1/97/049/001' })
+ *     .section({ title: 'Pregnancy', html: '<p class="pregnancy-section">...</p>' })
+ *     .annotate('pregnancy-section', snomed('77386006'))
+ *     .clinicalUse({ type: 'contraindication', code: snomed('77386006') })
+ *     .build();
+ */
+function epiBuilder(options = {}) {
+    let productData = { name: "Test product" };
+    const sections = [];
+    const annotations = [];
+    const clinicalUses = [];
+    const ingredients = [];
+    const extraResources = [];
+
+    const builder = {
+        /**
+         * Set the MedicinalProductDefinition
+         * @param {Object} data - {id, name, identifier, ...}
+         */
+        product(data = {}) {
+            productData = { ...productData, ...data };
+            return builder;
+        },
+
+        /**
+         * Add a leaflet section
+         * @param {Object} data - {title, html, code}
+         */
+        section(data) {
+            sections.push(data);
+            return builder;
+        },
+
+        /**
+         * Add a Composition annotation linking an HTML class to codes
+         * @param {string} category - HTML class used in the section markup
+         * @param {Object|Array} codes - Coding or array of codings
+         */
+        annotate(category, codes) {
+            annotations.push({ category, concept: _concept(codes) });
+            return builder;
+        },
+
+        /**
+         * Add a ClinicalUseDefinition
+         * @param {Object} data - {type: contraindication|indication|interaction|warning|undesirable-effect,
+         *   code: coding(s) of the disease, interactant or warning}
+         */
+        clinicalUse(data) {
+            clinicalUses.push(data);
+            return builder;
+        },
+
+        /**
+         * Add an Ingredient
+         * @param {Object} data - {substance: coding, role: "active"|"excipient" (default: active)}
+         */
+        ingredient(data) {
+            ingredients.push(_isCoding(data) ? { substance: data } : data);
+            return builder;
+        },
+
+        /**
+         * Add any other resource as-is
+         * @param {Object} resource - FHIR resource
+         */
+        resource(resource) {
+            extraResources.push(resource);
+            return builder;
+        },
+
+        /**
+         * Build the ePI document bundle
+         * @returns {Object} FHIR Bundle
+         */
+        build() {
+            const { add, entries, reference } = _createEntries("epi");
+            const language = options.language || "en";
+            const compositionEntry = add({ resourceType: "Composition" });
+
+            const { name, identifier, ...productRest } = productData;
+            const productEntry = add({
+                resourceType: "MedicinalProductDefinition",
+                ...productRest,
+                ...(identifier ? { identifier: [{ system: "https://spor.ema.europa.eu/pmswi", value: identifier }] } : {}),
+                name: [{ productName: name }]
+            });
+            const authorEntry = add({ resourceType: "Organization", name: "Lens test data" });
+            const product = reference(productEntry);
+
+            ingredients.forEach(({ substance, role = "active", ...rest }) => {
+                add({
+                    resourceType: "Ingredient",
+                    status: "active",
+                    ...rest,
+                    for: [product],
+                    role: _concept(INGREDIENT_ROLES[role] || role),
+                    substance: { code: { concept: _concept(substance) } }
+                });
+            });
+
+            clinicalUses.forEach(({ type, code, ...rest }) => {
+                const concept = _concept(code);
+                const details = {
+                    contraindication: { contraindication: { diseaseSymptomProcedure: { concept } } },
+                    indication: { indication: { diseaseSymptomProcedure: { concept } } },
+                    interaction: { interaction: { interactant: [{ itemCodeableConcept: concept }] } },
+                    "undesirable-effect": { undesirableEffect: { symptomConditionEffect: { concept } } },
+                    warning: { warning: { code: concept } }
+                }[type] || {};
+                add({ resourceType: "ClinicalUseDefinition", ...rest, type, subject: [product], ...details });
+            });
+
+            extraResources.forEach(resource => add(resource));
+
+            const sectionCode = _concept(_coding("https://spor.ema.europa.eu/rmswi/", "100000155538"));
+            compositionEntry.resource = {
+                ...compositionEntry.resource,
+                language,
+                status: "final",
+                type: sectionCode,
+                category: [_concept(_coding("http://hl7.eu/fhir/ig/gravitate-health/CodeSystem/epicategory-cs",
+                    annotations.length > 0 ? "P" : "R", annotations.length > 0 ? "Preprocessed" : "Raw"))],
+                subject: [product],
+                date: options.timestamp || DEFAULT_TIMESTAMP,
+                author: [reference(authorEntry)],
+                title: productData.name,
+                ...(annotations.length > 0 ? {
+                    extension: annotations.map(({ category, concept }) => ({
+                        url: ANNOTATION_EXTENSION_URL,
+                        extension: [
+                            { url: "elementClass", valueString: category },
+                            { url: "concept", valueCodeableReference: { concept } }
+                        ]
+                    }))
+                } : {}),
+                section: [{
+                    title: options.title || "B. Package Leaflet",
+                    code: sectionCode,
+                    text: _narrative(""),
+                    section: sections.map(({ title, html = "", code }) => ({
+                        title,
+                        code: code ? _concept(code) : sectionCode,
+                        text: _narrative(html)
+                    }))
+                }]
+            };
+
+            return {
+                resourceType: "Bundle",
+                id: options.id || "epi-builder",
+                meta: { profile: ["http://hl7.org/fhir/uv/emedicinal-product-info/StructureDefinition/Bundle-uv-epi"] },
+                language,
+                identifier: { system: "https://www.gravitatehealth.eu/sid/doc", value: productData.identifier || options.id || "epi-builder" },
+                type: "document",
+                timestamp: options.timestamp || DEFAULT_TIMESTAMP,
+                entry: entries
+            };
+        }
+    };
+
+    return builder;
+}
+
+/**
+ * Create a fluent Persona Vector bundle builder
+ * @param {Object} options - {id, subject (display name, default: "test-patient")}
+ * @returns {Object} Builder with dimension and build methods
+ *
+ * @example
+ * const pv = pvBuilder().dimension('HL', 3).dimension('EMP', snomed('...')).build();
+ */
+function pvBuilder(options = {}) {
+    const dimensions = [];
+
+    const builder = {
+        /**
+         * Add a dimension observation
+         * @param {string} code - Dimension code (e.g. "HL", "DL", "EMP")
+         * @param {*} value - Integer, string, boolean, coding or {value, unit}
+         * @param {Object} data - {display, effectiveDateTime, status}
+         */
+        dimension(code, value, data = {}) {
+            dimensions.push({ code, value, data });
+            return builder;
+        },
+
+        /**
+         * Build the Persona Vector collection bundle
+         * @returns {Object} FHIR Bundle
+         */
+        build() {
+            const { add, entries } = _createEntries("pv");
+            const subject = { display: options.subject || "test-patient" };
+
+            dimensions.forEach(({ code, value, data }) => {
+                const { display, status = "final", ...rest } = data;
+                const observation = {
+                    resourceType: "Observation",
+                    status,
+                    ...rest,
+                    code: _concept(_coding(PD_CODE_SYSTEM, code, display)),
+                    subject
+                };
+                if (Number.isInteger(value)) {
+                    observation.valueInteger = value;
+                } else if (typeof value === "string") {
+                    observation.valueString = value;
+                } else if (typeof value === "boolean") {
+                    observation.valueBoolean = value;
+                } else if (_isCoding(value) || value?.coding) {
+                    observation.valueCodeableConcept = _concept(value);
+                } else if (value !== undefined && value !== null) {
+                    observation.valueQuantity = typeof value === "number" ? { value } : value;
+                }
+                add(observation);
+            });
+
+            return {
+                resourceType: "Bundle",
+                id: options.id || "pv-builder",
+                meta: { profile: ["http://hl7.eu/fhir/ig/gravitate-health/StructureDefinition/persona-collection"] },
+                identifier: {
+                    system: "http://hl7.eu/fhir/ig/gravitate-health/persona-dimension-collection",
+                    value: options.id || "pv-builder"
+                },
+                type: "collection",
+                entry: entries
+            };
+        }
+    };
+
+    return builder;
+}
+
+module.exports = {
+    snomed,
+    loinc,
+    atc,
+    icd10,
+    ipsBuilder,
+    epiBuilder,
+    pvBuilder
+};
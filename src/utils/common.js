@@ -3,6 +3,9 @@
  * General utility functions for lens development
  */
 
+const { isSubsumedBy } = require('../terminology/codesystem');
+const { systemsEqual } = require('../terminology/systems');
+
 /**
  * Check if value is an object
  * @param {*} object - Value to check
@@ -88,22 +91,125 @@ function uniqueByKey(array, key) {
 }
 
 /**
- * Calculate age from birth date
- * @param {string} birthDate - Birth date string (ISO format)
- * @returns {number} Age in years
+ * Age bands (ICH E11 paediatric groups, elderly from 65) with their exclusive upper
+ * bounds in days, months or years; the last band has no bound
  */
-function calculateAge(birthDate) {
-    if (!birthDate) return null;
+const AGE_BANDS = {
+    neonate: { days: 28 },
+    infant: { months: 24 },
+    child: { years: 12 },
+    adolescent: { years: 18 },
+    adult: { years: 65 },
+    elderly: null
+};
 
-    const today = new Date();
-    const birthDateParsed = new Date(birthDate);
+/**
+ * Split a FHIR date, dateTime or Date into calendar parts (Date objects use UTC)
+ * @private
+ * @param {Date|string} value - Date value ("1980", "1980-10", "1980-10-05", dateTime or Date)
+ * @returns {Object|null} {year, month, day} (month and day null when not given) or null
+ */
+function _parseCalendarDate(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+    }
+
+    // FHIR date or dateTime; the time of a dateTime is ignored
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})?)?)?)?$/
+        .exec(String(value || "").trim());
+    if (!match) return null;
 
-    if (isNaN(birthDateParsed.getTime())) {
+    const [year, month, day] = match.slice(1).map(part => (part ? Number(part) : null));
+    if ((month !== null && (month < 1 || month > 12)) || (day !== null && (day < 1 || day > _daysInMonth(year, month)))) {
         return null;
     }
+    return { year, month, day };
+}
+
+/**
+ * Number of days in a month
+ * @private
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @returns {number} Days in the month
+ */
+function _daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Calculate a calendar-accurate age. Partial birth dates ("1980", "1980-10") are taken as
+ * the last possible day, so the age is never overstated
+ * @param {string} birthDate - FHIR date (year, year-month or full date)
+ * @param {Date|string} referenceDate - Date at which to calculate the age (default: now)
+ * @returns {Object|null} {years, months, days (completed years, then months and days),
+ *   totalMonths, totalDays, precision ("year", "month" or "day")}, or null for invalid
+ *   dates or a birth date after the reference date
+ */
+function calculateAgeDetails(birthDate, referenceDate = new Date()) {
+    const birth = _parseCalendarDate(birthDate);
+    const reference = _parseCalendarDate(referenceDate);
+    if (!birth || !reference || reference.month === null || reference.day === null) return null;
+
+    const precision = birth.day !== null ? "day" : birth.month !== null ? "month" : "year";
+    const birthMonth = birth.month ?? 12;
+    const birthDay = birth.day ?? _daysInMonth(birth.year, birthMonth);
+
+    const referenceTime = Date.UTC(reference.year, reference.month - 1, reference.day);
+    const totalDays = (referenceTime - Date.UTC(birth.year, birthMonth - 1, birthDay)) / 86400000;
+    if (totalDays < 0) return null;
+
+    // Date the given number of months after birth; days past the end of a shorter
+    // month fall on its last day (a 29 February birthday is 28 February otherwise)
+    const monthsAfterBirth = count => {
+        const year = birth.year + Math.floor((birthMonth - 1 + count) / 12);
+        const month = (birthMonth - 1 + count) % 12 + 1;
+        return Date.UTC(year, month - 1, Math.min(birthDay, _daysInMonth(year, month)));
+    };
+    let totalMonths = (reference.year - birth.year) * 12 + reference.month - birthMonth;
+    if (monthsAfterBirth(totalMonths) > referenceTime) totalMonths -= 1;
+
+    return {
+        years: Math.floor(totalMonths / 12),
+        months: totalMonths % 12,
+        days: (referenceTime - monthsAfterBirth(totalMonths)) / 86400000,
+        totalMonths,
+        totalDays,
+        precision
+    };
+}
+
+/**
+ * Calculate age from birth date (completed calendar years)
+ * @param {string} birthDate - FHIR date (year, year-month or full date)
+ * @param {Date|string} referenceDate - Date at which to calculate the age (default: now)
+ * @returns {number|null} Age in years, or null for invalid dates
+ */
+function calculateAge(birthDate, referenceDate = new Date()) {
+    return calculateAgeDetails(birthDate, referenceDate)?.years ?? null;
+}
 
-    const ageMiliseconds = today - birthDateParsed;
-    return Math.floor(ageMiliseconds / 31536000000);
+/**
+ * Classify an age into a band (neonate, infant, child, adolescent, adult, elderly)
+ * @param {string} birthDate - FHIR date (year, year-month or full date)
+ * @param {Date|string} referenceDate - Date at which to classify (default: now)
+ * @param {Object} bands - Overrides of AGE_BANDS upper bounds, e.g. {adult: {years: 60}}
+ * @returns {string|null} Band name, or null for invalid dates
+ */
+function getAgeBand(birthDate, referenceDate = new Date(), bands = {}) {
+    const age = calculateAgeDetails(birthDate, referenceDate);
+    if (!age) return null;
+
+    const thresholds = { ...AGE_BANDS, ...bands };
+    const band = Object.keys(thresholds).find(name => {
+        const bound = thresholds[name];
+        if (!bound) return true;
+        if (bound.days !== undefined) return age.totalDays < bound.days;
+        if (bound.months !== undefined) return age.totalMonths < bound.months;
+        return age.years < bound.years;
+    });
+    return band || null;
 }
 
 /**
@@ -149,14 +255,21 @@ function addYears(date, years) {
  * Check if two codes match
  * @param {Object} code1 - First code {code, system}
  * @param {Object} code2 - Second code {code, system}
- * @param {boolean} includeSystem - Whether to compare system as well
+ * @param {boolean} includeSystem - Whether to compare system as well (aliases and OIDs of
+ *   the same system are treated as equal)
+ * @param {Object} options - {subsumption: also match when code2 is a descendant of code1
+ *   (ATC/ICD-10 prefixes or a loaded CodeSystem hierarchy)}
  * @returns {boolean} True if codes match
  */
-function codesMatch(code1, code2, includeSystem = true) {
+function codesMatch(code1, code2, includeSystem = true, options = {}) {
     if (!code1 || !code2) return false;
 
+    if (options.subsumption) {
+        return isSubsumedBy(code2, code1, includeSystem);
+    }
+
     if (includeSystem) {
-        return code1.code === code2.code && code1.system === code2.system;
+        return code1.code === code2.code && systemsEqual(code1.system, code2.system);
     }
 
     return code1.code === code2.code;
@@ -435,7 +548,10 @@ module.exports = {
     deepEqual,
     arrayContains,
     uniqueByKey,
+    AGE_BANDS,
+    calculateAgeDetails,
     calculateAge,
+    getAgeBand,
     isDateInRange,
     addMonths,
     addYears,
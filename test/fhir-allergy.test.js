@@ -0,0 +1,115 @@
+/**
+ * Tests for Allergy and Intolerance Matching
+ */
+
+const { matchAllergiesToIngredients } = require('../src/fhir/allergy');
+const { ipsBuilder, epiBuilder, snomed, atc } = require('../src/testing/builders');
+
+const ipsFixture = require('./fixtures/ips.json');
+const epiFixture = require('./fixtures/epi.json');
+
+describe('Allergy and Intolerance Matching', () => {
+
+    const irbesartan = { system: 'http://snomed.info/sct', code: '386877002', display: 'Irbesartan' };
+    const epi = epiBuilder()
+        .product({ classification: [{ coding: [atc('C09CA04')] }] })
+        .ingredient({ substance: irbesartan })
+        .ingredient({ substance: { system: 'http://snomed.info/sct', code: '47703008', display: 'Lactose monohydrate' }, role: 'excipient' })
+        .ingredient({ substance: { system: 'http://example.org/substances', code: 'X1', display: 'Refined arachis oil' }, role: 'excipient' })
+        .build();
+
+    describe('matchAllergiesToIngredients', () => {
+
+        test('should match the substance code of an active ingredient', () => {
+            const ips = ipsBuilder()
+                .allergy({ code: irbesartan, criticality: 'high', reaction: [{ severity: 'severe' }] })
+                .build();
+
+            expect(matchAllergiesToIngredients(ips, epi)).toEqual([expect.objectContaining({
+                ingredient: expect.objectContaining({ role: 'active', text: 'Irbesartan' }),
+                matchType: 'substance',
+                code: expect.objectContaining({ code: '386877002' }),
+                allergen: null,
+                criticality: 'high',
+                severity: 'severe'
+            })]);
+        });
+
+        test('should match drug-class allergies against the product classification', () => {
+            const ips = ipsBuilder().allergy({ code: atc('C09C', 'Angiotensin II receptor blockers, plain') }).build();
+
+            expect(matchAllergiesToIngredients(ips, epi)).toEqual([
+                expect.objectContaining({ matchType: 'class', code: expect.objectContaining({ code: 'C09C' }) })
+            ]);
+            expect(matchAllergiesToIngredients(ips, epi, { subsumption: false })).toEqual([]);
+        });
+
+        test('should match allergy codes written with OID systems', () => {
+            const ips = ipsBuilder()
+                .allergy({ code: { system: 'urn:oid:2.16.840.1.113883.6.96', code: '386877002', display: 'Irbesartan' } })
+                .allergy({ code: { system: 'urn:oid:2.16.840.1.113883.6.73', code: 'C09C' } })
+                .build();
+
+            expect(matchAllergiesToIngredients(ips, epi).map(match => [match.matchType, match.code])).toEqual([
+                ['substance', { code: '386877002', system: 'http://snomed.info/sct', display: 'Irbesartan' }],
+                ['class', { code: 'C09C', system: 'http://www.whocc.no/atc', display: '' }]
+            ]);
+        });
+
+        test('should match excipient allergens by code or name', () => {
+            const ips = ipsBuilder()
+                .allergy({ code: { system: 'http://snomed.info/sct', code: '91935009', display: 'Allergy to peanut' }, criticality: 'low' })
+                .allergy({ code: { system: 'http://example.org/local', code: 'LI', display: 'Lactose intolerance' }, type: 'intolerance' })
+                .build();
+
+            const matches = matchAllergiesToIngredients(ips, epi);
+            expect(matches.map(match => [match.allergen, match.ingredient.text, match.matchType])).toEqual([
+                ['peanut', 'Refined arachis oil', 'allergen'],
+                ['lactose', 'Lactose monohydrate', 'allergen']
+            ]);
+            expect(matches[0].code.code).toBe('91935009');
+            expect(matches[1].code).toBeNull();
+            expect(matchAllergiesToIngredients(ips, epi, { roles: ['active'] })).toEqual([]);
+        });
+
+        test('should match allergen keywords as whole words', () => {
+            const vegetableEpi = epiBuilder()
+                .ingredient({ substance: { system: 'http://example.org/substances', code: 'X2', display: 'Eggplant extract' }, role: 'excipient' })
+                .ingredient({ substance: { system: 'http://example.org/substances', code: 'X3', display: 'Soya oil' }, role: 'excipient' })
+                .build();
+            const ips = ipsBuilder()
+                .allergy({ code: { system: 'http://example.org/local', code: 'EGG', display: 'Allergy to eggs' } })
+                .allergy({ code: { system: 'http://example.org/local', code: 'SOY', display: 'Soy allergy' } })
+                .build();
+
+            expect(matchAllergiesToIngredients(ips, vegetableEpi).map(match => [match.allergen, match.ingredient.text])).toEqual([
+                ['soya', 'Soya oil']
+            ]);
+        });
+
+        test('should accept custom allergens', () => {
+            const ips = ipsBuilder().allergy({ code: { system: 'http://example.org/local', code: 'NUT', display: 'Tree nut oils' } }).build();
+
+            expect(matchAllergiesToIngredients(ips, epi)).toEqual([]);
+            expect(matchAllergiesToIngredients(ips, epi, {
+                allergens: { nut: { codes: ['NUT'], keywords: ['arachis'] } }
+            })).toEqual([expect.objectContaining({ allergen: 'nut', matchType: 'allergen' })]);
+        });
+
+        test('should skip refuted and resolved allergies', () => {
+            const ips = ipsBuilder()
+                .allergy({ code: irbesartan, verificationStatus: { coding: [{ code: 'refuted' }] } })
+                .allergy({ code: irbesartan, clinicalStatus: 'resolved' })
+                .build();
+
+            expect(matchAllergiesToIngredients(ips, epi)).toEqual([]);
+            expect(matchAllergiesToIngredients(ips, epi, { includeInactive: true })).toHaveLength(1);
+        });
+
+        test('should return no matches for the fixtures and missing bundles', () => {
+            expect(matchAllergiesToIngredients(ipsFixture, epiFixture)).toEqual([]);
+            expect(matchAllergiesToIngredients(null, epiFixture)).toEqual([]);
+            expect(matchAllergiesToIngredients(ipsFixture, null)).toEqual([]);
+        });
+    });
+});
@@ -3,7 +3,11 @@
  */
 
 const { 
+    getBundleIndex,
+    invalidateBundleIndex,
     getResourcesByType, 
+    getReferencingResources,
+    parseReference,
     resolveReference, 
     extractCodes 
 } = require('../src/fhir/common');
@@ -50,6 +54,132 @@ describe('FHIR Common Utilities', () => {
         });
     });
     
+    describe('getBundleIndex', () => {
+        
+        const makeBundle = () => ({
+            entry: [
+                { fullUrl: 'urn:uuid:p1', resource: { resourceType: 'Patient', id: 'p1' } },
+                { fullUrl: 'urn:uuid:c1', resource: { resourceType: 'Condition', id: 'c1', subject: { reference: 'urn:uuid:p1' } } },
+                { resource: { resourceType: 'Condition', id: 'c2', subject: { reference: 'Patient/p1' } } },
+                { resource: { resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/p1' } } }
+            ]
+        });
+        
+        test('should index resources by type, id and fullUrl', () => {
+            const bundle = makeBundle();
+            const index = getBundleIndex(bundle);
+            
+            expect(index.getResourcesByType('Condition')).toHaveLength(2);
+            expect(index.findById('Condition', 'c2')[0].resource.id).toBe('c2');
+            expect(index.findByFullUrl('urn:uuid:c1')[0].resource.id).toBe('c1');
+            expect(index.getEntry(bundle.entry[0].resource)).toBe(bundle.entry[0]);
+            expect(index.findById('Condition', 'missing')).toEqual([]);
+        });
+        
+        test('should cache the index per bundle', () => {
+            const bundle = makeBundle();
+            
+            expect(getBundleIndex(bundle)).toBe(getBundleIndex(bundle));
+            expect(getBundleIndex(bundle.entry)).toBe(getBundleIndex(bundle));
+            expect(getBundleIndex(makeBundle())).not.toBe(getBundleIndex(bundle));
+        });
+        
+        test('should rebuild the index when entries are added or invalidated', () => {
+            const bundle = makeBundle();
+            const first = getBundleIndex(bundle);
+            
+            bundle.entry.push({ resource: { resourceType: 'Condition', id: 'c3' } });
+            expect(getResourcesByType(bundle, 'Condition')).toHaveLength(3);
+            
+            const second = getBundleIndex(bundle);
+            expect(second).not.toBe(first);
+            invalidateBundleIndex(bundle);
+            expect(getBundleIndex(bundle)).not.toBe(second);
+        });
+        
+        test('should rebuild the index when entries or resources are replaced', () => {
+            const bundle = makeBundle();
+            const first = getBundleIndex(bundle);
+
+            bundle.entry[2].resource = { resourceType: 'Observation', id: 'o2' };
+            expect(getResourcesByType(bundle, 'Condition').map(c => c.id)).toEqual(['c1']);
+            expect(getBundleIndex(bundle)).not.toBe(first);
+
+            const second = getBundleIndex(bundle);
+            bundle.entry[0] = { fullUrl: 'urn:uuid:p2', resource: { resourceType: 'Patient', id: 'p2' } };
+            expect(getBundleIndex(bundle)).not.toBe(second);
+            expect(getBundleIndex(bundle).findById('Patient', 'p2')).toHaveLength(1);
+        });
+
+        test('should rebuild the index when an indexed key is edited in place', () => {
+            const bundle = makeBundle();
+            getBundleIndex(bundle);
+
+            bundle.entry[1].resource.id = 'c1-edited';
+            expect(getBundleIndex(bundle).findById('Condition', 'c1-edited')).toHaveLength(1);
+            expect(getBundleIndex(bundle).findById('Condition', 'c1')).toEqual([]);
+        });
+
+        test('should serve memoized values until a resource edited in place is invalidated', () => {
+            const bundle = makeBundle();
+            const codes = () => getBundleIndex(bundle).memo('test:codes', () => bundle.entry.map(e => e.resource.code?.text));
+
+            const first = codes();
+            bundle.entry[1].resource.code = { text: 'edited' };
+            expect(codes()).toBe(first);
+
+            invalidateBundleIndex(bundle);
+            expect(codes()[1]).toBe('edited');
+        });
+
+        test('should see references edited in place', () => {
+            const bundle = makeBundle();
+            const patient = bundle.entry[0].resource;
+            const count = getReferencingResources(bundle, patient).length;
+
+            bundle.entry[3].resource.subject = { reference: 'Patient/other' };
+            expect(getReferencingResources(bundle, patient)).toHaveLength(count - 1);
+        });
+
+        test('should memoize computed values', () => {
+            const index = getBundleIndex(makeBundle());
+            const compute = jest.fn(() => ['value']);
+            
+            expect(index.memo('key', compute)).toEqual(['value']);
+            expect(index.memo('key', compute)).toEqual(['value']);
+            expect(compute).toHaveBeenCalledTimes(1);
+        });
+        
+        test('should return null for invalid bundles', () => {
+            expect(getBundleIndex(null)).toBeNull();
+            expect(getBundleIndex({})).toBeNull();
+        });
+    });
+    
+    describe('getReferencingResources', () => {
+        
+        test('should find resources referencing a resource', () => {
+            const bundle = {
+                entry: [
+                    { fullUrl: 'urn:uuid:p1', resource: { resourceType: 'Patient', id: 'p1' } },
+                    { resource: { resourceType: 'Condition', id: 'c1', subject: { reference: 'urn:uuid:p1' } } },
+                    { resource: { resourceType: 'Observation', id: 'o1', subject: { reference: 'Patient/p1' } } },
+                    { resource: { resourceType: 'Observation', id: 'o2', subject: { reference: 'Patient/other' } } }
+                ]
+            };
+            const patient = bundle.entry[0].resource;
+            
+            const referencing = getReferencingResources(bundle, patient);
+            expect(referencing.map(r => r.id)).toEqual(['c1', 'o1']);
+            expect(getReferencingResources(bundle, patient, 'Observation').map(r => r.id)).toEqual(['o1']);
+        });
+        
+        test('should return empty array for invalid input', () => {
+            expect(getReferencingResources(null, {})).toEqual([]);
+            expect(getReferencingResources({ entry: [] }, null)).toEqual([]);
+        });
+    });
+    
     describe('resolveReference', () => {
         
         test('should resolve reference correctly', () => {
@@ -85,6 +215,101 @@ describe('FHIR Common Utilities', () => {
         test('should return null for null entries', () => {
             expect(resolveReference('Medication/123', null)).toBeNull();
         });
+        
+        test('should resolve urn:uuid references by fullUrl', () => {
+            const entries = [
+                { fullUrl: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a', resource: { resourceType: 'Medication', name: 'Aspirin' } }
+            ];
+            
+            const resolved = resolveReference('urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a', entries);
+            expect(resolved.name).toBe('Aspirin');
+            expect(resolveReference('urn:uuid:00000000-0000-0000-0000-000000000000', entries)).toBeNull();
+        });
+        
+        test('should resolve absolute URL references by fullUrl', () => {
+            const entries = [
+                { fullUrl: 'http://example.org/fhir/Medication/123', resource: { resourceType: 'Medication', id: 'other-id' } }
+            ];
+            
+            const resolved = resolveReference('http://example.org/fhir/Medication/123', entries);
+            expect(resolved.id).toBe('other-id');
+        });
+        
+        test('should fall back to type and id for unknown absolute URLs', () => {
+            const entries = [
+                { resource: { resourceType: 'Medication', id: '123' } }
+            ];
+            
+            expect(resolveReference('http://other.org/fhir/Medication/123', entries).id).toBe('123');
+        });
+        
+        test('should resolve relative references against the referring fullUrl', () => {
+            const entries = [
+                { fullUrl: 'http://a.org/fhir/Medication/1', resource: { resourceType: 'Medication', id: '1', name: 'A' } },
+                { fullUrl: 'http://b.org/fhir/Medication/1', resource: { resourceType: 'Medication', id: '1', name: 'B' } }
+            ];
+            
+            const resolved = resolveReference('Medication/1', entries, {
+                fullUrl: 'http://b.org/fhir/MedicationStatement/ms1'
+            });
+            expect(resolved.name).toBe('B');
+            expect(resolveReference('Medication/1', entries).name).toBe('A');
+        });
+        
+        test('should resolve versioned references', () => {
+            const entries = [
+                { fullUrl: 'http://a.org/fhir/Medication/1', resource: { resourceType: 'Medication', id: '1', meta: { versionId: '1' } } },
+                { fullUrl: 'http://a.org/fhir/Medication/1', resource: { resourceType: 'Medication', id: '1', meta: { versionId: '2' } } }
+            ];
+            
+            expect(resolveReference('Medication/1/_history/2', entries).meta.versionId).toBe('2');
+            expect(resolveReference('http://a.org/fhir/Medication/1/_history/2', entries).meta.versionId).toBe('2');
+            expect(resolveReference('Medication/1/_history/9', entries).meta.versionId).toBe('1');
+        });
+        
+        test('should resolve contained references', () => {
+            const statement = {
+                resourceType: 'MedicationStatement',
+                contained: [{ resourceType: 'Medication', id: 'med1', name: 'Contained' }],
+                medicationReference: { reference: '#med1' }
+            };
+            
+            expect(resolveReference('#med1', [], { resource: statement }).name).toBe('Contained');
+            expect(resolveReference('#', [], { resource: statement })).toBe(statement);
+            expect(resolveReference('#missing', [], { resource: statement })).toBeNull();
+            expect(resolveReference('#med1', [])).toBeNull();
+        });
+        
+        test('should accept Reference objects', () => {
+            const entries = [
+                { resource: { resourceType: 'Medication', id: '123' } }
+            ];
+            
+            expect(resolveReference({ reference: 'Medication/123' }, entries).id).toBe('123');
+        });
+    });
+    
+    describe('parseReference', () => {
+        
+        test('should parse relative and versioned references', () => {
+            expect(parseReference('Medication/123')).toEqual({
+                kind: 'relative', type: 'Medication', id: '123', version: null, base: null
+            });
+            expect(parseReference('Medication/123/_history/4')).toMatchObject({ id: '123', version: '4' });
+        });
+        
+        test('should parse absolute, urn and contained references', () => {
+            expect(parseReference('http://a.org/fhir/Patient/p1')).toEqual({
+                kind: 'absolute', type: 'Patient', id: 'p1', version: null, base: 'http://a.org/fhir'
+            });
+            expect(parseReference('urn:uuid:abc').kind).toBe('urn');
+            expect(parseReference('#med1')).toMatchObject({ kind: 'contained', id: 'med1' });
+        });
+        
+        test('should return null for invalid references', () => {
+            expect(parseReference(null)).toBeNull();
+            expect(parseReference('invalid')).toBeNull();
+        });
     });
     
     describe('extractCodes', () => {
@@ -6,8 +6,13 @@ const {
     getAnnotatedSections,
     findSectionsByCode,
     getMedicinalProductId,
-    matchBundleIdentifier
+    getEPIIngredients,
+    matchBundleIdentifier,
+    addExtensionToSection,
+    createAdditionalInfoExtension
 } = require('../src/fhir/epi');
+const { getBundleIndex } = require('../src/fhir/common');
+const { epiBuilder, atc } = require('../src/testing/builders');
 
 const epiFixture = require('./fixtures/epi.json');
 
@@ -36,6 +41,44 @@ describe('FHIR ePI Utilities', () => {
             const bundle = { entry: [{ resource: { resourceType: 'Medication' } }] };
             expect(getAnnotatedSections(bundle)).toEqual([]);
         });
+
+        test('should read R4 valueCodeableConcept annotations', () => {
+            const coding = { system: 'http://snomed.info/sct', code: '77386006', display: 'Pregnancy' };
+            const bundle = {
+                entry: [{
+                    resource: {
+                        resourceType: 'Composition',
+                        extension: [{
+                            url: 'http://hl7.org/fhir/uv/emedicinal-product-info/StructureDefinition/HtmlElementLink',
+                            extension: [
+                                { url: 'elementClass', valueString: 'pregnancyCategory' },
+                                { url: 'concept', valueCodeableConcept: { coding: [coding] } }
+                            ]
+                        }]
+                    }
+                }]
+            };
+
+            expect(getAnnotatedSections(bundle)).toEqual([{ category: 'pregnancyCategory', codes: [coding] }]);
+        });
+
+        test('should see extensions added in place and return fresh results', () => {
+            const bundle = { entry: [{ resource: { resourceType: 'Composition', extension: [] } }] };
+            expect(getAnnotatedSections(bundle)).toEqual([]);
+
+            bundle.entry[0].resource.extension.push({
+                url: 'http://hl7.org/fhir/uv/emedicinal-product-info/StructureDefinition/HtmlElementLink',
+                extension: [
+                    { url: 'elementClass', valueString: 'pregnancyCategory' },
+                    { url: 'concept', valueCodeableReference: { concept: { coding: [{ code: '77386006' }] } } }
+                ]
+            });
+            const sections = getAnnotatedSections(bundle);
+            expect(sections).toHaveLength(1);
+
+            sections[0].codes.push({ code: 'changed' });
+            expect(getAnnotatedSections(bundle)[0].codes).toEqual([expect.objectContaining({ code: '77386006' })]);
+        });
     });
     
     describe('findSectionsByCode', () => {
@@ -207,6 +250,57 @@ describe('FHIR ePI Utilities', () => {
         });
     });
     
+    describe('getEPIIngredients', () => {
+
+        test('should extract active ingredients and excipients with their substance definitions', () => {
+            const ingredients = getEPIIngredients(epiFixture);
+
+            expect(ingredients).toHaveLength(10);
+            expect(ingredients.find(ingredient => ingredient.role === 'active')).toEqual({
+                id: 'ingredient-for-karvea-irbesartan',
+                role: 'active',
+                codes: [{ code: 'J0E2756Z7N', system: 'https://gsrs.ncats.nih.gov/ginas/app/beta', display: 'irbesartan' }],
+                text: 'irbesartan',
+                names: ['irbesartan', '(+)-6-methyleneandrosta-1,4-diene-3,17-dione'],
+                classes: [],
+                substanceDefinition: 'substance-irbesartan'
+            });
+            expect(ingredients.filter(ingredient => ingredient.role === 'excipient').map(ingredient => ingredient.text))
+                .toContain('Lactose Monohydrate');
+        });
+
+        test('should add the product classification to active ingredients', () => {
+            const epi = epiBuilder()
+                .product({ classification: [{ coding: [atc('C09CA04')] }] })
+                .ingredient({ substance: { system: 'http://snomed.info/sct', code: '386877002', display: 'Irbesartan' } })
+                .ingredient({ substance: { system: 'http://snomed.info/sct', code: '47703008', display: 'Lactose' }, role: 'excipient' })
+                .build();
+
+            const [active, excipient] = getEPIIngredients(epi);
+            expect(active.classes).toEqual([expect.objectContaining({ code: 'C09CA04' })]);
+            expect(excipient).toMatchObject({ role: 'excipient', classes: [], substanceDefinition: null });
+        });
+
+        test('should return an empty array without entries', () => {
+            expect(getEPIIngredients(null)).toEqual([]);
+            expect(getEPIIngredients({})).toEqual([]);
+        });
+    });
+
+    describe('addExtensionToSection', () => {
+
+        test('should add the extension and invalidate the bundle index', () => {
+            const epi = JSON.parse(JSON.stringify(epiFixture));
+            const before = getBundleIndex(epi);
+            const extension = createAdditionalInfoExtension('VIDEO', 'Video', 'https://example.org/video');
+
+            expect(addExtensionToSection(epi, 0, extension)).toBe(true);
+            expect(epi.entry[0].resource.section[0].extension).toContainEqual(extension);
+            expect(getBundleIndex(epi)).not.toBe(before);
+            expect(addExtensionToSection(epi, 0, extension)).toBe(false);
+        });
+    });
+
     describe('matchBundleIdentifier', () => {
         
         test('should match bundle identifier against list', () => {
@@ -0,0 +1,212 @@
+/**
+ * Tests for FHIRPath Evaluator
+ */
+
+const {
+    evaluateFHIRPath,
+    getFHIRPathValue,
+    isFHIRPathTrue
+} = require('../src/fhir/fhirpath');
+
+const ipsFixture = require('./fixtures/ips.json');
+const epiFixture = require('./fixtures/epi.json');
+
+describe('FHIRPath Evaluator', () => {
+
+    const bundle = {
+        resourceType: 'Bundle',
+        entry: [
+            {
+                resource: {
+                    resourceType: 'Condition',
+                    id: 'c1',
+                    clinicalStatus: { coding: [{ code: 'active' }] },
+                    code: { coding: [{ system: 'http://snomed.info/sct', code: '38341003', display: 'Hypertension' }] }
+                }
+            },
+            {
+                resource: {
+                    resourceType: 'Condition',
+                    id: 'c2',
+                    clinicalStatus: { coding: [{ code: 'resolved' }] },
+                    code: { coding: [{ system: 'http://snomed.info/sct', code: '195967001', display: 'Asthma' }] }
+                }
+            },
+            {
+                resource: {
+                    resourceType: 'Observation',
+                    id: 'o1',
+                    code: { coding: [{ system: 'http://loinc.org', code: '29463-7' }] },
+                    valueQuantity: { value: 72, unit: 'kg' },
+                    effectiveDateTime: '2024-03-01'
+                }
+            },
+            {
+                resource: {
+                    resourceType: 'Observation',
+                    id: 'o2',
+                    code: { coding: [{ system: 'http://loinc.org', code: '82810-3' }] },
+                    valueCodeableConcept: { coding: [{ code: '77386006' }] }
+                }
+            },
+            {
+                resource: {
+                    resourceType: 'MedicationStatement',
+                    id: 'ms1',
+                    medicationReference: { reference: 'Medication/m1' }
+                }
+            },
+            {
+                resource: {
+                    resourceType: 'Medication',
+                    id: 'm1',
+                    code: { coding: [{ system: 'http://www.whocc.no/atc', code: 'C09CA04' }] }
+                }
+            }
+        ]
+    };
+
+    describe('evaluateFHIRPath', () => {
+
+        test('should select resources by leading type name on a bundle', () => {
+            const conditions = evaluateFHIRPath(bundle, 'Condition');
+            expect(conditions).toHaveLength(2);
+            expect(conditions[0].id).toBe('c1');
+        });
+
+        test('should navigate paths and flatten collections', () => {
+            const codes = evaluateFHIRPath(bundle, 'Condition.code.coding.code');
+            expect(codes).toEqual(['38341003', '195967001']);
+        });
+
+        test('should filter with where()', () => {
+            const codings = evaluateFHIRPath(
+                bundle,
+                "Condition.where(clinicalStatus.coding.code='active').code.coding"
+            );
+            expect(codings).toHaveLength(1);
+            expect(codings[0].code).toBe('38341003');
+        });
+
+        test('should evaluate exists() with and without criteria', () => {
+            expect(evaluateFHIRPath(bundle, 'Condition.exists()')).toEqual([true]);
+            expect(evaluateFHIRPath(bundle, 'AllergyIntolerance.exists()')).toEqual([false]);
+            expect(evaluateFHIRPath(bundle, "Condition.exists(code.coding.code = '195967001')")).toEqual([true]);
+        });
+
+        test('should support first(), last(), count() and indexers', () => {
+            expect(evaluateFHIRPath(bundle, 'Condition.first().id')).toEqual(['c1']);
+            expect(evaluateFHIRPath(bundle, 'Condition.last().id')).toEqual(['c2']);
+            expect(evaluateFHIRPath(bundle, 'Condition.count()')).toEqual([2]);
+            expect(evaluateFHIRPath(bundle, 'Condition[1].id')).toEqual(['c2']);
+        });
+
+        test('should navigate choice elements and filter with ofType()', () => {
+            expect(evaluateFHIRPath(bundle, 'Observation.value.ofType(Quantity).value')).toEqual([72]);
+            const concepts = evaluateFHIRPath(bundle, 'Observation.value.ofType(CodeableConcept)');
+            expect(concepts).toHaveLength(1);
+            expect(concepts[0].coding[0].code).toBe('77386006');
+        });
+
+        test('should filter resources with ofType()', () => {
+            const entries = evaluateFHIRPath(bundle, 'entry.resource.ofType(Medication)');
+            expect(entries).toHaveLength(1);
+            expect(entries[0].id).toBe('m1');
+        });
+
+        test('should resolve references within the bundle', () => {
+            const codes = evaluateFHIRPath(
+                bundle,
+                'MedicationStatement.medicationReference.resolve().code.coding.code'
+            );
+            expect(codes).toEqual(['C09CA04']);
+        });
+
+        test('should resolve contained references', () => {
+            const statement = {
+                resourceType: 'MedicationStatement',
+                contained: [{ resourceType: 'Medication', id: 'm2', code: { text: 'Contained' } }],
+                medicationReference: { reference: '#m2' }
+            };
+            
+            expect(evaluateFHIRPath(statement, 'medicationReference.resolve().code.text')).toEqual(['Contained']);
+        });
+
+        test('should evaluate comparison operators', () => {
+            expect(evaluateFHIRPath(bundle, 'Observation.where(valueQuantity.value > 70).id')).toEqual(['o1']);
+            expect(evaluateFHIRPath(bundle, 'Observation.where(valueQuantity.value <= 70).id')).toEqual([]);
+            expect(evaluateFHIRPath(bundle, "Observation.where(effective >= @2024-01-01).id")).toEqual(['o1']);
+            expect(evaluateFHIRPath(bundle, "Condition.where(id != 'c1').id")).toEqual(['c2']);
+        });
+
+        test('should evaluate boolean operators', () => {
+            expect(evaluateFHIRPath(bundle, 'Condition.exists() and Observation.exists()')).toEqual([true]);
+            expect(evaluateFHIRPath(bundle, 'Condition.exists() and Patient.exists()')).toEqual([false]);
+            expect(evaluateFHIRPath(bundle, 'Patient.exists() or Condition.exists()')).toEqual([true]);
+            expect(evaluateFHIRPath(bundle, 'Condition.exists() xor Observation.exists()')).toEqual([false]);
+            expect(evaluateFHIRPath(bundle, 'Patient.exists() implies false')).toEqual([true]);
+            expect(evaluateFHIRPath(bundle, 'Patient.exists().not()')).toEqual([true]);
+        });
+
+        test('should evaluate membership and union operators', () => {
+            expect(evaluateFHIRPath(
+                bundle,
+                "Condition.where(code.coding.code in ('38341003' | '1234')).id"
+            )).toEqual(['c1']);
+            expect(evaluateFHIRPath(bundle, "Condition.code.coding.code contains '195967001'")).toEqual([true]);
+            expect(evaluateFHIRPath(bundle, "Condition.id | Observation.id")).toEqual(['c1', 'c2', 'o1', 'o2']);
+        });
+
+        test('should evaluate select() and string functions', () => {
+            expect(evaluateFHIRPath(bundle, 'Condition.select(code.coding.display)')).toEqual(['Hypertension', 'Asthma']);
+            expect(evaluateFHIRPath(bundle, "Condition.code.coding.where(display.startsWith('Hyper')).code")).toEqual(['38341003']);
+        });
+
+        test('should evaluate against a single resource', () => {
+            const condition = bundle.entry[0].resource;
+            expect(evaluateFHIRPath(condition, 'Condition.code.coding.code')).toEqual(['38341003']);
+            expect(evaluateFHIRPath(condition, 'code.coding.code')).toEqual(['38341003']);
+        });
+
+        test('should return empty array for null/undefined input', () => {
+            expect(evaluateFHIRPath(null, 'Condition')).toEqual([]);
+            expect(evaluateFHIRPath(undefined, 'Condition')).toEqual([]);
+        });
+
+        test('should throw for invalid or unsupported expressions', () => {
+            expect(() => evaluateFHIRPath(bundle, '')).toThrow();
+            expect(() => evaluateFHIRPath(bundle, 'Condition.where(')).toThrow(/Invalid FHIRPath expression/);
+            expect(() => evaluateFHIRPath(bundle, 'Condition.unknownFn()')).toThrow(/Unsupported FHIRPath function/);
+        });
+
+        test('should query real IPS and ePI fixtures', () => {
+            const active = evaluateFHIRPath(
+                ipsFixture,
+                "Condition.where(clinicalStatus.coding.code='active').code.coding.code"
+            );
+            expect(active).toContain('86406008');
+
+            const titles = evaluateFHIRPath(epiFixture, 'Composition.section.title');
+            expect(titles).toContain('B. Package Leaflet');
+        });
+    });
+
+    describe('getFHIRPathValue', () => {
+
+        test('should return first value or default', () => {
+            expect(getFHIRPathValue(bundle, 'Condition.id')).toBe('c1');
+            expect(getFHIRPathValue(bundle, 'Patient.id', 'none')).toBe('none');
+            expect(getFHIRPathValue(null, 'Patient.id')).toBeNull();
+        });
+    });
+
+    describe('isFHIRPathTrue', () => {
+
+        test('should evaluate expressions as booleans', () => {
+            expect(isFHIRPathTrue(bundle, "Condition.where(clinicalStatus.coding.code='active').exists()")).toBe(true);
+            expect(isFHIRPathTrue(bundle, 'Patient.exists()')).toBe(false);
+            expect(isFHIRPathTrue(bundle, 'Patient')).toBe(false);
+            expect(isFHIRPathTrue(bundle, 'Condition')).toBe(true);
+        });
+    });
+});
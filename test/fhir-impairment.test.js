@@ -0,0 +1,134 @@
+/**
+ * Tests for Renal and Hepatic Impairment
+ */
+
+const { calculateEGFR, getRenalFunction, getHepaticFunction } = require('../src/fhir/impairment');
+const { ipsBuilder, snomed, loinc, icd10 } = require('../src/testing/builders');
+
+const ipsFixture = require('./fixtures/ips.json');
+
+describe('Renal and Hepatic Impairment', () => {
+
+    const referenceDate = '2024-06-01';
+    const patient = (gender = 'male') => ipsBuilder().patient({ gender, birthDate: '1974-05-01' });
+    const lab = (code, value, unit, effectiveDateTime = '2024-05-01') => ({ code: loinc(code), value, unit, effectiveDateTime });
+
+    describe('calculateEGFR', () => {
+
+        test('should apply the CKD-EPI 2021 equation', () => {
+            expect(calculateEGFR(1.0, 50, 'male')).toBe(92);
+            expect(calculateEGFR(0.7, 40, 'female')).toBe(112);
+            expect(calculateEGFR(2.5, 70, 'female')).toBe(20);
+        });
+
+        test('should return null for children and invalid input', () => {
+            expect(calculateEGFR(1.0, 12, 'male')).toBeNull();
+            expect(calculateEGFR(1.0, 50, 'unknown')).toBeNull();
+            expect(calculateEGFR(0, 50, 'male')).toBeNull();
+            expect(calculateEGFR(null, 50, 'male')).toBeNull();
+        });
+    });
+
+    describe('getRenalFunction', () => {
+
+        test('should classify the most recent reported eGFR', () => {
+            const ips = patient()
+                .observation(lab('62238-1', 85, 'mL/min/{1.73_m2}', '2023-01-01'))
+                .observation(lab('62238-1', 40, 'mL/min/{1.73_m2}', '2024-05-01'))
+                .build();
+
+            expect(getRenalFunction(ips, { referenceDate })).toMatchObject({
+                egfr: { value: 40, date: '2024-05-01', calculated: false },
+                category: 'G3b',
+                impairment: 'moderate',
+                impaired: true
+            });
+            expect(getRenalFunction(ips, { referenceDate: '2023-06-01' })).toMatchObject({ category: 'G2', impairment: 'mild' });
+        });
+
+        test('should calculate eGFR from creatinine in mg/dL or µmol/L', () => {
+            const ips = patient().observation(lab('2160-0', 1.0, 'mg/dL')).build();
+            const result = getRenalFunction(ips, { referenceDate });
+
+            expect(result.egfr).toEqual({ id: expect.any(String), value: 92, unit: 'mL/min/{1.73_m2}', date: '2024-05-01', calculated: true });
+            expect(result.creatinine).toMatchObject({ value: 1.0, unit: 'mg/dL' });
+            expect(result.evidence[0]).toMatchObject({ reason: 'calculated-egfr', code: '2160-0', impairment: 'none' });
+
+            const molar = patient().observation(lab('14682-9', 88.42, 'umol/L')).build();
+            expect(getRenalFunction(molar, { referenceDate }).egfr.value).toBe(92);
+        });
+
+        test('should combine chronic kidney disease conditions', () => {
+            const staged = patient()
+                .observation(lab('62238-1', 70, 'mL/min/{1.73_m2}'))
+                .condition(icd10('N18.4'))
+                .build();
+            expect(getRenalFunction(staged, { referenceDate })).toMatchObject({ impairment: 'severe', category: 'G2' });
+
+            const unstaged = patient().condition(snomed('709044004')).build();
+            expect(getRenalFunction(unstaged, { referenceDate })).toMatchObject({
+                egfr: null,
+                impairment: 'unspecified',
+                impaired: true,
+                evidence: [expect.objectContaining({ resourceType: 'Condition', reason: 'condition', impairment: null })]
+            });
+
+            const resolved = patient().condition({ code: snomed('709044004'), clinicalStatus: 'resolved' }).build();
+            expect(getRenalFunction(resolved).impairment).toBeNull();
+        });
+    });
+
+    describe('getHepaticFunction', () => {
+
+        test('should stage bilirubin and transaminases against the upper limits', () => {
+            const ips = patient()
+                .observation(lab('1975-2', 2.4, 'mg/dL'))
+                .observation(lab('1920-8', 30, 'U/L'))
+                .build();
+            expect(getHepaticFunction(ips, { referenceDate })).toMatchObject({
+                bilirubin: { value: 2.4, unit: 'mg/dL' },
+                ast: { value: 30 },
+                alt: null,
+                impairment: 'moderate',
+                impaired: true
+            });
+
+            const transaminases = patient()
+                .observation(lab('1975-2', 10, 'umol/L'))
+                .observation(lab('1742-6', 95, 'U/L'))
+                .build();
+            expect(getHepaticFunction(transaminases, { referenceDate }).impairment).toBe('mild');
+            expect(getHepaticFunction(transaminases, { referenceDate, upperLimits: { alt: 100 } }).impairment).toBe('none');
+        });
+
+        test('should use the reference range of an observation as the upper limit', () => {
+            const ips = patient()
+                .observation({
+                    ...lab('1975-2', 40, 'umol/L'),
+                    referenceRange: [{ high: { value: 21, unit: 'umol/L', system: 'http://unitsofmeasure.org', code: 'umol/L' } }]
+                })
+                .build();
+
+            expect(getHepaticFunction(ips, { referenceDate })).toMatchObject({
+                bilirubin: { value: 40, unit: 'umol/L' },
+                impairment: 'moderate'
+            });
+        });
+
+        test('should combine liver disease conditions and their severity', () => {
+            const failure = patient().condition(snomed('59927004')).build();
+            expect(getHepaticFunction(failure).impairment).toBe('severe');
+
+            const cirrhosis = patient()
+                .condition({ code: snomed('19943007'), severity: { coding: [snomed('6736007')] } })
+                .build();
+            expect(getHepaticFunction(cirrhosis).impairment).toBe('moderate');
+            expect(getHepaticFunction(patient().condition(icd10('K74.6')).build()).impairment).toBe('unspecified');
+        });
+
+        test('should return no impairment data for bundles without labs or conditions', () => {
+            expect(getHepaticFunction(ipsFixture)).toMatchObject({ impairment: null, impaired: false, evidence: [] });
+            expect(getRenalFunction(null)).toMatchObject({ egfr: null, impairment: null, impaired: false });
+        });
+    });
+});
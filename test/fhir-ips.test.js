@@ -4,10 +4,32 @@
 
 const { 
     getPatientInfo,
+    getPatientDemographics,
     getMedications,
+    getMedicationDosages,
     getConditions,
-    getAllergies
+    getAllergies,
+    getProcedures,
+    getImmunizations,
+    getDevices,
+    getDiagnosticResults,
+    getVitalSigns,
+    getSocialHistory,
+    getPregnancyHistory,
+    getFunctionalStatus,
+    getCarePlans,
+    IPS_SECTIONS,
+    getIPSSections,
+    getSectionResources,
+    getNoKnownStatements,
+    getPatientContacts,
+    getObservationsByCode,
+    getObservationSeries,
+    getLatestObservation,
+    getObservationTrend
 } = require('../src/fhir/ips');
+const { matchCodes } = require('../src/fhir/common');
+const { ipsBuilder, loinc, snomed } = require('../src/testing/builders');
 
 const ipsFixture = require('./fixtures/ips.json');
 
@@ -23,6 +45,24 @@ describe('FHIR IPS Utilities', () => {
             expect(patient).toHaveProperty('age');
         });
         
+        test('should compute age details and band at a reference date', () => {
+            const ips = ipsBuilder().patient({ birthDate: '2010-07-15' }).build();
+
+            expect(getPatientInfo(ips, { referenceDate: '2024-06-01' })).toMatchObject({
+                age: 13,
+                ageDetails: { years: 13, months: 10, days: 17, precision: 'day' },
+                ageBand: 'adolescent'
+            });
+            expect(getPatientInfo(ips, { referenceDate: '2024-06-01', ageBands: { adolescent: { years: 13 } } }).ageBand).toBe('adult');
+            expect(getPatientInfo(ipsBuilder().patient({ birthDate: '1950' }).build(), { referenceDate: '2024-06-01' }))
+                .toMatchObject({ age: 73, ageBand: 'elderly', ageDetails: { precision: 'year' } });
+            expect(getPatientInfo(ipsBuilder().patient({}).build())).toMatchObject({ age: null, ageDetails: null, ageBand: null });
+        });
+
+        test('should include the patient demographics', () => {
+            expect(getPatientInfo(ipsFixture).demographics).toEqual(getPatientDemographics(ipsFixture));
+        });
+
         test('should return null when no patient found', () => {
             const emptyBundle = { entry: [] };
             const patient = getPatientInfo(emptyBundle);
@@ -36,6 +76,77 @@ describe('FHIR IPS Utilities', () => {
         });
     });
     
+    describe('getPatientDemographics', () => {
+
+        test('should normalize the fixture patient', () => {
+            expect(getPatientDemographics(ipsFixture)).toEqual({
+                name: 'Pedro Gravitate',
+                names: [{ use: null, text: 'Pedro Gravitate', family: 'Gravitate', given: ['Pedro'] }],
+                gender: 'male',
+                birthDate: '1980-10-05',
+                preferredLanguage: null,
+                languages: [],
+                citizenship: [{ code: 'ES', system: 'urn:iso:std:iso:3166', display: 'Spain', period: null }],
+                countryOfResidence: null,
+                deceased: false,
+                deceasedDateTime: null,
+                active: true
+            });
+        });
+
+        test('should pick the preferred name, language and current home address', () => {
+            const ips = ipsBuilder().patient({
+                name: [
+                    { use: 'official', family: 'Silva', given: ['Maria', 'João'] },
+                    { use: 'usual', text: 'Majo Silva' }
+                ],
+                communication: [
+                    { language: { coding: [{ system: 'urn:ietf:bcp:47', code: 'en', display: 'English' }] } },
+                    { language: { coding: [{ system: 'urn:ietf:bcp:47', code: 'pt-PT', display: 'Portuguese (Portugal)' }] }, preferred: true }
+                ],
+                address: [
+                    { use: 'home', country: 'ES', period: { end: '2020-01-01' } },
+                    { use: 'work', country: 'FR' },
+                    { use: 'home', country: 'PT' }
+                ]
+            }).build();
+
+            expect(getPatientDemographics(ips)).toMatchObject({
+                name: 'Majo Silva',
+                preferredLanguage: 'pt-PT',
+                languages: [
+                    { code: 'en', display: 'English', preferred: false },
+                    { code: 'pt-PT', display: 'Portuguese (Portugal)', preferred: true }
+                ],
+                countryOfResidence: 'PT',
+                active: null
+            });
+            expect(getPatientDemographics(ips).names[0].text).toBe('Maria João Silva');
+        });
+
+        test('should fall back to the first language and report deceased patients', () => {
+            const ips = ipsBuilder().patient({
+                communication: [{ language: { text: 'nl' } }],
+                deceasedDateTime: '2024-02-10',
+                active: false
+            }).build();
+
+            expect(getPatientDemographics(ips)).toMatchObject({
+                name: '',
+                preferredLanguage: 'nl',
+                deceased: true,
+                deceasedDateTime: '2024-02-10',
+                active: false
+            });
+            expect(getPatientDemographics(ipsBuilder().patient({ deceasedBoolean: true }).build()).deceased).toBe(true);
+        });
+
+        test('should return null without a patient', () => {
+            expect(getPatientDemographics({ entry: [] })).toBeNull();
+            expect(getPatientDemographics(null)).toBeNull();
+        });
+    });
+
     describe('getMedications', () => {
         
         test('should extract medications from IPS bundle', () => {
@@ -104,13 +215,251 @@ describe('FHIR IPS Utilities', () => {
             expect(medications[0].codes.length).toBeGreaterThan(0);
         });
         
+        test('should resolve urn:uuid and contained medication references', () => {
+            const bundle = {
+                entry: [
+                    {
+                        fullUrl: 'urn:uuid:2f9a1d3c-0000-4000-8000-000000000001',
+                        resource: {
+                            resourceType: 'MedicationStatement',
+                            medicationReference: { reference: 'urn:uuid:2f9a1d3c-0000-4000-8000-000000000002' }
+                        }
+                    },
+                    {
+                        fullUrl: 'urn:uuid:2f9a1d3c-0000-4000-8000-000000000002',
+                        resource: {
+                            resourceType: 'Medication',
+                            code: { coding: [{ code: 'C09CA04', system: 'http://www.whocc.no/atc' }] }
+                        }
+                    },
+                    {
+                        resource: {
+                            resourceType: 'MedicationRequest',
+                            id: 'req1',
+                            contained: [
+                                {
+                                    resourceType: 'Medication',
+                                    id: 'm1',
+                                    code: { coding: [{ code: 'N02BE01', system: 'http://www.whocc.no/atc' }] }
+                                }
+                            ],
+                            medicationReference: { reference: '#m1' }
+                        }
+                    }
+                ]
+            };
+            
+            const medications = getMedications(bundle);
+            expect(medications).toHaveLength(2);
+            expect(medications[0].codes[0].code).toBe('C09CA04');
+            expect(medications[1].codes[0].code).toBe('N02BE01');
+        });
+        
+        test('should normalize the code systems of medication codes and ingredients', () => {
+            const atc = 'urn:oid:2.16.840.1.113883.6.73';
+            const bundle = {
+                entry: [
+                    {
+                        resource: {
+                            resourceType: 'MedicationStatement',
+                            id: 'ms1',
+                            medicationCodeableConcept: { coding: [{ code: 'N02BE01', system: atc }] }
+                        }
+                    },
+                    {
+                        resource: {
+                            resourceType: 'MedicationStatement',
+                            id: 'ms2',
+                            medicationReference: { reference: 'Medication/m2' }
+                        }
+                    },
+                    {
+                        resource: {
+                            resourceType: 'Medication',
+                            id: 'm2',
+                            code: { coding: [{ code: 'C09CA04', system: atc }] },
+                            ingredient: [{ itemCodeableConcept: { coding: [{ code: '386872004', system: 'urn:oid:2.16.840.1.113883.6.96' }] } }]
+                        }
+                    }
+                ]
+            };
+
+            const [first, second] = getMedications(bundle);
+            expect(first.codes).toEqual([{ code: 'N02BE01', system: 'http://www.whocc.no/atc', display: '' }]);
+            expect(second.codes).toEqual([
+                { code: 'C09CA04', system: 'http://www.whocc.no/atc', display: '', source: 'medication-code' },
+                { code: '386872004', system: 'http://snomed.info/sct', display: '', source: 'ingredient' }
+            ]);
+            expect(matchCodes(second.codes, { code: 'C09CA04', system: 'ATC' }, true)).toBe(true);
+        });
+
         test('should return empty array for null/undefined bundle', () => {
             expect(getMedications(null)).toEqual([]);
             expect(getMedications(undefined)).toEqual([]);
             expect(getMedications({})).toEqual([]);
         });
     });
+
+    describe('getMedications filtering', () => {
+
+        const bundle = ipsBuilder()
+            .medication({ id: 'current', atc: 'C09AA02', status: 'active', effectivePeriod: { start: '2024-01-01' } })
+            .medication({ id: 'stopped', atc: 'N02BE01', status: 'stopped', effectivePeriod: { start: '2023-01-01', end: '2023-06-30' } })
+            .medication({ id: 'error', atc: 'B01AC06', status: 'entered-in-error' })
+            .medication({ id: 'undated', atc: 'A10BA02', status: 'active' })
+            .medication({ id: 'request', atc: 'C10AA01', resourceType: 'MedicationRequest', status: 'active', authoredOn: '2024-03-01' })
+            .medication({
+                id: 'dispense',
+                atc: 'J01CA04',
+                resourceType: 'MedicationDispense',
+                status: 'completed',
+                whenHandedOver: '2024-02-01T10:00:00Z',
+                daysSupply: { value: 10, unit: 'days', system: 'http://unitsofmeasure.org', code: 'd' }
+            })
+            .build();
+        const ids = medications => medications.map(medication => medication.id);
+
+        test('should return status and effective period fields', () => {
+            const medications = getMedications(bundle);
+
+            expect(ids(medications)).toEqual(['current', 'stopped', 'error', 'undated', 'request', 'dispense']);
+            expect(medications[1]).toMatchObject({ status: 'stopped', effectivePeriod: { start: '2023-01-01', end: '2023-06-30' } });
+            expect(medications[3].effectivePeriod).toBeNull();
+            expect(medications[4].effectivePeriod).toEqual({ start: '2024-03-01', end: null });
+            expect(medications[5].effectivePeriod).toEqual({ start: '2024-02-01T10:00:00Z', end: '2024-02-11T10:00:00.000Z' });
+        });
+
+        test('should keep only active statuses with activeOnly', () => {
+            expect(ids(getMedications(bundle, { activeOnly: true })))
+                .toEqual(['current', 'undated', 'request', 'dispense']);
+        });
+
+        test('should apply a status allowlist', () => {
+            expect(ids(getMedications(bundle, { statuses: ['stopped', 'entered-in-error'] }))).toEqual(['stopped', 'error']);
+        });
+
+        test('should filter by reference date and lookback window', () => {
+            expect(ids(getMedications(bundle, { referenceDate: '2024-02-05' })))
+                .toEqual(['current', 'error', 'undated', 'dispense']);
+            expect(ids(getMedications(bundle, { referenceDate: '2024-06-01' })))
+                .toEqual(['current', 'error', 'undated', 'request']);
+            expect(ids(getMedications(bundle, { referenceDate: '2023-12-31', lookbackDays: 184 })))
+                .toEqual(['stopped', 'error', 'undated']);
+            expect(ids(getMedications(bundle, { activeOnly: true, referenceDate: '2024-06-01', lookbackDays: 365 })))
+                .toEqual(['current', 'undated', 'request', 'dispense']);
+        });
+
+        test('should keep active long-term statements dated only by effectiveDateTime', () => {
+            const chronic = ipsBuilder()
+                .medication({ id: 'chronic', atc: 'C09AA02', status: 'active', effectiveDateTime: '2023-05-01' })
+                .medication({ id: 'past', atc: 'N02BE01', status: 'completed', effectiveDateTime: '2023-05-01' })
+                .build();
+            const options = { activeOnly: true, referenceDate: '2024-06-01', lookbackDays: 90 };
+
+            expect(ids(getMedications(chronic, options))).toEqual(['chronic']);
+            expect(getMedications(chronic)[0].effectivePeriod).toEqual({ start: '2023-05-01', end: null });
+            expect(ids(getMedications(chronic, { referenceDate: '2024-06-01', lookbackDays: 90 }))).toEqual(['chronic']);
+            expect(ids(getMedications(chronic, { referenceDate: '2023-05-01' }))).toEqual(['chronic', 'past']);
+        });
+    });
     
+    describe('getMedicationDosages', () => {
+
+        test('should normalize dose, route, frequency and instructions', () => {
+            const bundle = ipsBuilder()
+                .medication({
+                    id: 'm1',
+                    atc: 'N02BE01',
+                    dosage: [{
+                        text: '1 g every 6 hours',
+                        patientInstruction: 'Take with water',
+                        route: { coding: [{ system: 'urn:oid:0.4.0.127.0.16.1.1.2.1', code: '20053000', display: 'Oral use' }] },
+                        timing: { repeat: { frequency: 1, period: 6, periodUnit: 'h' } },
+                        doseAndRate: [{ doseQuantity: { value: 1, unit: 'g', system: 'http://unitsofmeasure.org', code: 'g' } }]
+                    }]
+                })
+                .build();
+
+            const [medication] = getMedicationDosages(bundle);
+            expect(medication).toMatchObject({ id: 'm1', status: 'active' });
+            expect(medication.codes[0].code).toBe('N02BE01');
+            expect(medication.dosages).toEqual([{
+                text: '1 g every 6 hours',
+                patientInstruction: 'Take with water',
+                dose: { value: 1, unit: 'g', code: 'g', system: 'http://unitsofmeasure.org' },
+                doseRange: null,
+                route: [{ code: '20053000', system: 'http://standardterms.edqm.eu', display: 'Oral use' }],
+                frequencyPerDay: 4,
+                maxFrequencyPerDay: 4,
+                dailyDose: { value: 4, unit: 'g', code: 'g', system: 'http://unitsofmeasure.org' },
+                asNeeded: false,
+                asNeededFor: []
+            }]);
+        });
+
+        test('should map free-text units to UCUM and read timing codes and as-needed flags', () => {
+            const bundle = ipsBuilder()
+                .medication({
+                    resourceType: 'MedicationRequest',
+                    atc: 'M01AE01',
+                    dosageInstruction: [{
+                        timing: { code: { coding: [{ code: 'TID' }] } },
+                        asNeededCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '22253000', display: 'Pain' }] },
+                        doseAndRate: [{ doseQuantity: { value: 2, unit: 'tablets' } }]
+                    }]
+                })
+                .medication({
+                    atc: 'R03AC02',
+                    dosage: [{
+                        asNeededBoolean: true,
+                        timing: { repeat: { frequency: 1, frequencyMax: 2, period: 1, periodUnit: 'd', when: ['MORN'] } },
+                        doseAndRate: [{ doseRange: { low: { value: 100, unit: 'mcg' }, high: { value: 200, unit: 'mcg' } } }]
+                    }]
+                })
+                .build();
+
+            const [request, inhaler] = getMedicationDosages(bundle);
+            expect(request.dosages[0]).toMatchObject({
+                dose: { value: 2, unit: 'tablets', code: '{tablet}', system: 'http://unitsofmeasure.org' },
+                frequencyPerDay: 3,
+                dailyDose: { value: 6, code: '{tablet}' },
+                asNeeded: true,
+                asNeededFor: [{ code: '22253000', system: 'http://snomed.info/sct', display: 'Pain' }]
+            });
+            expect(inhaler.dosages[0]).toMatchObject({
+                dose: null,
+                doseRange: { low: { value: 100, code: 'ug' }, high: { value: 200, code: 'ug' } },
+                frequencyPerDay: 1,
+                maxFrequencyPerDay: 2,
+                dailyDose: null,
+                asNeeded: true
+            });
+        });
+
+        test('should read MedicationAdministration dosage and apply getMedications filters', () => {
+            const bundle = ipsBuilder()
+                .medication({
+                    resourceType: 'MedicationAdministration',
+                    status: 'completed',
+                    atc: 'J01CA04',
+                    dosage: { dose: { value: 500, unit: 'mg' }, route: { text: 'Oral' } }
+                })
+                .medication({ atc: 'N02BE01', status: 'stopped' })
+                .build();
+
+            const dosages = getMedicationDosages(bundle, { activeOnly: true });
+            expect(dosages).toHaveLength(1);
+            expect(dosages[0].dosages[0]).toMatchObject({ dose: { value: 500, code: 'mg' }, frequencyPerDay: null, route: [] });
+            expect(getMedicationDosages(null)).toEqual([]);
+        });
+
+        test('should return dosages without dose for the fixture statements', () => {
+            getMedicationDosages(ipsFixture).forEach(medication => {
+                medication.dosages.forEach(dosage => expect(dosage.dose).toBeNull());
+            });
+        });
+    });
+
     describe('getConditions', () => {
         
         test('should extract conditions from IPS bundle', () => {
@@ -145,10 +494,131 @@ describe('FHIR IPS Utilities', () => {
             expect(conditions[0].codes[0].code).toBe('38341003');
         });
         
+        test('should normalize the code systems of condition codes', () => {
+            const bundle = {
+                entry: [{
+                    resource: {
+                        resourceType: 'Condition',
+                        id: 'cond1',
+                        code: { coding: [{ code: '38341003', system: 'urn:oid:2.16.840.1.113883.6.96' }, { code: 'I10', system: 'ICD-10' }] }
+                    }
+                }]
+            };
+
+            const [condition] = getConditions(bundle);
+            expect(condition.codes).toEqual([
+                { code: '38341003', system: 'http://snomed.info/sct', display: '' },
+                { code: 'I10', system: 'http://hl7.org/fhir/sid/icd-10', display: '' }
+            ]);
+            expect(matchCodes(condition.codes, snomed('38341003'), true)).toBe(true);
+        });
+
         test('should return empty array for null/undefined bundle', () => {
             expect(getConditions(null)).toEqual([]);
             expect(getConditions(undefined)).toEqual([]);
         });
+
+        const conditionsBundle = ipsBuilder()
+            .condition({ id: 'active', code: snomed('38341003') })
+            .condition({ id: 'relapse', code: snomed('35489007'), clinicalStatus: 'relapse' })
+            .condition({ id: 'remission', code: snomed('93143009'), clinicalStatus: 'remission' })
+            .condition({ id: 'resolved', code: snomed('195967001'), clinicalStatus: 'resolved', abatementDateTime: '2020-03-01' })
+            .condition({ id: 'refuted', code: snomed('44054006'), verificationStatus: 'refuted' })
+            .condition({ id: 'error', code: snomed('44054006'), verificationStatus: 'entered-in-error' })
+            .resource({ resourceType: 'Condition', id: 'no-status', code: { coding: [snomed('73211009')] } })
+            .resource({ resourceType: 'Condition', id: 'abated', code: { coding: [snomed('73211009')] }, abatementString: 'childhood' })
+            .build();
+
+        test('should filter conditions by clinical and verification status', () => {
+            const ids = options => getConditions(conditionsBundle, options).map(condition => condition.id);
+
+            expect(ids()).toHaveLength(8);
+            expect(ids({ activeOnly: true })).toEqual(['active', 'relapse', 'refuted', 'error', 'no-status']);
+            expect(ids({ activeOnly: true, includeRemission: true, excludeRefuted: true }))
+                .toEqual(['active', 'relapse', 'remission', 'no-status']);
+            expect(ids({ excludeRefuted: true })).not.toContain('refuted');
+        });
+
+        test('should read the status coding with a known code and text statuses', () => {
+            const bundle = {
+                entry: [{
+                    resource: {
+                        resourceType: 'Condition',
+                        id: 'c1',
+                        clinicalStatus: { coding: [{ system: 'http://example.org/local', code: 'X' }, { code: 'resolved' }] },
+                        verificationStatus: { text: 'Confirmed' }
+                    }
+                }]
+            };
+
+            expect(getConditions(bundle)[0]).toMatchObject({ clinicalStatus: 'resolved', verificationStatus: 'confirmed' });
+        });
+
+        test('should normalize onset and abatement forms, category and severity', () => {
+            const condition = (id, data) => ({ resourceType: 'Condition', id, code: { coding: [snomed('38341003')] }, ...data });
+            const bundle = ipsBuilder()
+                .resource(condition('date', {
+                    onsetDateTime: '2015-06',
+                    abatementPeriod: { start: '2020-01-01', end: '2020-02-01' },
+                    category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-category', code: 'problem-list-item' }] }],
+                    severity: { coding: [snomed('24484000', 'Severe')] }
+                }))
+                .resource(condition('age', {
+                    onsetAge: { value: 18, unit: 'months', system: 'http://unitsofmeasure.org', code: 'mo' },
+                    abatementBoolean: true,
+                    severity: { text: 'Mild' }
+                }))
+                .resource(condition('range', { onsetRange: { low: { value: 40, unit: 'years' } }, onsetString: 'in the forties' }))
+                .build();
+
+            const [byDate, byAge, byRange] = getConditions(bundle);
+            expect(byDate).toMatchObject({
+                onset: { date: '2015-06', end: null, age: null, text: null },
+                abatement: { date: '2020-01-01', end: '2020-02-01', age: null, text: null },
+                category: [expect.objectContaining({ code: 'problem-list-item' })],
+                severity: 'severe'
+            });
+            expect(byAge).toMatchObject({
+                onset: { date: null, end: null, age: 1.5, text: null },
+                abatement: { date: null, end: null, age: null, text: null },
+                severity: 'mild'
+            });
+            expect(byRange.onset).toEqual({ date: null, end: null, age: 40, text: 'in the forties' });
+            expect(byRange).toMatchObject({ abatement: null, severity: null, category: [] });
+        });
+    });
+    
+    describe('getPatientContacts', () => {
+        
+        test('should resolve urn:uuid general practitioner references', () => {
+            const bundle = {
+                entry: [
+                    {
+                        fullUrl: 'urn:uuid:7c1e0e2a-0000-4000-8000-000000000001',
+                        resource: {
+                            resourceType: 'Patient',
+                            generalPractitioner: [{ reference: 'urn:uuid:7c1e0e2a-0000-4000-8000-000000000002' }]
+                        }
+                    },
+                    {
+                        fullUrl: 'urn:uuid:7c1e0e2a-0000-4000-8000-000000000002',
+                        resource: {
+                            resourceType: 'Organization',
+                            telecom: [{ system: 'phone', value: '+34 600 000 000' }]
+                        }
+                    }
+                ]
+            };
+            
+            const contacts = getPatientContacts(bundle);
+            expect(contacts).toHaveLength(1);
+            expect(contacts[0]).toMatchObject({ type: 'phone', resourceType: 'Organization' });
+        });
+        
+        test('should return empty array when no patient found', () => {
+            expect(getPatientContacts({ entry: [] })).toEqual([]);
+            expect(getPatientContacts(null)).toEqual([]);
+        });
     });
     
     describe('getAllergies', () => {
@@ -163,9 +633,627 @@ describe('FHIR IPS Utilities', () => {
             });
         });
         
+        test('should normalize statuses, category and reaction severity', () => {
+            const bundle = ipsBuilder()
+                .allergy({
+                    code: snomed('91936005', 'Allergy to penicillin'),
+                    criticality: 'high',
+                    category: ['medication'],
+                    verificationStatus: { coding: [{ code: 'confirmed' }] },
+                    reaction: [
+                        { manifestation: [{ coding: [snomed('271807003', 'Rash')] }], severity: 'mild' },
+                        { manifestation: [{ concept: { coding: [snomed('39579001', 'Anaphylaxis')] } }], severity: 'severe' }
+                    ]
+                })
+                .build();
+
+            expect(getAllergies(bundle)[0]).toMatchObject({
+                criticality: 'high',
+                category: ['medication'],
+                clinicalStatus: 'active',
+                verificationStatus: 'confirmed',
+                severity: 'severe',
+                reactions: [
+                    { substance: [], manifestations: [expect.objectContaining({ code: '271807003' })], severity: 'mild' },
+                    { substance: [], manifestations: [expect.objectContaining({ code: '39579001' })], severity: 'severe' }
+                ]
+            });
+        });
+
         test('should return empty array for null/undefined bundle', () => {
             expect(getAllergies(null)).toEqual([]);
             expect(getAllergies(undefined)).toEqual([]);
         });
     });
+
+    describe('IPS section extractors', () => {
+
+        const loinc = (code) => ({ coding: [{ system: 'http://loinc.org', code }] });
+        const category = (code) => [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code }] }];
+        const bundle = {
+            resourceType: 'Bundle',
+            type: 'document',
+            entry: [
+                {
+                    fullUrl: 'urn:uuid:composition',
+                    resource: {
+                        resourceType: 'Composition',
+                        section: [{
+                            code: loinc('47420-5'),
+                            entry: [{ reference: 'urn:uuid:disability' }]
+                        }]
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Procedure',
+                        id: 'proc1',
+                        status: 'completed',
+                        code: { coding: [{ system: 'http://snomed.info/sct', code: '80146002', display: 'Appendectomy' }] },
+                        performedPeriod: { start: '2015-03-01' },
+                        bodySite: [{ coding: [{ system: 'http://snomed.info/sct', code: '66754008' }] }]
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Immunization',
+                        id: 'imm1',
+                        status: 'completed',
+                        vaccineCode: { coding: [{ system: 'http://snomed.info/sct', code: '1119349007' }], text: 'COVID-19 vaccine' },
+                        occurrenceDateTime: '2021-05-10',
+                        protocolApplied: [{
+                            targetDisease: [{ coding: [{ system: 'http://snomed.info/sct', code: '840539006' }] }],
+                            doseNumberPositiveInt: 2
+                        }]
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'DeviceUseStatement',
+                        id: 'dus1',
+                        status: 'active',
+                        device: { reference: 'Device/pacemaker' }
+                    }
+                },
+                {
+                    fullUrl: 'https://example.org/fhir/Device/pacemaker',
+                    resource: {
+                        resourceType: 'Device',
+                        id: 'pacemaker',
+                        type: { coding: [{ system: 'http://snomed.info/sct', code: '14106009' }], text: 'Cardiac pacemaker' }
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Observation',
+                        id: 'lab1',
+                        status: 'final',
+                        category: category('laboratory'),
+                        code: loinc('2160-0'),
+                        valueQuantity: { value: 1.1, unit: 'mg/dL' },
+                        effectiveDateTime: '2024-02-01'
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'DiagnosticReport',
+                        id: 'rep1',
+                        status: 'final',
+                        code: loinc('24323-8'),
+                        conclusion: 'Normal',
+                        result: [{ reference: 'Observation/lab1' }]
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Observation',
+                        id: 'bp1',
+                        status: 'final',
+                        code: loinc('85354-9'),
+                        effectiveDateTime: '2024-02-01',
+                        component: [
+                            { code: loinc('8480-6'), valueQuantity: { value: 120, unit: 'mmHg' } },
+                            { code: loinc('8462-4'), valueQuantity: { value: 80, unit: 'mmHg' } }
+                        ]
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Observation',
+                        id: 'smoke1',
+                        status: 'final',
+                        category: category('social-history'),
+                        code: loinc('72166-2'),
+                        valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '8517006' }] }
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'Observation',
+                        id: 'preg1',
+                        status: 'final',
+                        code: loinc('82810-3'),
+                        valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '77386006' }] }
+                    }
+                },
+                {
+                    fullUrl: 'urn:uuid:disability',
+                    resource: {
+                        resourceType: 'Condition',
+                        id: 'dis1',
+                        clinicalStatus: { coding: [{ code: 'active' }] },
+                        code: { coding: [{ system: 'http://snomed.info/sct', code: '21134002' }], text: 'Disability' }
+                    }
+                },
+                {
+                    resource: {
+                        resourceType: 'CarePlan',
+                        id: 'cp1',
+                        status: 'active',
+                        intent: 'plan',
+                        title: 'Diabetes plan',
+                        category: [{ coding: [{ system: 'http://snomed.info/sct', code: '698360004' }] }],
+                        period: { start: '2024-01-01' }
+                    }
+                }
+            ]
+        };
+
+        test('should extract procedures and immunizations', () => {
+            expect(getProcedures(bundle)).toEqual([{
+                id: 'proc1',
+                codes: [{ code: '80146002', system: 'http://snomed.info/sct', display: 'Appendectomy' }],
+                text: '',
+                status: 'completed',
+                performedDateTime: '2015-03-01',
+                bodySite: [{ code: '66754008', system: 'http://snomed.info/sct', display: '' }]
+            }]);
+            expect(getImmunizations(bundle)).toEqual([expect.objectContaining({
+                id: 'imm1',
+                text: 'COVID-19 vaccine',
+                occurrenceDateTime: '2021-05-10',
+                targetDisease: [expect.objectContaining({ code: '840539006' })],
+                doseNumber: 2
+            })]);
+        });
+
+        test('should resolve device codes from the referenced Device (R4 and R5)', () => {
+            expect(getDevices(bundle)).toEqual([expect.objectContaining({
+                id: 'dus1',
+                codes: [expect.objectContaining({ code: '14106009' })],
+                text: 'Cardiac pacemaker',
+                deviceId: 'pacemaker'
+            })]);
+
+            const r5Bundle = {
+                entry: [
+                    { resource: { resourceType: 'DeviceUsage', id: 'du1', device: { reference: { reference: 'Device/d1' } } } },
+                    { resource: { resourceType: 'Device', id: 'd1', type: [{ coding: [{ code: '14106009' }] }] } }
+                ]
+            };
+            expect(getDevices(r5Bundle)[0]).toMatchObject({ deviceId: 'd1', codes: [{ code: '14106009' }] });
+        });
+
+        test('should extract diagnostic results and vital signs', () => {
+            const results = getDiagnosticResults(bundle);
+            expect(results.map(result => `${result.resourceType}/${result.id}`)).toEqual(['Observation/lab1', 'DiagnosticReport/rep1']);
+            expect(results[0]).toMatchObject({ value: 1.1, unit: 'mg/dL', category: [{ code: 'laboratory' }] });
+            expect(results[1]).toMatchObject({ conclusion: 'Normal', results: ['Observation/lab1'] });
+
+            const vitals = getVitalSigns(bundle);
+            expect(vitals.map(vital => vital.id)).toEqual(['bp1']);
+            expect(vitals[0].components).toEqual([
+                expect.objectContaining({ value: 120, unit: 'mmHg', codes: [expect.objectContaining({ code: '8480-6' })] }),
+                expect.objectContaining({ value: 80, unit: 'mmHg' })
+            ]);
+        });
+
+        test('should extract social and pregnancy history with their topic', () => {
+            expect(getSocialHistory(bundle)).toEqual([expect.objectContaining({ id: 'smoke1', topic: 'tobacco' })]);
+            expect(getPregnancyHistory(bundle)).toEqual([expect.objectContaining({
+                id: 'preg1',
+                topic: 'status',
+                valueCodeableConcept: { coding: [{ system: 'http://snomed.info/sct', code: '77386006' }] }
+            })]);
+        });
+
+        test('should extract functional status section entries and care plans', () => {
+            expect(getFunctionalStatus(bundle)).toEqual([{
+                resourceType: 'Condition',
+                id: 'dis1',
+                codes: [expect.objectContaining({ code: '21134002' })],
+                text: 'Disability',
+                status: 'active'
+            }]);
+            expect(getCarePlans(bundle)).toEqual([{
+                id: 'cp1',
+                codes: [expect.objectContaining({ code: '698360004' })],
+                text: 'Diabetes plan',
+                status: 'active',
+                intent: 'plan',
+                period: { start: '2024-01-01', end: null }
+            }]);
+        });
+
+        test('should accept single values where repeating elements are expected', () => {
+            const site = { coding: [{ system: 'http://snomed.info/sct', code: '66754008' }] };
+            const single = {
+                entry: [
+                    { resource: { resourceType: 'Procedure', id: 'proc1', status: 'completed', bodySite: site } },
+                    {
+                        resource: {
+                            resourceType: 'Immunization',
+                            id: 'imm1',
+                            status: 'completed',
+                            protocolApplied: { doseNumberPositiveInt: 1, targetDisease: { coding: [{ code: '840539006' }] } }
+                        }
+                    },
+                    {
+                        resource: {
+                            resourceType: 'DiagnosticReport',
+                            id: 'rep1',
+                            status: 'final',
+                            category: { coding: [{ code: 'LAB' }] },
+                            result: { reference: 'Observation/lab1' }
+                        }
+                    },
+                    {
+                        resource: {
+                            resourceType: 'ClinicalImpression',
+                            id: 'ci1',
+                            status: 'completed',
+                            finding: { itemCodeableConcept: { coding: [{ code: '21134002' }] } }
+                        }
+                    }
+                ]
+            };
+
+            expect(getProcedures(single)[0].bodySite).toEqual([expect.objectContaining({ code: '66754008' })]);
+            expect(getImmunizations(single)[0]).toMatchObject({ targetDisease: [{ code: '840539006' }], doseNumber: 1 });
+            expect(getDiagnosticResults(single)[0]).toMatchObject({ category: [{ code: 'LAB' }], results: ['Observation/lab1'] });
+            expect(getFunctionalStatus(single)[0].codes).toEqual([expect.objectContaining({ code: '21134002' })]);
+        });
+
+        test('should return empty arrays for null bundles and the fixture sections it lacks', () => {
+            [getProcedures, getImmunizations, getDevices, getDiagnosticResults, getVitalSigns,
+                getSocialHistory, getPregnancyHistory, getFunctionalStatus, getCarePlans].forEach(extract => {
+                expect(extract(null)).toEqual([]);
+                expect(Array.isArray(extract(ipsFixture))).toBe(true);
+            });
+        });
+    });
+
+    describe('IPS Composition sections', () => {
+
+        const section = (code, fields) => ({ code: { coding: [{ system: 'http://loinc.org', code }] }, ...fields });
+        const condition = (id, code) => ({
+            fullUrl: `urn:uuid:${id}`,
+            resource: { resourceType: 'Condition', id, code: { coding: [{ system: 'http://snomed.info/sct', code }] } }
+        });
+        const bundle = {
+            resourceType: 'Bundle',
+            type: 'document',
+            entry: [
+                {
+                    fullUrl: 'urn:uuid:composition',
+                    resource: {
+                        resourceType: 'Composition',
+                        section: [
+                            section('11450-4', { title: 'Problem List', entry: [{ reference: 'urn:uuid:current' }] }),
+                            section('11348-0', { title: 'History of Past Illness', entry: [{ reference: 'urn:uuid:past' }] }),
+                            section('48765-2', {
+                                title: 'Allergies',
+                                emptyReason: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/list-empty-reason', code: 'nilknown' }] }
+                            }),
+                            section('10160-0', { title: 'Medications', entry: [{ reference: 'urn:uuid:no-meds' }] })
+                        ]
+                    }
+                },
+                condition('current', '38341003'),
+                condition('past', '195967001'),
+                condition('unlisted', '44054006'),
+                {
+                    fullUrl: 'urn:uuid:no-meds',
+                    resource: {
+                        resourceType: 'MedicationStatement',
+                        id: 'no-meds',
+                        medicationCodeableConcept: {
+                            coding: [{ system: 'http://hl7.org/fhir/uv/ips/CodeSystem/absent-unknown-uv-ips', code: 'no-known-medications' }]
+                        }
+                    }
+                }
+            ]
+        };
+
+        test('should group resources by section LOINC code', () => {
+            const sections = getIPSSections(bundle);
+
+            expect(sections.map(s => [s.code, s.key, s.resources.map(r => r.id)])).toEqual([
+                ['11450-4', 'PROBLEMS', ['current']],
+                ['11348-0', 'PAST_ILLNESS', ['past']],
+                ['48765-2', 'ALLERGIES', []],
+                ['10160-0', 'MEDICATIONS', ['no-meds']]
+            ]);
+            expect(getSectionResources(bundle, 'PAST_ILLNESS').map(r => r.id)).toEqual(['past']);
+            expect(getSectionResources(bundle, IPS_SECTIONS.PROBLEMS).map(r => r.id)).toEqual(['current']);
+            expect(getSectionResources(bundle, IPS_SECTIONS.IMMUNIZATIONS)).toEqual([]);
+        });
+
+        test('should distinguish current problems from past history', () => {
+            expect(getConditions(bundle).map(c => [c.id, c.section])).toEqual([
+                ['current', '11450-4'],
+                ['past', '11348-0'],
+                ['unlisted', null]
+            ]);
+            expect(getConditions(bundle, { section: 'PROBLEMS' }).map(c => c.id)).toEqual(['current']);
+            expect(getConditions(bundle, { section: '11348-0' }).map(c => c.id)).toEqual(['past']);
+        });
+
+        test('should report emptyReasons and absent/unknown resources', () => {
+            expect(getNoKnownStatements(bundle)).toEqual([
+                expect.objectContaining({ section: '48765-2', key: 'ALLERGIES', kind: 'none-known', source: 'emptyReason', code: 'nilknown' }),
+                expect.objectContaining({
+                    section: '10160-0',
+                    key: 'MEDICATIONS',
+                    kind: 'none-known',
+                    source: 'resource',
+                    code: 'no-known-medications',
+                    resourceType: 'MedicationStatement',
+                    id: 'no-meds'
+                })
+            ]);
+            expect(getNoKnownStatements(ipsFixture)).toEqual([
+                expect.objectContaining({ key: 'ALLERGIES', kind: 'no-information', code: 'no-allergy-info' })
+            ]);
+        });
+
+        test('should return fresh sections that follow in-place edits', () => {
+            const edited = JSON.parse(JSON.stringify(bundle));
+            const sections = getIPSSections(edited);
+            sections[0].resources.length = 0;
+            sections.pop();
+            expect(getIPSSections(edited)).toHaveLength(4);
+            expect(getSectionResources(edited, 'PROBLEMS').map(r => r.id)).toEqual(['current']);
+
+            edited.entry[0].resource.section[0].title = 'Edited';
+            expect(getIPSSections(edited)[0].title).toBe('Edited');
+        });
+
+        test('should return empty results without a Composition', () => {
+            expect(getIPSSections(null)).toEqual([]);
+            expect(getIPSSections({ entry: [] })).toEqual([]);
+            expect(getSectionResources(null, 'PROBLEMS')).toEqual([]);
+            expect(getNoKnownStatements(null)).toEqual([]);
+        });
+    });
+
+    describe('Observation interpretation', () => {
+
+        const glucose = (value, unit, rest = {}) => ({ code: loinc('2345-7', 'Glucose'), value, unit, ...rest });
+        const range = (low, high, unit) => [{
+            low: { value: low, unit, system: 'http://unitsofmeasure.org', code: unit },
+            high: { value: high, unit, system: 'http://unitsofmeasure.org', code: unit }
+        }];
+
+        test('should flag values against the normal reference range', () => {
+            const ips = ipsBuilder()
+                .observation(glucose(90, 'mg/dL', { id: 'normal', referenceRange: range(70, 100, 'mg/dL') }))
+                .observation(glucose(1.5, 'g/L', { id: 'high', referenceRange: range(70, 100, 'mg/dL') }))
+                .observation(glucose(60, 'mg/dL', { id: 'unknown' }))
+                .build();
+
+            const flags = Object.fromEntries(getObservationsByCode(ips, ['2345-7']).map(obs => [obs.id, obs.flag]));
+            expect(flags).toEqual({ normal: 'normal', high: 'high', unknown: null });
+        });
+
+        test('should prefer interpretation codes over the reference range', () => {
+            const ips = ipsBuilder()
+                .observation(glucose(90, 'mg/dL', {
+                    referenceRange: range(70, 100, 'mg/dL'),
+                    interpretation: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation', code: 'HH' }] }]
+                }))
+                .build();
+
+            const [observation] = getObservationsByCode(ips, ['2345-7']);
+            expect(observation.flag).toBe('critical-high');
+            expect(observation.interpretation[0].code).toBe('HH');
+            expect(observation.referenceRange[0]).toEqual({
+                low: { value: 70, unit: 'mg/dL', code: 'mg/dL', system: 'http://unitsofmeasure.org' },
+                high: { value: 100, unit: 'mg/dL', code: 'mg/dL', system: 'http://unitsofmeasure.org' },
+                type: null,
+                text: ''
+            });
+        });
+
+        test('should convert values and reference ranges to a requested unit', () => {
+            const ips = ipsBuilder()
+                .observation(glucose(180, 'mg/dL', { referenceRange: range(70, 100, 'mg/dL') }))
+                .observation(glucose(5, '%'))
+                .build();
+
+            const [converted, unconvertible] = getObservationsByCode(ips, ['2345-7'], { unit: 'mmol/L', molarMass: 180.16 });
+            expect(converted.value).toBeCloseTo(9.991, 3);
+            expect(converted.unit).toBe('mmol/L');
+            expect(converted.referenceRange[0].high.value).toBeCloseTo(5.551, 3);
+            expect(converted.flag).toBe('high');
+            expect(unconvertible).toMatchObject({ value: 5, unit: '%' });
+        });
+    });
+
+    describe('Observation time series', () => {
+
+        const weight = (id, value, date, rest = {}) => ({ id, code: loinc('29463-7', 'Body weight'), value, unit: 'kg', ...rest, ...date });
+        const bloodPressure = (id, systolic, diastolic, effectiveDateTime) => ({
+            resourceType: 'Observation',
+            id,
+            status: 'final',
+            code: { coding: [loinc('85354-9', 'Blood pressure panel')] },
+            effectiveDateTime,
+            component: [
+                { code: { coding: [loinc('8480-6')] }, valueQuantity: { value: systolic, unit: 'mmHg', system: 'http://unitsofmeasure.org', code: 'mm[Hg]' } },
+                { code: { coding: [loinc('8462-4')] }, valueQuantity: { value: diastolic, unit: 'mmHg', system: 'http://unitsofmeasure.org', code: 'mm[Hg]' } }
+            ]
+        });
+
+        const ips = ipsBuilder()
+            .observation(weight('w3', 88, { effectivePeriod: { start: '2024-05-01', end: '2024-05-02' } }))
+            .observation(weight('w1', 80, { effectiveDateTime: '2023-01-10' }))
+            .observation(weight('w2', 82500, {}, { unit: 'g', issued: '2024-02-01T10:00:00Z' }))
+            .observation(weight('w0', 79, {}))
+            .observation(weight('error', 200, { effectiveDateTime: '2024-05-20' }, { status: 'entered-in-error' }))
+            .resource(bloodPressure('bp1', 150, 95, '2024-01-01'))
+            .resource(bloodPressure('bp2', 130, 85, '2024-04-01'))
+            .build();
+
+        test('should order observations by effective[x] or issued, oldest and undated first', () => {
+            const series = getObservationSeries(ips, ['29463-7']);
+            expect(series.map(item => [item.id, item.date])).toEqual([
+                ['w0', null],
+                ['w1', '2023-01-10'],
+                ['w2', '2024-02-01T10:00:00Z'],
+                ['w3', '2024-05-01']
+            ]);
+            expect(series[3].effectivePeriod).toEqual({ start: '2024-05-01', end: '2024-05-02' });
+            expect(series[2]).toMatchObject({ issued: '2024-02-01T10:00:00Z', panel: null });
+        });
+
+        test('should filter the series by reference date and lookback window', () => {
+            const ids = options => getObservationSeries(ips, ['29463-7'], options).map(item => item.id);
+
+            expect(ids({ referenceDate: '2024-03-01' })).toEqual(['w0', 'w1', 'w2']);
+            expect(ids({ referenceDate: '2024-06-01', lookbackDays: 180 })).toEqual(['w2', 'w3']);
+        });
+
+        test('should return component values such as systolic blood pressure', () => {
+            const systolic = getObservationSeries(ips, ['8480-6']);
+            expect(systolic).toEqual([
+                expect.objectContaining({ id: 'bp1', value: 150, unit: 'mmHg', codes: [expect.objectContaining({ code: '8480-6' })] }),
+                expect.objectContaining({ id: 'bp2', value: 130, date: '2024-04-01', components: [] })
+            ]);
+            expect(systolic[0].panel.codes[0].code).toBe('85354-9');
+            expect(getLatestObservation(ips, ['8462-4'])).toMatchObject({ id: 'bp2', value: 85 });
+        });
+
+        test('should select the latest value', () => {
+            expect(getLatestObservation(ips, ['29463-7'])).toMatchObject({ id: 'w3', value: 88 });
+            expect(getLatestObservation(ips, ['29463-7'], { referenceDate: '2024-03-01', unit: 'kg' })).toMatchObject({ id: 'w2', value: 82.5, unit: 'kg' });
+            expect(getLatestObservation(ips, ['2345-7'])).toBeNull();
+            expect(getLatestObservation(null, ['29463-7'])).toBeNull();
+        });
+
+        test('should compute the trend between the first and latest dated values', () => {
+            const trend = getObservationTrend(ips, ['29463-7']);
+            expect(trend).toMatchObject({
+                direction: 'increasing',
+                change: 8,
+                percentChange: 10,
+                unit: 'kg',
+                first: { id: 'w1', value: 80 },
+                latest: { id: 'w3', value: 88 }
+            });
+            expect(trend.points.map(point => point.value)).toEqual([80, 82.5, 88]);
+
+            expect(getObservationTrend(ips, ['29463-7'], { threshold: 0.1 }).direction).toBe('stable');
+            expect(getObservationTrend(ips, ['8480-6'])).toMatchObject({ direction: 'decreasing', change: -20 });
+            expect(getObservationTrend(ips, ['29463-7'], { lookbackDays: 45, referenceDate: '2024-06-01' })).toMatchObject({
+                direction: null,
+                latest: { id: 'w3' },
+                points: [{ id: 'w3', date: '2024-05-01', value: 88 }]
+            });
+        });
+    });
+
+    describe('R4 and R5 bundles', () => {
+
+        const atc = { system: 'http://www.whocc.no/atc', code: 'C09AA02', display: 'enalapril' };
+        const substance = { system: 'http://snomed.info/sct', code: '372658000', display: 'Enalapril' };
+        const condition = {
+            resourceType: 'Condition',
+            id: 'c1',
+            clinicalStatus: { coding: [{ code: 'active' }] },
+            code: { coding: [{ system: 'http://snomed.info/sct', code: '38341003' }], text: 'Hypertension' }
+        };
+        const observation = {
+            resourceType: 'Observation',
+            id: 'o1',
+            status: 'final',
+            code: { coding: [{ system: 'http://loinc.org', code: '2823-3' }] },
+            valueQuantity: { value: 3.2, unit: 'mmol/L' },
+            effectiveDateTime: '2024-01-01'
+        };
+
+        const r4Bundle = {
+            resourceType: 'Bundle',
+            entry: [
+                {
+                    fullUrl: 'urn:uuid:ms',
+                    resource: { resourceType: 'MedicationStatement', id: 'ms', medicationReference: { reference: 'urn:uuid:med' } }
+                },
+                {
+                    fullUrl: 'urn:uuid:med',
+                    resource: {
+                        resourceType: 'Medication',
+                        code: { coding: [atc] },
+                        ingredient: [{ itemCodeableConcept: { coding: [substance] } }]
+                    }
+                },
+                { resource: { resourceType: 'MedicationRequest', id: 'mr', medicationCodeableConcept: { coding: [atc] } } },
+                { resource: { resourceType: 'AllergyIntolerance', id: 'a1', type: 'allergy', criticality: 'high' } },
+                { resource: condition },
+                { resource: observation }
+            ]
+        };
+
+        const r5Bundle = {
+            resourceType: 'Bundle',
+            entry: [
+                {
+                    fullUrl: 'urn:uuid:ms',
+                    resource: {
+                        resourceType: 'MedicationStatement',
+                        id: 'ms',
+                        medication: { reference: { reference: 'urn:uuid:med' } }
+                    }
+                },
+                {
+                    fullUrl: 'urn:uuid:med',
+                    resource: {
+                        resourceType: 'Medication',
+                        code: { coding: [atc] },
+                        ingredient: [{ item: { concept: { coding: [substance] } } }]
+                    }
+                },
+                { resource: { resourceType: 'MedicationRequest', id: 'mr', medication: { concept: { coding: [atc] } } } },
+                {
+                    resource: {
+                        resourceType: 'AllergyIntolerance',
+                        id: 'a1',
+                        type: { coding: [{ system: 'http://hl7.org/fhir/allergy-intolerance-type', code: 'allergy' }] },
+                        criticality: 'high'
+                    }
+                },
+                { resource: condition },
+                { resource: observation }
+            ]
+        };
+
+        test('should return the same normalized output for R4 and R5 shapes', () => {
+            expect(getMedications(r5Bundle)).toEqual(getMedications(r4Bundle));
+            expect(getAllergies(r5Bundle)).toEqual(getAllergies(r4Bundle));
+            expect(getConditions(r5Bundle)).toEqual(getConditions(r4Bundle));
+            expect(getObservationsByCode(r5Bundle, ['2823-3'])).toEqual(getObservationsByCode(r4Bundle, ['2823-3']));
+        });
+
+        test('should extract R5 medication codes and ingredients', () => {
+            const medications = getMedications(r5Bundle);
+
+            expect(medications).toHaveLength(2);
+            expect(medications[0].codes.map(code => [code.code, code.source])).toEqual([
+                ['C09AA02', 'medication-code'],
+                ['372658000', 'ingredient']
+            ]);
+            expect(medications[1].codes[0].code).toBe('C09AA02');
+            expect(getAllergies(r5Bundle)[0].type).toBe('allergy');
+        });
+    });
 });
@@ -0,0 +1,218 @@
+/**
+ * Tests for FHIR Bundle Diff and JSON Patch
+ */
+
+const { diffBundles, applyPatch } = require('../src/fhir/patch');
+const { addExtensionToSection, createAdditionalInfoExtension } = require('../src/fhir/epi');
+
+const epiFixture = require('./fixtures/epi.json');
+
+describe('FHIR Bundle Diff and JSON Patch', () => {
+
+    const compositionPath = '/entry/Composition~1composition-en-873a1a47330e628770640f9c96c0761e';
+
+    function copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    describe('diffBundles', () => {
+
+        test('should record extensions added by a lens with FHIR-aware paths', () => {
+            const after = copy(epiFixture);
+            const extension = createAdditionalInfoExtension('VIDEO', 'Video', 'https://example.org/video');
+            addExtensionToSection(after, 0, extension);
+
+            expect(diffBundles(epiFixture, after)).toEqual([
+                { op: 'add', path: `${compositionPath}/resource/section/0/extension`, value: [extension] }
+            ]);
+        });
+
+        test('should record appended, changed and removed array items', () => {
+            const before = copy(epiFixture);
+            before.entry[0].resource.section[0].extension = [{ url: 'http://example.org/a', valueString: 'a' }];
+            const after = copy(before);
+            after.entry[0].resource.section[0].extension.push({ url: 'http://example.org/b', valueString: 'b' });
+            after.entry[0].resource.section[0].title = 'Changed';
+            after.entry[0].resource.section[0].section.splice(1, 1);
+
+            expect(diffBundles(before, after)).toEqual([
+                { op: 'replace', path: `${compositionPath}/resource/section/0/title`, value: 'Changed' },
+                { op: 'remove', path: `${compositionPath}/resource/section/0/section/1` },
+                { op: 'add', path: `${compositionPath}/resource/section/0/extension/-`, value: { url: 'http://example.org/b', valueString: 'b' } }
+            ]);
+        });
+
+        test('should address entries by key when they are added, removed or reordered', () => {
+            const before = {
+                resourceType: 'Bundle',
+                type: 'collection',
+                entry: [
+                    { resource: { resourceType: 'Patient', id: 'p1' } },
+                    { fullUrl: 'urn:uuid:obs', resource: { resourceType: 'Observation', status: 'final' } }
+                ]
+            };
+            const after = {
+                resourceType: 'Bundle',
+                type: 'collection',
+                entry: [
+                    { fullUrl: 'urn:uuid:obs', resource: { resourceType: 'Observation', status: 'amended' } },
+                    { resource: { resourceType: 'Condition', id: 'c1' } }
+                ]
+            };
+
+            expect(diffBundles(before, after)).toEqual([
+                { op: 'remove', path: '/entry/Patient~1p1' },
+                { op: 'replace', path: '/entry/urn:uuid:obs/resource/status', value: 'amended' },
+                { op: 'add', path: '/entry/-', value: { resource: { resourceType: 'Condition', id: 'c1' } } }
+            ]);
+            expect(diffBundles(before, { ...before, entry: [before.entry[1], before.entry[0]] })).toEqual([]);
+        });
+
+        test('should remove index-keyed entries last-first', () => {
+            const before = {
+                resourceType: 'Bundle',
+                entry: [
+                    { resource: { resourceType: 'Basic' } },
+                    { resource: { resourceType: 'Patient', id: 'p' } },
+                    { resource: { resourceType: 'Basic' } }
+                ]
+            };
+            const after = { resourceType: 'Bundle', entry: [before.entry[1], { resource: { resourceType: 'Basic' } }] };
+
+            expect(diffBundles(before, after).filter(op => op.op === 'remove')).toEqual([
+                { op: 'remove', path: '/entry/2' },
+                { op: 'remove', path: '/entry/0' }
+            ]);
+            expect(applyPatch(before, diffBundles(before, after))).toEqual(after);
+        });
+
+        test('should tell apart entries sharing a ResourceType/id by fullUrl', () => {
+            const before = {
+                resourceType: 'Bundle',
+                entry: [
+                    { fullUrl: 'http://a.example/Patient/p', resource: { resourceType: 'Patient', id: 'p', active: true } },
+                    { fullUrl: 'http://b.example/Patient/p', resource: { resourceType: 'Patient', id: 'p' } }
+                ]
+            };
+            const after = copy(before);
+            after.entry[1].resource.gender = 'female';
+
+            expect(diffBundles(before, after)).toEqual([
+                { op: 'add', path: '/entry/http:~1~1b.example~1Patient~1p/resource/gender', value: 'female' }
+            ]);
+            expect(applyPatch(before, diffBundles(before, after))).toEqual(after);
+        });
+
+        test('should round-trip generated entry additions, removals and changes', () => {
+            // Small deterministic generator (linear congruential) so failures are reproducible
+            let seed = 42;
+            const random = (n) => {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                return seed % n;
+            };
+            const pool = [
+                () => ({ resource: { resourceType: 'Basic' } }),
+                () => ({ resource: { resourceType: 'Basic', code: { text: `b${random(3)}` } } }),
+                () => ({ resource: { resourceType: 'Patient', id: 'p' } }),
+                () => ({ fullUrl: `http://s${random(3)}.example/Patient/p`, resource: { resourceType: 'Patient', id: 'p' } }),
+                () => ({ fullUrl: `urn:uuid:${random(4)}`, resource: { resourceType: 'Observation', status: 'final' } }),
+                () => ({ resource: { resourceType: 'Condition', id: `c${random(4)}` } })
+            ];
+            const fresh = (n) => [
+                { resource: { resourceType: 'Basic' } },
+                { resource: { resourceType: 'Condition', id: `new-${n}` } },
+                { fullUrl: `urn:uuid:new-${n}`, resource: { resourceType: 'Observation' } }
+            ][random(3)];
+
+            for (let run = 0; run < 300; run++) {
+                const before = { resourceType: 'Bundle', type: 'collection', entry: Array.from({ length: random(6) }, () => pool[random(pool.length)]()) };
+                // Keep the remaining entries in order, change some of them and insert new
+                // entries or duplicates of kept ones
+                const after = { resourceType: 'Bundle', type: 'collection', entry: [] };
+                before.entry.forEach(entry => {
+                    if (random(4) === 0) return;
+                    const kept = copy(entry);
+                    if (random(3) === 0) kept.resource.meta = { versionId: String(run) };
+                    after.entry.push(kept);
+                });
+                Array.from({ length: random(4) }, (value, n) => after.entry.length > 0 && random(2) === 0
+                    ? copy(after.entry[random(after.entry.length)])
+                    : fresh(n)
+                ).forEach(entry => after.entry.splice(random(after.entry.length + 1), 0, entry));
+
+                expect(applyPatch(before, diffBundles(before, after))).toEqual(after);
+            }
+        });
+
+        test('should return no operations for identical bundles', () => {
+            expect(diffBundles(epiFixture, copy(epiFixture))).toEqual([]);
+        });
+
+        test('should throw without two bundles', () => {
+            expect(() => diffBundles(null, epiFixture)).toThrow(/requires two bundles/);
+        });
+    });
+
+    describe('applyPatch', () => {
+
+        test('should replay a diff without modifying the input', () => {
+            const after = copy(epiFixture);
+            addExtensionToSection(after, 0, createAdditionalInfoExtension('VIDEO', 'Video', 'https://example.org/video'));
+            after.entry.push({ fullUrl: 'urn:uuid:new', resource: { resourceType: 'Basic' } });
+            after.entry[0].resource.section[0].section[0].title = 'Updated';
+
+            const operations = diffBundles(epiFixture, after);
+            const patched = applyPatch(epiFixture, operations);
+
+            expect(patched).toEqual(after);
+            expect(patched).not.toBe(epiFixture);
+            expect(epiFixture.entry[0].resource.section[0].extension).toBeUndefined();
+        });
+
+        test('should support every RFC 6902 operation', () => {
+            const document = { resourceType: 'Basic', code: { text: 'x' }, tags: ['a', 'b'] };
+            const patched = applyPatch(document, [
+                { op: 'test', path: '/code/text', value: 'x' },
+                { op: 'add', path: '/tags/1', value: 'z' },
+                { op: 'copy', from: '/code', path: '/subject' },
+                { op: 'move', from: '/tags/0', path: '/tags/-' },
+                { op: 'replace', path: '/code/text', value: 'y' },
+                { op: 'remove', path: '/subject/text' }
+            ]);
+
+            expect(patched).toEqual({ resourceType: 'Basic', code: { text: 'y' }, tags: ['z', 'b', 'a'], subject: {} });
+        });
+
+        test('should resolve entries by index, ResourceType/id or fullUrl', () => {
+            const bundle = {
+                resourceType: 'Bundle',
+                entry: [
+                    { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient', id: 'p1' } },
+                    { fullUrl: 'urn:uuid:2', resource: { resourceType: 'Observation' } }
+                ]
+            };
+            const patched = applyPatch(bundle, [
+                { op: 'add', path: '/entry/0/resource/active', value: true },
+                { op: 'add', path: '/entry/Patient~1p1/resource/gender', value: 'female' },
+                { op: 'add', path: '/entry/urn:uuid:1/resource/birthDate', value: '1990-01-01' },
+                { op: 'add', path: '/entry/urn:uuid:2/resource/status', value: 'final' }
+            ]);
+
+            expect(patched.entry[0].resource).toEqual({
+                resourceType: 'Patient', id: 'p1', active: true, gender: 'female', birthDate: '1990-01-01'
+            });
+            expect(patched.entry[1].resource.status).toBe('final');
+        });
+
+        test('should throw for invalid operations, missing paths and failed tests', () => {
+            const bundle = { resourceType: 'Bundle', entry: [] };
+
+            expect(() => applyPatch(bundle, [{ op: 'remove', path: '/entry/Patient~1x' }])).toThrow(/Patch path not found/);
+            expect(() => applyPatch(bundle, [{ op: 'replace', path: '/id', value: 'x' }])).toThrow(/Patch path not found/);
+            expect(() => applyPatch(bundle, [{ op: 'test', path: '/resourceType', value: 'Patient' }])).toThrow(/Patch test failed/);
+            expect(() => applyPatch(bundle, [{ op: 'merge', path: '/id' }])).toThrow(/Unsupported patch operation/);
+            expect(() => applyPatch(bundle, [{ op: 'add', path: 'id', value: 'x' }])).toThrow(/Invalid patch path/);
+            expect(() => applyPatch(bundle, null)).toThrow(/requires an array/);
+        });
+    });
+});
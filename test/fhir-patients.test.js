@@ -0,0 +1,207 @@
+/**
+ * Tests for Multi-patient Bundles
+ */
+
+const {
+    getPatients,
+    getResourcePatient,
+    scopeBundleToPatient,
+    splitBundleByPatient
+} = require('../src/fhir/patients');
+const {
+    getPatientInfo,
+    getConditions,
+    getAllergies,
+    getMedications,
+    getIPSSections,
+    hasOccupation
+} = require('../src/fhir/ips');
+const { getPregnancyStatus } = require('../src/fhir/pregnancy');
+const { ipsBuilder, snomed, atc } = require('../src/testing/builders');
+
+const ipsFixture = require('./fixtures/ips.json');
+
+describe('Multi-patient Bundles', () => {
+
+    const base = 'http://example.org/fhir';
+    const entry = (resource, mode = 'include') => ({
+        fullUrl: `${base}/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode }
+    });
+    const searchset = () => ({
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: 2,
+        entry: [
+            entry({
+                resourceType: 'Patient',
+                id: 'anna',
+                gender: 'female',
+                birthDate: '1985-03-01',
+                extension: [{
+                    url: 'http://hl7.org/fhir/StructureDefinition/individual-occupation',
+                    valueCodeableConcept: { coding: [{ system: 'http://www.ilo.org/public/english/bureau/stat/isco', code: '2211' }] }
+                }]
+            }, 'match'),
+            entry({ resourceType: 'Patient', id: 'tom', gender: 'male', birthDate: '2015-06-01' }, 'match'),
+            entry({
+                resourceType: 'Condition',
+                id: 'diabetes',
+                code: { coding: [snomed('44054006', 'Diabetes mellitus type 2')] },
+                subject: { reference: 'Patient/anna' }
+            }),
+            entry({
+                resourceType: 'AllergyIntolerance',
+                id: 'penicillin',
+                code: { coding: [snomed('91936005', 'Allergy to penicillin')] },
+                patient: { reference: `${base}/Patient/tom` }
+            }),
+            entry({
+                resourceType: 'MedicationStatement',
+                id: 'amoxicillin',
+                status: 'active',
+                medicationReference: { reference: 'Medication/amoxicillin' },
+                subject: { reference: 'Patient/tom' }
+            }),
+            entry({ resourceType: 'Medication', id: 'amoxicillin', code: { coding: [atc('J01CA04', 'Amoxicillin')] } }),
+            entry({
+                resourceType: 'Observation',
+                id: 'unknown-subject',
+                status: 'final',
+                code: { coding: [snomed('77386006')] },
+                subject: { reference: 'urn:uuid:6d1c7a52-0000-4000-8000-000000000001' }
+            })
+        ]
+    });
+    const collection = () => ({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+            { resource: ipsBuilder({ id: 'ips-maria' }).patient({ id: 'maria', gender: 'female', birthDate: '1990-05-01' })
+                .condition({ code: snomed('77386006', 'Pregnancy'), recordedDate: '2024-04-01' }).build() },
+            { resource: ipsBuilder({ id: 'ips-luis' }).patient({ id: 'luis', gender: 'male', birthDate: '1988-02-11' })
+                .condition(snomed('38341003', 'Hypertension')).build() }
+        ]
+    });
+
+    describe('getPatients', () => {
+
+        test('should list the patients of flat and nested bundles', () => {
+            expect(getPatients(searchset()).map(patient => patient.id)).toEqual(['anna', 'tom']);
+            expect(getPatients(collection()).map(patient => patient.id)).toEqual(['maria', 'luis']);
+            expect(getPatients(ipsFixture)).toHaveLength(1);
+            expect(getPatients(null)).toEqual([]);
+        });
+    });
+
+    describe('getResourcePatient', () => {
+
+        test('should follow subject and patient references', () => {
+            const bundle = searchset();
+            const resource = id => bundle.entry.find(item => item.resource.id === id && item.resource.resourceType !== 'Medication').resource;
+
+            expect(getResourcePatient(resource('diabetes'), bundle).id).toBe('anna');
+            expect(getResourcePatient(resource('penicillin'), bundle).id).toBe('tom');
+            expect(getResourcePatient(resource('tom'), bundle).id).toBe('tom');
+            expect(getResourcePatient(bundle.entry[5].resource, bundle)).toBeNull();
+            expect(getResourcePatient(resource('unknown-subject'), bundle)).toBeNull();
+        });
+    });
+
+    describe('scopeBundleToPatient', () => {
+
+        test('should keep the resources of the selected patient and shared resources', () => {
+            const bundle = searchset();
+            const scoped = scopeBundleToPatient(bundle, 'tom');
+
+            expect(scoped.entry.map(item => `${item.resource.resourceType}/${item.resource.id}`)).toEqual([
+                'Patient/tom',
+                'AllergyIntolerance/penicillin',
+                'MedicationStatement/amoxicillin',
+                'Medication/amoxicillin'
+            ]);
+            expect(scoped).toMatchObject({ resourceType: 'Bundle', type: 'searchset' });
+            expect(scoped).not.toHaveProperty('total');
+            expect(scopeBundleToPatient(bundle, 'tom')).toEqual(scoped);
+        });
+
+        test('should accept ids, references, fullUrls, resources and predicates', () => {
+            const bundle = searchset();
+            const patientOf = selector => scopeBundleToPatient(bundle, selector).entry[0].resource.id;
+
+            expect(patientOf('Patient/tom')).toBe('tom');
+            expect(patientOf(`${base}/Patient/tom`)).toBe('tom');
+            expect(patientOf({ resourceType: 'Patient', id: 'tom' })).toBe('tom');
+            expect(patientOf(patient => patient.gender === 'female')).toBe('anna');
+            expect(scopeBundleToPatient(bundle, 'nobody')).toEqual({ resourceType: 'Bundle', type: 'searchset', entry: [] });
+        });
+
+        test('should return multi-patient bundles unscoped without a selector', () => {
+            const bundle = searchset();
+
+            expect(scopeBundleToPatient(bundle)).toBe(bundle);
+            expect(scopeBundleToPatient(bundle, null)).toBe(bundle);
+        });
+
+        test('should return single-patient bundles unchanged and nested documents as they are', () => {
+            expect(scopeBundleToPatient(ipsFixture)).toBe(ipsFixture);
+            expect(scopeBundleToPatient(ipsFixture, 'someone-else').entry).toEqual([]);
+
+            const bundle = collection();
+            expect(scopeBundleToPatient(bundle, 'luis')).toBe(bundle.entry[1].resource);
+            expect(scopeBundleToPatient(null)).toBeNull();
+        });
+    });
+
+    describe('splitBundleByPatient', () => {
+
+        test('should return one bundle per patient', () => {
+            const parts = splitBundleByPatient(searchset());
+
+            expect(parts.map(part => part.patient.id)).toEqual(['anna', 'tom']);
+            expect(parts[0].bundle.entry.map(item => item.resource.id)).toEqual(['anna', 'diabetes', 'amoxicillin']);
+            expect(parts[1].bundle.entry).toHaveLength(4);
+            expect(splitBundleByPatient(collection()).map(part => part.bundle.id)).toEqual(['ips-maria', 'ips-luis']);
+        });
+    });
+
+    describe('IPS extractors with a patient selector', () => {
+
+        test('should read every patient of a multi-patient bundle without a selector', () => {
+            const bundle = searchset();
+
+            expect(() => getConditions(bundle)).not.toThrow();
+            expect(getConditions(bundle).map(condition => condition.id)).toEqual(['diabetes']);
+            expect(getAllergies(bundle).map(allergy => allergy.id)).toEqual(['penicillin']);
+            expect(getPatientInfo(bundle).id).toBe('anna');
+            expect(() => getPregnancyStatus(collection())).not.toThrow();
+        });
+
+        test('should not mix data from different patients', () => {
+            const bundle = searchset();
+
+            expect(getConditions(bundle, { patient: 'anna' }).map(condition => condition.id)).toEqual(['diabetes']);
+            expect(getConditions(bundle, { patient: 'tom' })).toEqual([]);
+            expect(getAllergies(bundle, { patient: 'tom' }).map(allergy => allergy.id)).toEqual(['penicillin']);
+            expect(getAllergies(bundle, { patient: 'anna' })).toEqual([]);
+            expect(getMedications(bundle, { patient: 'tom' })[0].codes[0].code).toBe('J01CA04');
+            expect(getPatientInfo(bundle, { patient: 'tom', referenceDate: '2024-06-01' })).toMatchObject({ id: 'tom', age: 9 });
+            expect(hasOccupation(bundle, '2211', { patient: 'anna' })).toBe(true);
+            expect(hasOccupation(bundle, '2211', { patient: 'tom' })).toBe(false);
+        });
+
+        test('should read the selected document of a collection', () => {
+            const bundle = collection();
+
+            expect(getPatientInfo(bundle, { patient: 'maria' }).id).toBe('maria');
+            expect(getConditions(bundle, { patient: 'luis' }).map(condition => condition.codes[0].code)).toEqual(['38341003']);
+            expect(getIPSSections(bundle, { patient: 'luis' }).length).toBeGreaterThan(0);
+            expect(getPregnancyStatus(bundle, { patient: 'maria', referenceDate: '2024-06-01' }).pregnant).toBe(true);
+            expect(getPregnancyStatus(bundle, { patient: 'luis', referenceDate: '2024-06-01' })).toMatchObject({
+                childbearingAge: false,
+                pregnant: false
+            });
+        });
+    });
+});
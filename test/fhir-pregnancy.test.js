@@ -0,0 +1,135 @@
+/**
+ * Tests for Pregnancy and Breastfeeding Status
+ */
+
+const { getPregnancyStatus } = require('../src/fhir/pregnancy');
+const { ipsBuilder, snomed, loinc } = require('../src/testing/builders');
+
+const ipsFixture = require('./fixtures/ips.json');
+
+describe('Pregnancy and Breastfeeding Status', () => {
+
+    const referenceDate = '2024-06-01';
+    const woman = () => ipsBuilder().patient({ gender: 'female', birthDate: '1990-05-01' });
+    const status = (code, effectiveDateTime) => ({
+        code: loinc('82810-3', 'Pregnancy status'),
+        value: snomed(code),
+        effectiveDateTime
+    });
+    const deliveryDate = (date, effectiveDateTime) => ({
+        resourceType: 'Observation',
+        status: 'final',
+        code: { coding: [loinc('11778-8', 'Delivery date Estimated')] },
+        valueDateTime: date,
+        effectiveDateTime
+    });
+
+    describe('getPregnancyStatus', () => {
+
+        test('should determine childbearing age from gender and age at the reference date', () => {
+            const ips = woman().build();
+
+            expect(getPregnancyStatus(ips, { referenceDate })).toEqual({
+                childbearingAge: true,
+                pregnant: false,
+                breastfeeding: false,
+                expectedDeliveryDate: null,
+                evidence: []
+            });
+            expect(getPregnancyStatus(ips, { referenceDate: '2050-06-01' }).childbearingAge).toBe(false);
+            expect(getPregnancyStatus(ipsBuilder().patient({ gender: 'male', birthDate: '1990-05-01' }).build()).childbearingAge).toBe(false);
+            expect(getPregnancyStatus(ipsBuilder().patient({ gender: 'female' }).build()).childbearingAge).toBeNull();
+        });
+
+        test('should follow the most recent pregnancy status observation', () => {
+            const ips = woman()
+                .observation(status('77386006', '2024-01-10'))
+                .observation(status('60001007', '2024-05-01'))
+                .build();
+
+            const result = getPregnancyStatus(ips, { referenceDate });
+            expect(result.pregnant).toBe(false);
+            expect(result.evidence.map(item => [item.value, item.reason, item.date])).toEqual([
+                [false, 'negative-finding', '2024-05-01'],
+                [true, 'positive-finding', '2024-01-10']
+            ]);
+
+            expect(getPregnancyStatus(ips, { referenceDate: '2024-03-01' }).pregnant).toBe(true);
+        });
+
+        test('should expire old positive findings', () => {
+            const ips = woman().observation(status('77386006', '2022-01-10')).build();
+            const result = getPregnancyStatus(ips, { referenceDate });
+
+            expect(result.pregnant).toBe(false);
+            expect(result.evidence[0]).toMatchObject({ facet: 'pregnant', value: true, expired: true });
+        });
+
+        test('should use expected delivery dates for pregnancy and breastfeeding', () => {
+            const upcoming = woman().resource(deliveryDate('2024-09-15', '2024-02-01')).build();
+            expect(getPregnancyStatus(upcoming, { referenceDate })).toMatchObject({
+                pregnant: true,
+                breastfeeding: false,
+                expectedDeliveryDate: '2024-09-15'
+            });
+
+            const delivered = woman().resource(deliveryDate('2024-01-15', '2023-06-01')).build();
+            expect(getPregnancyStatus(delivered, { referenceDate })).toMatchObject({
+                pregnant: false,
+                breastfeeding: true,
+                expectedDeliveryDate: null
+            });
+            expect(getPregnancyStatus(delivered, { referenceDate, postpartumMonths: 3 }).breastfeeding).toBe(false);
+        });
+
+        test('should only report upcoming delivery dates within the pregnancy window', () => {
+            const tooFar = woman().resource(deliveryDate('2025-09-15', '2024-05-01')).build();
+            expect(getPregnancyStatus(tooFar, { referenceDate })).toMatchObject({
+                pregnant: false,
+                expectedDeliveryDate: null
+            });
+            expect(getPregnancyStatus(tooFar, { referenceDate, pregnancyMonths: 16 }).expectedDeliveryDate).toBe('2025-09-15');
+
+            const delivered = woman()
+                .resource(deliveryDate('2024-09-15', '2024-01-10'))
+                .resource(deliveryDate('2024-05-20', '2024-04-01'))
+                .build();
+            expect(getPregnancyStatus(delivered, { referenceDate }).expectedDeliveryDate).toBeNull();
+        });
+
+        test('should use active and resolved conditions', () => {
+            const active = woman().condition({ code: snomed('77386006'), recordedDate: '2024-04-01' }).build();
+            expect(getPregnancyStatus(active, { referenceDate }).pregnant).toBe(true);
+
+            const resolved = woman()
+                .condition({ code: snomed('77386006'), clinicalStatus: 'resolved', abatementDateTime: '2024-05-10' })
+                .build();
+            expect(getPregnancyStatus(resolved, { referenceDate }).evidence).toEqual([
+                expect.objectContaining({ facet: 'pregnant', value: false, reason: 'resolved-condition', date: '2024-05-10' })
+            ]);
+
+            const breastfeeding = woman().condition({ code: snomed('413712001'), recordedDate: '2024-05-01' }).build();
+            expect(getPregnancyStatus(breastfeeding, { referenceDate }).breastfeeding).toBe(true);
+        });
+
+        test('should ignore evidence after the reference date and refuted findings', () => {
+            const ips = woman()
+                .observation(status('77386006', '2024-07-01'))
+                .condition({ code: snomed('77386006'), verificationStatus: 'refuted' })
+                .build();
+
+            expect(getPregnancyStatus(ips, { referenceDate })).toMatchObject({ pregnant: false, evidence: [] });
+        });
+
+        test('should handle the fixture and missing bundles', () => {
+            expect(getPregnancyStatus(ipsFixture, { referenceDate }).pregnant).toBe(false);
+            expect(getPregnancyStatus(null)).toEqual({
+                childbearingAge: null,
+                pregnant: false,
+                breastfeeding: false,
+                expectedDeliveryDate: null,
+                evidence: []
+            });
+        });
+    });
+});
@@ -90,6 +90,15 @@ describe('FHIR Persona Vector Utilities', () => {
             });
         });
         
+        test('should see values edited in place', () => {
+            const bundle = JSON.parse(JSON.stringify(pvFixture));
+            const empDimension = getAllDimensions(bundle).find(d => d.dimensionCode === 'EMP');
+            const observation = bundle.entry.find(entry => entry.resource.id === empDimension.id).resource;
+
+            observation.status = 'amended';
+            expect(getAllDimensions(bundle).find(d => d.dimensionCode === 'EMP').status).toBe('amended');
+        });
+
         test('should extract dimension codes correctly', () => {
             const dimensions = getAllDimensions(pvFixture);
             const empDimension = dimensions.find(d => d.dimensionCode === 'EMP');
@@ -144,6 +153,15 @@ describe('FHIR Persona Vector Utilities', () => {
             const dimension = getDimensionByCode(pvFixture, 'NONEXISTENT');
             expect(dimension).toBeNull();
         });
+        
+        test('should return independent copies of cached dimensions', () => {
+            const first = getDimensionByCode(pvFixture, DIMENSION_CODES.EMPLOYMENT);
+            first.value = 'changed';
+            
+            const second = getDimensionByCode(pvFixture, DIMENSION_CODES.EMPLOYMENT);
+            expect(second.value).not.toBe('changed');
+            expect(getAllDimensions(pvFixture).find(d => d.id === first.id).value).not.toBe('changed');
+        });
     });
     
     describe('getDimensionsByCodes', () => {
@@ -0,0 +1,243 @@
+/**
+ * Tests for FHIR Profile Validation
+ */
+
+const {
+    PROFILES,
+    loadStructureDefinition,
+    getStructureDefinition,
+    clearStructureDefinitions,
+    validateResource,
+    isValidOutcome
+} = require('../src/fhir/validator');
+const { validateEPI } = require('../src/fhir/epi');
+const { validatePersonaVector } = require('../src/fhir/pv');
+
+const ipsFixture = require('./fixtures/ips.json');
+const epiFixture = require('./fixtures/epi.json');
+const pvFixture = require('./fixtures/pv.json');
+
+describe('FHIR Profile Validation', () => {
+
+    const observationProfile = {
+        resourceType: 'StructureDefinition',
+        url: 'http://example.org/fhir/StructureDefinition/test-observation',
+        type: 'Observation',
+        snapshot: {
+            element: [
+                { id: 'Observation', path: 'Observation', min: 0, max: '*' },
+                {
+                    id: 'Observation.status',
+                    path: 'Observation.status',
+                    min: 1,
+                    max: '1',
+                    binding: { strength: 'required', valueSet: 'http://example.org/fhir/ValueSet/status' }
+                },
+                {
+                    id: 'Observation.category',
+                    path: 'Observation.category',
+                    min: 1,
+                    max: '1',
+                    patternCodeableConcept: {
+                        coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'vital-signs' }]
+                    }
+                },
+                { id: 'Observation.code', path: 'Observation.code', min: 1, max: '1' },
+                { id: 'Observation.code.text', path: 'Observation.code.text', min: 0, max: '1', fixedString: 'Weight' },
+                { id: 'Observation.value[x]', path: 'Observation.value[x]', min: 1, max: '1' },
+                { id: 'Observation.component:bp', path: 'Observation.component', sliceName: 'bp', min: 1, max: '1' }
+            ]
+        }
+    };
+
+    const statusValueSet = {
+        resourceType: 'ValueSet',
+        url: 'http://example.org/fhir/ValueSet/status',
+        expansion: { contains: [{ system: 'http://hl7.org/fhir/observation-status', code: 'final' }] }
+    };
+
+    const validObservation = {
+        resourceType: 'Observation',
+        status: 'final',
+        category: [{
+            coding: [
+                { system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'vital-signs' },
+                { system: 'http://example.org', code: 'other' }
+            ]
+        }],
+        code: { text: 'Weight' },
+        valueQuantity: { value: 72, unit: 'kg' }
+    };
+
+    afterEach(() => {
+        clearStructureDefinitions();
+    });
+
+    describe('validateResource', () => {
+
+        test('should return an empty OperationOutcome for a valid resource', () => {
+            const outcome = validateResource(validObservation, observationProfile, { valueSets: [statusValueSet] });
+
+            expect(outcome.resourceType).toBe('OperationOutcome');
+            expect(outcome.issue).toEqual([]);
+            expect(isValidOutcome(outcome)).toBe(true);
+        });
+
+        test('should report missing required elements and choice types', () => {
+            const outcome = validateResource(
+                { resourceType: 'Observation', category: validObservation.category },
+                observationProfile,
+                { valueSets: [statusValueSet] }
+            );
+            const expressions = outcome.issue.map(issue => issue.expression[0]);
+
+            expect(outcome.issue.every(issue => issue.code === 'required')).toBe(true);
+            expect(expressions).toEqual(['Observation.status', 'Observation.code', 'Observation.value[x]']);
+            expect(isValidOutcome(outcome)).toBe(false);
+        });
+
+        test('should report maximum cardinality violations', () => {
+            const outcome = validateResource(
+                { ...validObservation, category: [validObservation.category[0], validObservation.category[0]] },
+                observationProfile,
+                { valueSets: [statusValueSet] }
+            );
+
+            expect(outcome.issue).toHaveLength(1);
+            expect(outcome.issue[0]).toMatchObject({ severity: 'error', code: 'structure' });
+            expect(outcome.issue[0].diagnostics).toMatch(/maximum allowed = 1, but found 2/);
+        });
+
+        test('should check fixed and pattern values', () => {
+            const outcome = validateResource(
+                {
+                    ...validObservation,
+                    category: [{ coding: [{ system: 'http://example.org', code: 'other' }] }],
+                    code: { text: 'Height' }
+                },
+                observationProfile,
+                { valueSets: [statusValueSet] }
+            );
+
+            expect(outcome.issue.map(issue => issue.expression[0])).toEqual([
+                'Observation.category[0]',
+                'Observation.code.text'
+            ]);
+            expect(outcome.issue.every(issue => issue.code === 'value')).toBe(true);
+        });
+
+        test('should check required bindings', () => {
+            const outcome = validateResource(
+                { ...validObservation, status: 'draft' },
+                observationProfile,
+                { valueSets: [statusValueSet] }
+            );
+
+            expect(outcome.issue).toHaveLength(1);
+            expect(outcome.issue[0]).toMatchObject({ severity: 'error', code: 'code-invalid' });
+        });
+
+        test('should report unavailable ValueSets as information', () => {
+            const outcome = validateResource(validObservation, observationProfile);
+
+            expect(outcome.issue).toHaveLength(1);
+            expect(outcome.issue[0]).toMatchObject({ severity: 'information', code: 'not-supported' });
+            expect(isValidOutcome(outcome)).toBe(true);
+        });
+
+        test('should reject resources of another type', () => {
+            const outcome = validateResource({ resourceType: 'Patient' }, observationProfile);
+
+            expect(outcome.issue[0].diagnostics).toBe('Expected a Observation resource, got Patient');
+        });
+
+        test('should validate bundle entries against per-type profiles', () => {
+            const bundle = {
+                resourceType: 'Bundle',
+                type: 'collection',
+                entry: [{ resource: validObservation }, { resource: { resourceType: 'Observation', status: 'final' } }]
+            };
+            const outcome = validateResource(bundle, PROFILES.PERSONA_COLLECTION, {
+                profiles: { Observation: observationProfile },
+                valueSets: [statusValueSet]
+            });
+
+            expect(outcome.issue.map(issue => issue.expression[0])).toEqual([
+                'Bundle.entry[1].resource.category',
+                'Bundle.entry[1].resource.code',
+                'Bundle.entry[1].resource.value[x]'
+            ]);
+        });
+
+        test('should throw for unknown profiles', () => {
+            expect(() => validateResource(validObservation, 'http://unknown.org/sd')).toThrow(/is not loaded/);
+        });
+    });
+
+    describe('StructureDefinition registry', () => {
+
+        test('should register and resolve StructureDefinitions by url', () => {
+            loadStructureDefinition(observationProfile);
+
+            expect(getStructureDefinition(`${observationProfile.url}|1.0.0`)).toBe(observationProfile);
+            expect(validateResource(validObservation, observationProfile.url, { valueSets: [statusValueSet] }).issue)
+                .toEqual([]);
+        });
+
+        test('should reject StructureDefinitions without snapshot', () => {
+            expect(() => loadStructureDefinition({ resourceType: 'StructureDefinition', url: 'http://x' }))
+                .toThrow(/has no snapshot/);
+        });
+
+        test('should provide the shipped profiles', () => {
+            expect(getStructureDefinition(PROFILES.IPS_BUNDLE).type).toBe('Bundle');
+            expect(getStructureDefinition(PROFILES.EPI_COMPOSITION).type).toBe('Composition');
+        });
+    });
+
+    describe('shipped profiles', () => {
+
+        test('should accept the IPS, ePI and Persona Vector fixtures', () => {
+            expect(validateResource(ipsFixture, PROFILES.IPS_BUNDLE, {
+                profiles: { Composition: PROFILES.IPS_COMPOSITION }
+            }).issue).toEqual([]);
+            expect(validateResource(epiFixture, PROFILES.EPI_BUNDLE, {
+                profiles: { Composition: PROFILES.EPI_COMPOSITION }
+            }).issue).toEqual([]);
+            expect(validateResource(pvFixture, PROFILES.PERSONA_COLLECTION).issue).toEqual([]);
+        });
+
+        test('validateEPI strict mode should report profile issues', () => {
+            const composition = { resourceType: 'Composition', status: 'draft', title: 'Leaflet' };
+            const bundle = {
+                resourceType: 'Bundle',
+                type: 'document',
+                entry: [{ fullUrl: 'urn:uuid:1', resource: composition }]
+            };
+
+            expect(validateEPI(bundle).valid).toBe(true);
+
+            const strict = validateEPI(bundle, { strict: true });
+            expect(strict.valid).toBe(false);
+            expect(strict.errors).toEqual(expect.arrayContaining([
+                'Bundle.identifier: minimum required = 1, but only found 0',
+                'Composition.status: value is not in the required ValueSet http://hl7.org/fhir/ValueSet/composition-status'
+            ]));
+            expect(strict.issues.length).toBeGreaterThan(0);
+            expect(validateEPI(epiFixture, { strict: true })).toEqual({ valid: true, errors: [], issues: [] });
+        });
+
+        test('validatePersonaVector strict mode should report profile issues', () => {
+            const bundle = {
+                resourceType: 'Bundle',
+                type: 'collection',
+                entry: [{ resource: { resourceType: 'Observation' } }, {}]
+            };
+
+            const strict = validatePersonaVector(bundle, { strict: true });
+            expect(strict.valid).toBe(false);
+            expect(strict.errors).toEqual(['Bundle.entry.resource: minimum required = 1, but only found 0']);
+            expect(validatePersonaVector(pvFixture, { strict: true }).valid).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for FHIR Version Detection and Normalization
+ */
+
+const {
+    detectFHIRVersion,
+    getMedicationElement,
+    getIngredientItem,
+    getCodeValue
+} = require('../src/fhir/version');
+
+const ipsFixture = require('./fixtures/ips.json');
+const epiFixture = require('./fixtures/epi.json');
+
+describe('FHIR Version Detection', () => {
+
+    describe('detectFHIRVersion', () => {
+
+        test('should detect the version of the fixtures from their profiles', () => {
+            expect(detectFHIRVersion(ipsFixture)).toBe('R4');
+            expect(detectFHIRVersion(epiFixture)).toBe('R5');
+        });
+
+        test('should prefer an explicit fhirVersion', () => {
+            expect(detectFHIRVersion({ resourceType: 'CapabilityStatement', fhirVersion: '4.0.1' })).toBe('R4');
+            expect(detectFHIRVersion({ resourceType: 'StructureDefinition', fhirVersion: '4.3.0' })).toBe('R4B');
+            expect(detectFHIRVersion({ ...ipsFixture, fhirVersion: '5.0.0' })).toBe('R5');
+        });
+
+        test('should read versioned core profiles', () => {
+            const patient = {
+                resourceType: 'Patient',
+                meta: { profile: ['http://hl7.org/fhir/StructureDefinition/Patient|5.0.0'] }
+            };
+            expect(detectFHIRVersion(patient)).toBe('R5');
+        });
+
+        test('should detect the version from resource shapes', () => {
+            const bundle = (...resources) => ({
+                resourceType: 'Bundle',
+                entry: resources.map(resource => ({ resource }))
+            });
+
+            expect(detectFHIRVersion(bundle({
+                resourceType: 'MedicationStatement',
+                medication: { concept: { coding: [{ code: 'C09CA01' }] } }
+            }))).toBe('R5');
+            expect(detectFHIRVersion(bundle({
+                resourceType: 'MedicationStatement',
+                medicationCodeableConcept: { coding: [{ code: 'C09CA01' }] }
+            }))).toBe('R4');
+            expect(detectFHIRVersion(bundle(
+                { resourceType: 'AllergyIntolerance', type: 'allergy' },
+                { resourceType: 'Ingredient', role: { text: 'active' } }
+            ))).toBe('R4B');
+            expect(detectFHIRVersion({ resourceType: 'AllergyIntolerance', type: { coding: [{ code: 'allergy' }] } }))
+                .toBe('R5');
+        });
+
+        test('should return null when the version cannot be determined', () => {
+            expect(detectFHIRVersion({ resourceType: 'Bundle', entry: [{ resource: { resourceType: 'Patient' } }] }))
+                .toBeNull();
+            expect(detectFHIRVersion(null)).toBeNull();
+            expect(detectFHIRVersion('R4')).toBeNull();
+        });
+    });
+
+    describe('normalization helpers', () => {
+
+        test('getMedicationElement should read R4 and R5 medication elements', () => {
+            const concept = { coding: [{ code: 'N02BE01' }] };
+            const reference = { reference: 'Medication/1' };
+
+            expect(getMedicationElement({ medicationCodeableConcept: concept })).toEqual({ concept, reference: null });
+            expect(getMedicationElement({ medicationReference: reference })).toEqual({ concept: null, reference });
+            expect(getMedicationElement({ medication: { concept, reference } })).toEqual({ concept, reference });
+            expect(getMedicationElement(null)).toEqual({ concept: null, reference: null });
+        });
+
+        test('getIngredientItem should read R4 and R5 ingredient items', () => {
+            const concept = { coding: [{ code: '387517004' }] };
+
+            expect(getIngredientItem({ itemCodeableConcept: concept }).concept).toBe(concept);
+            expect(getIngredientItem({ item: { concept } }).concept).toBe(concept);
+            expect(getIngredientItem({ item: { reference: { reference: 'Substance/1' } } }).reference)
+                .toEqual({ reference: 'Substance/1' });
+        });
+
+        test('getCodeValue should read codes and CodeableConcepts', () => {
+            expect(getCodeValue('allergy')).toBe('allergy');
+            expect(getCodeValue({ coding: [{ code: 'intolerance' }] })).toBe('intolerance');
+            expect(getCodeValue(undefined)).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,434 @@
+/**
+ * Tests for FHIR XML Support
+ */
+
+const { parseFHIRXML, toFHIRXML } = require('../src/fhir/xml');
+const {
+    getConditions,
+    getMedications,
+    getPatientInfo,
+    getProcedures,
+    getImmunizations,
+    getDiagnosticResults,
+    getFunctionalStatus
+} = require('../src/fhir/ips');
+const { getAnnotatedSections } = require('../src/fhir/epi');
+
+const ipsFixture = require('./fixtures/ips.json');
+const epiFixture = require('./fixtures/epi.json');
+const pvFixture = require('./fixtures/pv.json');
+
+/**
+ * Copy a resource without narrative divs (XHTML serialization may differ in
+ * insignificant ways, e.g. <td/> vs <td></td>)
+ */
+function withoutDivs(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => (key === 'div' ? undefined : v)));
+}
+
+describe('FHIR XML Support', () => {
+
+    const ipsXML = `<?xml version="1.0" encoding="UTF-8"?>
+<Bundle xmlns="http://hl7.org/fhir">
+  <id value="ips-xml"/>
+  <identifier>
+    <system value="urn:ietf:rfc:4122"/>
+    <value value="0123"/>
+  </identifier>
+  <type value="document"/>
+  <entry>
+    <fullUrl value="urn:uuid:patient"/>
+    <resource>
+      <Patient>
+        <id value="p1"/>
+        <text>
+          <status value="generated"/>
+          <div xmlns="http://www.w3.org/1999/xhtml"><p>Maria <b>Lopez</b></p></div>
+        </text>
+        <active value="true"/>
+        <name>
+          <family value="Lopez"/>
+          <given value="Maria"/>
+          <given id="g2" value="José">
+            <extension url="http://hl7.org/fhir/StructureDefinition/iso21090-EN-qualifier">
+              <valueCode value="CL"/>
+            </extension>
+          </given>
+        </name>
+        <birthDate value="1990-05-01">
+          <extension url="http://hl7.org/fhir/StructureDefinition/patient-birthTime">
+            <valueDateTime value="1990-05-01T08:30:00Z"/>
+          </extension>
+        </birthDate>
+      </Patient>
+    </resource>
+  </entry>
+  <entry>
+    <fullUrl value="urn:uuid:condition"/>
+    <resource>
+      <Condition>
+        <id value="c1"/>
+        <clinicalStatus>
+          <coding>
+            <system value="http://terminology.hl7.org/CodeSystem/condition-clinical"/>
+            <code value="active"/>
+          </coding>
+        </clinicalStatus>
+        <code>
+          <coding>
+            <system value="http://snomed.info/sct"/>
+            <code value="38341003"/>
+            <display value="Hypertension"/>
+          </coding>
+          <text value="High blood pressure"/>
+        </code>
+        <subject>
+          <reference value="urn:uuid:patient"/>
+        </subject>
+      </Condition>
+    </resource>
+  </entry>
+  <entry>
+    <fullUrl value="urn:uuid:statement"/>
+    <resource>
+      <MedicationStatement>
+        <id value="ms1"/>
+        <contained>
+          <Medication>
+            <id value="med"/>
+            <code>
+              <coding>
+                <system value="http://www.whocc.no/atc"/>
+                <code value="C09AA02"/>
+              </coding>
+            </code>
+          </Medication>
+        </contained>
+        <status value="active"/>
+        <medicationReference>
+          <reference value="#med"/>
+        </medicationReference>
+        <dosage>
+          <timing>
+            <repeat>
+              <frequency value="2"/>
+              <period value="1"/>
+              <periodUnit value="d"/>
+            </repeat>
+          </timing>
+          <doseAndRate>
+            <doseQuantity>
+              <value value="10.5"/>
+              <unit value="mg"/>
+            </doseQuantity>
+          </doseAndRate>
+        </dosage>
+      </MedicationStatement>
+    </resource>
+  </entry>
+</Bundle>`;
+
+    describe('parseFHIRXML', () => {
+
+        test('should convert elements, arrays and primitive types', () => {
+            const bundle = parseFHIRXML(ipsXML);
+
+            expect(bundle.resourceType).toBe('Bundle');
+            expect(bundle.identifier).toEqual({ system: 'urn:ietf:rfc:4122', value: '0123' });
+            expect(bundle.entry).toHaveLength(3);
+
+            const patient = bundle.entry[0].resource;
+            expect(patient.active).toBe(true);
+            expect(patient.name).toEqual([{ family: 'Lopez', given: ['Maria', 'José'], _given: [null, {
+                id: 'g2',
+                extension: [{ url: 'http://hl7.org/fhir/StructureDefinition/iso21090-EN-qualifier', valueCode: 'CL' }]
+            }] }]);
+
+            const dosage = bundle.entry[2].resource.dosage[0];
+            expect(dosage.timing.repeat).toEqual({ frequency: 2, period: 1, periodUnit: 'd' });
+            expect(dosage.doseAndRate[0].doseQuantity).toEqual({ value: 10.5, unit: 'mg' });
+        });
+
+        test('should convert primitive extensions to underscore properties', () => {
+            const patient = parseFHIRXML(ipsXML).entry[0].resource;
+
+            expect(patient.birthDate).toBe('1990-05-01');
+            expect(patient._birthDate).toEqual({
+                extension: [{
+                    url: 'http://hl7.org/fhir/StructureDefinition/patient-birthTime',
+                    valueDateTime: '1990-05-01T08:30:00Z'
+                }]
+            });
+        });
+
+        test('should keep narrative divs as XHTML strings', () => {
+            const patient = parseFHIRXML(ipsXML).entry[0].resource;
+
+            expect(patient.text).toEqual({
+                status: 'generated',
+                div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Maria <b>Lopez</b></p></div>'
+            });
+        });
+
+        test('should convert contained resources', () => {
+            const statement = parseFHIRXML(ipsXML).entry[2].resource;
+
+            expect(statement.contained).toEqual([{
+                resourceType: 'Medication',
+                id: 'med',
+                code: { coding: [{ system: 'http://www.whocc.no/atc', code: 'C09AA02' }] }
+            }]);
+        });
+
+        test('should let the IPS extractors work unchanged', () => {
+            const bundle = parseFHIRXML(ipsXML);
+
+            expect(getConditions(bundle)).toEqual([{
+                id: 'c1',
+                codes: [{ code: '38341003', system: 'http://snomed.info/sct', display: 'Hypertension' }],
+                text: 'High blood pressure',
+                clinicalStatus: 'active',
+                verificationStatus: undefined,
+                section: null,
+                category: [],
+                severity: null,
+                onset: null,
+                abatement: null,
+                recordedDate: null
+            }]);
+            expect(getMedications(bundle)[0].codes[0]).toMatchObject({ code: 'C09AA02', source: 'medication-code' });
+            expect(getPatientInfo(bundle).birthDate).toBe('1990-05-01');
+        });
+
+        test('should read single repeating elements of procedures, immunizations, reports and impressions', () => {
+            const bundle = parseFHIRXML(`<Bundle xmlns="http://hl7.org/fhir">
+  <type value="collection"/>
+  <entry>
+    <resource>
+      <Procedure>
+        <id value="p1"/>
+        <status value="completed"/>
+        <code><coding><system value="http://snomed.info/sct"/><code value="80146002"/></coding></code>
+        <bodySite><coding><system value="http://snomed.info/sct"/><code value="66754008"/></coding></bodySite>
+      </Procedure>
+    </resource>
+  </entry>
+  <entry>
+    <resource>
+      <Immunization>
+        <id value="i1"/>
+        <status value="completed"/>
+        <vaccineCode><coding><system value="http://snomed.info/sct"/><code value="871866001"/></coding></vaccineCode>
+        <occurrenceDateTime value="2021-05-01"/>
+        <protocolApplied>
+          <targetDisease><coding><system value="http://snomed.info/sct"/><code value="14189004"/></coding></targetDisease>
+          <doseNumberPositiveInt value="2"/>
+        </protocolApplied>
+      </Immunization>
+    </resource>
+  </entry>
+  <entry>
+    <resource>
+      <DiagnosticReport>
+        <id value="r1"/>
+        <status value="final"/>
+        <code><coding><system value="http://loinc.org"/><code value="58410-2"/></coding></code>
+        <result><reference value="Observation/o1"/></result>
+      </DiagnosticReport>
+    </resource>
+  </entry>
+  <entry>
+    <resource>
+      <ClinicalImpression>
+        <id value="ci1"/>
+        <status value="completed"/>
+        <finding><itemCodeableConcept><coding><system value="http://snomed.info/sct"/><code value="21134002"/></coding></itemCodeableConcept></finding>
+      </ClinicalImpression>
+    </resource>
+  </entry>
+</Bundle>`);
+
+            const procedure = bundle.entry[0].resource;
+            const immunization = bundle.entry[1].resource;
+            expect(procedure.bodySite).toHaveLength(1);
+            expect(immunization.protocolApplied[0].targetDisease).toHaveLength(1);
+            expect(bundle.entry[2].resource.result).toEqual([{ reference: 'Observation/o1' }]);
+            expect(bundle.entry[3].resource.finding).toHaveLength(1);
+
+            expect(getProcedures(bundle)[0].bodySite.map(code => code.code)).toEqual(['66754008']);
+            expect(getImmunizations(bundle)[0]).toMatchObject({ doseNumber: 2 });
+            expect(getImmunizations(bundle)[0].targetDisease.map(code => code.code)).toEqual(['14189004']);
+            expect(getDiagnosticResults(bundle)[0]).toMatchObject({ resourceType: 'DiagnosticReport', results: ['Observation/o1'] });
+            expect(getFunctionalStatus(bundle)[0].codes.map(code => code.code)).toEqual(['21134002']);
+        });
+
+        test('should type primitives by their element definition', () => {
+            const immunization = parseFHIRXML(`
+                <Immunization xmlns="http://hl7.org/fhir">
+                    <status value="completed"/>
+                    <vaccineCode><text value="MMR"/></vaccineCode>
+                    <occurrenceDateTime value="2020-01-01"/>
+                    <primarySource value="true"/>
+                    <protocolApplied><doseNumberPositiveInt value="1"/></protocolApplied>
+                </Immunization>`);
+            expect(immunization.primarySource).toBe(true);
+            expect(immunization.protocolApplied).toEqual([{ doseNumberPositiveInt: 1 }]);
+
+            const medication = parseFHIRXML(`
+                <Medication xmlns="http://hl7.org/fhir">
+                    <ingredient>
+                        <itemCodeableConcept><text value="metformin"/></itemCodeableConcept>
+                        <isActive value="true"/>
+                        <strength><numerator><value value="500"/><unit value="mg"/></numerator></strength>
+                    </ingredient>
+                </Medication>`);
+            expect(medication.ingredient[0].isActive).toBe(true);
+            expect(medication.ingredient[0].strength.numerator.value).toBe(500);
+
+            const request = parseFHIRXML(`
+                <MedicationRequest xmlns="http://hl7.org/fhir">
+                    <status value="active"/>
+                    <intent value="order"/>
+                    <groupIdentifier><system value="urn:example"/><value value="123"/></groupIdentifier>
+                    <dispenseRequest><numberOfRepeatsAllowed value="2"/></dispenseRequest>
+                </MedicationRequest>`);
+            expect(request.groupIdentifier).toEqual({ system: 'urn:example', value: '123' });
+            expect(request.dispenseRequest.numberOfRepeatsAllowed).toBe(2);
+        });
+
+        test('should round-trip primitive types of immunizations, medications and requests', () => {
+            const resources = [
+                {
+                    resourceType: 'Immunization',
+                    status: 'completed',
+                    vaccineCode: { text: 'MMR' },
+                    patient: { reference: 'Patient/p1' },
+                    occurrenceDateTime: '2020-01-01',
+                    primarySource: false,
+                    doseQuantity: { value: 0.5, unit: 'mL' }
+                },
+                {
+                    resourceType: 'Medication',
+                    code: { text: 'Metformin 500 mg' },
+                    ingredient: [{
+                        itemCodeableConcept: { text: 'metformin' },
+                        isActive: true,
+                        strength: { numerator: { value: 500, unit: 'mg' }, denominator: { value: 1 } }
+                    }]
+                },
+                {
+                    resourceType: 'MedicationRequest',
+                    identifier: [{ value: '0042' }],
+                    status: 'active',
+                    intent: 'order',
+                    medicationCodeableConcept: { text: 'Metformin' },
+                    subject: { reference: 'Patient/p1', identifier: { value: '7' } },
+                    groupIdentifier: { value: '123' },
+                    dosageInstruction: [{ sequence: 1, timing: { repeat: { frequency: 2, period: 1, periodUnit: 'd' } } }],
+                    dispenseRequest: { numberOfRepeatsAllowed: 2, quantity: { value: 60 } }
+                }
+            ];
+
+            resources.forEach(resource => {
+                expect(parseFHIRXML(toFHIRXML(resource))).toEqual(resource);
+            });
+        });
+
+        test('should apply R5 cardinalities to R5 documents', () => {
+            const epi = parseFHIRXML(toFHIRXML(epiFixture));
+            const composition = epi.entry[0].resource;
+
+            expect(Array.isArray(composition.subject)).toBe(true);
+            expect(getAnnotatedSections(epi)).toEqual(getAnnotatedSections(epiFixture));
+
+            const composed = `<Composition xmlns="http://hl7.org/fhir"><subject><reference value="Patient/1"/></subject></Composition>`;
+            expect(parseFHIRXML(composed).subject).toEqual({ reference: 'Patient/1' });
+            expect(parseFHIRXML(composed, { fhirVersion: 'R5' }).subject).toEqual([{ reference: 'Patient/1' }]);
+        });
+
+        test('should throw for malformed or non-FHIR XML', () => {
+            expect(() => parseFHIRXML('<Patient xmlns="http://hl7.org/fhir">')).toThrow(/Invalid FHIR XML/);
+            expect(() => parseFHIRXML('<Patient/>')).toThrow(/http:\/\/hl7.org\/fhir namespace/);
+            expect(() => parseFHIRXML('')).toThrow(/requires an XML string/);
+            expect(() => parseFHIRXML(null)).toThrow(/requires an XML string/);
+        });
+    });
+
+    describe('toFHIRXML', () => {
+
+        test('should serialize ids, extension urls and primitive extensions as XML', () => {
+            const xml = toFHIRXML({
+                resourceType: 'Patient',
+                id: 'p1',
+                birthDate: '1990-05-01',
+                _birthDate: { id: 'bd', extension: [{ url: 'http://example.org/time', valueTime: '08:30:00' }] },
+                name: [{ id: 'n1', family: 'O"Brien & Sons' }]
+            }, { pretty: false });
+
+            expect(xml).toBe(
+                '<Patient xmlns="http://hl7.org/fhir">' +
+                '<id value="p1"/>' +
+                '<name id="n1"><family value="O&quot;Brien &amp; Sons"/></name>' +
+                '<birthDate id="bd" value="1990-05-01">' +
+                '<extension url="http://example.org/time"><valueTime value="08:30:00"/></extension>' +
+                '</birthDate>' +
+                '</Patient>'
+            );
+        });
+
+        test('should write resource header elements first', () => {
+            const xml = toFHIRXML({
+                resourceType: 'Observation',
+                status: 'final',
+                extension: [{ url: 'http://example.org/e', valueBoolean: true }],
+                id: 'o1'
+            }, { pretty: false, declaration: true });
+
+            expect(xml).toBe(
+                '<?xml version="1.0" encoding="UTF-8"?>\n' +
+                '<Observation xmlns="http://hl7.org/fhir">' +
+                '<id value="o1"/>' +
+                '<extension url="http://example.org/e"><valueBoolean value="true"/></extension>' +
+                '<status value="final"/>' +
+                '</Observation>'
+            );
+        });
+
+        test('should write elements in the order of the FHIR element definitions', () => {
+            const xml = toFHIRXML({
+                resourceType: 'MedicationRequest',
+                dispenseRequest: { numberOfRepeatsAllowed: 2, validityPeriod: { end: '2024-12-31', start: '2024-01-01' } },
+                subject: { display: 'Anna', reference: 'Patient/p1' },
+                medicationCodeableConcept: { text: 'Metformin' },
+                intent: 'order',
+                status: 'active',
+                note: [{ text: 'with food' }]
+            }, { pretty: false });
+
+            expect(xml).toBe(
+                '<MedicationRequest xmlns="http://hl7.org/fhir">' +
+                '<status value="active"/>' +
+                '<intent value="order"/>' +
+                '<medicationCodeableConcept><text value="Metformin"/></medicationCodeableConcept>' +
+                '<subject><reference value="Patient/p1"/><display value="Anna"/></subject>' +
+                '<note><text value="with food"/></note>' +
+                '<dispenseRequest>' +
+                '<validityPeriod><start value="2024-01-01"/><end value="2024-12-31"/></validityPeriod>' +
+                '<numberOfRepeatsAllowed value="2"/>' +
+                '</dispenseRequest>' +
+                '</MedicationRequest>'
+            );
+        });
+
+        test('should round-trip the IPS, ePI and Persona Vector fixtures', () => {
+            [ipsFixture, epiFixture, pvFixture].forEach(fixture => {
+                expect(withoutDivs(parseFHIRXML(toFHIRXML(fixture)))).toEqual(withoutDivs(fixture));
+            });
+        });
+
+        test('should throw for non-resources', () => {
+            expect(() => toFHIRXML({ id: 'x' })).toThrow(/requires a FHIR resource/);
+            expect(() => toFHIRXML(null)).toThrow(/requires a FHIR resource/);
+        });
+    });
+});
@@ -45,6 +45,19 @@ describe('Language and i18n Utilities', () => {
             expect(getLangKey('es')).toBe('es');
             expect(getLangKey('en')).toBe('en');
         });
+
+        test('should be case-insensitive', () => {
+            expect(getLangKey('PT-pt')).toBe('pt');
+            expect(getLangKey(' DE ')).toBe('de');
+        });
+
+        test('should accept codings and patient demographics', () => {
+            expect(getLangKey({ system: 'urn:ietf:bcp:47', code: 'fr-BE' })).toBe('fr');
+            expect(getLangKey({ coding: [{ system: 'urn:ietf:bcp:47', code: 'nl' }] })).toBe('nl');
+            expect(getLangKey({ preferredLanguage: 'es-ES' })).toBe('es');
+            expect(getLangKey({ resourceType: 'Patient', demographics: { preferredLanguage: 'it' } })).toBe('it');
+            expect(getLangKey({ demographics: { preferredLanguage: null } })).toBe('en');
+        });
     });
     
     describe('translate', () => {
@@ -102,6 +115,13 @@ describe('Language and i18n Utilities', () => {
             expect(translate('greeting', 'en-US', dictionary)).toBe('Hello');
         });
 
+        test('should translate to the patient preferred language', () => {
+            const dictionary = { en: { greeting: 'Hello' }, pt: { greeting: 'Olá' } };
+
+            expect(translate('greeting', { preferredLanguage: 'pt-PT' }, dictionary)).toBe('Olá');
+            expect(translate('greeting', { preferredLanguage: null }, dictionary)).toBe('Hello');
+        });
+
         test('should handle null/undefined dictionary', () => {
             expect(translate('greeting', 'en', null)).toBe('greeting');
             expect(translate('greeting', 'en', undefined)).toBe('greeting');
@@ -0,0 +1,191 @@
+/**
+ * Tests for ConceptMap Terminology Translation
+ */
+
+const path = require('path');
+const {
+    loadConceptMap,
+    getConceptMaps,
+    clearConceptMaps,
+    translateCode,
+    expandWithTranslations
+} = require('../src/terminology/conceptmap');
+const { matchCodes } = require('../src/fhir/common');
+const { findSectionsByCode } = require('../src/fhir/epi');
+
+const conceptMapFixture = require('./fixtures/conceptmap.json');
+
+const SNOMED = 'http://snomed.info/sct';
+const MEDDRA = 'http://terminology.hl7.org/CodeSystem/mdr';
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10';
+
+describe('ConceptMap Terminology Translation', () => {
+    
+    afterEach(() => {
+        clearConceptMaps();
+    });
+    
+    describe('loadConceptMap', () => {
+        
+        test('should register ConceptMap objects', () => {
+            const loaded = loadConceptMap(conceptMapFixture);
+            
+            expect(loaded).toHaveLength(1);
+            expect(getConceptMaps()).toHaveLength(1);
+        });
+        
+        test('should load ConceptMaps from a local JSON file', () => {
+            loadConceptMap(path.join(__dirname, 'fixtures', 'conceptmap.json'));
+            
+            expect(getConceptMaps()[0].id).toBe('snomed-to-meddra');
+        });
+        
+        test('should load ConceptMaps from JSON strings and bundles', () => {
+            loadConceptMap(JSON.stringify(conceptMapFixture));
+            loadConceptMap({
+                resourceType: 'Bundle',
+                entry: [{ resource: { resourceType: 'ConceptMap', id: 'other', group: [] } }]
+            });
+            
+            expect(getConceptMaps()).toHaveLength(2);
+        });
+        
+        test('should not register the same ConceptMap twice', () => {
+            loadConceptMap(conceptMapFixture);
+            loadConceptMap(conceptMapFixture);
+            
+            expect(getConceptMaps()).toHaveLength(1);
+        });
+        
+        test('should throw for invalid sources', () => {
+            expect(() => loadConceptMap({ resourceType: 'ValueSet' })).toThrow(/Expected a ConceptMap/);
+            expect(() => loadConceptMap('{ not json')).toThrow(/Invalid ConceptMap JSON/);
+        });
+    });
+    
+    describe('translateCode', () => {
+        
+        test('should translate codes between systems', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            const translations = translateCode({ code: '77386006', system: SNOMED });
+            expect(translations).toHaveLength(1);
+            expect(translations[0]).toMatchObject({
+                code: '10036556',
+                system: MEDDRA,
+                relationship: 'equivalent',
+                reverse: false
+            });
+        });
+        
+        test('should translate in reverse direction', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            const translations = translateCode({ code: '10012378', system: MEDDRA });
+            expect(translations[0]).toMatchObject({ code: '35489007', system: SNOMED, reverse: true });
+            expect(translateCode({ code: '10012378', system: MEDDRA }, { reverse: false })).toEqual([]);
+        });
+        
+        test('should reverse relationship direction', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            const translations = translateCode({ code: '38341003', system: SNOMED });
+            expect(translations[0]).toMatchObject({ code: 'I10', system: ICD10, relationship: 'narrower' });
+        });
+        
+        test('should filter by target system', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            const translations = translateCode({ code: 'I10', system: ICD10 }, { targetSystem: SNOMED });
+            expect(translations.map(t => t.code)).toEqual(['59621000', '38341003']);
+            expect(translateCode({ code: 'I10', system: ICD10 }, { targetSystem: MEDDRA })).toEqual([]);
+        });
+        
+        test('should ignore unmatched mappings', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            expect(translateCode({ code: '10743008', system: SNOMED })).toEqual([]);
+        });
+        
+        test('should translate plain code strings in any system', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            expect(translateCode('77386006')[0].code).toBe('10036556');
+        });
+        
+        test('should use explicitly supplied ConceptMaps', () => {
+            const translations = translateCode(
+                { code: '77386006', system: SNOMED },
+                { conceptMaps: [conceptMapFixture] }
+            );
+            
+            expect(translations).toHaveLength(1);
+            expect(getConceptMaps()).toHaveLength(0);
+        });
+        
+        test('should return empty array for unknown or invalid codes', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            expect(translateCode({ code: '999', system: SNOMED })).toEqual([]);
+            expect(translateCode(null)).toEqual([]);
+        });
+    });
+    
+    describe('expandWithTranslations', () => {
+        
+        test('should append translations after original codes', () => {
+            loadConceptMap(conceptMapFixture);
+            
+            const expanded = expandWithTranslations([{ code: '77386006', system: SNOMED }]);
+            expect(expanded).toHaveLength(2);
+            expect(expanded[1]).toMatchObject({ code: '10036556', system: MEDDRA });
+            expect(expanded[1].translatedFrom.code).toBe('77386006');
+        });
+        
+        test('should return empty array for invalid input', () => {
+            expect(expandWithTranslations(null)).toEqual([]);
+        });
+    });
+    
+    describe('translation-aware matching', () => {
+        
+        const epiBundle = {
+            entry: [{
+                resource: {
+                    resourceType: 'Composition',
+                    extension: [{
+                        extension: [
+                            { url: 'elementClass', valueString: 'pregnancy-section' },
+                            {
+                                url: 'concept',
+                                valueCodeableReference: {
+                                    concept: { coding: [{ code: '10036556', system: MEDDRA }] }
+                                }
+                            }
+                        ]
+                    }]
+                }
+            }]
+        };
+        
+        test('findSectionsByCode should match via translation', () => {
+            loadConceptMap(conceptMapFixture);
+            const patientCodes = [{ code: '77386006', system: SNOMED }];
+            
+            expect(findSectionsByCode(epiBundle, patientCodes, true)).toEqual([]);
+            expect(findSectionsByCode(epiBundle, patientCodes, true, { translate: true }))
+                .toEqual(['pregnancy-section']);
+        });
+        
+        test('matchCodes should match via translation', () => {
+            const annotationCodes = [{ code: '10036556', system: MEDDRA }];
+            const searchCode = { code: '77386006', system: SNOMED };
+            
+            expect(matchCodes(annotationCodes, searchCode)).toBe(false);
+            expect(matchCodes(annotationCodes, searchCode, true, {
+                translate: true,
+                conceptMaps: [conceptMapFixture]
+            })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for Code System URI Normalization
+ */
+
+const {
+    registerSystemAlias,
+    resetSystemAliases,
+    normalizeSystem,
+    systemsEqual
+} = require('../src/terminology/systems');
+const { extractCodes, matchCodes } = require('../src/fhir/common');
+const { findSectionsByCode } = require('../src/fhir/epi');
+const { codesMatch } = require('../src/utils/common');
+const { translateCode } = require('../src/terminology/conceptmap');
+
+const conceptMapFixture = require('./fixtures/conceptmap.json');
+
+const SNOMED = 'http://snomed.info/sct';
+
+describe('Code System URI Normalization', () => {
+
+    afterEach(() => {
+        resetSystemAliases();
+    });
+
+    describe('normalizeSystem', () => {
+
+        test('should map OIDs, aliases and URL variants to the canonical URI', () => {
+            expect(normalizeSystem('urn:oid:2.16.840.1.113883.6.96')).toBe(SNOMED);
+            expect(normalizeSystem('2.16.840.1.113883.6.96')).toBe(SNOMED);
+            expect(normalizeSystem('SNOMED-CT')).toBe(SNOMED);
+            expect(normalizeSystem('snomed ct')).toBe(SNOMED);
+            expect(normalizeSystem('https://snomed.info/sct/')).toBe(SNOMED);
+            expect(normalizeSystem('urn:oid:2.16.840.1.113883.6.1')).toBe('http://loinc.org');
+            expect(normalizeSystem('ATC')).toBe('http://www.whocc.no/atc');
+        });
+
+        test('should keep unknown systems without trailing slashes', () => {
+            expect(normalizeSystem('http://example.org/cs/')).toBe('http://example.org/cs');
+            expect(normalizeSystem(' http://example.org/cs ')).toBe('http://example.org/cs');
+        });
+
+        test('should return empty string for empty input', () => {
+            expect(normalizeSystem(undefined)).toBe('');
+            expect(normalizeSystem(null)).toBe('');
+            expect(normalizeSystem('  ')).toBe('');
+        });
+    });
+
+    describe('systemsEqual', () => {
+
+        test('should compare normalized systems', () => {
+            expect(systemsEqual(SNOMED, 'urn:oid:2.16.840.1.113883.6.96')).toBe(true);
+            expect(systemsEqual('http://example.org/cs', 'https://example.org/cs/')).toBe(true);
+            expect(systemsEqual(SNOMED, 'http://loinc.org')).toBe(false);
+        });
+
+        test('should ignore the case of hosts and URN namespaces but not of paths', () => {
+            expect(systemsEqual('http://Example.ORG/cs', 'HTTP://example.org/cs')).toBe(true);
+            expect(systemsEqual('URN:IETF:rfc:3986', 'urn:ietf:rfc:3986')).toBe(true);
+            expect(systemsEqual('http://hl7.org/fhir/sid/icd-10', 'http://hl7.org/fhir/sid/ICD-10')).toBe(false);
+            expect(systemsEqual('http://example.org/CodeSystem/A', 'http://example.org/codesystem/a')).toBe(false);
+            expect(systemsEqual('urn:example:Codes', 'urn:example:codes')).toBe(false);
+            expect(systemsEqual('urn:oid:1.2.3.4', '1.2.3.4')).toBe(true);
+        });
+    });
+
+    describe('registerSystemAlias', () => {
+
+        test('should register runtime aliases', () => {
+            registerSystemAlias('http://example.org/local-codes', ['urn:oid:1.2.3.4', 'LOCAL']);
+
+            expect(normalizeSystem('LOCAL')).toBe('http://example.org/local-codes');
+            expect(normalizeSystem('1.2.3.4')).toBe('http://example.org/local-codes');
+        });
+
+        test('should be removed by resetSystemAliases', () => {
+            registerSystemAlias('http://example.org/local-codes', 'LOCAL');
+            resetSystemAliases();
+
+            expect(normalizeSystem('LOCAL')).toBe('LOCAL');
+            expect(normalizeSystem('SCT')).toBe(SNOMED);
+        });
+
+        test('should throw without a canonical URI', () => {
+            expect(() => registerSystemAlias('', ['x'])).toThrow(/canonical system URI/);
+        });
+    });
+
+    describe('normalized matching', () => {
+
+        const oidCoding = { code: '77386006', system: 'urn:oid:2.16.840.1.113883.6.96' };
+
+        test('extractCodes should return canonical systems', () => {
+            expect(extractCodes({ coding: [oidCoding] })[0].system).toBe(SNOMED);
+        });
+
+        test('codesMatch and matchCodes should treat aliases as the same system', () => {
+            expect(codesMatch({ code: '77386006', system: SNOMED }, oidCoding)).toBe(true);
+            expect(matchCodes([{ code: '77386006', system: 'SNOMED-CT' }], oidCoding, true)).toBe(true);
+        });
+
+        test('findSectionsByCode should match aliased systems strictly', () => {
+            const epiBundle = {
+                entry: [{
+                    resource: {
+                        resourceType: 'Composition',
+                        extension: [{
+                            extension: [
+                                { url: 'elementClass', valueString: 'pregnancy-section' },
+                                {
+                                    url: 'concept',
+                                    valueCodeableReference: {
+                                        concept: { coding: [{ code: '77386006', system: 'https://snomed.info/sct/' }] }
+                                    }
+                                }
+                            ]
+                        }]
+                    }
+                }]
+            };
+
+            expect(findSectionsByCode(epiBundle, [oidCoding], true)).toEqual(['pregnancy-section']);
+        });
+
+        test('translateCode should accept aliased source systems', () => {
+            const translations = translateCode(oidCoding, {
+                targetSystem: 'MedDRA',
+                conceptMaps: [conceptMapFixture]
+            });
+
+            expect(translations.map(t => t.code)).toEqual(['10036556']);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for UCUM Units
+ */
+
+const {
+    UCUM_SYSTEM,
+    toUCUMCode,
+    normalizeQuantity,
+    areUnitsCompatible,
+    convertQuantity
+} = require('../src/terminology/ucum');
+
+describe('UCUM Units', () => {
+
+    describe('toUCUMCode', () => {
+
+        test('should keep valid UCUM codes', () => {
+            ['mg/dL', 'umol/L', '[IU]/L', 'mm[Hg]', 'kg/m2', '10*9/L', '/min', 'mL/min/{1.73_m2}', '%', 'Cel'].forEach(code => {
+                expect(toUCUMCode(code)).toBe(code);
+            });
+        });
+
+        test('should map free-text units', () => {
+            expect(toUCUMCode('mg/dl')).toBe('mg/dL');
+            expect(toUCUMCode('µmol/l')).toBe('umol/L');
+            expect(toUCUMCode('IU/L')).toBe('[IU]/L');
+            expect(toUCUMCode('mEq/L')).toBe('meq/L');
+            expect(toUCUMCode('mmHg')).toBe('mm[Hg]');
+            expect(toUCUMCode('mcg')).toBe('ug');
+            expect(toUCUMCode('Tablets')).toBe('{tablet}');
+            expect(toUCUMCode('°C')).toBe('Cel');
+        });
+
+        test('should return null for unknown units', () => {
+            expect(toUCUMCode('widgets')).toBeNull();
+            expect(toUCUMCode('mg/(kg.d)')).toBeNull();
+            expect(toUCUMCode('')).toBeNull();
+            expect(toUCUMCode(null)).toBeNull();
+        });
+    });
+
+    describe('normalizeQuantity', () => {
+
+        test('should add the UCUM code of coded or recognized units', () => {
+            expect(normalizeQuantity({ value: 5, unit: 'mg/dl' })).toEqual({ value: 5, unit: 'mg/dl', code: 'mg/dL', system: UCUM_SYSTEM });
+            expect(normalizeQuantity({ value: 5, system: 'urn:oid:2.16.840.1.113883.6.8', code: 'mmol/L' }))
+                .toEqual({ value: 5, unit: 'mmol/L', code: 'mmol/L', system: UCUM_SYSTEM });
+            expect(normalizeQuantity({ value: 1, unit: 'sachet', system: 'http://standardterms.edqm.eu', code: '10219000' }))
+                .toEqual({ value: 1, unit: 'sachet', code: null, system: 'http://standardterms.edqm.eu' });
+            expect(normalizeQuantity({ unit: 'mg' })).toBeNull();
+        });
+    });
+
+    describe('convertQuantity', () => {
+
+        test('should convert between units of the same dimension', () => {
+            expect(convertQuantity({ value: 1.2, unit: 'mg/dL' }, 'mg/L').value).toBe(12);
+            expect(convertQuantity({ value: 3, unit: '10*9/L' }, '/uL').value).toBe(3000);
+            expect(convertQuantity({ value: 70, unit: 'kg' }, '[lb_av]').value).toBeCloseTo(154.32, 2);
+            expect(convertQuantity({ value: 120, unit: 'mmHg' }, 'kPa').value).toBeCloseTo(16, 1);
+            expect(convertQuantity({ value: 2, unit: 'h' }, 'min')).toEqual({ value: 120, unit: 'min', code: 'min', system: UCUM_SYSTEM });
+        });
+
+        test('should convert temperatures with their offset', () => {
+            expect(convertQuantity({ value: 37, unit: 'Cel' }, '[degF]').value).toBeCloseTo(98.6, 5);
+            expect(convertQuantity({ value: 37, unit: 'Cel' }, 'K').value).toBe(310.15);
+            expect(convertQuantity({ value: 37, unit: 'Cel' }, 'mg')).toBeNull();
+        });
+
+        test('should convert mass and substance concentrations with a molar mass', () => {
+            expect(convertQuantity({ value: 1, unit: 'mg/dL' }, 'umol/L', { molarMass: 113.12 }).value).toBeCloseTo(88.4, 1);
+            expect(convertQuantity({ value: 5.5, unit: 'mmol/L' }, 'mg/dL', { molarMass: 180.156 }).value).toBeCloseTo(99.1, 1);
+            expect(convertQuantity({ value: 1, unit: 'mg/dL' }, 'umol/L')).toBeNull();
+        });
+
+        test('should reject incompatible and unknown units', () => {
+            expect(convertQuantity({ value: 1, unit: 'mg' }, 'mL')).toBeNull();
+            expect(convertQuantity({ value: 1, unit: '[IU]' }, 'mg')).toBeNull();
+            expect(convertQuantity({ value: 1, unit: 'widgets' }, 'mg')).toBeNull();
+            expect(convertQuantity(null, 'mg')).toBeNull();
+        });
+    });
+
+    describe('areUnitsCompatible', () => {
+
+        test('should report whether units can be converted', () => {
+            expect(areUnitsCompatible('mg/dL', 'g/L')).toBe(true);
+            expect(areUnitsCompatible('mg/dL', 'mmol/L')).toBe(false);
+            expect(areUnitsCompatible('mg/dL', 'mmol/L', { molarMass: 180.156 })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,291 @@
+/**
+ * Tests for CodeSystem Hierarchies and ValueSet Membership
+ */
+
+const path = require('path');
+const {
+    loadCodeSystem,
+    loadCodeHierarchy,
+    getCodeSystem,
+    clearCodeSystems,
+    lookupConcept,
+    getAncestors,
+    getDescendants,
+    isA,
+    isSubsumedBy
+} = require('../src/terminology/codesystem');
+const {
+    loadValueSet,
+    getValueSet,
+    clearValueSets,
+    isInValueSet,
+    expandValueSet
+} = require('../src/terminology/valueset');
+const { matchCodes } = require('../src/fhir/common');
+const { findSectionsByCode } = require('../src/fhir/epi');
+const { codesMatch } = require('../src/utils/common');
+
+const codeSystemFixture = require('./fixtures/codesystem.json');
+const valueSetFixture = require('./fixtures/valueset.json');
+
+const SNOMED = 'http://snomed.info/sct';
+const ICD10 = 'http://hl7.org/fhir/sid/icd-10';
+const ATC = 'http://www.whocc.no/atc';
+const MEDDRA = 'http://terminology.hl7.org/CodeSystem/mdr';
+const VS_URL = 'http://example.org/fhir/ValueSet/pregnancy-conditions';
+
+describe('Terminology: CodeSystem and ValueSet', () => {
+
+    afterEach(() => {
+        clearCodeSystems();
+        clearValueSets();
+    });
+
+    describe('CodeSystem hierarchy', () => {
+
+        beforeEach(() => {
+            loadCodeSystem(codeSystemFixture);
+        });
+
+        test('should register CodeSystems by url', () => {
+            expect(getCodeSystem(SNOMED).id).toBe('snomed-pregnancy-subset');
+            expect(getCodeSystem('http://unknown.org')).toBeNull();
+        });
+
+        test('should load CodeSystems from a local JSON file', () => {
+            clearCodeSystems();
+            loadCodeSystem(path.join(__dirname, 'fixtures', 'codesystem.json'));
+
+            expect(lookupConcept(SNOMED, '77386006').display).toBe('Pregnancy');
+        });
+
+        test('should reject CodeSystems without url', () => {
+            expect(() => loadCodeSystem({ resourceType: 'CodeSystem', id: 'x' })).toThrow(/has no url/);
+        });
+
+        test('should look up concepts', () => {
+            expect(lookupConcept(SNOMED, '47200007')).toMatchObject({
+                code: '47200007',
+                system: SNOMED,
+                display: 'High risk pregnancy'
+            });
+            expect(lookupConcept(SNOMED, '000')).toBeNull();
+        });
+
+        test('should follow nested and parent-property hierarchies', () => {
+            expect(getAncestors(SNOMED, '199006004')).toEqual(['47200007', '77386006']);
+            expect(getDescendants(SNOMED, '77386006')).toEqual(
+                expect.arrayContaining(['72892002', '47200007', '199006004', '169826009'])
+            );
+            expect(getAncestors('http://unknown.org', '1')).toEqual([]);
+        });
+
+        test('should evaluate is-a relationships', () => {
+            expect(isA(SNOMED, '77386006', '199006004')).toBe(true);
+            expect(isA(SNOMED, '77386006', '77386006')).toBe(true);
+            expect(isA(SNOMED, '77386006', '38341003')).toBe(false);
+        });
+    });
+
+    describe('isInValueSet', () => {
+
+        beforeEach(() => {
+            loadCodeSystem(codeSystemFixture);
+        });
+
+        test('should include descendants through is-a filters', () => {
+            expect(isInValueSet({ code: '199006004', system: SNOMED }, valueSetFixture)).toBe(true);
+            expect(isInValueSet({ code: '77386006', system: SNOMED }, valueSetFixture)).toBe(true);
+            expect(isInValueSet({ code: '38341003', system: SNOMED }, valueSetFixture)).toBe(false);
+        });
+
+        test('should match enumerated concepts and honour excludes', () => {
+            expect(isInValueSet({ code: 'Z33.1', system: ICD10 }, valueSetFixture)).toBe(true);
+            expect(isInValueSet({ code: '169826009', system: SNOMED }, valueSetFixture)).toBe(false);
+        });
+
+        test('should check the system unless matchSystem is false', () => {
+            const coding = { code: 'Z33.1', system: SNOMED };
+
+            expect(isInValueSet(coding, valueSetFixture)).toBe(false);
+            expect(isInValueSet(coding, valueSetFixture, { matchSystem: false })).toBe(true);
+        });
+
+        test('should accept CodeableConcepts and code strings', () => {
+            const concept = { coding: [{ code: '1', system: 'x' }, { code: '72892002', system: SNOMED }] };
+
+            expect(isInValueSet(concept, valueSetFixture)).toBe(true);
+            expect(isInValueSet('Z33.1', valueSetFixture)).toBe(true);
+        });
+
+        test('should match whole-system includes', () => {
+            const valueSet = {
+                resourceType: 'ValueSet',
+                compose: { include: [{ system: ICD10 }] }
+            };
+
+            expect(isInValueSet({ code: 'O99.4', system: ICD10 }, valueSet)).toBe(true);
+            expect(isInValueSet({ code: 'O99.4', system: SNOMED }, valueSet)).toBe(false);
+        });
+
+        test('should resolve included ValueSets by canonical URL', () => {
+            loadValueSet(valueSetFixture);
+            const valueSet = {
+                resourceType: 'ValueSet',
+                compose: { include: [{ valueSet: [VS_URL] }] }
+            };
+
+            expect(getValueSet(`${VS_URL}|1.0.0`)).toBe(valueSetFixture);
+            expect(isInValueSet({ code: '47200007', system: SNOMED }, valueSet)).toBe(true);
+            expect(isInValueSet({ code: '47200007', system: SNOMED }, VS_URL)).toBe(true);
+        });
+
+        test('should use a pre-expanded ValueSet', () => {
+            const valueSet = {
+                resourceType: 'ValueSet',
+                expansion: { contains: [{ system: SNOMED, code: '77386006' }] }
+            };
+
+            expect(isInValueSet({ code: '77386006', system: SNOMED }, valueSet)).toBe(true);
+            expect(isInValueSet({ code: '72892002', system: SNOMED }, valueSet)).toBe(false);
+        });
+
+        test('should throw for unknown ValueSet URLs and return false for empty input', () => {
+            expect(() => isInValueSet({ code: '1' }, 'http://unknown.org/vs')).toThrow(/is not loaded/);
+            expect(isInValueSet(null, valueSetFixture)).toBe(false);
+        });
+    });
+
+    describe('expandValueSet', () => {
+
+        test('should expand filters, concepts and excludes', () => {
+            loadCodeSystem(codeSystemFixture);
+            const codes = expandValueSet(valueSetFixture).map(c => c.code);
+
+            expect(codes).toEqual(expect.arrayContaining(['77386006', '72892002', '47200007', '199006004', 'Z33.1']));
+            expect(codes).not.toContain('169826009');
+            expect(codes).not.toContain('38341003');
+        });
+
+        test('should throw when a needed CodeSystem is not loaded', () => {
+            expect(() => expandValueSet(valueSetFixture)).toThrow(/CodeSystem http:\/\/snomed.info\/sct is not loaded/);
+        });
+    });
+
+    describe('ValueSet-aware matching', () => {
+
+        const epiBundle = {
+            entry: [{
+                resource: {
+                    resourceType: 'Composition',
+                    extension: [{
+                        extension: [
+                            { url: 'elementClass', valueString: 'pregnancy-section' },
+                            {
+                                url: 'concept',
+                                valueCodeableReference: {
+                                    concept: { coding: [{ code: '77386006', system: SNOMED }] }
+                                }
+                            }
+                        ]
+                    }]
+                }
+            }]
+        };
+
+        test('findSectionsByCode should accept a ValueSet', () => {
+            loadCodeSystem(codeSystemFixture);
+
+            expect(findSectionsByCode(epiBundle, valueSetFixture)).toEqual(['pregnancy-section']);
+        });
+
+        test('matchCodes should accept a ValueSet', () => {
+            loadCodeSystem(codeSystemFixture);
+
+            expect(matchCodes(valueSetFixture, { code: '199006004', system: SNOMED })).toBe(true);
+            expect(matchCodes(valueSetFixture, { code: '38341003', system: SNOMED })).toBe(false);
+        });
+    });
+
+    describe('Subsumption matching', () => {
+
+        test('should use code prefixes for ATC and ICD-10', () => {
+            expect(isA(ATC, 'C09CA', 'C09CA04')).toBe(true);
+            expect(isA(ATC, 'C09', 'C09CA04')).toBe(true);
+            expect(isA(ATC, 'C09CA04', 'C09CA')).toBe(false);
+            expect(isA(ICD10, 'I10', 'I10.9')).toBe(true);
+            expect(isA(SNOMED, '7738', '77386006')).toBe(false);
+        });
+
+        test('should load code-to-parent hierarchies and merge them', () => {
+            loadCodeHierarchy(MEDDRA, JSON.stringify({
+                '10036585': '10036556',
+                '10036556': ['10036585000']
+            }));
+
+            expect(isA(MEDDRA, '10036556', '10036585')).toBe(true);
+            expect(isA(MEDDRA, '10036585000', '10036585')).toBe(true);
+            expect(() => loadCodeHierarchy(MEDDRA, [])).toThrow(/must be an object/);
+            expect(() => loadCodeHierarchy(null, {})).toThrow(/requires a code system URL/);
+        });
+
+        test('isSubsumedBy should respect matchSystem', () => {
+            const irbesartan = { code: 'C09CA04', system: ATC };
+
+            expect(isSubsumedBy(irbesartan, { code: 'C09CA', system: ATC })).toBe(true);
+            expect(isSubsumedBy(irbesartan, { code: 'C09CA', system: SNOMED })).toBe(false);
+            expect(isSubsumedBy(null, { code: 'C09CA', system: ATC })).toBe(false);
+        });
+
+        test('codesMatch and matchCodes should accept a subsumption option', () => {
+            const annotation = { code: 'C09CA', system: ATC };
+            const irbesartan = { code: 'C09CA04', system: ATC };
+
+            expect(codesMatch(annotation, irbesartan)).toBe(false);
+            expect(codesMatch(annotation, irbesartan, true, { subsumption: true })).toBe(true);
+            expect(codesMatch(irbesartan, annotation, true, { subsumption: true })).toBe(false);
+            expect(matchCodes([annotation], irbesartan, true, { subsumption: true })).toBe(true);
+        });
+
+        test('findSectionsByCode should match descendants of annotated codes', () => {
+            loadCodeSystem(codeSystemFixture);
+            const epiBundle = {
+                entry: [{
+                    resource: {
+                        resourceType: 'Composition',
+                        extension: [
+                            {
+                                extension: [
+                                    { url: 'elementClass', valueString: 'arb-section' },
+                                    {
+                                        url: 'concept',
+                                        valueCodeableReference: { concept: { coding: [{ code: 'C09CA', system: ATC }] } }
+                                    }
+                                ]
+                            },
+                            {
+                                extension: [
+                                    { url: 'elementClass', valueString: 'pregnancy-section' },
+                                    {
+                                        url: 'concept',
+                                        valueCodeableReference: { concept: { coding: [{ code: '77386006', system: SNOMED }] } }
+                                    }
+                                ]
+                            }
+                        ]
+                    }
+                }]
+            };
+            const patientCodes = [
+                { code: 'C09CA04', system: ATC },
+                { code: '47200007', system: SNOMED }
+            ];
+
+            expect(findSectionsByCode(epiBundle, patientCodes)).toEqual([]);
+            expect(findSectionsByCode(epiBundle, patientCodes, true, { subsumption: true }))
+                .toEqual(['arb-section', 'pregnancy-section']);
+            expect(findSectionsByCode(epiBundle, ['C09CA04'], true, { subsumption: true }))
+                .toEqual(['arb-section']);
+        });
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for Test Data Builders
+ */
+
+const path = require('path');
+const {
+    snomed,
+    loinc,
+    atc,
+    icd10,
+    ipsBuilder,
+    epiBuilder,
+    pvBuilder
+} = require('../src/testing/builders');
+const { getPatientInfo, getMedications, getConditions, getAllergies, getObservationsByCode } = require('../src/fhir/ips');
+const { findSectionsByCode, getMedicinalProductId, getLanguage, validateEPI, matchProductIdentifier } = require('../src/fhir/epi');
+const { getDimensionByCode, getEmployment, validatePersonaVector } = require('../src/fhir/pv');
+const { validateResource, isValidOutcome, PROFILES } = require('../src/fhir/validator');
+const { getResourcesByType } = require('../src/fhir/common');
+
+describe('Test Data Builders', () => {
+
+    describe('coding helpers', () => {
+
+        test('should create codings for common systems', () => {
+            expect(snomed('77386006', 'Pregnancy')).toEqual({
+                system: 'http://snomed.info/sct',
+                code: '77386006',
+                display: 'Pregnancy'
+            });
+            expect(loinc('29463-7').system).toBe('http://loinc.org');
+            expect(atc('C09CA04').system).toBe('http://www.whocc.no/atc');
+            expect(icd10('I10')).toEqual({ system: 'http://hl7.org/fhir/sid/icd-10', code: 'I10' });
+        });
+    });
+
+    describe('ipsBuilder', () => {
+
+        const ips = ipsBuilder()
+            .patient({ gender: 'female', birthDate: '1990-05-01' })
+            .condition(snomed('77386006', 'Pregnancy'))
+            .condition({ code: icd10('I10'), clinicalStatus: 'resolved' })
+            .medication({ atc: 'C09CA04', viaReference: true })
+            .medication(snomed('108589003'))
+            .allergy({ code: snomed('91936005'), criticality: 'high' })
+            .observation({ code: loinc('29463-7'), value: 72, unit: 'kg' })
+            .build();
+
+        test('should produce bundles consumable by the IPS extractors', () => {
+            expect(getPatientInfo(ips)).toMatchObject({ gender: 'female', birthDate: '1990-05-01' });
+            expect(getConditions(ips).map(c => [c.codes[0].code, c.clinicalStatus])).toEqual([
+                ['77386006', 'active'],
+                ['I10', 'resolved']
+            ]);
+            expect(getAllergies(ips)[0]).toMatchObject({ criticality: 'high' });
+            expect(getObservationsByCode(ips, ['29463-7'])).toHaveLength(1);
+        });
+
+        test('should resolve medications given by reference', () => {
+            const medications = getMedications(ips);
+
+            expect(medications).toHaveLength(2);
+            expect(medications[0].codes[0]).toMatchObject({ code: 'C09CA04', source: 'medication-code' });
+            expect(medications[1].codes[0].code).toBe('108589003');
+        });
+
+        test('should conform to the shipped IPS profiles', () => {
+            const outcome = validateResource(ips, PROFILES.IPS_BUNDLE, {
+                profiles: { Composition: PROFILES.IPS_COMPOSITION }
+            });
+
+            expect(isValidOutcome(outcome)).toBe(true);
+            expect(getResourcesByType(ips, 'Composition')[0].section).toHaveLength(4);
+        });
+
+        test('should build independent bundles and include extra resources', () => {
+            const builder = ipsBuilder().resource({ resourceType: 'Organization', id: 'gp', name: 'GP' });
+
+            const first = builder.build();
+            const second = builder.condition(snomed('38341003')).build();
+
+            expect(getConditions(first)).toHaveLength(0);
+            expect(getConditions(second)).toHaveLength(1);
+            expect(getResourcesByType(first, 'Organization').map(o => o.id)).toContain('gp');
+        });
+    });
+
+    describe('epiBuilder', () => {
+
+        const epi = epiBuilder({ language: 'pt-PT' })
+            .product({ name: 'Karvea 75 mg tablet', identifier: 'EU/1/97/049/001' })
+            .section({ title: 'Pregnancy', html: '<p class="pregnancy-section">Do not take</p>' })
+            .annotate('pregnancy-section', snomed('77386006'))
+            .clinicalUse({ type: 'contraindication', code: snomed('77386006') })
+            .clinicalUse({ type: 'interaction', code: snomed('387381009') })
+            .ingredient(snomed('386979005', 'Irbesartan'))
+            .ingredient({ substance: snomed('47703008', 'Lactose'), role: 'excipient' })
+            .build();
+
+        test('should produce bundles consumable by the ePI functions', () => {
+            expect(findSectionsByCode(epi, [snomed('77386006')])).toEqual(['pregnancy-section']);
+            expect(getMedicinalProductId(epi)).toBeTruthy();
+            expect(matchProductIdentifier(epi, ['EU/1/97/049/001'])).toBe(true);
+            expect(getLanguage(epi)).toBe('pt-PT');
+            expect(validateEPI(epi, { strict: true }).valid).toBe(true);
+        });
+
+        test('should create ClinicalUseDefinitions and Ingredients for the product', () => {
+            const uses = getResourcesByType(epi, 'ClinicalUseDefinition');
+            const ingredients = getResourcesByType(epi, 'Ingredient');
+
+            expect(uses.map(u => u.type)).toEqual(['contraindication', 'interaction']);
+            expect(uses[0].contraindication.diseaseSymptomProcedure.concept.coding[0].code).toBe('77386006');
+            expect(uses[1].interaction.interactant[0].itemCodeableConcept.coding[0].code).toBe('387381009');
+            expect(ingredients.map(i => i.role.coding[0].code)).toEqual(['100000072072', '100000072082']);
+        });
+    });
+
+    describe('pvBuilder', () => {
+
+        test('should produce dimension observations', () => {
+            const pv = pvBuilder({ subject: 'Pedro' })
+                .dimension('HL', 3)
+                .dimension('EMP', snomed('160903007', 'Full-time employment'))
+                .dimension('DL', 'high', { display: 'Digital literacy' })
+                .build();
+
+            expect(validatePersonaVector(pv, { strict: true }).valid).toBe(true);
+            expect(getDimensionByCode(pv, 'HL')).toMatchObject({ value: 3, valueType: 'Integer', subject: 'Pedro' });
+            expect(getDimensionByCode(pv, 'DL').dimensionDisplay).toBe('Digital literacy');
+            expect(getEmployment(pv).valueType).toBe('CodeableConcept');
+        });
+    });
+
+    describe('entry point', () => {
+
+        test('should be exported from the testing entry only', () => {
+            const packageJson = require('../package.json');
+            const main = require('../src');
+
+            expect(require(path.join('..', packageJson.exports['./testing']))).toBe(require('../src/testing/builders'));
+            expect(main.ipsBuilder).toBeUndefined();
+            expect(main.snomed).toBeUndefined();
+            expect(main.getConditions).toBeDefined();
+        });
+    });
+});
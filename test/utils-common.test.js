@@ -8,6 +8,8 @@ const {
     arrayContains,
     uniqueByKey,
     calculateAge,
+    calculateAgeDetails,
+    getAgeBand,
     flatten,
     groupBy
 } = require('../src/utils/common');
@@ -165,6 +167,68 @@ describe('Common Utilities', () => {
             const age = calculateAge(birthDate);
             expect(age).toBeLessThanOrEqual(1);
         });
+
+        test('should calculate age at a reference date', () => {
+            expect(calculateAge('1990-05-15', '2024-06-01')).toBe(34);
+            expect(calculateAge('1990-05-15', 'invalid')).toBeNull();
+        });
+
+        test('should count completed calendar years around birthdays and leap years', () => {
+            expect(calculateAge('1990-06-02', '2024-06-01')).toBe(33);
+            expect(calculateAge('1990-06-01', '2024-06-01')).toBe(34);
+            expect(calculateAge('1960-03-01', '2024-02-29')).toBe(63);
+            expect(calculateAge('2000-02-29', '2023-02-28')).toBe(23);
+            expect(calculateAge('2024-06-02', '2024-06-01')).toBeNull();
+        });
+
+        test('should accept partial birth dates without overstating the age', () => {
+            expect(calculateAge('1980', '2024-06-01')).toBe(43);
+            expect(calculateAge('1980-05', '2024-06-01')).toBe(44);
+            expect(calculateAge('1980-06', '2024-06-01')).toBe(43);
+            expect(calculateAge('1980-13', '2024-06-01')).toBeNull();
+        });
+    });
+
+    describe('calculateAgeDetails', () => {
+
+        test('should return years, months and days with the date precision', () => {
+            expect(calculateAgeDetails('1990-05-15', '2024-06-01')).toEqual({
+                years: 34, months: 0, days: 17, totalMonths: 408, totalDays: 12436, precision: 'day'
+            });
+            expect(calculateAgeDetails('2024-01-31', new Date('2024-03-01T12:00:00Z'))).toMatchObject({
+                years: 0, months: 1, days: 1, totalDays: 30
+            });
+            expect(calculateAgeDetails('1980', '2024-06-01').precision).toBe('year');
+            expect(calculateAgeDetails('1980-10', '2024-06-01').precision).toBe('month');
+            expect(calculateAgeDetails(null)).toBeNull();
+        });
+
+        test('should accept dateTimes and reject malformed dates', () => {
+            expect(calculateAgeDetails('1990-05-15T08:30:00+02:00', '2024-06-01T23:59:59Z').years).toBe(34);
+            ['1990-05-01garbage', '1990-5-1', '19900501', '1990-05-01T', '1990-13', '1990-02-30'].forEach(birthDate => {
+                expect(calculateAgeDetails(birthDate, '2024-06-01')).toBeNull();
+            });
+            expect(calculateAge('1990-05-01garbage', '2024-06-01')).toBeNull();
+            expect(calculateAgeDetails('1990-05-15', '2024-06-01 garbage')).toBeNull();
+        });
+    });
+
+    describe('getAgeBand', () => {
+
+        test('should classify ages with the default thresholds', () => {
+            const bands = ['2024-05-20', '2023-01-01', '2015-01-01', '2010-01-01', '1980-01-01', '1950-01-01']
+                .map(birthDate => getAgeBand(birthDate, '2024-06-01'));
+
+            expect(bands).toEqual(['neonate', 'infant', 'child', 'adolescent', 'adult', 'elderly']);
+            expect(getAgeBand('1959-06-01', '2024-06-01')).toBe('elderly');
+            expect(getAgeBand('invalid', '2024-06-01')).toBeNull();
+        });
+
+        test('should accept custom thresholds', () => {
+            expect(getAgeBand('1962-01-01', '2024-06-01')).toBe('adult');
+            expect(getAgeBand('1962-01-01', '2024-06-01', { adult: { years: 60 } })).toBe('elderly');
+            expect(getAgeBand('2023-01-01', '2024-06-01', { infant: { months: 12 } })).toBe('child');
+        });
     });
     
     describe('flatten', () => {